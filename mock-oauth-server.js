@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+// Local OAuth2 token endpoint for trying the editor's OAuth2 settings without an identity provider
+//
+//   node mock-oauth-server.js
+//
+// Endpoints (default http://localhost:8099):
+//   POST /token          client_credentials, refresh_token and device_code grants
+//   POST /device/code    starts a device login
+//   GET  /device         approve a device login by user code
+//   GET  /v1/info        gateway stand-in that only answers with a valid Bearer token
+//   POST /revoke         invalidates every issued access token (the editor should refresh and retry)
+//
+// Environment: MOCK_OAUTH_PORT, MOCK_CLIENT_ID, MOCK_CLIENT_SECRET, MOCK_TOKEN_TTL (seconds)
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.env.MOCK_OAUTH_PORT) || 8099;
+const CLIENT_ID = process.env.MOCK_CLIENT_ID || 'flink-editor';
+const CLIENT_SECRET = process.env.MOCK_CLIENT_SECRET || 'secret';
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 120;
+const BASE_URL = `http://localhost:${PORT}`;
+
+const accessTokens = new Map();   // token -> expiresAt
+const refreshTokens = new Set();
+const deviceLogins = new Map();   // device_code -> { userCode, approved, expiresAt }
+
+const randomToken = () => crypto.randomBytes(24).toString('hex');
+
+const send = (res, status, body, contentType = 'application/json') => {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+  });
+  res.end(contentType === 'application/json' ? JSON.stringify(body) : body);
+};
+
+const readForm = (req) => new Promise(resolve => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(data))));
+});
+
+const issueToken = (res, withRefreshToken) => {
+  const accessToken = randomToken();
+  accessTokens.set(accessToken, Date.now() + TOKEN_TTL * 1000);
+  const body = { access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_TTL };
+
+  if (withRefreshToken) {
+    body.refresh_token = randomToken();
+    refreshTokens.add(body.refresh_token);
+  }
+  console.log(`🔑 Issued access token (expires in ${TOKEN_TTL}s)`);
+  send(res, 200, body);
+};
+
+const handleToken = async (req, res) => {
+  const form = await readForm(req);
+  if (form.client_id !== CLIENT_ID) {
+    return send(res, 401, { error: 'invalid_client', error_description: 'Unknown client_id' });
+  }
+
+  switch (form.grant_type) {
+    case 'client_credentials':
+      if (form.client_secret !== CLIENT_SECRET) {
+        return send(res, 401, { error: 'invalid_client', error_description: 'Wrong client_secret' });
+      }
+      return issueToken(res, false);
+
+    case 'refresh_token':
+      if (!refreshTokens.delete(form.refresh_token)) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown refresh token' });
+      }
+      console.log('🔄 Refresh token used');
+      return issueToken(res, true);
+
+    case 'urn:ietf:params:oauth:grant-type:device_code': {
+      const login = deviceLogins.get(form.device_code);
+      if (!login || Date.now() > login.expiresAt) {
+        return send(res, 400, { error: 'expired_token' });
+      }
+      if (!login.approved) {
+        return send(res, 400, { error: 'authorization_pending' });
+      }
+      deviceLogins.delete(form.device_code);
+      return issueToken(res, true);
+    }
+
+    default:
+      return send(res, 400, { error: 'unsupported_grant_type' });
+  }
+};
+
+const handleDeviceCode = async (req, res) => {
+  const form = await readForm(req);
+  if (form.client_id !== CLIENT_ID) {
+    return send(res, 401, { error: 'invalid_client' });
+  }
+
+  const deviceCode = randomToken();
+  const userCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+  deviceLogins.set(deviceCode, { userCode, approved: false, expiresAt: Date.now() + 300000 });
+  console.log(`📱 Device login started, user code ${userCode}`);
+
+  send(res, 200, {
+    device_code: deviceCode,
+    user_code: userCode,
+    verification_uri: `${BASE_URL}/device`,
+    verification_uri_complete: `${BASE_URL}/device?user_code=${userCode}`,
+    expires_in: 300,
+    interval: 2
+  });
+};
+
+const handleDevicePage = (url, res) => {
+  const userCode = (url.searchParams.get('user_code') || '').toUpperCase();
+  const login = [...deviceLogins.values()].find(entry => entry.userCode === userCode);
+
+  if (login) {
+    login.approved = true;
+    console.log(`✅ Device login ${userCode} approved`);
+    return send(res, 200, `<p>Sign-in ${userCode} approved. You can close this window.</p>`, 'text/html');
+  }
+  send(res, 200, '<form><label>User code <input name="user_code" autofocus></label> <button>Approve</button></form>', 'text/html');
+};
+
+const handleInfo = (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const expiresAt = accessTokens.get(token);
+  if (!expiresAt || Date.now() > expiresAt) {
+    console.log('🚫 /v1/info rejected (missing, expired or revoked token)');
+    return send(res, 401, { errors: ['Unauthorized'] });
+  }
+  send(res, 200, { productName: 'Apache Flink (mock OAuth2 gateway)', version: 'mock' });
+};
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, BASE_URL);
+  if (req.method === 'OPTIONS') return send(res, 204, '', 'text/plain');
+
+  if (req.method === 'POST' && url.pathname === '/token') return handleToken(req, res);
+  if (req.method === 'POST' && url.pathname === '/device/code') return handleDeviceCode(req, res);
+  if (req.method === 'GET' && url.pathname === '/device') return handleDevicePage(url, res);
+  if (req.method === 'GET' && url.pathname === '/v1/info') return handleInfo(req, res);
+  if (req.method === 'POST' && url.pathname === '/revoke') {
+    accessTokens.clear();
+    console.log('🗑️  All access tokens revoked');
+    return send(res, 200, { revoked: true });
+  }
+  send(res, 404, { error: 'not_found' });
+}).listen(PORT, () => {
+  console.log(`🔐 Mock OAuth2 server on ${BASE_URL}`);
+  console.log(`   Token URL:                ${BASE_URL}/token`);
+  console.log(`   Device Authorization URL: ${BASE_URL}/device/code`);
+  console.log(`   Client ID / Secret:       ${CLIENT_ID} / ${CLIENT_SECRET}`);
+  console.log(`   Gateway URL for testing:  ${BASE_URL} (only /v1/info)`);
+});
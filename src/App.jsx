@@ -1,12 +1,16 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Play, Settings, Database, Info, Bug, X, RefreshCw, Plus, PlayCircle, Square } from 'lucide-react';
+import { Play, Settings, Database, Info, Bug, X, RefreshCw, Plus, PlayCircle, Square, Lock } from 'lucide-react';
 import MosaicLayout from './layout/MosaicLayout.jsx';
 import SettingsPanel from './components/SettingsPanel';
 import ThemeButton from './components/ThemeButton';
-import { flinkApi, statementManager, settingsService } from './services/index.js';
+import { flinkApi, statementManager, settingsService, SHARED_SESSION } from './services/index.js';
 import themeService from './services/themeService.js';
 import { useStatementExecution } from './hooks/useStatementExecution.js';
-import { splitSqlStatements, getStatementType, formatStatementForDisplay } from './utils/sqlParser.js';
+import { splitSqlStatements, getStatementType, getStatementSetEdit, formatStatementForDisplay } from './utils/sqlParser.js';
+import { applyTextEdits } from './utils/textEdits.js';
+import { getSqlErrorMessage, mapSqlErrorPosition } from './utils/sqlErrorPosition.js';
+import { findVariables, substituteVariables } from './utils/sqlVariables.js';
+import variablesService from './services/variablesService.js';
 import logger, { LOG_LEVELS } from './utils/logger.js';
 
 const log = logger.getModuleLogger('App');
@@ -46,6 +50,23 @@ function App() {
   const [batchProgress, setBatchProgress] = useState({ current: 0, total: 0, currentStatement: '' });
   const [batchResults, setBatchResults] = useState([]);
   
+  // Location of the last error marked in the editor ({ lineNumber, column, message })
+  const [editorError, setEditorError] = useState(null);
+  
+  // Connection profiles (gateway, auth and session defaults) and the one in use
+  const [profiles, setProfiles] = useState(() => settingsService.getProfiles());
+  const [activeProfileId, setActiveProfileId] = useState(() => settingsService.getActiveProfile()?.id || null);
+  const [isSwitchingProfile, setIsSwitchingProfile] = useState(false);
+  
+  // Encrypted credential store - stored passwords/tokens need the passphrase once per browser session
+  const [credentialStatus, setCredentialStatus] = useState(() => settingsService.getCredentialStatus());
+  const [credentialPassphrase, setCredentialPassphrase] = useState('');
+  const [credentialError, setCredentialError] = useState(null);
+  const [isCredentialPromptDismissed, setIsCredentialPromptDismissed] = useState(false);
+  
+  // Statements that were still running when the page was last closed
+  const [resumableStatements, setResumableStatements] = useState([]);
+  
   const [sessionInfo, setSessionInfo] = useState({
     sessionHandle: null,
     isActive: false,
@@ -54,12 +75,19 @@ function App() {
     properties: {}
   });
   
+  // Sessions in the pool (keyed by name) and the session of the active editor tab
+  const [sessionInfos, setSessionInfos] = useState({});
+  const [activeSessionName, setActiveSessionName] = useState(SHARED_SESSION);
+  // Chart configuration saved with the active editor tab
+  const [chartConfig, setChartConfig] = useState(null);
+  
   // Ref to access SqlEditor methods
   const sqlEditorRef = useRef(null);
 
   // Main SQL execution hook for results panel
   const {
     executeSQL: executeMainSQL,
+    resumeExecution: resumeMainExecution,
     isExecuting: isMainExecuting,
     result: mainResult,
     error: mainError,
@@ -145,12 +173,15 @@ function App() {
     };
 
     statementManager.addSessionListener(handleSessionChange);
+    statementManager.addSessionPoolListener(setSessionInfos);
     
     // Initialize session info
     setSessionInfo(statementManager.getSessionInfo());
+    setSessionInfos(statementManager.getAllSessionInfo());
 
     return () => {
       statementManager.removeSessionListener(handleSessionChange);
+      statementManager.removeSessionPoolListener(setSessionInfos);
       
       // Cleanup is handled automatically by StatementManager
     };
@@ -163,11 +194,12 @@ function App() {
       
       // Update API base URL and credentials if gateway settings changed
       flinkApi.setBaseUrl(newSettings.gateway.url);
-      flinkApi.setCredentials(
-        newSettings.gateway.username,
-        newSettings.gateway.password,
-        newSettings.gateway.apiToken
-      );
+      flinkApi.configureAuth(newSettings.gateway);
+      flinkApi.configureRequests(settingsService.getRequestOptions());
+      
+      setProfiles(settingsService.getProfiles());
+      setActiveProfileId(newSettings.activeProfileId);
+      setCredentialStatus(settingsService.getCredentialStatus());
     };
 
     settingsService.addListener(handleSettingsChange);
@@ -175,11 +207,8 @@ function App() {
     // Initialize with current settings
     const currentSettings = settingsService.getSettings();
     flinkApi.setBaseUrl(currentSettings.gateway.url);
-    flinkApi.setCredentials(
-      currentSettings.gateway.username,
-      currentSettings.gateway.password,
-      currentSettings.gateway.apiToken
-    );
+    flinkApi.configureAuth(currentSettings.gateway);
+    flinkApi.configureRequests(settingsService.getRequestOptions());
     
     // Log environment variable status for debugging
     settingsService.getEnvironmentStatus();
@@ -205,6 +234,11 @@ function App() {
           age: prev.startTime ? Date.now() - prev.startTime : 0
         }));
       }
+      
+      const infos = statementManager.getAllSessionInfo();
+      if (Object.values(infos).some(info => info.isActive)) {
+        setSessionInfos(infos);
+      }
     }, 1000);
 
     return () => clearInterval(interval);
@@ -222,6 +256,15 @@ function App() {
     }
   }, []);
 
+  // Offer to reattach to statements that were running before the page was reloaded
+  useEffect(() => {
+    const saved = statementManager.getResumableStatements();
+    if (saved.length > 0) {
+      log.info('useEffect', `Found ${saved.length} statements running before reload`);
+      setResumableStatements(saved);
+    }
+  }, []);
+
   // Save history to localStorage whenever it changes
   useEffect(() => {
     localStorage.setItem('flink-sql-history', JSON.stringify(history));
@@ -232,8 +275,8 @@ function App() {
     log.traceEnter('handleRefreshSession');
     
     try {
-      await statementManager.refreshSession();
-      log.info('handleRefreshSession', 'Session refreshed successfully');
+      await statementManager.refreshSession(activeSessionName);
+      log.info('handleRefreshSession', `Session ${activeSessionName} refreshed successfully`);
     } catch (error) {
       log.error('handleRefreshSession', `Failed to refresh session: ${error.message}`);
     }
@@ -245,8 +288,8 @@ function App() {
     log.traceEnter('handleCloseSession');
     
     try {
-      await statementManager.closeSession();
-      log.info('handleCloseSession', 'Session closed successfully');
+      await statementManager.closeSession(activeSessionName);
+      log.info('handleCloseSession', `Session ${activeSessionName} closed successfully`);
     } catch (error) {
       log.error('handleCloseSession', `Failed to close session: ${error.message}`);
     }
@@ -259,8 +302,8 @@ function App() {
     
     try {
       log.info('handleNewSession', 'Starting new session...');
-      await statementManager.refreshSession(); // This closes current and creates new
-      log.info('handleNewSession', 'New session started successfully');
+      await statementManager.refreshSession(activeSessionName); // This closes current and creates new
+      log.info('handleNewSession', `New session ${activeSessionName} started successfully`);
     } catch (error) {
       log.error('handleNewSession', `Failed to start new session: ${error.message}`);
     }
@@ -268,6 +311,91 @@ function App() {
     log.traceExit('handleNewSession');
   };
 
+  // Reattach to saved statements - the most recent one streams into the Results panel
+  const handleResumeStatements = () => {
+    const [latest, ...others] = resumableStatements;
+    setResumableStatements([]);
+    
+    if (latest) {
+      resumeMainExecution(latest).catch(error => {
+        log.error('handleResumeStatements', `Failed to resume statement: ${error.message}`);
+      });
+    }
+    others.forEach(saved => {
+      statementManager.resumeStatement(saved, { resumable: true }).catch(error => {
+        log.error('handleResumeStatements', `Failed to resume statement ${saved.statementId}: ${error.message}`);
+      });
+    });
+  };
+
+  const handleDiscardResumableStatements = async () => {
+    setResumableStatements([]);
+    
+    try {
+      await statementManager.discardResumableStatements();
+    } catch (error) {
+      log.error('handleDiscardResumableStatements', `Failed to stop saved statements: ${error.message}`);
+    }
+  };
+
+  // Switch connection profile - sessions on the previous gateway are closed before reconnecting
+  const handleSwitchProfile = async (profileId) => {
+    if (!profileId || profileId === activeProfileId || isSwitchingProfile) return;
+    log.traceEnter('handleSwitchProfile', { profileId });
+    setIsSwitchingProfile(true);
+    
+    try {
+      await statementManager.closeAllSessions();
+      
+      // The settings listener points flinkApi at the new gateway and applies its session defaults
+      const profile = settingsService.switchProfile(profileId);
+      setFlinkInfo(null);
+      log.info('handleSwitchProfile', `Switched to profile "${profile.name}" (${profile.gateway.url})`);
+      
+      await testConnection();
+    } catch (error) {
+      log.error('handleSwitchProfile', `Failed to switch profile: ${error.message}`);
+    } finally {
+      setIsSwitchingProfile(false);
+    }
+    
+    log.traceExit('handleSwitchProfile');
+  };
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+
+  // Unlock the stored credentials (or set the passphrase for clear-text ones found at startup)
+  const handleUnlockCredentials = async (e) => {
+    e.preventDefault();
+    setCredentialError(null);
+    
+    try {
+      await settingsService.unlockCredentials(credentialPassphrase);
+      setCredentialPassphrase('');
+      if (!flinkInfo) {
+        await testConnection();
+      }
+    } catch (error) {
+      log.warn('handleUnlockCredentials', `Failed to unlock credentials: ${error.message}`);
+      setCredentialError(error.message);
+    }
+  };
+
+  // Clear-text credentials of older versions are only kept in storage for the passphrase; offer to remove them
+  const handleDismissCredentialPrompt = () => {
+    if (!credentialStatus.stored && credentialStatus.legacySecretsFound
+      && confirm('Remove the clear-text credentials saved in this browser? They stay in memory until the page is reloaded. Cancel keeps them stored until you set a passphrase.')) {
+      settingsService.discardLegacySecrets();
+    }
+    setIsCredentialPromptDismissed(true);
+  };
+
+  const showCredentialPrompt = !isCredentialPromptDismissed
+    && credentialStatus.mode === 'encrypted'
+    && credentialStatus.supported
+    && !credentialStatus.unlocked
+    && (credentialStatus.stored || credentialStatus.legacySecretsFound);
+
   // Test connection and get Flink info
   const testConnection = async (direct = false) => {
     log.traceEnter('testConnection', { direct });
@@ -283,11 +411,7 @@ function App() {
       // Get current settings and set URL + credentials
       const currentSettings = settingsService.getSettings();
       flinkApi.setBaseUrl(currentSettings.gateway.url);
-      flinkApi.setCredentials(
-        currentSettings.gateway.username,
-        currentSettings.gateway.password,
-        currentSettings.gateway.apiToken
-      );
+      flinkApi.configureAuth(currentSettings.gateway);
       
       const info = await flinkApi.getInfo();
       setFlinkInfo(info);
@@ -334,16 +458,80 @@ function App() {
       return executeQuery();
     }
     
-    const queryToExecute = sqlEditorRef.current.getQueryToExecute();
+    if (settingsService.getFormatterOptions().formatOnRun) {
+      sqlEditorRef.current.formatForRun();
+    }
+    const { text: queryToExecute, start } = sqlEditorRef.current.getQueryRangeToExecute();
     log.debug('executeSelectedQuery', 'Execute button clicked', { 
       queryPreview: queryToExecute.substring(0, 100) + (queryToExecute.length > 100 ? '...' : ''),
       queryLength: queryToExecute.length 
     });
     
-    return executeQuery(queryToExecute);
+    return executeQuery(queryToExecute, { sourceOffset: start });
   };
 
-  const executeQuery = async (customQuery = null) => {
+  // Mark where a failed statement went wrong, for errors that carry a Calcite position
+  // The position refers to the submitted statement; prepared maps it back to the editor text
+  const markStatementError = (error, statementOffset, prepared = null) => {
+    if (!error?.sqlPosition || statementOffset < 0) return;
+    const sqlPosition = prepared
+      ? mapSqlErrorPosition(error.sqlPosition, prepared.sql, prepared.source, prepared.edits)
+      : error.sqlPosition;
+    const location = sqlEditorRef.current?.showErrorMarker(statementOffset, sqlPosition, getSqlErrorMessage(error));
+    if (location) {
+      setEditorError(location);
+    }
+  };
+
+  const clearStatementErrors = () => {
+    sqlEditorRef.current?.clearErrorMarkers();
+    setEditorError(null);
+  };
+
+  const jumpToEditorError = () => {
+    sqlEditorRef.current?.jumpToError();
+  };
+
+  // Store chart changes on the active editor tab, which reports them back through setChartConfig
+  const handleChartConfigChange = (config) => {
+    sqlEditorRef.current?.setChartConfig(config);
+  };
+
+  /**
+   * Replace ${var} placeholders, asking for values nothing defines; null when a prompt is cancelled
+   * BEGIN STATEMENT SET; blocks are rewritten to the EXECUTE STATEMENT SET form the gateway accepts.
+   * Returns { sql, source, edits } per statement: the SQL to submit, the editor text and the edits between them
+   */
+  const resolveVariables = (statements) => {
+    const values = variablesService.getValues(query);
+    const missing = [...new Set(statements.flatMap(findVariables))].filter(name => !(name in values));
+    for (const name of missing) {
+      const value = prompt(`Value for \${${name}}:`);
+      if (value === null) {
+        return null;
+      }
+      values[name] = value;
+    }
+    return statements.map(statement => {
+      const statementSetEdit = getStatementSetEdit(statement);
+      const variableEdits = substituteVariables(statement, values).edits;
+      const edits = statementSetEdit
+        ? [statementSetEdit, ...variableEdits.filter(edit => edit.start >= statementSetEdit.end)]
+        : variableEdits;
+      return { sql: applyTextEdits(statement, edits), source: statement, edits };
+    });
+  };
+
+  // Gutter glyph status for a finished statement
+  const getStatementStatus = (result) => (result?.status === 'ERROR' || result?.status === 'FAILED' ? 'error' : 'success');
+
+  // Run one statement picked in the editor (CodeLens or Ctrl+Shift+Enter)
+  const executeEditorStatement = (statement, { offset, explain = false } = {}) => {
+    return executeQuery(explain ? `EXPLAIN ${statement}` : statement, { sourceOffset: offset, explain });
+  };
+
+  // sourceOffset: where the statement starts in the editor; without it no glyph or error marker is shown
+  const executeQuery = async (customQuery = null, { sourceOffset, explain = false } = {}) => {
     const queryToExecute = customQuery || query.trim();
     
     log.debug('executeQuery', 'Entry point called', { 
@@ -364,22 +552,36 @@ function App() {
       return;
     }
 
+    const [prepared] = resolveVariables([queryToExecute]) || [];
+    if (prepared === undefined) {
+      log.info('executeQuery', 'Execution cancelled - a variable was left without a value');
+      return;
+    }
+
     log.info('executeQuery', 'Starting execution', { 
       queryPreview: queryToExecute.length > 50 ? queryToExecute.substring(0, 50) + '...' : queryToExecute,
       queryLength: queryToExecute.length 
     });
     log.debug('executeQuery', 'Using executeMainSQL hook for execution');
     
+    const resolvedQuery = prepared.sql;
     const executionId = Date.now();
     const execution = {
       id: executionId,
-      query: queryToExecute,
+      query: resolvedQuery,
+      // The editor text, when variables were substituted
+      ...(resolvedQuery !== queryToExecute ? { template: queryToExecute } : {}),
       timestamp: Date.now(),
       status: 'RUNNING'
     };
 
     // Add to history immediately
     setHistory(prev => [execution, ...prev.slice(0, 49)]); // Keep last 50 executions
+    
+    // Tracked while it runs - error positions are relative to the statement start
+    clearStatementErrors();
+    const [trackId] = sqlEditorRef.current?.trackStatements([sourceOffset ?? -1]) || [];
+    const statusId = sqlEditorRef.current?.showStatementStatus(sqlEditorRef.current.getTrackedOffset(trackId), 'running');
 
     try {
       // Set Flink API base URL from settings
@@ -391,11 +593,16 @@ function App() {
         queryPreview: queryToExecute.substring(0, 100),
         queryLength: queryToExecute.length 
       });
-      const result = await executeMainSQL(queryToExecute, { silent: false });
+      const result = await executeMainSQL(resolvedQuery, {
+        silent: false,
+        sessionName: activeSessionName,
+        statementOptions: sqlEditorRef.current?.getStatementOptions()
+      });
       log.debug('executeQuery', 'executeMainSQL returned', { 
         resultStatus: result?.status,
         hasResult: !!result 
       });
+      sqlEditorRef.current?.updateStatementStatus(statusId, getStatementStatus(result));
       
       // Update history with result
       setHistory(prev => prev.map(h => 
@@ -412,6 +619,11 @@ function App() {
         stack: error.stack,
         queryPreview: queryToExecute.substring(0, 100) 
       });
+      sqlEditorRef.current?.updateStatementStatus(statusId, 'error');
+      // Positions in an EXPLAIN error refer to the wrapped statement, not the editor text
+      if (!explain) {
+        markStatementError(error, sqlEditorRef.current?.getTrackedOffset(trackId) ?? -1, prepared);
+      }
       
       const errorResult = {
         status: 'ERROR',
@@ -435,6 +647,8 @@ function App() {
       ));
       
       throw error;
+    } finally {
+      sqlEditorRef.current?.untrackStatements([trackId]);
     }
   };
 
@@ -505,8 +719,12 @@ function App() {
     
     if (!sqlEditorRef.current || isBatchExecuting) return;
     
-    const fullQuery = sqlEditorRef.current.getQueryToExecute();
-    const statements = splitSqlStatements(fullQuery);
+    if (settingsService.getFormatterOptions().formatOnRun) {
+      sqlEditorRef.current.formatForRun();
+    }
+    const { text: fullQuery, start: baseOffset } = sqlEditorRef.current.getQueryRangeToExecute();
+    const statementRanges = splitSqlStatements(fullQuery, { withRanges: true });
+    const statements = statementRanges.map(range => range.text);
     
     if (statements.length === 0) {
       log.warn('executeBatchQueries', 'No SQL statements found to execute');
@@ -515,9 +733,17 @@ function App() {
     
     if (statements.length === 1) {
       log.info('executeBatchQueries', 'Only one statement found, executing normally');
-      return executeQuery(statements[0]);
+      return executeQuery(statements[0], { sourceOffset: baseOffset + statementRanges[0].start });
     }
     
+    const preparedStatements = resolveVariables(statements);
+    if (!preparedStatements) {
+      log.info('executeBatchQueries', 'Batch cancelled - a variable was left without a value');
+      return;
+    }
+
+    const resolvedStatements = preparedStatements.map(prepared => prepared.sql);
+
     log.info('executeBatchQueries', `Starting batch execution of ${statements.length} statements`);
     
     setIsBatchExecuting(true);
@@ -531,7 +757,8 @@ function App() {
       timestamp: Date.now(),
       status: 'RUNNING',
       isBatch: true,
-      statements: statements.map(stmt => formatStatementForDisplay(stmt))
+      statements: statements.map(stmt => formatStatementForDisplay(stmt)),
+      ...(resolvedStatements.some((resolved, i) => resolved !== statements[i]) ? { resolvedStatements } : {})
     };
     
     // Add batch to history
@@ -539,6 +766,9 @@ function App() {
     
     const results = [];
     let hasErrors = false;
+    clearStatementErrors();
+    // Statement starts follow edits made to the buffer while the batch runs
+    const trackIds = sqlEditorRef.current?.trackStatements(statementRanges.map(range => baseOffset + range.start)) || [];
     
     try {
       // Set Flink API base URL from settings
@@ -558,9 +788,16 @@ function App() {
           currentStatement: displayStatement
         });
         
+        const statusId = sqlEditorRef.current?.showStatementStatus(sqlEditorRef.current.getTrackedOffset(trackIds[i]), 'running');
+        
         try {
           // Use the same execution path as single Execute - this ensures Results panel updates
-          const result = await executeMainSQL(statement, { silent: false });
+          const result = await executeMainSQL(resolvedStatements[i], {
+            silent: false,
+            sessionName: activeSessionName,
+            statementOptions: sqlEditorRef.current?.getStatementOptions()
+          });
+          sqlEditorRef.current?.updateStatementStatus(statusId, getStatementStatus(result));
           
           results.push({
             index: i + 1,
@@ -596,6 +833,8 @@ function App() {
             stack: error.stack 
           });
           hasErrors = true;
+          sqlEditorRef.current?.updateStatementStatus(statusId, 'error');
+          markStatementError(error, sqlEditorRef.current?.getTrackedOffset(trackIds[i]) ?? -1, preparedStatements[i]);
           
           const errorResult = {
             status: 'ERROR',
@@ -679,6 +918,7 @@ function App() {
       return errorResult;
       
     } finally {
+      sqlEditorRef.current?.untrackStatements(trackIds);
       setIsBatchExecuting(false);
       setBatchProgress({ current: 0, total: 0, currentStatement: '' });
     }
@@ -686,9 +926,11 @@ function App() {
 
   // Execute query for sidebar (silent - doesn't update main UI)
   const handleSelectExecution = (execution) => {
-    setQuery(execution.query);
+    // Statements with variables run again from their template, with today's values
+    const sql = execution.template || execution.query;
+    setQuery(sql);
     // Re-execute the query to show the results
-    executeQuery(execution.query);
+    executeQuery(sql);
   };
 
   const handleClearHistory = () => {
@@ -725,6 +967,24 @@ function App() {
         </div>
         
         <div className="header-right">
+          {profiles.length > 0 && (
+            <div
+              className="profile-switcher"
+              style={{ borderColor: activeProfile?.color }}
+              title={activeProfile ? `Connection profile: ${activeProfile.name}\n${activeProfile.gateway.url}` : 'Connection profile'}
+            >
+              <span className="profile-color-dot" style={{ background: activeProfile?.color }}></span>
+              <select
+                value={activeProfileId || ''}
+                onChange={(e) => handleSwitchProfile(e.target.value)}
+                disabled={isSwitchingProfile || isConnecting}
+              >
+                {profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
           {isConnecting && (
             <div className="connection-status connecting">
               <div className="connection-dot connecting"></div>
@@ -749,12 +1009,12 @@ function App() {
             <button
               onClick={handleNewSession}
               className="btn-success btn-compact"
-              title="Start New Session (closes current session)"
+              title={`Start New Session for the active tab (closes session "${activeSessionName}")`}
             >
               <Plus className="w-4 h-4" />
               New Session
             </button>
-            {sessionInfo.isActive && (
+            {sessionInfos[activeSessionName]?.isActive && (
               <>
                 <button
                   onClick={handleRefreshSession}
@@ -790,11 +1050,76 @@ function App() {
         </div>
       </header>
 
+      {showCredentialPrompt && (
+        <form className="resume-banner credential-banner" onSubmit={handleUnlockCredentials}>
+          <span className="credential-banner-message">
+            <Lock className="w-4 h-4" />
+            {credentialStatus.stored
+              ? 'Saved gateway credentials are encrypted - enter your passphrase to use them'
+              : 'Credentials are no longer stored in clear text - set a passphrase to keep them encrypted'}
+            {credentialError && <span className="credential-banner-error">{credentialError}</span>}
+          </span>
+          <div className="resume-banner-actions">
+            <input
+              type="password"
+              value={credentialPassphrase}
+              onChange={(e) => setCredentialPassphrase(e.target.value)}
+              placeholder="Passphrase"
+              className="credential-banner-input"
+              autoComplete="current-password"
+            />
+            <button type="submit" className="btn-primary btn-compact" disabled={!credentialPassphrase}>
+              {credentialStatus.stored ? 'Unlock' : 'Set Passphrase'}
+            </button>
+            <button
+              type="button"
+              onClick={handleDismissCredentialPrompt}
+              className="btn-secondary btn-compact"
+              title="Continue without stored credentials"
+            >
+              Not Now
+            </button>
+          </div>
+        </form>
+      )}
+
+      {resumableStatements.length > 0 && (
+        <div className="resume-banner">
+          <span>
+            {resumableStatements.length === 1
+              ? '1 statement was still running before the page was reloaded'
+              : `${resumableStatements.length} statements were still running before the page was reloaded`}
+            <span className="resume-banner-preview">
+              {formatStatementForDisplay(resumableStatements[0].statement)}
+            </span>
+          </span>
+          <div className="resume-banner-actions">
+            <button
+              onClick={handleResumeStatements}
+              className="btn-primary btn-compact"
+              title="Reattach and continue fetching results"
+            >
+              <PlayCircle className="w-4 h-4" />
+              Reattach
+            </button>
+            <button
+              onClick={handleDiscardResumableStatements}
+              className="btn-secondary btn-compact"
+              title="Cancel the statements on the gateway and dismiss"
+            >
+              <Square className="w-4 h-4" />
+              Stop &amp; Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="app-content">
         <SettingsPanel
           isVisible={showSettings}
           onClose={() => setShowSettings(false)}
           onTestConnection={testConnection}
+          onSwitchProfile={handleSwitchProfile}
         />
 
         <MosaicLayout
@@ -803,6 +1128,7 @@ function App() {
           query={query}
           setQuery={setQuery}
           executeSelectedQuery={executeSelectedQuery}
+          executeEditorStatement={executeEditorStatement}
           executeBatchQueries={executeBatchQueries}
           stopExecution={stopExecution}
           isMainExecuting={isMainExecuting}
@@ -811,12 +1137,20 @@ function App() {
           
           // Results and History props
           mainResult={mainResult}
+          editorError={editorError}
+          onJumpToError={jumpToEditorError}
           history={history}
           handleSelectExecution={handleSelectExecution}
           handleClearHistory={handleClearHistory}
+          chartConfig={chartConfig}
+          setChartConfig={setChartConfig}
+          onChartConfigChange={handleChartConfigChange}
           
           // Session and catalog props
           sessionInfo={sessionInfo}
+          sessionInfos={sessionInfos}
+          activeSessionName={activeSessionName}
+          setActiveSessionName={setActiveSessionName}
           handleSnippetInsert={handleSnippetInsert}
           
           // Debug logs
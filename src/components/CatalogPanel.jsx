@@ -1,76 +1,60 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Database, RefreshCw, ChevronRight, ChevronDown, Table } from 'lucide-react';
 import { useStatementExecution } from '../hooks/useStatementExecution';
+import { METADATA_SESSION, SHARED_SESSION } from '../services/sessionPool.js';
+import metadataCache from '../services/metadataCache.js';
+import sqlCompletionService from '../services/sqlCompletionService.js';
 import logger from '../utils/logger.js';
 
 const log = logger.getModuleLogger('CatalogPanel');
 
-const CatalogPanel = ({ sessionInfo, onInsertSnippet }) => {
+// Catalog browsing runs in the isolated metadata session; only the current catalog
+// display and explicit catalog switches use the session of the active editor tab
+const CatalogPanel = ({ sessionInfo, onInsertSnippet, editorSessionName = SHARED_SESSION }) => {
   const [catalogs, setCatalogs] = useState([]);
   const [currentCatalog, setCurrentCatalog] = useState(null);
   const [error, setError] = useState(null);
   const [expandedCatalogs, setExpandedCatalogs] = useState(new Set());
   const [catalogTables, setCatalogTables] = useState(new Map()); // Store tables for each catalog
   const [loadingTables, setLoadingTables] = useState(new Set()); // Track which catalogs are loading tables
+  const [isLoadingCatalogs, setIsLoadingCatalogs] = useState(false);
 
   // Use dedicated statement execution for catalog operations
   const {
     executeSQL: executeCatalogSQL,
-    isExecuting: isCatalogLoading,
-    result: catalogResult,
-    error: catalogError
-  } = useStatementExecution('CatalogPanel');
+    isExecuting: isCatalogLoading
+  } = useStatementExecution('CatalogPanel', { sessionName: METADATA_SESSION });
 
   const loadCatalogs = useCallback(async () => {
     log.traceEnter('loadCatalogs');
     setError(null);
+    setIsLoadingCatalogs(true);
     
     try {
       log.info('loadCatalogs', 'Loading catalogs...');
-      const result = await executeCatalogSQL('SHOW CATALOGS;', { silent: true });
+      const catalogList = await metadataCache.getCatalogs();
       
-      log.debug('loadCatalogs', 'Catalog query result', result);
-      
-      if (result && (result.status === 'FINISHED' || result.status === 'COMPLETED')) {
-        // Results can be in result.results (legacy) or result.state.results (new format)
-        const resultsArray = result.results || (result.state && result.state.results);
-        
-        if (resultsArray && resultsArray.length > 0) {
-          const catalogList = resultsArray.map(row => {
-            // Handle both array format [["catalog_name"]] and object format
-            if (Array.isArray(row)) {
-              return row[0]; // First column is catalog name
-            } else if (row.fields) {
-              return row.fields[0]; // First field is catalog name
-            } else {
-              // Object format - find the catalog name field (e.g., field_0, catalog_name, etc.)
-              const catalogField = row.field_0 || row.catalog_name || Object.values(row)[0];
-              return catalogField;
-            }
-          }).filter(Boolean);
-          
-          log.info('loadCatalogs', `Loaded catalogs: ${catalogList.join(', ')}`);
-          setCatalogs(catalogList);
-        } else {
-          log.warn('loadCatalogs', 'No catalog results found', result);
-          setError('No catalogs found');
-        }
+      if (catalogList.length > 0) {
+        log.info('loadCatalogs', `Loaded catalogs: ${catalogList.join(', ')}`);
+        setCatalogs(catalogList);
       } else {
-        log.warn('loadCatalogs', 'Failed to load catalogs', result);
-        setError('Failed to load catalogs');
+        log.warn('loadCatalogs', 'No catalog results found');
+        setError('No catalogs found');
       }
     } catch (err) {
       log.error('loadCatalogs', `Error loading catalogs: ${err.message}`);
       setError('Error loading catalogs: ' + err.message);
+    } finally {
+      setIsLoadingCatalogs(false);
     }
     
     log.traceExit('loadCatalogs');
-  }, [executeCatalogSQL]);
+  }, []);
 
   const loadCurrentCatalog = useCallback(async () => {
     try {
       log.debug('loadCurrentCatalog', 'Loading current catalog...');
-      const result = await executeCatalogSQL('SHOW CURRENT CATALOG;', { silent: true });
+      const result = await executeCatalogSQL('SHOW CURRENT CATALOG;', { silent: true, sessionName: editorSessionName });
       
       log.debug('loadCurrentCatalog', 'Current catalog query result', { result });
       
@@ -102,7 +86,7 @@ const CatalogPanel = ({ sessionInfo, onInsertSnippet }) => {
         error: err.stack 
       });
     }
-  }, [executeCatalogSQL]);
+  }, [executeCatalogSQL, editorSessionName]);
 
   // Load catalogs when session becomes active
   useEffect(() => {
@@ -110,7 +94,8 @@ const CatalogPanel = ({ sessionInfo, onInsertSnippet }) => {
       loadCatalogs();
       loadCurrentCatalog();
     } else {
-      // Clear catalogs when session is inactive
+      // Clear catalogs when session is inactive - the next session may be on another gateway
+      metadataCache.clear();
       setCatalogs([]);
       setCurrentCatalog(null);
       setError(null);
@@ -124,6 +109,8 @@ const CatalogPanel = ({ sessionInfo, onInsertSnippet }) => {
   useEffect(() => {
     const handleRefresh = () => {
       log.info('handleRefresh', 'Refresh event received from title bar');
+      metadataCache.clear();
+      sqlCompletionService.clearCache();
       loadCatalogs();
       loadCurrentCatalog();
       // Clear cached table data to force reload when expanded again
@@ -140,7 +127,7 @@ const CatalogPanel = ({ sessionInfo, onInsertSnippet }) => {
     
     try {
       log.info('handleCatalogDoubleClick', `Switching to catalog: ${catalogName}`);
-      const result = await executeCatalogSQL(`USE CATALOG ${catalogName};`, { silent: false });
+      const result = await executeCatalogSQL(`USE CATALOG \`${catalogName}\`;`, { silent: false, sessionName: editorSessionName });
       
       if (result && (result.status === 'FINISHED' || result.status === 'COMPLETED')) {
         setCurrentCatalog(catalogName);
@@ -175,74 +162,15 @@ const CatalogPanel = ({ sessionInfo, onInsertSnippet }) => {
     try {
       log.debug('loadTablesForCatalog', `Loading tables for catalog: ${catalogName}`);
       
-      // Switch to the catalog temporarily to get its tables
-      const originalCatalog = currentCatalog;
-      
-      // Only switch catalog if it's different from current
-      if (catalogName !== currentCatalog) {
-        await executeCatalogSQL(`USE CATALOG \`${catalogName}\`;`, { silent: true });
-      }
-      
-      // Get tables for this catalog - try different SQL commands
-      let result = null;
-      const sqlCommands = [
-        'SHOW TABLES;',
-        'SHOW FULL TABLES;'
-      ];
+      // Loaded in the metadata session - the editor sessions are not affected
+      const tableList = await metadataCache.getTables(catalogName);
       
-      for (const sql of sqlCommands) {
-        try {
-          result = await executeCatalogSQL(sql, { silent: true });
-          if (result && (result.status === 'FINISHED' || result.status === 'COMPLETED')) {
-            break;
-          }
-        } catch (err) {
-          log.debug('loadTablesForCatalog', `SQL command failed, trying next`, { 
-            sql, 
-            catalogName, 
-            error: err.message 
-          });
-        }
-      }
-      
-      log.debug('loadTablesForCatalog', `Tables query result`, { catalogName, result });
-      
-      if (result && (result.status === 'FINISHED' || result.status === 'COMPLETED')) {
-        const resultsArray = result.results || (result.state && result.state.results);
-        
-        if (resultsArray && resultsArray.length > 0) {
-          const tableList = resultsArray.map(row => {
-            // Handle both array format [["table_name"]] and object format
-            if (Array.isArray(row)) {
-              return row[0]; // First column is table name
-            } else if (row.fields) {
-              return row.fields[0]; // First field is table name
-            } else {
-              // Object format - find the table name field
-              const tableField = row.field_0 || row.table_name || Object.values(row)[0];
-              return tableField;
-            }
-          }).filter(Boolean);
-          
-          log.info('loadTablesForCatalog', `Loaded tables for catalog`, { 
-            catalogName, 
-            tableCount: tableList.length,
-            tables: tableList 
-          });
-          setCatalogTables(prev => new Map(prev).set(catalogName, tableList));
-        } else {
-          log.info('loadTablesForCatalog', `No tables found for catalog`, { catalogName });
-          setCatalogTables(prev => new Map(prev).set(catalogName, []));
-        }
-      } else {
-        log.warn('loadTablesForCatalog', `Failed to load tables for catalog`, { catalogName, result });
-        setCatalogTables(prev => new Map(prev).set(catalogName, []));
-      }
-      
-      // Switch back to original catalog if we changed it
-      if (catalogName !== originalCatalog && originalCatalog) {
-        await executeCatalogSQL(`USE CATALOG \`${originalCatalog}\`;`, { silent: true });
-      }
+      log.info('loadTablesForCatalog', `Loaded tables for catalog`, { 
+        catalogName, 
+        tableCount: tableList.length,
+        tables: tableList 
+      });
+      setCatalogTables(prev => new Map(prev).set(catalogName, tableList));
       
     } catch (err) {
       log.error('loadTablesForCatalog', `Error loading tables for catalog: ${err.message}`, { 
@@ -282,7 +210,7 @@ const CatalogPanel = ({ sessionInfo, onInsertSnippet }) => {
           </div>
         )}
 
-        {isCatalogLoading ? (
+        {isLoadingCatalogs ? (
           <div className="text-center text-gray-400 py-4">
             <RefreshCw className="w-6 h-6 mx-auto mb-2 animate-spin" />
             <p className="text-sm">Loading catalogs...</p>
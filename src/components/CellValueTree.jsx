@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
+import { formatCell, getCellChildren, describeLogicalType } from '../utils/cellRenderers.js';
+
+// Expandable view of a value: nested ROW/MAP/ARRAY/MULTISET values open level by level
+const CellValueTree = ({ label, value, logicalType, context, depth = 0, defaultExpanded = false }) => {
+  const [isExpanded, setIsExpanded] = useState(defaultExpanded);
+  const children = getCellChildren(value, logicalType);
+  const hasChildren = Array.isArray(children) && children.length > 0;
+
+  return (
+    <div className="cell-tree">
+      <div
+        className={`cell-tree-node ${hasChildren ? 'expandable' : ''}`}
+        style={{ paddingLeft: depth * 14 }}
+        onClick={() => hasChildren && setIsExpanded(!isExpanded)}
+        title={describeLogicalType(logicalType)}
+      >
+        <span className="cell-tree-toggle">
+          {hasChildren && (isExpanded ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />)}
+        </span>
+        {label !== undefined && <span className="cell-tree-label">{label}</span>}
+        {value === null || value === undefined
+          ? <span className="results-grid-null">NULL</span>
+          : <span className="cell-tree-value">{formatCell(value, logicalType, context)}</span>}
+      </div>
+      {hasChildren && isExpanded && children.map((child, index) => (
+        <CellValueTree
+          key={index}
+          label={child.label}
+          value={child.value}
+          logicalType={child.logicalType}
+          context={context}
+          depth={depth + 1}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default CellValueTree;
@@ -0,0 +1,142 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import ResultsGrid from './ResultsGrid.jsx';
+import { CHANGELOG_KINDS, CHANGELOG_KIND_LABELS, replayChangelog } from '../services/changelogRecorder.js';
+import { settingsService } from '../services/index.js';
+
+// Columns describing each event, followed by the result columns
+const EVENT_COLUMNS = [
+  { name: '#', logicalType: { type: 'BIGINT', nullable: false } },
+  { name: 'op', logicalType: { type: 'VARCHAR', nullable: false } },
+  { name: 'received', logicalType: { type: 'TIMESTAMP_WITH_LOCAL_TIME_ZONE', nullable: false } },
+  { name: 'token', logicalType: { type: 'BIGINT', nullable: false } }
+];
+
+const KIND_CLASSES = {
+  INSERT: 'changelog-insert',
+  UPDATE_BEFORE: 'changelog-update-before',
+  UPDATE_AFTER: 'changelog-update-after',
+  DELETE: 'changelog-delete'
+};
+
+const NO_EVENTS = [];
+
+const toEventRow = (event) => ({
+  kind: event.kind,
+  seq: event.seq,
+  fields: [event.seq, CHANGELOG_KIND_LABELS[event.kind], event.receivedAt, event.token, ...event.fields]
+});
+
+// Raw changelog of the statement: the event stream, per-kind counters and a replay of the table after event N
+const ChangelogView = ({ columns, changelog, timeZone }) => {
+  // The recorder's events array keeps growing: only its first `length` events belong to this state
+  const events = changelog?.events || NO_EVENTS;
+  const eventCount = changelog?.length || 0;
+  const [mode, setMode] = useState('events'); // 'events' or 'replay'
+  const [position, setPosition] = useState(null); // Events replayed; null follows the latest event
+  const [recordingEnabled, setRecordingEnabled] = useState(() => settingsService.getChangelogOptions().enabled);
+
+  // A new recording (new statement) starts over at the latest event
+  useEffect(() => {
+    if (eventCount === 0) setPosition(null);
+  }, [eventCount]);
+
+  const replayedCount = position === null ? eventCount : Math.min(position, eventCount);
+  const eventRowsRef = useRef({ events: null, rows: [] });
+
+  const eventColumns = useMemo(() => [...EVENT_COLUMNS, ...columns], [columns]);
+  // Grid rows are appended for new events only, into an array that grows like the events array
+  const eventRows = useMemo(() => {
+    if (eventRowsRef.current.events !== events) {
+      eventRowsRef.current = { events, rows: [] };
+    }
+    const { rows } = eventRowsRef.current;
+    for (let index = rows.length; index < eventCount; index++) {
+      rows.push(toEventRow(events[index]));
+    }
+    return rows;
+  }, [events, eventCount]);
+
+  const replayedRows = useMemo(
+    () => (mode === 'replay' ? replayChangelog(events, replayedCount, changelog?.keyIndices) : []),
+    [mode, events, replayedCount, changelog?.keyIndices]
+  );
+
+  if (!changelog) {
+    return (
+      <div className="changelog-empty">
+        <p>The raw changelog is not recorded for this result.</p>
+        <label className="changelog-toggle">
+          <input
+            type="checkbox"
+            checked={recordingEnabled}
+            onChange={(e) => {
+              setRecordingEnabled(e.target.checked);
+              settingsService.setRecordChangelog(e.target.checked);
+            }}
+          />
+          Record the changelog of statements run from now on
+        </label>
+      </div>
+    );
+  }
+
+  return (
+    <div className="changelog-view">
+      <div className="changelog-toolbar">
+        {CHANGELOG_KINDS.map(kind => (
+          <span key={kind} className={`changelog-counter ${KIND_CLASSES[kind]}`} title={kind}>
+            {CHANGELOG_KIND_LABELS[kind]} {changelog.counts[kind].toLocaleString()}
+          </span>
+        ))}
+        {changelog.skippedEvents > 0 && (
+          <span className="changelog-warning">
+            Recording stopped at {changelog.maxEvents.toLocaleString()} events ({changelog.skippedEvents.toLocaleString()} more not kept)
+          </span>
+        )}
+        <div className="results-grid-toolbar-spacer" />
+        <div className="results-view-tabs">
+          <button className={`results-view-tab ${mode === 'events' ? 'active' : ''}`} onClick={() => setMode('events')}>
+            Events
+          </button>
+          <button className={`results-view-tab ${mode === 'replay' ? 'active' : ''}`} onClick={() => setMode('replay')}>
+            Table at event
+          </button>
+        </div>
+      </div>
+
+      <div className="changelog-replay">
+        <input
+          type="range"
+          min="0"
+          max={eventCount}
+          value={replayedCount}
+          onChange={(e) => {
+            const value = Number(e.target.value);
+            setPosition(value >= eventCount ? null : value);
+          }}
+          className="changelog-slider"
+          disabled={eventCount === 0}
+        />
+        <span className="changelog-position">
+          {position === null
+            ? `Latest (${eventCount.toLocaleString()} events)`
+            : `After event ${replayedCount.toLocaleString()} of ${eventCount.toLocaleString()}`}
+        </span>
+      </div>
+
+      {mode === 'events' ? (
+        <ResultsGrid
+          columns={eventColumns}
+          rows={eventRows}
+          version={eventCount}
+          timeZone={timeZone}
+          rowClassName={(row) => `${KIND_CLASSES[row.kind]} ${row.seq > replayedCount ? 'changelog-pending' : ''}`}
+        />
+      ) : (
+        <ResultsGrid columns={columns} rows={replayedRows} timeZone={timeZone} />
+      )}
+    </div>
+  );
+};
+
+export default ChangelogView;
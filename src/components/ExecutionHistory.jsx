@@ -46,8 +46,17 @@ const ExecutionHistory = ({ history, onSelectExecution, onClearHistory }) => {
               {formatTimestamp(execution.timestamp)}
             </div>
             <div style={{ fontSize: '12px', color: 'var(--vscode-text-primary)', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
-              {truncateQuery(execution.query)}
+              {truncateQuery(execution.template || execution.query)}
             </div>
+            {/* Statements with ${variables} also show what was submitted */}
+            {execution.template && (
+              <div
+                title={execution.query}
+                style={{ fontSize: '11px', color: 'var(--vscode-text-secondary)', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}
+              >
+                → {truncateQuery(execution.query)}
+              </div>
+            )}
             {execution.status === 'ERROR' && execution.error && (
               <div style={{ fontSize: '11px', color: 'var(--vscode-red)', marginTop: '2px' }}>
                 Error: {execution.error}
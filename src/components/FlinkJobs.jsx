@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Play, Square, RefreshCw, AlertCircle, CheckCircle, Clock, Zap } from 'lucide-react';
 import { useStatementExecution } from '../hooks/useStatementExecution';
+import { METADATA_SESSION } from '../services/sessionPool.js';
 import logger from '../utils/logger.js';
 
 const log = logger.getModuleLogger('FlinkJobs');
@@ -17,7 +18,7 @@ const FlinkJobs = ({ sessionInfo }) => {
     isExecuting: isJobsLoading,
     result: jobsResult,
     error: jobsError
-  } = useStatementExecution('FlinkJobs');
+  } = useStatementExecution('FlinkJobs', { sessionName: METADATA_SESSION });
 
   // Load jobs when session becomes active
   useEffect(() => {
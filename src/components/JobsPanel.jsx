@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Play, Square, RefreshCw, AlertCircle, CheckCircle, Clock, Zap } from 'lucide-react';
 import { useStatementExecution } from '../hooks/useStatementExecution';
+import { METADATA_SESSION } from '../services/sessionPool.js';
 import { createModuleLogger } from '../utils/logger.js';
 
 const log = createModuleLogger('JobsPanel');
@@ -17,7 +18,7 @@ const JobsPanel = ({ sessionInfo }) => {
     isExecuting: isJobsLoading,
     result: jobsResult,
     error: jobsError
-  } = useStatementExecution('JobsPanel');
+  } = useStatementExecution('JobsPanel', { sessionName: METADATA_SESSION });
 
   const loadJobs = useCallback(async () => {
     if (!sessionInfo.isActive || isLoadingJobs) return;
@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { LineChart, BarChart3, AreaChart, ScatterChart } from 'lucide-react';
+import {
+  CHART_WINDOWS,
+  resolveChartConfig,
+  ChartAccumulator,
+  getColumnKind,
+  isTimeKind,
+  niceTicks,
+  timeTicks,
+  formatTimeTick,
+  formatNumberTick
+} from '../utils/chartData.js';
+import { getCellValue } from '../utils/resultRows.js';
+import { formatCell } from '../utils/cellRenderers.js';
+import { settingsService } from '../services/index.js';
+
+const CHART_TYPE_BUTTONS = [
+  { type: 'line', label: 'Line', Icon: LineChart },
+  { type: 'bar', label: 'Bar', Icon: BarChart3 },
+  { type: 'area', label: 'Area', Icon: AreaChart },
+  { type: 'scatter', label: 'Scatter', Icon: ScatterChart }
+];
+
+const PALETTE = [
+  'var(--vscode-blue)', 'var(--vscode-green)', 'var(--vscode-orange)', 'var(--vscode-purple)',
+  'var(--vscode-cyan)', 'var(--vscode-red)', 'var(--vscode-yellow)', '#9cdcfe',
+  '#ce9178', '#b5cea8', '#d7ba7d', '#808080'
+];
+
+const NO_ITEMS = [];
+const MARGIN = { top: 12, right: 16, bottom: 28, left: 56 };
+const HOVER_DISTANCE = 40; // px from the pointer within which a point is highlighted
+
+// Pixel layout of the chart data: scales, ticks and the position of every point
+function layoutChart(data, type, width, height, xKind, timeZone) {
+  const plotWidth = Math.max(1, width - MARGIN.left - MARGIN.right);
+  const plotHeight = Math.max(1, height - MARGIN.top - MARGIN.bottom);
+  const isCategory = xKind === 'category';
+
+  // y domain, widened to round ticks; bars and areas always include zero
+  let [y0, y1] = data.yDomain;
+  if (type === 'bar' || type === 'area') {
+    y0 = Math.min(0, y0);
+    y1 = Math.max(0, y1);
+  }
+  if (y0 === y1) {
+    const pad = Math.abs(y0) * 0.1 || 1;
+    y0 -= pad;
+    y1 += pad;
+  }
+  const roughTicks = niceTicks(y0, y1, 5);
+  const yStep = roughTicks.length > 1 ? roughTicks[1] - roughTicks[0] : 1;
+  y0 = Math.floor(y0 / yStep) * yStep;
+  y1 = Math.ceil(y1 / yStep) * yStep;
+  const yTicks = niceTicks(y0, y1, 5);
+  const yPos = (value) => MARGIN.top + plotHeight - ((value - y0) / (y1 - y0)) * plotHeight;
+
+  // x scale: bands for categories, linear for times and numbers
+  let xPos;
+  let slotWidth;
+  let xTicks;
+  if (isCategory) {
+    const band = plotWidth / Math.max(1, data.categories.length);
+    xPos = (index) => MARGIN.left + band * (index + 0.5);
+    slotWidth = band;
+    const every = Math.max(1, Math.ceil(data.categories.length / Math.max(1, Math.floor(plotWidth / 80))));
+    xTicks = data.categories
+      .map((label, index) => ({ value: index, label }))
+      .filter((_tick, index) => index % every === 0);
+  } else {
+    let [x0, x1] = data.xDomain;
+    // Bars on a continuous axis are as wide as the closest gap between x values
+    const xs = type === 'bar'
+      ? [...new Set(data.series.flatMap(entry => entry.points.map(point => point.x)))].sort((a, b) => a - b)
+      : [];
+    let minGap = Infinity;
+    for (let index = 1; index < xs.length; index++) minGap = Math.min(minGap, xs[index] - xs[index - 1]);
+    if (x0 === x1) {
+      const pad = isTimeKind(xKind) ? 30 * 1000 : (Math.abs(x0) * 0.1 || 1);
+      x0 -= pad;
+      x1 += pad;
+    } else if (type === 'bar' && Number.isFinite(minGap)) {
+      x0 -= minGap / 2;
+      x1 += minGap / 2;
+    }
+    xPos = (value) => MARGIN.left + ((value - x0) / (x1 - x0)) * plotWidth;
+    slotWidth = Number.isFinite(minGap) ? (minGap / (x1 - x0)) * plotWidth : plotWidth / 4;
+
+    const tickCount = Math.max(2, Math.floor(plotWidth / 90));
+    xTicks = isTimeKind(xKind)
+      ? timeTicks(x0, x1, tickCount).map(value => ({ value, label: formatTimeTick(value, x1 - x0, xKind, timeZone) }))
+      : niceTicks(x0, x1, tickCount).map(value => ({ value, label: formatNumberTick(value) }));
+  }
+
+  const baseline = yPos(Math.min(Math.max(0, y0), y1));
+  const barWidth = Math.max(1, (slotWidth * 0.8) / Math.max(1, data.series.length));
+
+  const series = data.series.map((entry, seriesIndex) => ({
+    name: entry.name,
+    color: PALETTE[seriesIndex % PALETTE.length],
+    points: entry.points.map(point => {
+      const px = type === 'bar'
+        ? xPos(point.x) - (slotWidth * 0.8) / 2 + barWidth * (seriesIndex + 0.5)
+        : xPos(point.x);
+      return { ...point, px, py: yPos(point.y) };
+    })
+  }));
+
+  return { plotWidth, plotHeight, yTicks, yPos, xTicks, xPos, baseline, barWidth, series };
+}
+
+// Chart of the result stream, redrawn as changelog pages are applied to the materialized rows
+const ResultsChart = ({ result, config, onConfigChange }) => {
+  const containerRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [hover, setHover] = useState(null);
+  const [timeZone, setTimeZone] = useState(() => settingsService.getResultTimeZone());
+
+  const columns = result?.columns || NO_ITEMS;
+  const rows = result?.results || NO_ITEMS;
+  const lastChange = result?.lastChange || null; // The rows array is patched in place while the statement runs
+  const accumulatorRef = useRef(null);
+  const resolved = useMemo(() => resolveChartConfig(columns, config), [columns, config]);
+  const xColumn = columns.find(column => column.name === resolved.x);
+  const xKind = xColumn ? getColumnKind(xColumn) : 'category';
+
+  // Points follow the changed rows of each page; new columns or settings start a new accumulator
+  const data = useMemo(() => {
+    if (!accumulatorRef.current?.matches(columns, resolved)) {
+      accumulatorRef.current = new ChartAccumulator(columns, resolved);
+    }
+    accumulatorRef.current.update(rows, lastChange);
+    return accumulatorRef.current.getData();
+  }, [rows, lastChange?.version, columns, resolved]);
+
+  // Track the plot size
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+    const updateSize = () => setSize({ width: element.clientWidth, height: element.clientHeight });
+    updateSize();
+    const resizeObserver = new ResizeObserver(updateSize);
+    resizeObserver.observe(element);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  // Follow the result time zone setting
+  useEffect(() => {
+    const handleSettingsChange = () => setTimeZone(settingsService.getResultTimeZone());
+    settingsService.addListener(handleSettingsChange);
+    return () => settingsService.removeListener(handleSettingsChange);
+  }, []);
+
+  const layout = useMemo(
+    () => (data && data.pointCount > 0 && size.width > 0 && size.height > 0
+      ? layoutChart(data, resolved.type, size.width, size.height, xKind, timeZone)
+      : null),
+    [data, resolved.type, size, xKind, timeZone]
+  );
+
+  // Changes are saved with the editor tab; untouched fields stay as resolved from the columns
+  const updateConfig = (changes) => {
+    setHover(null);
+    onConfigChange?.({ ...resolved, ...changes });
+  };
+
+  const handleMouseMove = (e) => {
+    if (!layout) return;
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const mouseX = e.clientX - bounds.left;
+    const mouseY = e.clientY - bounds.top;
+
+    let nearest = null;
+    let nearestDistance = HOVER_DISTANCE;
+    layout.series.forEach(entry => entry.points.forEach(point => {
+      const distance = Math.hypot(point.px - mouseX, point.py - mouseY);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = { series: entry, point };
+      }
+    }));
+    setHover(nearest);
+  };
+
+  const describePoint = ({ series, point }) => {
+    const yColumnIndex = columns.findIndex(column => column.name === resolved.y);
+    const xColumnIndex = columns.indexOf(xColumn);
+    const context = { timeZone };
+    return {
+      x: formatCell(getCellValue(point.row, xColumn, xColumnIndex), xColumn?.logicalType, context),
+      y: formatCell(getCellValue(point.row, columns[yColumnIndex], yColumnIndex), columns[yColumnIndex]?.logicalType, context),
+      series: series.name
+    };
+  };
+
+  const linePath = (points) => points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.px},${point.py}`).join(' ');
+
+  const renderSeries = (entry) => {
+    const { color, points } = entry;
+    switch (resolved.type) {
+      case 'bar':
+        return points.map((point, index) => (
+          <rect
+            key={index}
+            x={point.px - layout.barWidth / 2}
+            y={Math.min(point.py, layout.baseline)}
+            width={layout.barWidth}
+            height={Math.max(1, Math.abs(layout.baseline - point.py))}
+            style={{ fill: color }}
+          />
+        ));
+      case 'scatter':
+        return points.map((point, index) => (
+          <circle key={index} cx={point.px} cy={point.py} r={3} style={{ fill: color }} />
+        ));
+      case 'area':
+        return (
+          <>
+            {points.length > 0 && (
+              <path
+                d={`${linePath(points)} L${points[points.length - 1].px},${layout.baseline} L${points[0].px},${layout.baseline} Z`}
+                className="results-chart-area"
+                style={{ fill: color }}
+              />
+            )}
+            <path d={linePath(points)} className="results-chart-line" style={{ stroke: color }} />
+          </>
+        );
+      default:
+        return (
+          <>
+            <path d={linePath(points)} className="results-chart-line" style={{ stroke: color }} />
+            {points.length === 1 && <circle cx={points[0].px} cy={points[0].py} r={3} style={{ fill: color }} />}
+          </>
+        );
+    }
+  };
+
+  let emptyMessage = null;
+  if (columns.length === 0) {
+    emptyMessage = 'Run a query to chart its results';
+  } else if (!resolved.y) {
+    emptyMessage = 'Pick a numeric column for the Y axis';
+  } else if (!data || data.pointCount === 0) {
+    emptyMessage = data?.windowed || rows.length === 0 ? 'No rows to plot yet' : 'No rows with a numeric Y value';
+  }
+
+  const hoverDetails = hover ? describePoint(hover) : null;
+
+  return (
+    <div className="results-chart">
+      <div className="results-chart-toolbar">
+        <div className="results-chart-types">
+          {CHART_TYPE_BUTTONS.map(({ type, label, Icon }) => (
+            <button
+              key={type}
+              className={`results-chart-type ${resolved.type === type ? 'active' : ''}`}
+              onClick={() => updateConfig({ type })}
+              title={`${label} chart`}
+            >
+              <Icon className="w-4 h-4" />
+            </button>
+          ))}
+        </div>
+
+        <label className="results-chart-field">
+          X
+          <select value={resolved.x || ''} onChange={(e) => updateConfig({ x: e.target.value })} disabled={columns.length === 0}>
+            {columns.map(column => <option key={column.name} value={column.name}>{column.name}</option>)}
+          </select>
+        </label>
+        <label className="results-chart-field">
+          Y
+          <select value={resolved.y || ''} onChange={(e) => updateConfig({ y: e.target.value || null })} disabled={columns.length === 0}>
+            {!resolved.y && <option value="">—</option>}
+            {columns.filter(column => getColumnKind(column) === 'number').map(column => (
+              <option key={column.name} value={column.name}>{column.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="results-chart-field">
+          Series
+          <select value={resolved.series || ''} onChange={(e) => updateConfig({ series: e.target.value || null })} disabled={columns.length === 0}>
+            <option value="">None</option>
+            {columns.filter(column => column.name !== resolved.x && column.name !== resolved.y).map(column => (
+              <option key={column.name} value={column.name}>{column.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="results-chart-field" title="Only the latest part of a time axis is drawn">
+          Window
+          <select
+            value={resolved.windowMs}
+            onChange={(e) => updateConfig({ windowMs: Number(e.target.value) })}
+            disabled={!isTimeKind(xKind)}
+          >
+            {CHART_WINDOWS.map(option => <option key={option.ms} value={option.ms}>{option.label}</option>)}
+          </select>
+        </label>
+
+        <div className="results-grid-toolbar-spacer" />
+        {data && data.pointCount > 0 && (
+          <span className="results-chart-count">
+            {data.pointCount.toLocaleString()} point{data.pointCount !== 1 ? 's' : ''}
+            {data.hiddenSeries > 0 && ` · ${data.hiddenSeries} more series not shown`}
+          </span>
+        )}
+      </div>
+
+      {layout && data.series.length > 1 && (
+        <div className="results-chart-legend">
+          {layout.series.map(entry => (
+            <span key={entry.name} className="results-chart-legend-item">
+              <span className="results-chart-swatch" style={{ background: entry.color }} />
+              {entry.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div ref={containerRef} className="results-chart-plot">
+        {emptyMessage ? (
+          <div className="results-chart-empty">{emptyMessage}</div>
+        ) : layout && (
+          <svg width={size.width} height={size.height} onMouseMove={handleMouseMove} onMouseLeave={() => setHover(null)}>
+            {layout.yTicks.map(tick => (
+              <g key={`y${tick}`}>
+                <line x1={MARGIN.left} x2={MARGIN.left + layout.plotWidth} y1={layout.yPos(tick)} y2={layout.yPos(tick)} className="results-chart-gridline" />
+                <text x={MARGIN.left - 6} y={layout.yPos(tick)} className="results-chart-tick" textAnchor="end" dominantBaseline="middle">
+                  {formatNumberTick(tick)}
+                </text>
+              </g>
+            ))}
+            {layout.xTicks.map(tick => (
+              <text
+                key={`x${tick.value}`}
+                x={layout.xPos(tick.value)}
+                y={MARGIN.top + layout.plotHeight + 16}
+                className="results-chart-tick"
+                textAnchor="middle"
+              >
+                {tick.label}
+              </text>
+            ))}
+            <line
+              x1={MARGIN.left}
+              x2={MARGIN.left + layout.plotWidth}
+              y1={layout.baseline}
+              y2={layout.baseline}
+              className="results-chart-axis"
+            />
+            {layout.series.map(entry => <g key={entry.name}>{renderSeries(entry)}</g>)}
+            {hover && (
+              <circle cx={hover.point.px} cy={hover.point.py} r={5} className="results-chart-hover" style={{ stroke: hover.series.color }} />
+            )}
+          </svg>
+        )}
+        {hover && hoverDetails && (
+          <div
+            className="results-chart-tooltip"
+            style={{
+              left: Math.min(hover.point.px + 12, Math.max(0, size.width - 220)),
+              top: Math.max(0, hover.point.py - 48)
+            }}
+          >
+            <div>{resolved.x}: {hoverDetails.x}</div>
+            <div>{resolved.y}: {hoverDetails.y}</div>
+            {resolved.series && <div>{resolved.series}: {hoverDetails.series}</div>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResultsChart;
@@ -1,9 +1,20 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { createModuleLogger } from '../utils/logger.js';
+import { settingsService } from '../services/index.js';
+import ResultsGrid from './ResultsGrid.jsx';
+import ResultsExportMenu from './ResultsExportMenu.jsx';
+import ChangelogView from './ChangelogView.jsx';
 
 const log = createModuleLogger('ResultsDisplay');
 
-const ResultsDisplay = ({ result, isExecuting }) => {
+// Human-readable names for the result buffer overflow policies
+const BUFFER_POLICY_LABELS = {
+  'keep-first': 'keeping first rows',
+  'keep-last': 'keeping latest rows',
+  'stop': 'stop at limit'
+};
+
+const ResultsDisplay = ({ result, isExecuting, errorLocation, onJumpToError }) => {
   // State to track accumulated results
   const [resultsMatrix, setResultsMatrix] = useState({
     columns: [],
@@ -17,6 +28,8 @@ const ResultsDisplay = ({ result, isExecuting }) => {
   // Track UI state
   const [displayedRowCount, setDisplayedRowCount] = useState(0);
   const [newRowsAdded, setNewRowsAdded] = useState(false);
+  const [contentView, setContentView] = useState('table'); // 'table' or 'changelog'
+  const [timeZone, setTimeZone] = useState(() => settingsService.getResultTimeZone());
   const animationTimerRef = useRef(null);
   const lastResultRef = useRef(null);
   
@@ -31,6 +44,9 @@ const ResultsDisplay = ({ result, isExecuting }) => {
   const hasResults = result?.results && result.results.length > 0;
   const hasColumns = result?.columns && result.columns.length > 0;
   
+  // Result buffer counters from the execution engine (row cap, dropped rows, events seen)
+  const bufferStats = result?.buffer || null;
+  
   // Update our results matrix when new data arrives
   useEffect(() => {
     if (!result) return;
@@ -101,6 +117,13 @@ const ResultsDisplay = ({ result, isExecuting }) => {
     }
   }, [result, isCancelled, hasResults, hasColumns, displayedRowCount]);
   
+  // Follow the result time zone setting
+  useEffect(() => {
+    const handleSettingsChange = () => setTimeZone(settingsService.getResultTimeZone());
+    settingsService.addListener(handleSettingsChange);
+    return () => settingsService.removeListener(handleSettingsChange);
+  }, []);
+
   // Cleanup animation timer on unmount
   useEffect(() => {
     return () => {
@@ -118,6 +141,13 @@ const ResultsDisplay = ({ result, isExecuting }) => {
   const displayResultKind = isCancelled ? 'CANCELLED' : 
                            resultKind || resultsMatrix.resultKind;
 
+  // Use either current results or stored results
+  const displayRows = isCancelled ? resultsMatrix.rows : (result?.results || resultsMatrix.rows);
+  const resultColumns = result?.columns?.length ? result.columns : resultsMatrix.columns;
+  const changelog = result?.changelog || null;
+  const hasContent = resultColumns.length > 0
+    && ((hasResults && hasColumns) || resultsMatrix.rows.length > 0 || changelog?.length > 0);
+
   return (
     <div className="results-content">
       {/* EXACT format requested by user - ALWAYS show these 3 fields */}
@@ -164,96 +194,70 @@ const ResultsDisplay = ({ result, isExecuting }) => {
             </span>
           )}
         </div>
+        {bufferStats && bufferStats.totalEvents > 0 && (
+          <div className={`text-sm ${bufferStats.truncated ? 'text-amber-400' : 'text-gray-400'}`}>
+            {bufferStats.truncated ? (
+              <span className="mr-2">
+                Row limit of {bufferStats.maxRows.toLocaleString()} reached ({BUFFER_POLICY_LABELS[bufferStats.policy] || bufferStats.policy})
+                {bufferStats.droppedRows > 0 && `: ${bufferStats.droppedRows.toLocaleString()} rows dropped`}
+                {bufferStats.policy === 'stop' && ', fetching stopped'}
+              </span>
+            ) : (
+              <span className="mr-2" title="Max Result Rows in Settings">
+                {bufferStats.maxRows > 0
+                  ? `Row limit: ${bufferStats.maxRows.toLocaleString()} (${BUFFER_POLICY_LABELS[bufferStats.policy] || bufferStats.policy})`
+                  : 'Row limit: none'}
+              </span>
+            )}
+            <span>
+              ({bufferStats.totalEvents.toLocaleString()} changelog event{bufferStats.totalEvents !== 1 ? 's' : ''} received in total)
+            </span>
+          </div>
+        )}
       </div>
 
-      {/* Content Table - show if either the result or our matrix has data */}
-      {((hasResults && hasColumns) || (resultsMatrix.rows.length > 0 && resultsMatrix.columns.length > 0)) && (
+      {/* Content - show if the result or our matrix has data, or a recorded changelog (whose rows may all be retracted) */}
+      {hasContent && (
         <div className="results-container flex-1 min-h-0">{/* Make it take remaining space and allow shrinking */}
-          <div className="results-table-container">
-            <table className="results-table w-full">
-              <thead className="bg-gray-800">
-                <tr>
-                  {/* Use either current columns or stored columns */}
-                  {(result?.columns || resultsMatrix.columns).map((column, index) => (
-                    <th key={index} className="px-4 py-2 text-left border-b border-gray-600">
-                      <div className="font-semibold">{column.name}</div>
-                      <div className="text-xs text-gray-400 font-normal">
-                        {column.logicalType?.type || 'UNKNOWN'}
-                        {column.logicalType?.nullable === false && ' NOT NULL'}
-                      </div>
-                    </th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody>
-                {/* Use either current results or stored results */}
-                {(isCancelled ? resultsMatrix.rows : (result?.results || resultsMatrix.rows)).map((row, rowIndex) => {
-                  // Highlight newest rows when new data is received
-                  const isNewRow = newRowsAdded && result?.newRowCount && 
-                    rowIndex >= ((result?.results?.length || 0) - (result?.newRowCount || 0));
-                    
-                  return (
-                    <tr 
-                      key={rowIndex} 
-                      className={`border-b border-gray-700 hover:bg-gray-800 
-                        ${isNewRow ? 'bg-green-900/20 animate-pulse' : ''}
-                        ${isCancelled ? 'opacity-90' : ''}`}
-                    >
-                      {row.fields ? (
-                        // Handle standard fields array format
-                      row.fields.map((field, fieldIndex) => (
-                        <td key={fieldIndex} className="px-4 py-2">
-                          {field !== null ? String(field) : <span className="text-gray-500 italic">NULL</span>}
-                        </td>
-                      ))
-                    ) : (
-                      // Handle object format - try column name first, then generic field names
-                      (result?.columns || resultsMatrix.columns).map((column, colIndex) => {
-                        let value;
-                        if (row[column.name] !== undefined) {
-                          // Direct column name match
-                          value = row[column.name];
-                        } else if (row[`field_${colIndex}`] !== undefined) {
-                          // Generic field name (field_0, field_1, etc.)
-                          value = row[`field_${colIndex}`];
-                        } else {
-                          // Try to find by index in case it's a different naming scheme
-                          const fieldKeys = Object.keys(row);
-                          value = fieldKeys[colIndex] ? row[fieldKeys[colIndex]] : undefined;
-                        }
-                        
-                        return (
-                          <td key={colIndex} className="px-4 py-2">
-                            {value !== undefined && value !== null ? 
-                              String(value) : 
-                              <span className="text-gray-500 italic">NULL</span>
-                            }
-                          </td>
-                        );
-                      })
-                    )}
-                  </tr>
-                );
-              })}
-            </tbody>
-          </table>
-          </div>
-          <div className="mt-2 text-sm text-gray-400 flex items-center justify-between px-2">
-            <span>
-              {isCancelled ? resultsMatrix.rows.length : (result?.results?.length || resultsMatrix.rows.length)} 
-              row{(result?.results?.length || resultsMatrix.rows.length) !== 1 ? 's' : ''}
-            </span>
-            {isCancelled && (
-              <span className="text-amber-400 text-xs">
-                Query execution was cancelled by user
-              </span>
-            )}
+          <div className="results-view-tabs">
+            <button
+              className={`results-view-tab ${contentView === 'table' ? 'active' : ''}`}
+              onClick={() => setContentView('table')}
+            >
+              Table
+            </button>
+            <button
+              className={`results-view-tab ${contentView === 'changelog' ? 'active' : ''}`}
+              onClick={() => setContentView('changelog')}
+            >
+              Changelog
+              {changelog && <span className="tab-badge">{changelog.length}</span>}
+            </button>
           </div>
+          {contentView === 'changelog' ? (
+            <ChangelogView columns={resultColumns} changelog={changelog} timeZone={timeZone} />
+          ) : (
+            <ResultsGrid
+              columns={resultColumns}
+              rows={displayRows}
+              version={result?.lastChange?.version}
+              newRowStart={newRowsAdded && result?.newRowCount ? displayRows.length - result.newRowCount : null}
+              dimmed={isCancelled}
+              timeZone={timeZone}
+            >
+              <ResultsExportMenu columns={resultColumns} rows={displayRows} />
+            </ResultsGrid>
+          )}
+          {isCancelled && (
+            <div className="mt-2 text-xs text-amber-400 px-2">
+              Query execution was cancelled by user
+            </div>
+          )}
         </div>
       )}
 
       {/* Show when no results are available */}
-      {!hasResults && resultsMatrix.rows.length === 0 && (
+      {!hasContent && (
         <div className="flex-1 min-h-0 p-4 border border-gray-700 rounded bg-gray-800/50 text-center flex items-center justify-center">
           {isCancelled ? (
             <p className="text-amber-400">Query was cancelled before any results were received</p>
@@ -266,9 +270,14 @@ const ResultsDisplay = ({ result, isExecuting }) => {
       )}
 
       {/* Show errors if present */}
-      {(result?.status === 'ERROR' || result?.error) && (
+      {(result?.status === 'ERROR' || result?.error || errorLocation) && (
         <div className="mt-4 p-3 bg-red-900/20 border border-red-500/30 rounded flex-shrink-0">
-          <p className="text-red-300 font-medium">{result.error || "An error occurred during execution"}</p>
+          <p className="text-red-300 font-medium">{result?.error || errorLocation?.message || "An error occurred during execution"}</p>
+          {errorLocation && onJumpToError && (
+            <button onClick={onJumpToError} className="jump-to-error-button">
+              Jump to error (line {errorLocation.lineNumber}, column {errorLocation.column})
+            </button>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download } from 'lucide-react';
+import { createModuleLogger } from '../utils/logger.js';
+import { EXPORT_FORMATS, exportResult, toInsertTableName } from '../utils/resultExport.js';
+
+const log = createModuleLogger('ResultsExportMenu');
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// Export menu of the results panel; exports every materialized row, not just the filtered view
+const ResultsExportMenu = ({ columns, rows }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [progress, setProgress] = useState(null); // 0..1 while an export runs
+  const containerRef = useRef(null);
+  const abortRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  // Stop a running export when the panel goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleExport = async (format) => {
+    setIsOpen(false);
+
+    let tableName;
+    if (format === 'sql') {
+      const name = prompt('Table to insert into:', 'results');
+      if (name === null) return;
+      tableName = toInsertTableName(name);
+    }
+
+    // The rows of a running statement are patched in place - copy them once so the export stays consistent
+    const snapshot = rows.slice();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress(0);
+
+    try {
+      const blob = await exportResult({
+        columns,
+        rows: snapshot,
+        format,
+        tableName,
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      const { extension } = EXPORT_FORMATS[format];
+      downloadBlob(blob, `flink-results-${new Date().toISOString().split('T')[0]}.${extension}`);
+      log.info('handleExport', `Exported ${snapshot.length} rows as ${format}`);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        log.info('handleExport', 'Export cancelled');
+      } else {
+        log.error('handleExport', `Export failed: ${error.message}`);
+        alert(`Export failed: ${error.message}`);
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  if (progress !== null) {
+    return (
+      <button
+        onClick={() => abortRef.current?.abort()}
+        className="results-grid-button"
+        title="Cancel export"
+      >
+        <Download className="w-3 h-3" />
+        Exporting {Math.round(progress * 100)}%
+      </button>
+    );
+  }
+
+  return (
+    <div className="results-grid-menu-anchor" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="results-grid-button"
+        disabled={rows.length === 0}
+        title="Export all result rows"
+      >
+        <Download className="w-3 h-3" />
+        Export
+      </button>
+      {isOpen && (
+        <div className="results-grid-menu">
+          {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+            <button key={format} onClick={() => handleExport(format)} className="results-grid-menu-item">
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResultsExportMenu;
@@ -0,0 +1,345 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { ArrowUp, ArrowDown, Columns } from 'lucide-react';
+import RowDetailDrawer from './RowDetailDrawer.jsx';
+import { getCellValue, compareValues, compileFilter } from '../utils/resultRows.js';
+import { formatCell, getCellRenderer, getCellChildren, describeLogicalType } from '../utils/cellRenderers.js';
+
+const ROW_HEIGHT = 24;
+const OVERSCAN_ROWS = 10;
+const DEFAULT_COLUMN_WIDTH = 160;
+const MIN_COLUMN_WIDTH = 48;
+
+// Columns are identified by name and type, so a new statement with other columns starts a fresh view
+const getColumnSignature = (columns) => columns.map(column => `${column.name}:${column.logicalType?.type}`).join('|');
+
+const createView = (columns) => ({
+  order: columns.map((_, index) => index),
+  hidden: [],
+  widths: {},
+  sort: null,        // { column, direction: 'asc' | 'desc' }
+  filters: {},       // column index -> filter expression
+  frozen: true
+});
+
+/**
+ * Virtualized results grid - only the rows in view are rendered
+ * Sorting, filters, column order/visibility/widths and the frozen first column are view state
+ * kept across live row updates; they reset when the result columns change.
+ * Rows at or after newRowStart (index in `rows`) are highlighted as just received.
+ * `rows` may be patched in place (the live results of a running statement); a new `version` re-reads them.
+ * Children are extra toolbar controls, shown before the Columns menu; rowClassName(row) adds classes to a row.
+ * Cells are formatted by the cell renderer of their column's logical type; double-clicking a row
+ * (or clicking a nested value) opens it in the row detail drawer.
+ */
+const ResultsGrid = ({ columns, rows, version, newRowStart = null, dimmed = false, timeZone = 'local', rowClassName = null, children }) => {
+  const signature = getColumnSignature(columns);
+  const [view, setView] = useState(() => createView(columns));
+  const [viewSignature, setViewSignature] = useState(signature);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(400);
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const [detailRow, setDetailRow] = useState(null); // Row object shown in the detail drawer
+  const scrollRef = useRef(null);
+  const menuRef = useRef(null);
+  const dragColumnRef = useRef(null);
+
+  // New columns, new view (done during render so a stale view is never drawn)
+  if (signature !== viewSignature) {
+    setViewSignature(signature);
+    setView(createView(columns));
+    setDetailRow(null);
+  }
+
+  const context = useMemo(() => ({ timeZone }), [timeZone]);
+
+  // Track the viewport height for virtualization
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+    const updateHeight = () => setViewportHeight(element.clientHeight);
+    updateHeight();
+    const resizeObserver = new ResizeObserver(updateHeight);
+    resizeObserver.observe(element);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  // Close the column menu when clicking outside
+  useEffect(() => {
+    if (!showColumnMenu) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setShowColumnMenu(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [showColumnMenu]);
+
+  const order = view.order.filter(index => index < columns.length);
+  const visibleColumns = order.filter(index => !view.hidden.includes(index));
+  const getWidth = (index) => view.widths[index] || DEFAULT_COLUMN_WIDTH;
+  const totalWidth = visibleColumns.reduce((sum, index) => sum + getWidth(index), 0);
+
+  const filters = useMemo(() => Object.entries(view.filters)
+    .map(([index, expression]) => [Number(index), compileFilter(expression)])
+    .filter(([index, predicate]) => predicate && index < columns.length), [view.filters, columns.length]);
+
+  // Filtered and sorted rows, each with its index in `rows`
+  const viewRows = useMemo(() => {
+    let entries = rows.map((row, index) => ({ row, index }));
+    if (filters.length > 0) {
+      entries = entries.filter(({ row }) => filters.every(([index, predicate]) =>
+        predicate(getCellValue(row, columns[index], index))));
+    }
+    if (view.sort && view.sort.column < columns.length) {
+      const { column, direction } = view.sort;
+      const sign = direction === 'desc' ? -1 : 1;
+      entries.sort((a, b) => sign * compareValues(
+        getCellValue(a.row, columns[column], column),
+        getCellValue(b.row, columns[column], column)
+      ) || a.index - b.index);
+    }
+    return entries;
+  }, [rows, version, columns, filters, view.sort]);
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(viewRows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
+  const updateView = (updates) => setView(prev => ({ ...prev, ...updates }));
+
+  // Click cycles ascending, descending, unsorted
+  const toggleSort = (column) => {
+    setView(prev => {
+      if (prev.sort?.column !== column) return { ...prev, sort: { column, direction: 'asc' } };
+      if (prev.sort.direction === 'asc') return { ...prev, sort: { column, direction: 'desc' } };
+      return { ...prev, sort: null };
+    });
+  };
+
+  const setFilter = (column, expression) => {
+    setView(prev => ({ ...prev, filters: { ...prev.filters, [column]: expression } }));
+  };
+
+  const toggleHidden = (column) => {
+    setView(prev => ({
+      ...prev,
+      hidden: prev.hidden.includes(column) ? prev.hidden.filter(index => index !== column) : [...prev.hidden, column]
+    }));
+  };
+
+  // Drag the resize handle on a header's right edge; double-click restores the default width
+  const startResize = (e, column) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = getWidth(column);
+
+    const handleMove = (event) => {
+      const width = Math.max(MIN_COLUMN_WIDTH, startWidth + event.clientX - startX);
+      setView(prev => ({ ...prev, widths: { ...prev.widths, [column]: width } }));
+    };
+    const handleUp = () => {
+      document.removeEventListener('mousemove', handleMove);
+      document.removeEventListener('mouseup', handleUp);
+    };
+    document.addEventListener('mousemove', handleMove);
+    document.addEventListener('mouseup', handleUp);
+  };
+
+  const resetWidth = (e, column) => {
+    e.stopPropagation();
+    setView(prev => {
+      const { [column]: _removed, ...widths } = prev.widths;
+      return { ...prev, widths };
+    });
+  };
+
+  // Dropping a header moves the dragged column before it
+  const handleDrop = (e, target) => {
+    e.preventDefault();
+    const source = dragColumnRef.current;
+    dragColumnRef.current = null;
+    if (source === null || source === target) return;
+    setView(prev => {
+      const reordered = prev.order.filter(index => index !== source);
+      reordered.splice(reordered.indexOf(target), 0, source);
+      return { ...prev, order: reordered };
+    });
+  };
+
+  // Position of the drawer's row in the current view (-1 once it left the result)
+  const detailPosition = detailRow ? viewRows.findIndex(entry => entry.row === detailRow) : -1;
+
+  const cellStyle = (column) => ({ width: getWidth(column), minWidth: getWidth(column) });
+  const cellClass = (position) => `results-grid-cell ${view.frozen && position === 0 ? 'frozen' : ''}`;
+  const activeFilterCount = filters.length;
+
+  return (
+    <div className="results-grid">
+      <div className="results-grid-toolbar">
+        <span>
+          {activeFilterCount > 0
+            ? `${viewRows.length.toLocaleString()} of ${rows.length.toLocaleString()} rows match`
+            : `${rows.length.toLocaleString()} row${rows.length !== 1 ? 's' : ''}`}
+        </span>
+        {activeFilterCount > 0 && (
+          <button onClick={() => updateView({ filters: {} })} className="results-grid-button">
+            Clear filters
+          </button>
+        )}
+        {view.sort && (
+          <button onClick={() => updateView({ sort: null })} className="results-grid-button">
+            Clear sort
+          </button>
+        )}
+        <div className="results-grid-toolbar-spacer" />
+        {children}
+        <div className="results-grid-menu-anchor" ref={menuRef}>
+          <button
+            onClick={() => setShowColumnMenu(!showColumnMenu)}
+            className="results-grid-button"
+            title="Show, hide and freeze columns"
+          >
+            <Columns className="w-3 h-3" />
+            Columns{view.hidden.length > 0 && ` (${view.hidden.length} hidden)`}
+          </button>
+          {showColumnMenu && (
+            <div className="results-grid-menu">
+              <label className="results-grid-menu-item">
+                <input
+                  type="checkbox"
+                  checked={view.frozen}
+                  onChange={(e) => updateView({ frozen: e.target.checked })}
+                />
+                Freeze first column
+              </label>
+              <div className="results-grid-menu-separator" />
+              {order.map(index => (
+                <label key={index} className="results-grid-menu-item">
+                  <input
+                    type="checkbox"
+                    checked={!view.hidden.includes(index)}
+                    onChange={() => toggleHidden(index)}
+                  />
+                  {columns[index].name}
+                </label>
+              ))}
+              <div className="results-grid-menu-separator" />
+              <button onClick={() => setView(createView(columns))} className="results-grid-button">
+                Reset view
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div
+        ref={scrollRef}
+        className="results-grid-scroll"
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div className="results-grid-header" style={{ width: totalWidth }}>
+          <div className="results-grid-row">
+            {visibleColumns.map((index, position) => {
+              const column = columns[index];
+              const sorted = view.sort?.column === index ? view.sort.direction : null;
+              return (
+                <div
+                  key={index}
+                  className={`${cellClass(position)} results-grid-heading`}
+                  style={cellStyle(index)}
+                  draggable
+                  onDragStart={() => { dragColumnRef.current = index; }}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={(e) => handleDrop(e, index)}
+                  onClick={() => toggleSort(index)}
+                  title={`${column.name} - click to sort, drag to move`}
+                >
+                  <div className="results-grid-heading-name">
+                    <span className="results-grid-heading-label">{column.name}</span>
+                    {sorted === 'asc' && <ArrowUp className="w-3 h-3 flex-shrink-0" />}
+                    {sorted === 'desc' && <ArrowDown className="w-3 h-3 flex-shrink-0" />}
+                  </div>
+                  <div className="results-grid-heading-type" title={describeLogicalType(column.logicalType)}>
+                    {describeLogicalType(column.logicalType)}
+                  </div>
+                  <div
+                    className="results-grid-resize-handle"
+                    onMouseDown={(e) => startResize(e, index)}
+                    onDoubleClick={(e) => resetWidth(e, index)}
+                    onClick={(e) => e.stopPropagation()}
+                  />
+                </div>
+              );
+            })}
+          </div>
+          <div className="results-grid-row">
+            {visibleColumns.map((index, position) => (
+              <div key={index} className={`${cellClass(position)} results-grid-filter-cell`} style={cellStyle(index)}>
+                <input
+                  type="text"
+                  value={view.filters[index] || ''}
+                  onChange={(e) => setFilter(index, e.target.value)}
+                  placeholder="Filter"
+                  title="Text to find, > 10, = EUR, != 0, null, not null or /regex/"
+                  className="results-grid-filter"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="results-grid-body" style={{ height: viewRows.length * ROW_HEIGHT, width: totalWidth }}>
+          {viewRows.slice(firstRow, lastRow).map(({ row, index: rowIndex }, offset) => (
+            <div
+              key={rowIndex}
+              className={`results-grid-row ${newRowStart !== null && rowIndex >= newRowStart ? 'new' : ''} ${dimmed ? 'dimmed' : ''} ${row === detailRow ? 'selected' : ''} ${rowClassName ? rowClassName(row) : ''}`}
+              style={{ top: (firstRow + offset) * ROW_HEIGHT, height: ROW_HEIGHT }}
+              onDoubleClick={() => setDetailRow(row)}
+            >
+              {visibleColumns.map((index, position) => {
+                const { logicalType } = columns[index];
+                const value = getCellValue(row, columns[index], index);
+                const text = formatCell(value, logicalType, context);
+                const nested = getCellChildren(value, logicalType) !== null;
+                const align = getCellRenderer(logicalType).align;
+                return (
+                  <div
+                    key={index}
+                    className={`${cellClass(position)} ${align === 'right' ? 'numeric' : ''} ${nested ? 'nested' : ''}`}
+                    style={cellStyle(index)}
+                    title={nested ? `${text}\nClick to expand` : text}
+                    onClick={nested ? () => setDetailRow(row) : undefined}
+                  >
+                    {value === null || value === undefined
+                      ? <span className="results-grid-null">NULL</span>
+                      : text}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        {viewRows.length === 0 && rows.length > 0 && (
+          <div className="results-grid-empty">No rows match the filters</div>
+        )}
+      </div>
+
+      {detailRow && (
+        <RowDetailDrawer
+          columns={columns}
+          row={detailRow}
+          position={detailPosition}
+          total={viewRows.length}
+          context={context}
+          onPrevious={detailPosition > 0 ? () => setDetailRow(viewRows[detailPosition - 1].row) : null}
+          onNext={detailPosition >= 0 && detailPosition < viewRows.length - 1 ? () => setDetailRow(viewRows[detailPosition + 1].row) : null}
+          onClose={() => setDetailRow(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ResultsGrid;
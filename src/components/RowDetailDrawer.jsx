@@ -0,0 +1,63 @@
+import React, { useEffect } from 'react';
+import { X, ChevronUp, ChevronDown } from 'lucide-react';
+import CellValueTree from './CellValueTree.jsx';
+import { getCellValue } from '../utils/resultRows.js';
+import { describeLogicalType } from '../utils/cellRenderers.js';
+
+// Side drawer with every column of one row, for records too wide for the grid
+const RowDetailDrawer = ({ columns, row, position, total, context, onPrevious, onNext, onClose }) => {
+  // Escape closes, arrow keys move between rows
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowUp' && onPrevious) { e.preventDefault(); onPrevious(); }
+      else if (e.key === 'ArrowDown' && onNext) { e.preventDefault(); onNext(); }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, onPrevious, onNext]);
+
+  if (!row) return null;
+
+  return (
+    <div className="row-detail-drawer">
+      <div className="row-detail-header">
+        <span>
+          {position >= 0
+            ? `Row ${(position + 1).toLocaleString()} of ${total.toLocaleString()}`
+            : 'Row no longer in the result'}
+        </span>
+        {row.kind && <span className="row-detail-kind">{row.kind}</span>}
+        <div className="results-grid-toolbar-spacer" />
+        <button onClick={onPrevious} disabled={!onPrevious} className="row-detail-button" title="Previous row (↑)">
+          <ChevronUp className="w-3 h-3" />
+        </button>
+        <button onClick={onNext} disabled={!onNext} className="row-detail-button" title="Next row (↓)">
+          <ChevronDown className="w-3 h-3" />
+        </button>
+        <button onClick={onClose} className="row-detail-button" title="Close (Esc)">
+          <X className="w-3 h-3" />
+        </button>
+      </div>
+      <div className="row-detail-body">
+        {columns.map((column, index) => (
+          <div key={index} className="row-detail-field">
+            <div className="row-detail-field-name">
+              {column.name}
+              <span className="row-detail-field-type">{describeLogicalType(column.logicalType)}</span>
+            </div>
+            <CellValueTree
+              value={getCellValue(row, column, index)}
+              logicalType={column.logicalType}
+              context={context}
+              defaultExpanded
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RowDetailDrawer;
@@ -1,8 +1,11 @@
 import React from 'react';
 import { Database, Clock, RefreshCw, X, Settings, Plus } from 'lucide-react';
 
+const EXPIRY_WARNING_MS = 2 * 60 * 1000; // Warn when the gateway drops the session within 2 minutes
+
 const SessionInfo = ({ 
   sessionInfo, 
+  sessionInfos = {}, 
   onRefreshSession, 
   onCloseSession, 
   onNewSession, 
@@ -30,18 +33,31 @@ const SessionInfo = ({
     }
   };
 
+  // Time left before the gateway's idle timeout drops the session
+  const remainingMs = sessionInfo.isActive && sessionInfo.expiresAt
+    ? Math.max(0, sessionInfo.expiresAt - Date.now())
+    : null;
+  const isExpiring = remainingMs !== null && remainingMs <= EXPIRY_WARNING_MS;
+  const heartbeat = sessionInfo.heartbeat || {};
+
   const getStatusColor = () => {
     if (!sessionInfo.isActive) return 'text-red-400';
-    if (sessionInfo.age > 25 * 60 * 1000) return 'text-yellow-400'; // > 25 minutes
+    if (isExpiring) return 'text-yellow-400';
     return 'text-green-400';
   };
 
   const getStatusIcon = () => {
     if (!sessionInfo.isActive) return '❌';
-    if (sessionInfo.age > 25 * 60 * 1000) return '⚠️'; // > 25 minutes
+    if (isExpiring) return '⚠️';
     return '✅';
   };
 
+  const getHeartbeatLabel = () => {
+    if (!heartbeat.intervalMs) return 'keep-alive off';
+    if (heartbeat.paused) return 'keep-alive paused (tab hidden)';
+    return `keep-alive every ${formatAge(heartbeat.intervalMs)}`;
+  };
+
   return (
     <div className="bg-gray-800 rounded-lg border border-gray-600 p-2">
       <div className="flex items-center justify-between">
@@ -50,6 +66,11 @@ const SessionInfo = ({
           <div>
             <div className="flex items-center gap-2">
               <span className="font-semibold text-sm">Session</span>
+              {sessionInfo.name && (
+                <span className="text-xs text-blue-300" title="Session used by the active editor tab">
+                  {sessionInfo.name}
+                </span>
+              )}
               <span className={`text-xs ${getStatusColor()}`}>
                 {getStatusIcon()} {sessionInfo.isActive ? 'Active' : 'Inactive'}
               </span>
@@ -63,6 +84,19 @@ const SessionInfo = ({
                     {formatAge(sessionInfo.age)}
                   </span>
                 )}
+                {remainingMs !== null && (
+                  <span
+                    className={`ml-2 ${isExpiring ? 'text-yellow-400' : ''}`}
+                    title={`Idle timeout ${formatAge(sessionInfo.idleTimeoutMs)}, ${getHeartbeatLabel()}`}
+                  >
+                    expires in {formatAge(remainingMs)}
+                  </span>
+                )}
+              </div>
+            )}
+            {isExpiring && (
+              <div className="text-xs text-yellow-400">
+                Session will be dropped by the gateway soon ({getHeartbeatLabel()}) - run a statement or refresh to keep it
               </div>
             )}
           </div>
@@ -107,6 +141,32 @@ const SessionInfo = ({
         </div>
       </div>
 
+      {sessionInfo.isRestoring && (
+        <div className="mt-2 text-xs text-yellow-300 animate-pulse">
+          Restoring session state into the new session...
+        </div>
+      )}
+
+      {sessionInfo.lastRestore && sessionInfo.lastRestore.statements.length > 0 && (
+        <div className="mt-2 pt-2 border-t border-gray-600">
+          <div className="text-xs text-gray-300">
+            Session was replaced at {new Date(sessionInfo.lastRestore.restoredAt).toLocaleTimeString()} - restored{' '}
+            {sessionInfo.lastRestore.statements.filter(entry => entry.success).length} of {sessionInfo.lastRestore.statements.length} statements:
+          </div>
+          <ul className="text-xs font-mono mt-1 space-y-1 max-h-32 overflow-y-auto">
+            {sessionInfo.lastRestore.statements.map((entry, index) => (
+              <li
+                key={index}
+                className={entry.success ? 'text-green-400' : 'text-red-400'}
+                title={entry.error || entry.statement}
+              >
+                {entry.success ? '✓' : '✗'} {entry.statement.replace(/\s+/g, ' ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {expanded && (
         <div className="mt-3 pt-3 border-t border-gray-600">
           <div className="grid grid-cols-2 gap-4 text-sm">
@@ -128,6 +188,25 @@ const SessionInfo = ({
                 {sessionInfo.age > 0 ? formatAge(sessionInfo.age) : 'N/A'}
               </div>
             </div>
+            <div>
+              <strong>Idle Timeout:</strong>
+              <div className="text-xs text-gray-400">
+                {sessionInfo.idleTimeoutMs ? formatAge(sessionInfo.idleTimeoutMs) : 'N/A'}
+              </div>
+            </div>
+            <div>
+              <strong>Keep-alive:</strong>
+              <div className={`text-xs ${heartbeat.lastError ? 'text-yellow-400' : 'text-gray-400'}`} title={heartbeat.lastError || ''}>
+                {getHeartbeatLabel()}
+                {heartbeat.lastHeartbeatAt && ` (last ${new Date(heartbeat.lastHeartbeatAt).toLocaleTimeString()})`}
+              </div>
+            </div>
+            <div>
+              <strong>Journaled Statements:</strong>
+              <div className="text-xs text-gray-400" title="SET, USE, ADD JAR and CREATE TEMPORARY statements replayed if the session is replaced">
+                {sessionInfo.journalSize || 0}
+              </div>
+            </div>
             <div>
               <strong>Start Time:</strong>
               <div className="text-xs text-gray-400">
@@ -136,6 +215,22 @@ const SessionInfo = ({
             </div>
           </div>
           
+          {Object.keys(sessionInfos).length > 1 && (
+            <div className="mt-3">
+              <strong className="text-sm">All Sessions:</strong>
+              <div className="text-xs text-gray-400 mt-1 space-y-1">
+                {Object.values(sessionInfos).map(info => (
+                  <div key={info.name} className="flex items-center justify-between">
+                    <span className={info.name === sessionInfo.name ? 'text-blue-300' : ''}>{info.name}</span>
+                    <span className="font-mono">
+                      {info.isActive ? `${info.sessionHandle?.substring(0, 8)}...` : 'not started'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          
           {sessionInfo.properties && Object.keys(sessionInfo.properties).length > 0 && (
             <div className="mt-3">
               <strong className="text-sm">Properties:</strong>
@@ -1,19 +1,35 @@
-import React, { useState, useEffect } from 'react';
-import { X, Eye, EyeOff, Palette } from 'lucide-react';
-import { settingsService } from '../services/index.js';
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Eye, EyeOff, Palette, Download, Upload } from 'lucide-react';
+import { settingsService, flinkApi } from '../services/index.js';
+import { PROFILE_COLORS } from '../services/settingsService.js';
+import { AUTH_TYPES } from '../services/flinkApi.js';
 import themeService from '../services/themeService.js';
 import ThemeSelector from './ThemeSelector.jsx';
 import logger from '../utils/logger.js';
 
 const log = logger.getModuleLogger('SettingsPanel');
 
-const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
+// IANA zones offered for showing TIMESTAMP_LTZ results
+const TIME_ZONES = ['UTC', ...(typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone').filter(zone => zone !== 'UTC')
+  : [])];
+
+const SettingsPanel = ({ onTestConnection, onSwitchProfile, isVisible, onClose }) => {
   const [settings, setSettings] = useState(settingsService.getSettings());
+  const [profileName, setProfileName] = useState(settingsService.getActiveProfile()?.name || '');
+  const [profileColor, setProfileColor] = useState(settingsService.getActiveProfile()?.color || PROFILE_COLORS[0]);
   const [showPassword, setShowPassword] = useState(false);
   const [sessionPropertiesText, setSessionPropertiesText] = useState('');
   const [isDirty, setIsDirty] = useState(false);
   const [showThemeSelector, setShowThemeSelector] = useState(false);
   const [currentTheme, setCurrentTheme] = useState(themeService.getCurrentTheme());
+  const [credentialStatus, setCredentialStatus] = useState(settingsService.getCredentialStatus());
+  const [passphrase, setPassphrase] = useState('');
+  const [credentialMessage, setCredentialMessage] = useState(null);
+  const [exportSecrets, setExportSecrets] = useState(false);
+  const [authState, setAuthState] = useState(flinkApi.getAuthState());
+  const completionMode = flinkApi.getStatementCompletionMode();
+  const importInputRef = useRef(null);
 
   useEffect(() => {
     // Load current settings and fix any legacy data
@@ -57,7 +73,11 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
     // Listen for settings changes
     const handleSettingsChange = (newSettings) => {
       setSettings(newSettings);
+      const activeProfile = settingsService.getActiveProfile();
+      setProfileName(activeProfile?.name || '');
+      setProfileColor(activeProfile?.color || PROFILE_COLORS[0]);
       setSessionPropertiesText(JSON.stringify(newSettings.session.properties, null, 2));
+      setCredentialStatus(settingsService.getCredentialStatus());
       setIsDirty(false);
     };
 
@@ -70,9 +90,14 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
 
     themeService.addListener(handleThemeChange);
 
+    // Token status and device login codes from the gateway auth provider
+    flinkApi.addAuthListener(setAuthState);
+    setAuthState(flinkApi.getAuthState());
+
     return () => {
       settingsService.removeListener(handleSettingsChange);
       themeService.removeListener(handleThemeChange);
+      flinkApi.removeAuthListener(setAuthState);
     };
   }, []);
 
@@ -81,7 +106,9 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
     const keys = path.split('.');
     let target = newSettings;
     
+    // Copy each level so unsaved edits never touch the objects held by settingsService
     for (let i = 0; i < keys.length - 1; i++) {
+      target[keys[i]] = { ...target[keys[i]] };
       target = target[keys[i]];
     }
     target[keys[keys.length - 1]] = value;
@@ -95,10 +122,10 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
     setIsDirty(true);
   };
 
-  const handleConnect = async () => {
-    // Save settings first
+  // Save the form to settingsService; returns false when the session properties are not valid JSON
+  const saveSettingsForm = () => {
     try {
-      log.debug('handleConnect', 'Attempting to parse session properties', { 
+      log.debug('saveSettingsForm', 'Attempting to parse session properties', { 
         sessionPropertiesText: sessionPropertiesText 
       });
       
@@ -109,18 +136,36 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
         'gateway.username': settings.gateway.username,
         'gateway.password': settings.gateway.password,
         'gateway.apiToken': settings.gateway.apiToken,
+        'gateway.authType': settings.gateway.authType,
+        'gateway.oauth': settings.gateway.oauth,
+        'gateway.clientSecret': settings.gateway.clientSecret,
         'session.properties': sessionProperties,
-        'ui.autoSave': settings.ui.autoSave
+        'ui.autoSave': settings.ui.autoSave,
+        'results.maxRows': settings.results.maxRows,
+        'results.overflowPolicy': settings.results.overflowPolicy,
+        'results.timeZone': settings.results.timeZone,
+        'results.recordChangelog': settings.results.recordChangelog,
+        'results.changelogMaxEvents': settings.results.changelogMaxEvents,
+        'formatter.keywordCase': settings.formatter.keywordCase,
+        'formatter.indentSize': settings.formatter.indentSize,
+        'formatter.formatOnRun': settings.formatter.formatOnRun,
+        'polling.maxIntervalMs': settings.polling.maxIntervalMs,
+        'polling.timeoutSeconds': settings.polling.timeoutSeconds,
+        'network.requestTimeoutSeconds': settings.network.requestTimeoutSeconds,
+        'network.retries': settings.network.retries,
+        'session.replayMode': settings.session.replayMode,
+        'session.heartbeatIntervalSeconds': settings.session.heartbeatIntervalSeconds
+      });
+
+      settingsService.updateProfile(settings.activeProfileId, {
+        name: profileName.trim(),
+        color: profileColor
       });
 
       setIsDirty(false);
-      
-      // Test connection
-      if (onTestConnection) {
-        await onTestConnection();
-      }
+      return true;
     } catch (error) {
-      log.error('handleConnect', `Invalid session properties JSON: ${error.message}`, { 
+      log.error('saveSettingsForm', `Invalid session properties JSON: ${error.message}`, { 
         sessionPropertiesText: sessionPropertiesText,
         error: error.stack 
       });
@@ -138,9 +183,184 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
         setSessionPropertiesText(JSON.stringify(defaultProperties, null, 2));
         setIsDirty(true);
       }
+      return false;
     }
   };
 
+  const handleConnect = async () => {
+    // Save settings first, then test the connection
+    if (saveSettingsForm() && onTestConnection) {
+      await onTestConnection();
+    }
+  };
+
+  // OAuth2 - save the form so the provider uses the entered endpoints, then sign in or fetch a token
+  const handleRequestToken = async () => {
+    if (!saveSettingsForm()) return;
+    const provider = flinkApi.getAuthProvider();
+    
+    try {
+      if (provider.startLogin) {
+        await provider.startLogin();
+      } else {
+        await provider.getAccessToken();
+      }
+      if (onTestConnection) {
+        await onTestConnection();
+      }
+    } catch (error) {
+      log.warn('handleRequestToken', `OAuth2 sign-in failed: ${error.message}`);
+    }
+  };
+
+  const handleSignOut = () => {
+    const provider = flinkApi.getAuthProvider();
+    provider.cancelLogin?.();
+    provider.signOut?.();
+  };
+
+  const getAuthStatusText = () => {
+    switch (authState.status) {
+      case 'authenticated':
+        return `Signed in - token expires at ${new Date(authState.expiresAt).toLocaleTimeString()}${authState.hasRefreshToken ? ' (refreshed automatically)' : ''}`;
+      case 'authorizing':
+        return 'Waiting for approval in the browser...';
+      case 'error':
+        return `Token request failed: ${authState.error}`;
+      default:
+        return settings.gateway.authType === AUTH_TYPES.DEVICE_CODE
+          ? 'Not signed in'
+          : 'A token is requested on the first gateway call and refreshed before it expires';
+    }
+  };
+
+  // Profile switching closes all sessions and reconnects (handled by the parent)
+  const handleProfileSelect = async (profileId) => {
+    if (isDirty && !confirm('Discard unsaved changes to the current profile?')) return;
+    if (onSwitchProfile) {
+      await onSwitchProfile(profileId);
+    }
+  };
+
+  const handleNewProfile = async () => {
+    const name = prompt('Name for the new connection profile:');
+    if (!name || !name.trim()) return;
+    
+    // The new profile starts as a copy of the current one
+    const profile = settingsService.createProfile(name.trim());
+    await handleProfileSelect(profile.id);
+  };
+
+  const handleDeleteProfile = async () => {
+    const profiles = settings.profiles || [];
+    const current = profiles.find(profile => profile.id === settings.activeProfileId);
+    const fallback = profiles.find(profile => profile.id !== settings.activeProfileId);
+    if (!current || !fallback) return;
+    if (!confirm(`Delete connection profile "${current.name}" and switch to "${fallback.name}"?`)) return;
+    
+    try {
+      await handleProfileSelect(fallback.id);
+      settingsService.deleteProfile(current.id);
+    } catch (error) {
+      log.error('handleDeleteProfile', `Failed to delete profile: ${error.message}`);
+    }
+  };
+
+  // Credential storage - these act immediately instead of waiting for Connect
+  const handleCredentialStorageChange = (mode) => {
+    if (mode === 'memory' && (credentialStatus.stored || credentialStatus.legacySecretsFound)
+      && !confirm('Delete the credentials stored in this browser? Passwords and tokens will have to be entered again after a reload.')) {
+      return;
+    }
+    settingsService.setCredentialStorageMode(mode);
+    setCredentialMessage(null);
+  };
+
+  const handlePassphraseSubmit = async () => {
+    if (!passphrase) return;
+    
+    try {
+      if (credentialStatus.stored && !credentialStatus.unlocked) {
+        await settingsService.unlockCredentials(passphrase);
+        setCredentialMessage({ type: 'success', text: 'Credentials unlocked' });
+      } else {
+        await settingsService.changeCredentialPassphrase(passphrase);
+        setCredentialMessage({ type: 'success', text: 'Credentials encrypted with the new passphrase' });
+      }
+      setPassphrase('');
+    } catch (error) {
+      log.warn('handlePassphraseSubmit', `Credential passphrase failed: ${error.message}`);
+      setCredentialMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleLockCredentials = () => {
+    if (isDirty && !confirm('Locking discards unsaved changes. Continue?')) return;
+    settingsService.lockCredentials();
+    setCredentialMessage(null);
+  };
+
+  const handleDiscardLegacyCredentials = () => {
+    if (!confirm('Remove the clear-text credentials saved in this browser? They stay in memory until the page is reloaded.')) return;
+    settingsService.discardLegacySecrets();
+    setCredentialMessage(null);
+  };
+
+  const handleForgetCredentials = () => {
+    if (!confirm('Delete the encrypted credentials stored in this browser? This cannot be undone.')) return;
+    settingsService.clearStoredCredentials();
+    setCredentialMessage(null);
+  };
+
+  const getCredentialStatusText = () => {
+    if (!credentialStatus.supported) {
+      return 'WebCrypto is unavailable (needs https or localhost) - credentials are kept in memory only';
+    }
+    if (credentialStatus.legacySecretsFound) {
+      return credentialStatus.stored && !credentialStatus.unlocked
+        ? 'Credentials saved by an earlier version are still in clear text - unlock to encrypt them'
+        : 'Credentials saved by an earlier version are still in clear text - set a passphrase to encrypt them';
+    }
+    if (credentialStatus.unlocked) {
+      return 'Unlocked - credentials are saved encrypted';
+    }
+    if (credentialStatus.stored) {
+      return 'Locked - enter the passphrase to use the stored credentials';
+    }
+    return 'No passphrase set - credentials are kept in memory until one is set';
+  };
+
+  const handleExportSettings = () => {
+    try {
+      const json = settingsService.exportSettings({ includeSecrets: exportSecrets });
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'flink-workbench-settings.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      log.error('handleExportSettings', `Failed to export settings: ${error.message}`);
+    }
+  };
+
+  const handleImportSettings = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      if (!settingsService.importSettings(event.target.result)) {
+        alert('The selected file does not contain valid settings.');
+      }
+    };
+    reader.readAsText(file);
+  };
+
   if (!isVisible) return null;
 
   return (
@@ -162,6 +382,60 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
               </tr>
             </thead>
             <tbody>
+              <tr>
+                <td className="setting-label">Connection Profile</td>
+                <td className="setting-value">
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={settings.activeProfileId || ''}
+                      onChange={(e) => handleProfileSelect(e.target.value)}
+                      className="setting-select"
+                    >
+                      {(settings.profiles || []).map(profile => (
+                        <option key={profile.id} value={profile.id}>{profile.name}</option>
+                      ))}
+                    </select>
+                    <button type="button" onClick={handleNewProfile} className="btn-secondary">
+                      New
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleDeleteProfile}
+                      className="btn-secondary"
+                      disabled={(settings.profiles || []).length <= 1}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                  <div className="setting-help">
+                    Gateway URL, credentials and session properties below belong to this profile. Switching profiles closes all sessions and reconnects
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Profile Name</td>
+                <td className="setting-value">
+                  <input
+                    type="text"
+                    value={profileName}
+                    onChange={(e) => { setProfileName(e.target.value); setIsDirty(true); }}
+                    className="setting-input"
+                  />
+                  <div className="profile-color-options">
+                    {PROFILE_COLORS.map(color => (
+                      <span
+                        key={color}
+                        className={`profile-color-option ${color === profileColor ? 'selected' : ''}`}
+                        style={{ background: color }}
+                        onClick={() => { setProfileColor(color); setIsDirty(true); }}
+                        title="Colour tag shown in the header"
+                      />
+                    ))}
+                  </div>
+                </td>
+              </tr>
+
               <tr>
                 <td className="setting-label">Gateway URL</td>
                 <td className="setting-value">
@@ -177,66 +451,279 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
                   </div>
                 </td>
               </tr>
-              
+
               <tr>
-                <td className="setting-label">Username</td>
+                <td className="setting-label">SQL Completion</td>
                 <td className="setting-value">
-                  <input
-                    type="text"
-                    value={settings.gateway.username}
-                    onChange={(e) => handleInputChange('gateway.username', e.target.value)}
-                    placeholder="Username for authentication"
-                    className="setting-input"
-                  />
+                  {completionMode.source === 'gateway'
+                    ? 'Gateway (complete-statement through the development proxy)'
+                    : 'Local (keywords and catalog names)'}
+                  <div className="setting-help">
+                    {completionMode.reason || 'Candidates come from the session\'s catalogs on the current connection'}
+                  </div>
                 </td>
               </tr>
               
               <tr>
-                <td className="setting-label">Password</td>
+                <td className="setting-label">Authentication</td>
                 <td className="setting-value">
-                  <div className="password-input-container">
-                    <input
-                      type={showPassword ? 'text' : 'password'}
-                      value={settings.gateway.password}
-                      onChange={(e) => handleInputChange('gateway.password', e.target.value)}
-                      placeholder="Password for authentication"
-                      className="setting-input password-input"
-                    />
-                    <button
-                      type="button"
-                      onClick={() => setShowPassword(!showPassword)}
-                      className="password-toggle-btn"
-                      title={showPassword ? 'Hide password' : 'Show password'}
-                    >
-                      {showPassword ? <EyeOff size={14} /> : <Eye size={14} />}
-                    </button>
+                  <select
+                    value={settings.gateway.authType || AUTH_TYPES.STATIC}
+                    onChange={(e) => handleInputChange('gateway.authType', e.target.value)}
+                    className="setting-select"
+                  >
+                    <option value={AUTH_TYPES.STATIC}>Username/password or API token</option>
+                    <option value={AUTH_TYPES.CLIENT_CREDENTIALS}>OAuth2 client credentials</option>
+                    <option value={AUTH_TYPES.DEVICE_CODE}>OAuth2 device code (user sign-in)</option>
+                  </select>
+                  <div className="setting-help">
+                    OAuth2 tokens are requested from your identity provider, kept in memory and refreshed automatically
                   </div>
                 </td>
               </tr>
+
+              {(settings.gateway.authType || AUTH_TYPES.STATIC) === AUTH_TYPES.STATIC ? (
+                <>
+                <tr>
+                  <td className="setting-label">Username</td>
+                  <td className="setting-value">
+                    <input
+                      type="text"
+                      value={settings.gateway.username}
+                      onChange={(e) => handleInputChange('gateway.username', e.target.value)}
+                      placeholder="Username for authentication"
+                      className="setting-input"
+                    />
+                  </td>
+                </tr>
+              
+                <tr>
+                  <td className="setting-label">Password</td>
+                  <td className="setting-value">
+                    <div className="password-input-container">
+                      <input
+                        type={showPassword ? 'text' : 'password'}
+                        value={settings.gateway.password}
+                        onChange={(e) => handleInputChange('gateway.password', e.target.value)}
+                        placeholder="Password for authentication"
+                        className="setting-input password-input"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        className="password-toggle-btn"
+                        title={showPassword ? 'Hide password' : 'Show password'}
+                      >
+                        {showPassword ? <EyeOff size={14} /> : <Eye size={14} />}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              
+                <tr>
+                  <td className="setting-label">API Token</td>
+                  <td className="setting-value">
+                    <div className="password-input-container">
+                      <input
+                        type={showPassword ? 'text' : 'password'}
+                        value={settings.gateway.apiToken}
+                        onChange={(e) => handleInputChange('gateway.apiToken', e.target.value)}
+                        placeholder="Bearer token (alternative to username/password)"
+                        className="setting-input password-input"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        className="password-toggle-btn"
+                        title={showPassword ? 'Hide token' : 'Show token'}
+                      >
+                        {showPassword ? <EyeOff size={14} /> : <Eye size={14} />}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+                </>
+              ) : (
+                <>
+                  <tr>
+                    <td className="setting-label">Token URL</td>
+                    <td className="setting-value">
+                      <input
+                        type="text"
+                        value={settings.gateway.oauth?.tokenUrl || ''}
+                        onChange={(e) => handleInputChange('gateway.oauth.tokenUrl', e.target.value)}
+                        placeholder="https://idp.example.com/oauth2/token"
+                        className="setting-input"
+                      />
+                    </td>
+                  </tr>
+
+                  {settings.gateway.authType === AUTH_TYPES.DEVICE_CODE && (
+                    <tr>
+                      <td className="setting-label">Device Authorization URL</td>
+                      <td className="setting-value">
+                        <input
+                          type="text"
+                          value={settings.gateway.oauth?.deviceAuthorizationUrl || ''}
+                          onChange={(e) => handleInputChange('gateway.oauth.deviceAuthorizationUrl', e.target.value)}
+                          placeholder="https://idp.example.com/oauth2/device/code"
+                          className="setting-input"
+                        />
+                      </td>
+                    </tr>
+                  )}
+
+                  <tr>
+                    <td className="setting-label">Client ID</td>
+                    <td className="setting-value">
+                      <input
+                        type="text"
+                        value={settings.gateway.oauth?.clientId || ''}
+                        onChange={(e) => handleInputChange('gateway.oauth.clientId', e.target.value)}
+                        className="setting-input"
+                      />
+                    </td>
+                  </tr>
+
+                  <tr>
+                    <td className="setting-label">Client Secret</td>
+                    <td className="setting-value">
+                      <div className="password-input-container">
+                        <input
+                          type={showPassword ? 'text' : 'password'}
+                          value={settings.gateway.clientSecret || ''}
+                          onChange={(e) => handleInputChange('gateway.clientSecret', e.target.value)}
+                          placeholder={settings.gateway.authType === AUTH_TYPES.DEVICE_CODE ? 'Only for confidential clients' : ''}
+                          className="setting-input password-input"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setShowPassword(!showPassword)}
+                          className="password-toggle-btn"
+                          title={showPassword ? 'Hide secret' : 'Show secret'}
+                        >
+                          {showPassword ? <EyeOff size={14} /> : <Eye size={14} />}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+
+                  <tr>
+                    <td className="setting-label">Scope / Audience</td>
+                    <td className="setting-value">
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="text"
+                          value={settings.gateway.oauth?.scope || ''}
+                          onChange={(e) => handleInputChange('gateway.oauth.scope', e.target.value)}
+                          placeholder="Scope (optional)"
+                          className="setting-input"
+                        />
+                        <input
+                          type="text"
+                          value={settings.gateway.oauth?.audience || ''}
+                          onChange={(e) => handleInputChange('gateway.oauth.audience', e.target.value)}
+                          placeholder="Audience (optional)"
+                          className="setting-input"
+                        />
+                      </div>
+                    </td>
+                  </tr>
+
+                  <tr>
+                    <td className="setting-label">Token</td>
+                    <td className="setting-value">
+                      <div className="flex items-center gap-2">
+                        <button
+                          type="button"
+                          onClick={handleRequestToken}
+                          className="btn-secondary"
+                          disabled={authState.status === 'authorizing'}
+                        >
+                          {settings.gateway.authType === AUTH_TYPES.DEVICE_CODE ? 'Sign In' : 'Request Token'}
+                        </button>
+                        {(authState.status === 'authenticated' || authState.status === 'authorizing') && (
+                          <button type="button" onClick={handleSignOut} className="btn-secondary">
+                            {authState.status === 'authorizing' ? 'Cancel' : 'Sign Out'}
+                          </button>
+                        )}
+                      </div>
+                      {authState.status === 'authorizing' && authState.userCode && (
+                        <div className="device-login-code">
+                          Open{' '}
+                          <a href={authState.verificationUriComplete || authState.verificationUri} target="_blank" rel="noreferrer">
+                            {authState.verificationUri}
+                          </a>
+                          {' '}and enter <strong>{authState.userCode}</strong>
+                        </div>
+                      )}
+                      <div className={`setting-help ${authState.status === 'error' ? 'text-red-400' : ''}`}>
+                        {getAuthStatusText()}
+                      </div>
+                    </td>
+                  </tr>
+                </>
+              )}
               
               <tr>
-                <td className="setting-label">API Token</td>
+                <td className="setting-label">Credential Storage</td>
                 <td className="setting-value">
-                  <div className="password-input-container">
-                    <input
-                      type={showPassword ? 'text' : 'password'}
-                      value={settings.gateway.apiToken}
-                      onChange={(e) => handleInputChange('gateway.apiToken', e.target.value)}
-                      placeholder="Bearer token (alternative to username/password)"
-                      className="setting-input password-input"
-                    />
-                    <button
-                      type="button"
-                      onClick={() => setShowPassword(!showPassword)}
-                      className="password-toggle-btn"
-                      title={showPassword ? 'Hide token' : 'Show token'}
-                    >
-                      {showPassword ? <EyeOff size={14} /> : <Eye size={14} />}
-                    </button>
+                  <select
+                    value={credentialStatus.mode}
+                    onChange={(e) => handleCredentialStorageChange(e.target.value)}
+                    className="setting-select"
+                  >
+                    <option value="encrypted">Encrypted with a passphrase</option>
+                    <option value="memory">Memory only (never stored)</option>
+                  </select>
+                  <div className="setting-help">
+                    Passwords and API tokens are never written to localStorage in clear text
                   </div>
                 </td>
               </tr>
-              
+
+              {credentialStatus.mode === 'encrypted' && credentialStatus.supported && (
+                <tr>
+                  <td className="setting-label">Passphrase</td>
+                  <td className="setting-value">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="password"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handlePassphraseSubmit()}
+                        placeholder={credentialStatus.unlocked ? 'New passphrase' : 'Passphrase'}
+                        className="setting-input"
+                        autoComplete="new-password"
+                      />
+                      <button type="button" onClick={handlePassphraseSubmit} className="btn-secondary" disabled={!passphrase}>
+                        {credentialStatus.stored && !credentialStatus.unlocked
+                          ? 'Unlock'
+                          : credentialStatus.unlocked ? 'Change' : 'Set'}
+                      </button>
+                      {credentialStatus.unlocked && (
+                        <button type="button" onClick={handleLockCredentials} className="btn-secondary">
+                          Lock
+                        </button>
+                      )}
+                      {credentialStatus.legacySecretsFound && (
+                        <button type="button" onClick={handleDiscardLegacyCredentials} className="btn-secondary" title="Remove the clear-text credentials without encrypting them">
+                          Remove Clear Text
+                        </button>
+                      )}
+                      {credentialStatus.stored && !credentialStatus.unlocked && (
+                        <button type="button" onClick={handleForgetCredentials} className="btn-secondary" title="Forgot the passphrase? Delete the stored credentials">
+                          Forget
+                        </button>
+                      )}
+                    </div>
+                    <div className={`setting-help ${credentialMessage?.type === 'error' ? 'text-red-400' : ''}`}>
+                      {credentialMessage ? credentialMessage.text : getCredentialStatusText()}
+                    </div>
+                  </td>
+                </tr>
+              )}
+
               <tr>
                 <td className="setting-label">Auto Save</td>
                 <td className="setting-value">
@@ -249,6 +736,207 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
                 </td>
               </tr>
 
+              <tr>
+                <td className="setting-label">Max Result Rows</td>
+                <td className="setting-value">
+                  <input
+                    type="number"
+                    min="0"
+                    step="1000"
+                    value={settings.results.maxRows}
+                    onChange={(e) => handleInputChange('results.maxRows', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="setting-input"
+                  />
+                  <div className="setting-help">
+                    Maximum rows kept per statement result (0 = unlimited, the default). Set a limit to bound
+                    the memory of long-running streaming queries; bounded queries are cut off at it too
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">When Limit Is Reached</td>
+                <td className="setting-value">
+                  <select
+                    value={settings.results.overflowPolicy}
+                    onChange={(e) => handleInputChange('results.overflowPolicy', e.target.value)}
+                    className="setting-select"
+                  >
+                    <option value="keep-last">Keep last N rows (ring buffer)</option>
+                    <option value="keep-first">Keep first N rows</option>
+                    <option value="stop">Stop fetching at N rows</option>
+                  </select>
+                  <div className="setting-help">
+                    How unbounded streaming results are trimmed once the row limit is reached
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Result Time Zone</td>
+                <td className="setting-value">
+                  <select
+                    value={settings.results.timeZone}
+                    onChange={(e) => handleInputChange('results.timeZone', e.target.value)}
+                    className="setting-select"
+                  >
+                    <option value="local">Browser time zone</option>
+                    {TIME_ZONES.map(zone => (
+                      <option key={zone} value={zone}>{zone}</option>
+                    ))}
+                  </select>
+                  <div className="setting-help">
+                    TIMESTAMP_LTZ values in results are shown in this time zone
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Record Changelog</td>
+                <td className="setting-value">
+                  <input
+                    type="checkbox"
+                    checked={settings.results.recordChangelog}
+                    onChange={(e) => handleInputChange('results.recordChangelog', e.target.checked)}
+                    className="setting-checkbox"
+                  />
+                  <div className="setting-help">
+                    Keep every +I/-U/+U/-D event of a statement for the Changelog view
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Changelog Event Limit</td>
+                <td className="setting-value">
+                  <input
+                    type="number"
+                    value={settings.results.changelogMaxEvents}
+                    onChange={(e) => handleInputChange('results.changelogMaxEvents', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="setting-input"
+                    min="1000"
+                    max="1000000"
+                    disabled={!settings.results.recordChangelog}
+                  />
+                  <div className="setting-help">
+                    Recording stops after this many events; later events are only counted
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">SQL Keyword Case</td>
+                <td className="setting-value">
+                  <select
+                    value={settings.formatter.keywordCase}
+                    onChange={(e) => handleInputChange('formatter.keywordCase', e.target.value)}
+                    className="setting-select"
+                  >
+                    <option value="upper">UPPER</option>
+                    <option value="lower">lower</option>
+                    <option value="preserve">As written</option>
+                  </select>
+                  <div className="setting-help">
+                    Keyword case applied by Format Document (Shift+Alt+F); identifiers are never changed
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">SQL Indent Size</td>
+                <td className="setting-value">
+                  <input
+                    type="number"
+                    min="1"
+                    max="8"
+                    value={settings.formatter.indentSize}
+                    onChange={(e) => handleInputChange('formatter.indentSize', Math.min(8, Math.max(1, parseInt(e.target.value, 10) || 2)))}
+                    className="setting-input"
+                  />
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Format On Run</td>
+                <td className="setting-value">
+                  <input
+                    type="checkbox"
+                    checked={settings.formatter.formatOnRun}
+                    onChange={(e) => handleInputChange('formatter.formatOnRun', e.target.checked)}
+                    className="setting-checkbox"
+                  />
+                  <div className="setting-help">
+                    Format the statements in the editor before they are executed
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Max Poll Interval (ms)</td>
+                <td className="setting-value">
+                  <input
+                    type="number"
+                    min="0"
+                    step="500"
+                    value={settings.polling.maxIntervalMs}
+                    onChange={(e) => handleInputChange('polling.maxIntervalMs', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="setting-input"
+                  />
+                  <div className="setting-help">
+                    Results are fetched immediately while data flows; idle streams back off up to this interval
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Statement Timeout (s)</td>
+                <td className="setting-value">
+                  <input
+                    type="number"
+                    min="0"
+                    value={settings.polling.timeoutSeconds}
+                    onChange={(e) => handleInputChange('polling.timeoutSeconds', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="setting-input"
+                  />
+                  <div className="setting-help">
+                    Stop fetching and cancel the statement after this long (0 = no timeout)
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Request Timeout (s)</td>
+                <td className="setting-value">
+                  <input
+                    type="number"
+                    min="0"
+                    value={settings.network.requestTimeoutSeconds}
+                    onChange={(e) => handleInputChange('network.requestTimeoutSeconds', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="setting-input"
+                  />
+                  <div className="setting-help">
+                    Abort a single gateway request that takes longer than this (0 = no timeout)
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Request Retries</td>
+                <td className="setting-value">
+                  <input
+                    type="number"
+                    min="0"
+                    max="10"
+                    value={settings.network.retries}
+                    onChange={(e) => handleInputChange('network.retries', Math.min(10, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+                    className="setting-input"
+                  />
+                  <div className="setting-help">
+                    Retries with jittered backoff after 502/503/504, timeouts and network errors. Statement submissions are never retried
+                  </div>
+                </td>
+              </tr>
+
               <tr>
                 <td className="setting-label">Log Level</td>
                 <td className="setting-value">
@@ -324,6 +1012,41 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
                 </td>
               </tr>
               
+              <tr>
+                <td className="setting-label">Session Keep-alive (s)</td>
+                <td className="setting-value">
+                  <input
+                    type="number"
+                    min="0"
+                    step="10"
+                    value={settings.session.heartbeatIntervalSeconds ?? 60}
+                    onChange={(e) => handleInputChange('session.heartbeatIntervalSeconds', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="setting-input"
+                  />
+                  <div className="setting-help">
+                    Heartbeat interval while this tab is visible, so sessions do not hit the gateway idle timeout (0 = off)
+                  </div>
+                </td>
+              </tr>
+
+              <tr>
+                <td className="setting-label">Restore Session State</td>
+                <td className="setting-value">
+                  <select
+                    value={settings.session.replayMode || 'auto'}
+                    onChange={(e) => handleInputChange('session.replayMode', e.target.value)}
+                    className="setting-select"
+                  >
+                    <option value="auto">Automatically</option>
+                    <option value="prompt">Ask first</option>
+                    <option value="off">Never</option>
+                  </select>
+                  <div className="setting-help">
+                    Replays SET, USE, ADD JAR and CREATE TEMPORARY statements when an expired session is replaced
+                  </div>
+                </td>
+              </tr>
+
               <tr>
                 <td className="setting-label">Session Properties</td>
                 <td className="setting-value">
@@ -388,6 +1111,31 @@ const SettingsPanel = ({ onTestConnection, isVisible, onClose }) => {
         </div>
 
         <div className="settings-footer">
+          <div className="footer-actions footer-transfer">
+            <button onClick={handleExportSettings} className="btn-secondary" title="Download settings and connection profiles as JSON">
+              <Download className="w-4 h-4" />
+              Export
+            </button>
+            <label className="export-secrets-option" title="Passwords and tokens are written to the file in clear text">
+              <input
+                type="checkbox"
+                checked={exportSecrets}
+                onChange={(e) => setExportSecrets(e.target.checked)}
+              />
+              Include credentials
+            </label>
+            <button onClick={() => importInputRef.current?.click()} className="btn-secondary" title="Load settings from a JSON export">
+              <Upload className="w-4 h-4" />
+              Import
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json"
+              onChange={handleImportSettings}
+              style={{ display: 'none' }}
+            />
+          </div>
           <div className="footer-actions">
             <button onClick={handleConnect} className="btn-primary">
               Connect
@@ -3,19 +3,57 @@ import Editor from '@monaco-editor/react';
 import { Plus, X } from 'lucide-react';
 import logger from '../utils/logger.js';
 import themeService from '../services/themeService.js';
+import { SHARED_SESSION, METADATA_SESSION, getTabSessionName } from '../services/sessionPool.js';
+import { statementManager, settingsService } from '../services/index.js';
+import sqlCompletionService, { COMPLETION_KINDS } from '../services/sqlCompletionService.js';
+import { FLINK_SQL_KEYWORDS, getStatementAtOffset, splitSqlStatements, classifyStatement } from '../utils/sqlParser.js';
+import { toEditorRange } from '../utils/sqlErrorPosition.js';
+import { formatSql } from '../utils/sqlFormatter.js';
+import StatementOptionsPopover from './StatementOptionsPopover.jsx';
 
 const log = logger.getModuleLogger('SqlEditor');
 
 const TABS_CACHE_KEY = 'flink-sql-editor-tabs';
+const ERROR_MARKER_OWNER = 'flink-sql-errors';
 const CACHE_VERSION = '1.0';
 
-const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref) => {
+// Gutter glyph hover text per statement status
+const STATEMENT_STATUS_LABELS = {
+  running: 'Running',
+  success: 'Succeeded',
+  error: 'Failed'
+};
+// Statements the CodeLens offers to EXPLAIN: queries, INSERT/UPDATE/DELETE and statement sets
+// (EXECUTE PLAN and other EXECUTE forms are DML too, but EXPLAIN does not accept them)
+const EXPLAINABLE_KINDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'EXECUTE_STATEMENT_SET', 'BEGIN_STATEMENT_SET'];
+
+// Session a tab is bound to - tabs without a binding use the shared session
+const getTabSession = (tab) => tab?.sessionName || SHARED_SESSION;
+
+// Short label for the session badge on a tab
+const getSessionLabel = (tab) => {
+  const sessionName = getTabSession(tab);
+  if (sessionName === SHARED_SESSION) return 'shared';
+  if (sessionName === getTabSessionName(tab.id)) return 'own';
+  return sessionName;
+};
+
+const SqlEditor = forwardRef(({ value, onChange, onExecute, onExecuteStatement, isExecuting, sessionInfos = {}, onActiveSessionChange, onActiveChartConfigChange }, ref) => {
   const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const completionSessionRef = useRef(null); // Session of the active tab, used by completion and hover
+  const errorMarkersRef = useRef(new Map()); // tabId -> error markers of its last execution
+  const activeTabIdRef = useRef(null); // For editor actions registered once on mount
+  const executeStatementRef = useRef(onExecuteStatement);
+  const statusDecorationIdsRef = useRef([]); // Gutter status glyphs of the active tab
+  const trackedDecorationIdsRef = useRef([]); // Start offsets of statements queued or running in the active tab
   const [tabs, setTabs] = useState([]);
   const [nextTabId, setNextTabId] = useState(2);
   const [isInitialized, setIsInitialized] = useState(false);
   const [currentTheme, setCurrentTheme] = useState(themeService.getCurrentTheme());
 
+  executeStatementRef.current = onExecuteStatement;
+
   // Map application themes to Monaco Editor themes
   const getMonacoTheme = useCallback((appTheme) => {
     const theme = themeService.getTheme(appTheme);
@@ -119,21 +157,306 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
 
   // Get active tab
   const activeTab = tabs.find(tab => tab.isActive) || tabs[0];
+  const activeSessionName = getTabSession(activeTab);
+  activeTabIdRef.current = activeTab?.id;
+  completionSessionRef.current = {
+    sessionName: activeSessionName,
+    sessionHandle: sessionInfos[activeSessionName]?.sessionHandle || null
+  };
 
-  // Get the query to execute (selected text or full text)
-  const getQueryToExecute = () => {
-    if (!editorRef.current) return activeTab?.content || '';
+  // Tell the parent which session the active tab executes in
+  useEffect(() => {
+    if (onActiveSessionChange) {
+      onActiveSessionChange(activeSessionName);
+    }
+  }, [activeSessionName]); // onActiveSessionChange omitted to avoid re-running on every parent render
+
+  // Tell the parent which chart configuration the active tab saved
+  const activeChartConfig = activeTab?.chartConfig || null;
+  useEffect(() => {
+    if (onActiveChartConfigChange) {
+      onActiveChartConfigChange(activeChartConfig);
+    }
+  }, [activeChartConfig]); // onActiveChartConfigChange omitted to avoid re-running on every parent render
+
+  // Bind a tab to the shared session, a session of its own, or another named session
+  const bindTabSession = (tabId, selection) => {
+    let sessionName = selection;
+    if (selection === '__own__') {
+      sessionName = getTabSessionName(tabId);
+    } else if (selection === '__new__') {
+      const name = prompt('Enter a name for the new session:');
+      if (!name || !name.trim()) return;
+      sessionName = name.trim();
+      if (sessionName === METADATA_SESSION) {
+        log.warn('bindTabSession', 'The metadata session is reserved for catalog and jobs panels');
+        return;
+      }
+    }
     
-    const selection = editorRef.current.getSelection();
-    const selectedText = editorRef.current.getModel().getValueInRange(selection);
+    setTabs(prevTabs =>
+      prevTabs.map(tab =>
+        tab.id === tabId ? { ...tab, sessionName, lastModified: Date.now() } : tab
+      )
+    );
     
-    // If there's selected text, use it; otherwise use the full text
-    return selectedText.trim() || activeTab?.content || '';
+    log.info('bindTabSession', `Tab ${tabId} now uses session: ${sessionName}`);
+  };
+
+  const setTabStatementOptions = (tabId, statementOptions) => {
+    setTabs(prevTabs =>
+      prevTabs.map(tab =>
+        tab.id === tabId ? { ...tab, statementOptions, lastModified: Date.now() } : tab
+      )
+    );
+    log.info('setTabStatementOptions', `Tab ${tabId} execution options updated`, statementOptions);
+  };
+
+  const setTabChartConfig = (tabId, chartConfig) => {
+    setTabs(prevTabs =>
+      prevTabs.map(tab =>
+        tab.id === tabId ? { ...tab, chartConfig, lastModified: Date.now() } : tab
+      )
+    );
+    log.debug('setTabChartConfig', `Tab ${tabId} chart configuration updated`, chartConfig);
+  };
+
+  // Named sessions other tabs can share (excludes the metadata session and per-tab sessions)
+  const namedSessions = Array.from(new Set([
+    ...Object.keys(sessionInfos),
+    ...tabs.map(getTabSession)
+  ])).filter(name => name !== SHARED_SESSION && name !== METADATA_SESSION && !name.startsWith('tab-'));
+
+  // Get the query to execute (selected text or full text)
+  // Text to run and its buffer offset: the trimmed selection, or the whole buffer from offset 0
+  const getQueryRangeToExecute = () => {
+    if (!editorRef.current) return { text: activeTab?.content || '', start: -1 };
+
+    const model = editorRef.current.getModel();
+    const selection = editorRef.current.getSelection();
+    const selectedText = model.getValueInRange(selection);
+    if (selectedText.trim()) {
+      const leading = selectedText.length - selectedText.trimStart().length;
+      return { text: selectedText.trim(), start: model.getOffsetAt(selection.getStartPosition()) + leading };
+    }
+    // Read from the model, which may have just been formatted
+    return { text: model.getValue() || '', start: 0 };
+  };
+
+  const getQueryToExecute = () => getQueryRangeToExecute().text;
+
+  // Show the error markers of a tab (a single model is shared by all tabs)
+  const applyErrorMarkers = (tabId) => {
+    const model = editorRef.current?.getModel();
+    if (model && monacoRef.current) {
+      monacoRef.current.editor.setModelMarkers(model, ERROR_MARKER_OWNER, errorMarkersRef.current.get(tabId) || []);
+    }
+  };
+
+  const jumpToError = () => {
+    const [marker] = errorMarkersRef.current.get(activeTabIdRef.current) || [];
+    if (!marker || !editorRef.current) return false;
+
+    const position = { lineNumber: marker.startLineNumber, column: marker.startColumn };
+    editorRef.current.setPosition(position);
+    editorRef.current.revealPositionInCenter(position);
+    editorRef.current.focus();
+    return true;
+  };
+
+  // Statement containing a buffer offset, or the closest one before it (cursor after a statement's semicolon)
+  const findStatementAt = (offset) => {
+    const statements = splitSqlStatements(editorRef.current?.getModel()?.getValue() || '', { withRanges: true });
+    return statements.find(statement => offset >= statement.start && offset <= statement.end)
+      || [...statements].reverse().find(statement => statement.start <= offset)
+      || statements[0]
+      || null;
+  };
+
+  // Edit replacing the statements that overlap [startOffset, endOffset] with their formatted text; null if already formatted
+  const getFormatEdit = (model, startOffset, endOffset) => {
+    const statements = splitSqlStatements(model.getValue(), { withRanges: true })
+      .filter(statement => statement.end >= startOffset && statement.start <= endOffset);
+    if (statements.length === 0) return null;
+
+    const start = statements[0].start;
+    const end = statements[statements.length - 1].end;
+    const original = model.getValue().slice(start, end);
+    const text = formatSql(original, settingsService.getFormatterOptions());
+    if (text === original) return null;
+
+    const from = model.getPositionAt(start);
+    const to = model.getPositionAt(end);
+    return {
+      range: new monacoRef.current.Range(from.lineNumber, from.column, to.lineNumber, to.column),
+      text
+    };
+  };
+
+  // Apply formatter edits as one undo step
+  const applyFormatEdits = (edits) => {
+    const editor = editorRef.current;
+    if (!editor || edits.length === 0) return;
+    editor.pushUndoStop();
+    editor.executeEdits('flink-sql-formatter', edits);
+    editor.pushUndoStop();
+  };
+
+  // Format what is about to run: the selected text (kept selected) or the whole buffer
+  const formatForRun = () => {
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    if (!model || !monacoRef.current) return;
+
+    const selection = editor.getSelection();
+    const original = selection.isEmpty() ? model.getValue() : model.getValueInRange(selection);
+    if (!original.trim()) return;
+
+    const formatted = formatSql(original, settingsService.getFormatterOptions());
+    if (formatted === original.trim()) return;
+
+    if (selection.isEmpty()) {
+      const trailingNewline = /\n$/.test(original) ? '\n' : '';
+      applyFormatEdits([{ range: model.getFullModelRange(), text: formatted + trailingNewline }]);
+      return;
+    }
+
+    const start = model.getOffsetAt(selection.getStartPosition());
+    applyFormatEdits([{ range: selection, text: formatted }]);
+    const from = model.getPositionAt(start);
+    const to = model.getPositionAt(start + formatted.length);
+    editor.setSelection(new monacoRef.current.Range(from.lineNumber, from.column, to.lineNumber, to.column));
+    log.debug('formatForRun', `Formatted ${formatted.length} characters before running`);
+  };
+
+  const runStatement = (statement, explain = false) => {
+    if (!statement || !executeStatementRef.current) return;
+
+    // Format on run: the statement is read again at its (unchanged) start offset once formatted
+    if (settingsService.getFormatterOptions().formatOnRun) {
+      const model = editorRef.current?.getModel();
+      const edit = model && getFormatEdit(model, statement.start, statement.end);
+      if (edit) {
+        applyFormatEdits([edit]);
+        statement = splitSqlStatements(model.getValue(), { withRanges: true })
+          .find(candidate => candidate.start === statement.start) || statement;
+      }
+    }
+    log.info('runStatement', `${explain ? 'Explaining' : 'Running'} statement at offset ${statement.start}`);
+    executeStatementRef.current(statement.text, { offset: statement.start, explain });
+  };
+
+  // Status glyph in the gutter of a line; older glyphs on the same line are replaced
+  const setStatusGlyph = (range, status, replaceIds = []) => {
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    if (!model || !monacoRef.current) return null;
+
+    const removed = new Set([
+      ...replaceIds,
+      ...statusDecorationIdsRef.current.filter(id => model.getDecorationRange(id)?.startLineNumber === range.startLineNumber)
+    ]);
+    const [id] = editor.deltaDecorations([...removed], [{
+      range,
+      options: {
+        glyphMarginClassName: `statement-status-glyph ${status}`,
+        glyphMarginHoverMessage: { value: STATEMENT_STATUS_LABELS[status] || status },
+        stickiness: monacoRef.current.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+      }
+    }]);
+    statusDecorationIdsRef.current = [...statusDecorationIdsRef.current.filter(existing => !removed.has(existing)), id];
+    return id;
+  };
+
+  const clearStatusGlyphs = () => {
+    if (editorRef.current) {
+      editorRef.current.deltaDecorations([...statusDecorationIdsRef.current, ...trackedDecorationIdsRef.current], []);
+    }
+    statusDecorationIdsRef.current = [];
+    trackedDecorationIdsRef.current = [];
   };
 
   // Expose getQueryToExecute to parent component
   useImperativeHandle(ref, () => ({
     getQueryToExecute,
+    getActiveSessionName: () => activeSessionName,
+    // Execution options set from the toolbar for the active tab
+    getStatementOptions: () => activeTab?.statementOptions || null,
+    // Chart configuration of the results panel, saved with the active tab
+    setChartConfig: (chartConfig) => {
+      if (activeTab) setTabChartConfig(activeTab.id, chartConfig);
+    },
+    getQueryRangeToExecute,
+    // Follow the start offsets of statements about to run through edits; returns one id per offset (null when negative)
+    trackStatements: (offsets) => {
+      const model = editorRef.current?.getModel();
+      if (!model || !monacoRef.current) return offsets.map(() => null);
+
+      const stickiness = monacoRef.current.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges;
+      const valid = offsets.filter(offset => offset >= 0);
+      const ids = editorRef.current.deltaDecorations([], valid.map(offset => {
+        const { lineNumber, column } = model.getPositionAt(offset);
+        return { range: new monacoRef.current.Range(lineNumber, column, lineNumber, column), options: { stickiness } };
+      }));
+      trackedDecorationIdsRef.current = [...trackedDecorationIdsRef.current, ...ids];
+      let next = 0;
+      return offsets.map(offset => (offset >= 0 ? ids[next++] : null));
+    },
+    // Current offset of a tracked statement; -1 once it is gone (e.g. tab switched)
+    getTrackedOffset: (id) => {
+      const model = editorRef.current?.getModel();
+      const range = id && model?.getDecorationRange(id);
+      return range ? model.getOffsetAt({ lineNumber: range.startLineNumber, column: range.startColumn }) : -1;
+    },
+    untrackStatements: (ids) => {
+      const removed = new Set(ids.filter(Boolean));
+      if (removed.size === 0) return;
+      editorRef.current?.deltaDecorations([...removed], []);
+      trackedDecorationIdsRef.current = trackedDecorationIdsRef.current.filter(id => !removed.has(id));
+    },
+    // Mark an error position of the statement starting at statementOffset; returns the marked location
+    showErrorMarker: (statementOffset, sqlPosition, message) => {
+      const model = editorRef.current?.getModel();
+      const monaco = monacoRef.current;
+      if (!model || !monaco || statementOffset < 0 || !sqlPosition) return null;
+
+      const range = model.validateRange(toEditorRange(sqlPosition, model.getPositionAt(statementOffset)));
+      // Single-character positions (parse errors) underline the whole word there
+      const word = range.startLineNumber === range.endLineNumber && range.endColumn - range.startColumn <= 1
+        ? model.getWordAtPosition({ lineNumber: range.startLineNumber, column: range.startColumn })
+        : null;
+      const marker = {
+        severity: monaco.MarkerSeverity.Error,
+        message,
+        source: 'Flink SQL',
+        ...range,
+        ...(word ? { startColumn: word.startColumn, endColumn: word.endColumn } : {})
+      };
+
+      errorMarkersRef.current.set(activeTab?.id, [marker]);
+      applyErrorMarkers(activeTab?.id);
+      log.info('showErrorMarker', `Error marked at line ${marker.startLineNumber}, column ${marker.startColumn}`);
+      return { lineNumber: marker.startLineNumber, column: marker.startColumn, message };
+    },
+    clearErrorMarkers: () => {
+      errorMarkersRef.current.delete(activeTab?.id);
+      applyErrorMarkers(activeTab?.id);
+    },
+    jumpToError,
+    formatForRun,
+    // Gutter status (running/success/error) of the statement starting at offset; returns an id for updateStatementStatus
+    showStatementStatus: (offset, status) => {
+      const model = editorRef.current?.getModel();
+      if (!model || !monacoRef.current || offset < 0) return null;
+
+      const { lineNumber } = model.getPositionAt(offset);
+      return setStatusGlyph(new monacoRef.current.Range(lineNumber, 1, lineNumber, 1), status);
+    },
+    // Follows edits made while the statement ran; null once the glyph is gone (e.g. tab switched)
+    updateStatementStatus: (id, status) => {
+      const range = id && editorRef.current?.getModel()?.getDecorationRange(id);
+      return range ? setStatusGlyph(range, status, [id]) : null;
+    },
     insertSnippet: (snippetText) => {
       if (!editorRef.current) return;
       
@@ -260,6 +583,13 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
     // Immediately save to cache to prevent restoration
     saveTabsToCache(newTabs, nextTabId);
     
+    // A tab's own session is not used by anything else - release it on the gateway
+    if (tabToClose && getTabSession(tabToClose) === getTabSessionName(tabId)) {
+      statementManager.closeSession(getTabSessionName(tabId)).catch(error => {
+        log.warn('closeTab', `Failed to close session of tab ${tabId}: ${error.message}`);
+      });
+    }
+    
     log.info('closeTab', `Closed tab: ${tabToClose?.name}`);
   };
 
@@ -289,6 +619,10 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
       id: nextTabId,
       name: `${tabToDuplicate.name} (Copy)`,
       content: tabToDuplicate.content,
+      sessionName: getTabSession(tabToDuplicate) === getTabSessionName(tabToDuplicate.id)
+        ? getTabSessionName(nextTabId)
+        : tabToDuplicate.sessionName,
+      statementOptions: tabToDuplicate.statementOptions,
       isActive: false,
       createdAt: Date.now(),
       lastModified: Date.now()
@@ -308,6 +642,9 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
   // Effect to handle active tab changes and force layout
   useEffect(() => {
     if (editorRef.current && activeTab) {
+      applyErrorMarkers(activeTab.id);
+      clearStatusGlyphs();
+
       // Small delay to ensure DOM is updated when switching tabs
       setTimeout(() => {
         if (editorRef.current) {
@@ -319,6 +656,7 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
 
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
+    monacoRef.current = monaco;
     
     // Consolidated layout update function
     const updateLayout = () => {
@@ -357,8 +695,17 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
     window.addEventListener('mosaicLayoutChange', handleMosaicResize);
     window.addEventListener('panelStateChange', handleMosaicResize);
     
+    const completionProvider = registerCompletionProvider(monaco);
+    const hoverProvider = registerHoverProvider(monaco);
+    const codeLensProvider = registerCodeLensProvider(editor, monaco);
+    const formattingProviders = registerFormattingProviders(monaco);
+
     // Clean up on unmount
     editor.onDidDispose(() => {
+      completionProvider.dispose();
+      hoverProvider.dispose();
+      codeLensProvider.dispose();
+      formattingProviders.forEach(provider => provider.dispose());
       resizeObserver.disconnect();
       window.removeEventListener('resize', updateLayout);
       window.removeEventListener('mosaicLayoutChange', handleMosaicResize);
@@ -397,7 +744,7 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
       tokenizer: {
         root: [
           // Flink SQL specific keywords
-          [/\b(?:CREATE|DROP|ALTER|INSERT|SELECT|FROM|WHERE|GROUP|ORDER|BY|HAVING|LIMIT|OFFSET|UNION|JOIN|LEFT|RIGHT|INNER|OUTER|ON|AS|DISTINCT|COUNT|SUM|AVG|MIN|MAX|CASE|WHEN|THEN|ELSE|END|IF|EXISTS|NOT|NULL|TRUE|FALSE|AND|OR|IN|BETWEEN|LIKE|IS|TABLE|VIEW|DATABASE|SCHEMA|INDEX|PRIMARY|KEY|FOREIGN|REFERENCES|CONSTRAINT|UNIQUE|CHECK|DEFAULT|AUTO_INCREMENT|TIMESTAMP|DATE|TIME|DATETIME|VARCHAR|CHAR|TEXT|INT|INTEGER|BIGINT|SMALLINT|TINYINT|DECIMAL|FLOAT|DOUBLE|BOOLEAN|BLOB|CLOB|WITH|CONNECTOR|FORMAT|PATH|WATERMARK|FOR|SYSTEM_TIME|AS|OF|PROCTIME|ROWTIME)\b/i, 'keyword'],
+          [new RegExp(`\\b(?:${FLINK_SQL_KEYWORDS.join('|')})\\b`, 'i'), 'keyword'],
           
           // Strings
           [/'([^'\\]|\\.)*$/, 'string.invalid'],
@@ -447,6 +794,22 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
       }
     });
 
+    editor.addAction({
+      id: 'flink-sql.run-statement-at-cursor',
+      label: 'Run Statement at Cursor',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.Enter],
+      contextMenuGroupId: 'navigation',
+      run: (ed) => runStatement(findStatementAt(ed.getModel().getOffsetAt(ed.getPosition())))
+    });
+
+    // Error markers are also reachable with Monaco's F8 (next problem)
+    editor.addAction({
+      id: 'flink-sql.jump-to-error',
+      label: 'Jump to SQL Error',
+      contextMenuGroupId: 'navigation',
+      run: () => jumpToError()
+    });
+
     // Add keyboard shortcut for new tab
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyT, () => {
       addTab();
@@ -464,6 +827,118 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
     editor.focus();
   };
 
+  // Completion for the statement under the cursor: gateway candidates (API v2) or keywords, plus catalog metadata
+  const registerCompletionProvider = (monaco) => {
+    const itemKinds = {
+      [COMPLETION_KINDS.KEYWORD]: monaco.languages.CompletionItemKind.Keyword,
+      [COMPLETION_KINDS.CATALOG]: monaco.languages.CompletionItemKind.Module,
+      [COMPLETION_KINDS.DATABASE]: monaco.languages.CompletionItemKind.Folder,
+      [COMPLETION_KINDS.TABLE]: monaco.languages.CompletionItemKind.Class,
+      [COMPLETION_KINDS.COLUMN]: monaco.languages.CompletionItemKind.Field,
+      [COMPLETION_KINDS.FUNCTION]: monaco.languages.CompletionItemKind.Function,
+      [COMPLETION_KINDS.IDENTIFIER]: monaco.languages.CompletionItemKind.Variable
+    };
+
+    return monaco.languages.registerCompletionItemProvider('sql', {
+      triggerCharacters: ['.'],
+      provideCompletionItems: async (model, position, context, token) => {
+        const word = model.getWordUntilPosition(position);
+        const wordOffset = model.getOffsetAt({ lineNumber: position.lineNumber, column: word.startColumn });
+        const { statement, start } = getStatementAtOffset(model.getValue(), wordOffset);
+
+        const result = await sqlCompletionService.getCompletions(
+          statement,
+          wordOffset - start,
+          completionSessionRef.current,
+          token
+        );
+        if (!result) {
+          return { suggestions: [] };
+        }
+
+        const range = {
+          startLineNumber: position.lineNumber,
+          endLineNumber: position.lineNumber,
+          startColumn: word.startColumn,
+          endColumn: word.endColumn
+        };
+        return {
+          suggestions: result.items.map(item => ({
+            label: item.label,
+            kind: itemKinds[item.kind],
+            insertText: item.label,
+            detail: item.detail || item.kind,
+            range
+          }))
+        };
+      }
+    });
+  };
+
+  // Column types when hovering a table or column name of the statement under the cursor
+  const registerHoverProvider = (monaco) => monaco.languages.registerHoverProvider('sql', {
+    provideHover: async (model, position) => {
+      const word = model.getWordAtPosition(position);
+      if (!word) {
+        return null;
+      }
+
+      const offset = model.getOffsetAt(position);
+      const { statement } = getStatementAtOffset(model.getValue(), offset);
+      const contents = await sqlCompletionService.getHover(word.word, statement, completionSessionRef.current);
+      if (!contents) {
+        return null;
+      }
+
+      return {
+        range: new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn),
+        contents: contents.map(value => ({ value }))
+      };
+    }
+  });
+
+  // Format Document (Shift+Alt+F) and Format Selection, which formats the statements the selection touches
+  const registerFormattingProviders = (monaco) => [
+    monaco.languages.registerDocumentFormattingEditProvider('sql', {
+      provideDocumentFormattingEdits: (model) => {
+        const original = model.getValue();
+        if (!original.trim()) return [];
+        const trailingNewline = /\n$/.test(original) ? '\n' : '';
+        const text = formatSql(original, settingsService.getFormatterOptions()) + trailingNewline;
+        return text === original ? [] : [{ range: model.getFullModelRange(), text }];
+      }
+    }),
+    monaco.languages.registerDocumentRangeFormattingEditProvider('sql', {
+      provideDocumentRangeFormattingEdits: (model, range) => {
+        const edit = getFormatEdit(model, model.getOffsetAt(range.getStartPosition()), model.getOffsetAt(range.getEndPosition()));
+        return edit ? [edit] : [];
+      }
+    })
+  ];
+
+  // "Run | Explain" above every statement of the buffer
+  const registerCodeLensProvider = (editor, monaco) => {
+    // Lenses carry the statement's start offset; the text is read again when clicked
+    const runCommand = editor.addCommand(0, (_accessor, start, explain) => {
+      const statements = splitSqlStatements(editor.getModel().getValue(), { withRanges: true });
+      runStatement(statements.find(statement => statement.start === start), explain);
+    });
+
+    return monaco.languages.registerCodeLensProvider('sql', {
+      provideCodeLenses: (model) => {
+        const lenses = splitSqlStatements(model.getValue(), { withRanges: true }).flatMap(statement => {
+          const { lineNumber } = model.getPositionAt(statement.start);
+          const range = new monaco.Range(lineNumber, 1, lineNumber, 1);
+          const run = { range, command: { id: runCommand, title: '▶ Run', arguments: [statement.start, false] } };
+          return EXPLAINABLE_KINDS.includes(classifyStatement(statement.text).kind)
+            ? [run, { range, command: { id: runCommand, title: 'Explain', arguments: [statement.start, true] } }]
+            : [run];
+        });
+        return { lenses, dispose: () => {} };
+      }
+    });
+  };
+
   // Handle execution with selection support
   const handleExecute = () => {
     const queryToExecute = getQueryToExecute();
@@ -515,6 +990,12 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
               >
                 {tab.name}
               </span>
+              <span
+                className={`tab-session-badge ${sessionInfos[getTabSession(tab)]?.isActive ? 'active' : ''}`}
+                title={`Session: ${getTabSession(tab)}\n${sessionInfos[getTabSession(tab)]?.sessionHandle || 'Not started yet'}`}
+              >
+                {getSessionLabel(tab)}
+              </span>
               {tabs.length > 1 && (
                 <button
                   className="tab-close"
@@ -534,6 +1015,27 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
             <Plus className="w-4 h-4" />
           </button>
         </div>
+        {activeTab && (
+          <select
+            className="tab-session-select"
+            value={activeSessionName === getTabSessionName(activeTab.id) ? '__own__' : activeSessionName}
+            onChange={(e) => bindTabSession(activeTab.id, e.target.value)}
+            title="Session used by this tab"
+          >
+            <option value={SHARED_SESSION}>Shared session</option>
+            <option value="__own__">Own session</option>
+            {namedSessions.map(name => (
+              <option key={name} value={name}>Session: {name}</option>
+            ))}
+            <option value="__new__">New named session…</option>
+          </select>
+        )}
+        {activeTab && (
+          <StatementOptionsPopover
+            options={activeTab.statementOptions}
+            onChange={(statementOptions) => setTabStatementOptions(activeTab.id, statementOptions)}
+          />
+        )}
       </div>
 
       {/* Editor */}
@@ -557,7 +1059,7 @@ const SqlEditor = forwardRef(({ value, onChange, onExecute, isExecuting }, ref)
             wordWrap: 'on',
             contextmenu: true,
             selectOnLineNumbers: true,
-            glyphMargin: false,
+            glyphMargin: true,
             folding: true,
             foldingHighlight: true,
             showFoldingControls: 'always',
@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import {
+  ROW_FORMATS,
+  EMPTY_STATEMENT_OPTIONS,
+  parseConfigText,
+  formatConfigText,
+  parseDurationMs,
+  parseColumnList,
+  hasStatementOptions
+} from '../utils/statementOptions.js';
+
+// Format milliseconds for the timeout field ('90s', '5m')
+const formatDuration = (ms) => {
+  if (!ms) return '';
+  if (ms % 60000 === 0) return `${ms / 60000}m`;
+  if (ms % 1000 === 0) return `${ms / 1000}s`;
+  return `${ms}ms`;
+};
+
+// Toolbar popover for the execution options of the active editor tab
+const StatementOptionsPopover = ({ options, onChange }) => {
+  const current = options || EMPTY_STATEMENT_OPTIONS;
+  const [isOpen, setIsOpen] = useState(false);
+  const [configText, setConfigText] = useState('');
+  const [timeoutText, setTimeoutText] = useState('');
+  const [rowFormat, setRowFormat] = useState(current.rowFormat);
+  const [upsertKeyText, setUpsertKeyText] = useState('');
+  const [timeoutError, setTimeoutError] = useState(null);
+  const containerRef = useRef(null);
+
+  // Load the tab's options whenever the popover opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setConfigText(formatConfigText(current.executionConfig));
+    setTimeoutText(formatDuration(current.executionTimeout));
+    setRowFormat(current.rowFormat || EMPTY_STATEMENT_OPTIONS.rowFormat);
+    setUpsertKeyText((current.upsertKey || []).join(', '));
+    setTimeoutError(null);
+  }, [isOpen]); // current omitted - edits in progress should not be reset by re-renders
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleApply = () => {
+    const executionTimeout = timeoutText.trim() ? parseDurationMs(timeoutText) : null;
+    if (timeoutText.trim() && executionTimeout === null) {
+      setTimeoutError('Use a duration such as 90s, 5m or 1h');
+      return;
+    }
+
+    onChange({
+      executionConfig: parseConfigText(configText),
+      executionTimeout,
+      rowFormat,
+      upsertKey: parseColumnList(upsertKeyText)
+    });
+    setIsOpen(false);
+  };
+
+  const handleReset = () => {
+    onChange({ ...EMPTY_STATEMENT_OPTIONS });
+    setIsOpen(false);
+  };
+
+  const isCustomized = hasStatementOptions(current);
+
+  return (
+    <div className="statement-options" ref={containerRef}>
+      <button
+        className={`statement-options-button ${isCustomized ? 'customized' : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        title="Execution options for statements run from this tab"
+      >
+        <SlidersHorizontal className="w-3 h-3" />
+        Options
+        {isCustomized && <span className="statement-options-dot" />}
+      </button>
+
+      {isOpen && (
+        <div className="statement-options-popover">
+          <label className="statement-options-label">Execution config</label>
+          <textarea
+            value={configText}
+            onChange={(e) => setConfigText(e.target.value)}
+            placeholder={'table.exec.mini-batch.enabled=true\npipeline.name=my-job'}
+            rows={4}
+            className="statement-options-input"
+          />
+
+          <label className="statement-options-label">Execution timeout</label>
+          <input
+            type="text"
+            value={timeoutText}
+            onChange={(e) => { setTimeoutText(e.target.value); setTimeoutError(null); }}
+            placeholder="Gateway default (e.g. 90s, 5m)"
+            className="statement-options-input"
+          />
+          {timeoutError && <div className="statement-options-error">{timeoutError}</div>}
+
+          <label className="statement-options-label">Row format</label>
+          <select
+            value={rowFormat}
+            onChange={(e) => setRowFormat(e.target.value)}
+            className="statement-options-input"
+          >
+            {ROW_FORMATS.map(format => (
+              <option key={format} value={format}>{format}</option>
+            ))}
+          </select>
+
+          <label className="statement-options-label">Upsert key</label>
+          <input
+            type="text"
+            value={upsertKeyText}
+            onChange={(e) => setUpsertKeyText(e.target.value)}
+            placeholder="Full rows (e.g. user_id, region)"
+            title="Result columns that identify a row, so updates replace it in place. The gateway does not report keys."
+            className="statement-options-input"
+          />
+
+          <div className="statement-options-help">
+            Statements can override these with comment hints: <code>-- @config key=value</code>,{' '}
+            <code>-- @timeout 5m</code>, <code>-- @rowFormat PLAIN_TEXT</code>, <code>-- @upsertKey id</code>
+          </div>
+
+          <div className="statement-options-actions">
+            <button onClick={handleReset} className="btn-secondary btn-compact">Reset</button>
+            <button onClick={handleApply} className="btn-primary btn-compact">Apply</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatementOptionsPopover;
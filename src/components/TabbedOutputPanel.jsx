@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { FileText, Bug, AlertCircle } from 'lucide-react';
+import { FileText, Bug, AlertCircle, LineChart } from 'lucide-react';
 import ResultsDisplay from './ResultsDisplay';
+import ResultsChart from './ResultsChart';
 import DebugPanel from './DebugPanel';
 import { createModuleLogger } from '../utils/logger.js';
 
@@ -10,6 +11,11 @@ const TabbedOutputPanel = ({
   // Results props
   result, 
   isExecuting,
+  errorLocation,
+  onJumpToError,
+  // Chart props (configuration of the active editor tab)
+  chartConfig,
+  onChartConfigChange,
   // Debug props  
   debugLogs = [], 
   onClearLogs 
@@ -70,6 +76,14 @@ const TabbedOutputPanel = ({
             )}
           </button>
           
+          <button
+            className={`output-tab ${activeTab === 'chart' ? 'active' : ''}`}
+            onClick={() => setActiveTab('chart')}
+          >
+            <LineChart className="w-4 h-4" />
+            Chart
+          </button>
+          
           <button
             className={`output-tab ${activeTab === 'debug' ? 'active' : ''}`}
             onClick={() => setActiveTab('debug')}
@@ -104,6 +118,18 @@ const TabbedOutputPanel = ({
             <ResultsDisplay 
               result={result} 
               isExecuting={isExecuting} 
+              errorLocation={errorLocation}
+              onJumpToError={onJumpToError}
+            />
+          </div>
+        )}
+        
+        {activeTab === 'chart' && (
+          <div className="tab-pane active">
+            <ResultsChart
+              result={result}
+              config={chartConfig}
+              onConfigChange={onChartConfigChange}
             />
           </div>
         )}
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Plus, X } from 'lucide-react';
+import variablesService from '../services/variablesService.js';
+import { settingsService } from '../services/index.js';
+import { findVariables, VARIABLE_NAME_PATTERN } from '../utils/sqlVariables.js';
+import { parseVariableDirectives } from '../utils/sqlParser.js';
+
+const toRows = (variables) => Object.entries(variables).map(([name, value]) => ({ name, value }));
+
+// Rows with a valid name, later duplicates winning
+const toVariables = (rows) => Object.fromEntries(
+  rows.filter(row => VARIABLE_NAME_PATTERN.test(row.name.trim())).map(row => [row.name.trim(), row.value])
+);
+
+// Editable name = value list
+const VariableRows = ({ rows, onChange }) => {
+  const updateRow = (index, field, value) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  return (
+    <div className="variables-rows">
+      {rows.map((row, index) => (
+        <div key={index} className="variables-row">
+          <input
+            type="text"
+            value={row.name}
+            onChange={(e) => updateRow(index, 'name', e.target.value)}
+            placeholder="name"
+            className={`variables-input ${row.name && !VARIABLE_NAME_PATTERN.test(row.name.trim()) ? 'invalid' : ''}`}
+          />
+          <input
+            type="text"
+            value={row.value}
+            onChange={(e) => updateRow(index, 'value', e.target.value)}
+            placeholder="value"
+            className="variables-input"
+          />
+          <button
+            onClick={() => onChange(rows.filter((_, i) => i !== index))}
+            className="variables-remove"
+            title="Remove variable"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      ))}
+      <button onClick={() => onChange([...rows, { name: '', value: '' }])} className="variables-add">
+        <Plus className="w-3 h-3" />
+        Add variable
+      </button>
+    </div>
+  );
+};
+
+// Values for ${name} placeholders: workspace and profile variables, and what the editor script uses
+const VariablesPanel = ({ script = '' }) => {
+  const [workspaceRows, setWorkspaceRows] = useState(() => toRows(variablesService.getVariables()));
+  const [profileRows, setProfileRows] = useState(() => toRows(variablesService.getProfileVariables()));
+  const [profile, setProfile] = useState(() => settingsService.getActiveProfile());
+  const [values, setValues] = useState(() => variablesService.getValues(script));
+
+  const profileIdRef = useRef(profile?.id);
+
+  // Another profile brings its own variables; rows being edited are otherwise kept as typed
+  useEffect(() => {
+    const handleChange = () => {
+      const activeProfile = settingsService.getActiveProfile();
+      if (activeProfile?.id !== profileIdRef.current) {
+        profileIdRef.current = activeProfile?.id;
+        setProfileRows(toRows(variablesService.getProfileVariables()));
+      }
+      setProfile(activeProfile);
+      setValues(variablesService.getValues(script));
+    };
+
+    setValues(variablesService.getValues(script));
+    variablesService.addListener(handleChange);
+    return () => variablesService.removeListener(handleChange);
+  }, [script]);
+
+  const handleWorkspaceChange = (rows) => {
+    setWorkspaceRows(rows);
+    variablesService.setVariables(toVariables(rows));
+  };
+
+  const handleProfileChange = (rows) => {
+    setProfileRows(rows);
+    variablesService.setProfileVariables(toVariables(rows));
+  };
+
+  const directives = parseVariableDirectives(script);
+  const used = findVariables(script);
+
+  return (
+    <div className="variables-panel-content">
+      <div className="variables-panel-body">
+        <div className="variables-section-title">In this script</div>
+        {used.length === 0 ? (
+          <div className="variables-help">
+            Use <code>{'${name}'}</code> in the editor; define values below or with <code>-- @set name=value</code>
+          </div>
+        ) : (
+          <div className="variables-usage">
+            {used.map(name => (
+              <div key={name} className="variables-usage-row" title={values[name] ?? 'Prompted when run'}>
+                <span className="variables-usage-name">{name}</span>
+                {name in values ? (
+                  <span className="variables-usage-value">
+                    {values[name]}
+                    {name in directives && <span className="variables-usage-source"> (@set)</span>}
+                  </span>
+                ) : (
+                  <span className="variables-usage-missing">unset - prompted when run</span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="variables-section-title">Workspace</div>
+        <VariableRows rows={workspaceRows} onChange={handleWorkspaceChange} />
+
+        <div className="variables-section-title">Profile: {profile?.name || 'none'}</div>
+        <VariableRows rows={profileRows} onChange={handleProfileChange} />
+      </div>
+    </div>
+  );
+};
+
+export default VariablesPanel;
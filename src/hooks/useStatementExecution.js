@@ -7,8 +7,10 @@ const log = createModuleLogger('useStatementExecution');
 /**
  * Custom hook for managing statement execution with isolated state
  * Each component using this hook gets its own statement execution context
+ * hookOptions.sessionName sets the default session from the pool for every execution
  */
-export function useStatementExecution(componentName = 'unknown') {
+export function useStatementExecution(componentName = 'unknown', hookOptions = {}) {
+  const defaultSessionName = hookOptions.sessionName || null;
   const [isExecuting, setIsExecuting] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
@@ -31,8 +33,17 @@ export function useStatementExecution(componentName = 'unknown') {
   }, [cleanup]);
 
   // Execute SQL statement with isolated state management
+  // options.resume takes a saved statement (from statementManager.getResumableStatements) to reattach to instead of submitting
+  // options.statementOptions sets executionConfig/executionTimeout/rowFormat/upsertKey defaults (statement hints override them)
   const executeSQL = useCallback(async (statement, options = {}) => {
-    const { silent = false, statementId = null } = options;
+    const {
+      silent = false,
+      statementId = null,
+      bufferPolicy = null,
+      resume = null,
+      sessionName = defaultSessionName,
+      statementOptions = null
+    } = options;
     
     if (!statement?.trim()) {
       throw new Error('No SQL statement provided');
@@ -93,6 +104,9 @@ export function useStatementExecution(componentName = 'unknown') {
           let columns = [];
           let resultType = null;
           let resultKind = null;
+          let lastChange = null;
+          let buffer = null;
+          let changelog = null;
           
           if (event.type === 'lifecycle') {
             // Lifecycle events from StatementManager
@@ -102,6 +116,9 @@ export function useStatementExecution(componentName = 'unknown') {
               columns = event.result.state.columns || [];
               resultType = event.result.state.resultType;
               resultKind = event.result.state.resultKind;
+              lastChange = event.result.state.lastChange || null;
+              buffer = event.result.state.buffer || null;
+              changelog = event.result.state.changelog || null;
             } else {
               // Other lifecycle events (started, error, cancelled) - ignore for UI updates
               log.debug('observer', `Ignoring lifecycle event`, { 
@@ -117,6 +134,9 @@ export function useStatementExecution(componentName = 'unknown') {
             columns = event.state.columns || [];
             resultType = event.state.resultType;
             resultKind = event.state.resultKind;
+            lastChange = event.state.lastChange || null;
+            buffer = event.state.buffer || null;
+            changelog = event.state.changelog || null;
             log.debug('observer', `Processing incremental update`, {
               componentName,
               rowCount: results.length,
@@ -135,6 +155,9 @@ export function useStatementExecution(componentName = 'unknown') {
             columns = event.state.columns || [];
             resultType = event.state.resultType;
             resultKind = event.state.resultKind;
+            lastChange = event.state.lastChange || null;
+            buffer = event.state.buffer || null;
+            changelog = event.state.changelog || null;
           } else {
             // Unknown event type - ignore
             log.debug('observer', `Ignoring unknown event`, { 
@@ -162,6 +185,9 @@ export function useStatementExecution(componentName = 'unknown') {
             timestamp: event.timestamp,
             operationHandle: event.operationHandle,
             statementId: event.statementId,
+            lastChange: lastChange,
+            buffer: buffer,
+            changelog: changelog,
             isExecuting: executionState === 'RUNNING'
           };
 
@@ -218,8 +244,14 @@ export function useStatementExecution(componentName = 'unknown') {
         });
       }
 
-      // Execute the statement
-      const executionResult = await statementManager.executeSQL(statement, newStatementId);
+      // Execute the statement (or reattach to the saved one); user-facing statements are persisted so they survive a reload
+      const managerOptions = { resumable: !silent };
+      if (bufferPolicy) managerOptions.bufferPolicy = bufferPolicy;
+      if (sessionName) managerOptions.sessionName = sessionName;
+      if (statementOptions) managerOptions.statementOptions = statementOptions;
+      const executionResult = resume
+        ? await statementManager.resumeStatement({ ...resume, statementId: newStatementId }, managerOptions)
+        : await statementManager.executeSQL(statement, newStatementId, managerOptions);
       
       log.info('executeStatement', `Statement execution completed`, { 
         componentName, 
@@ -239,7 +271,7 @@ export function useStatementExecution(componentName = 'unknown') {
       cleanup();
       throw err;
     }
-  }, [componentName, cleanup]);
+  }, [componentName, defaultSessionName, cleanup]);
 
   // Cancel current statement
   const cancelExecution = useCallback(async () => {
@@ -263,6 +295,15 @@ export function useStatementExecution(componentName = 'unknown') {
     }
   }, [componentName, cleanup]);
 
+  // Reattach to a statement that was running before the page was reloaded
+  const resumeExecution = useCallback((savedStatement, options = {}) => {
+    return executeSQL(savedStatement.statement, {
+      ...options,
+      statementId: savedStatement.statementId,
+      resume: savedStatement
+    });
+  }, [executeSQL]);
+
   // Get current statement info
   const getStatementInfo = useCallback(() => {
     if (currentStatementIdRef.current) {
@@ -273,6 +314,7 @@ export function useStatementExecution(componentName = 'unknown') {
 
   return {
     executeSQL,
+    resumeExecution,
     cancelExecution,
     getStatementInfo,
     isExecuting,
@@ -7,6 +7,7 @@ import ExecutionHistory from '../components/ExecutionHistory';
 import CatalogPanel from '../components/CatalogPanel';
 import JobsPanel from '../components/JobsPanel';
 import SnippetsPanel from '../components/SnippetsPanel';
+import VariablesPanel from '../components/VariablesPanel';
 import SessionInfo from '../components/SessionInfo';
 import DebugPanel from '../components/DebugPanel';
 import TabbedOutputPanel from '../components/TabbedOutputPanel';
@@ -20,6 +21,7 @@ export const MOSAIC_PANELS = {
   CATALOGS: 'catalogs',
   JOBS: 'jobs',
   SNIPPETS: 'snippets',
+  VARIABLES: 'variables',
   SESSION: 'session'
 };
 
@@ -38,8 +40,13 @@ const DEFAULT_LAYOUT = {
     second: {
       direction: 'column',
       first: MOSAIC_PANELS.SNIPPETS,
-      second: MOSAIC_PANELS.HISTORY,
-      splitPercentage: 50
+      second: {
+        direction: 'column',
+        first: MOSAIC_PANELS.VARIABLES,
+        second: MOSAIC_PANELS.HISTORY,
+        splitPercentage: 50
+      },
+      splitPercentage: 34
     },
     splitPercentage: 50
   },
@@ -53,12 +60,18 @@ const DEFAULT_LAYOUT = {
   splitPercentage: 25
 };
 
+// Panel ids of a layout tree
+const getLayoutPanels = (node) => (
+  typeof node === 'string' ? [node] : [...getLayoutPanels(node.first), ...getLayoutPanels(node.second)]
+);
+
 const MosaicLayout = ({ 
   // Editor props
   sqlEditorRef,
   query,
   setQuery,
   executeSelectedQuery,
+  executeEditorStatement,
   executeBatchQueries,
   stopExecution,
   isMainExecuting,
@@ -67,12 +80,20 @@ const MosaicLayout = ({
   
   // Results and History props
   mainResult,
+  editorError,
+  onJumpToError,
   history,
   handleSelectExecution,
   handleClearHistory,
+  chartConfig,
+  setChartConfig,
+  onChartConfigChange,
   
   // Session and catalog props
   sessionInfo,
+  sessionInfos,
+  activeSessionName,
+  setActiveSessionName,
   handleSnippetInsert,
   
   // Debug logs
@@ -85,7 +106,12 @@ const MosaicLayout = ({
     const cached = localStorage.getItem(LAYOUT_CACHE_KEY);
     if (cached) {
       try {
-        return JSON.parse(cached);
+        // Layouts saved before a panel was added fall back to the default
+        const layout = JSON.parse(cached);
+        const panels = getLayoutPanels(layout);
+        if (getLayoutPanels(DEFAULT_LAYOUT).every(panel => panels.includes(panel))) {
+          return layout;
+        }
       } catch (e) {
         // Ignore parse errors
       }
@@ -152,15 +178,24 @@ const MosaicLayout = ({
         second: {
           direction: 'column',
           first: MOSAIC_PANELS.SNIPPETS,
-          second: MOSAIC_PANELS.HISTORY,
+          second: {
+            direction: 'column',
+            first: MOSAIC_PANELS.VARIABLES,
+            second: MOSAIC_PANELS.HISTORY,
+            splitPercentage: calculateSplitPercentage(
+              collapsedSet.has(MOSAIC_PANELS.VARIABLES),
+              collapsedSet.has(MOSAIC_PANELS.HISTORY)
+            )
+          },
           splitPercentage: calculateSplitPercentage(
             collapsedSet.has(MOSAIC_PANELS.SNIPPETS),
-            collapsedSet.has(MOSAIC_PANELS.HISTORY)
+            collapsedSet.has(MOSAIC_PANELS.VARIABLES) && collapsedSet.has(MOSAIC_PANELS.HISTORY),
+            34
           )
         },
         splitPercentage: calculateSplitPercentage(
           collapsedSet.has(MOSAIC_PANELS.CATALOGS) && collapsedSet.has(MOSAIC_PANELS.JOBS),
-          collapsedSet.has(MOSAIC_PANELS.SNIPPETS) && collapsedSet.has(MOSAIC_PANELS.HISTORY)
+          collapsedSet.has(MOSAIC_PANELS.SNIPPETS) && collapsedSet.has(MOSAIC_PANELS.VARIABLES) && collapsedSet.has(MOSAIC_PANELS.HISTORY)
         )
       },
       second: {
@@ -178,6 +213,7 @@ const MosaicLayout = ({
         collapsedSet.has(MOSAIC_PANELS.CATALOGS) && 
         collapsedSet.has(MOSAIC_PANELS.JOBS) && 
         collapsedSet.has(MOSAIC_PANELS.SNIPPETS) && 
+        collapsedSet.has(MOSAIC_PANELS.VARIABLES) && 
         collapsedSet.has(MOSAIC_PANELS.HISTORY), // All left panels collapsed
         collapsedSet.has(MOSAIC_PANELS.EDITOR) && 
         collapsedSet.has(MOSAIC_PANELS.OUTPUT), // All right panels collapsed
@@ -266,7 +302,11 @@ const MosaicLayout = ({
                     value={query}
                     onChange={setQuery}
                     onExecute={executeSelectedQuery}
+                    onExecuteStatement={executeEditorStatement}
                     isExecuting={isMainExecuting || isBatchExecuting}
+                    sessionInfos={sessionInfos}
+                    onActiveSessionChange={setActiveSessionName}
+                    onActiveChartConfigChange={setChartConfig}
                   />
                 </div>
               </>
@@ -281,6 +321,10 @@ const MosaicLayout = ({
               <TabbedOutputPanel
                 result={mainResult}
                 isExecuting={isMainExecuting || isBatchExecuting}
+                errorLocation={editorError}
+                onJumpToError={onJumpToError}
+                chartConfig={chartConfig}
+                onChartConfigChange={onChartConfigChange}
                 debugLogs={debugLogs}
                 onClearLogs={handleClearDebugLogs}
               />
@@ -304,7 +348,7 @@ const MosaicLayout = ({
       case MOSAIC_PANELS.CATALOGS:
         return (
           <div className={`mosaic-panel-content ${isCollapsed ? 'collapsed' : ''}`}>
-            {!isCollapsed && <CatalogPanel {...commonProps} />}
+            {!isCollapsed && <CatalogPanel {...commonProps} editorSessionName={activeSessionName} />}
           </div>
         );
 
@@ -327,10 +371,22 @@ const MosaicLayout = ({
           </div>
         );
 
+      case MOSAIC_PANELS.VARIABLES:
+        return (
+          <div className={`mosaic-panel-content ${isCollapsed ? 'collapsed' : ''}`}>
+            {!isCollapsed && <VariablesPanel script={query} />}
+          </div>
+        );
+
       case MOSAIC_PANELS.SESSION:
         return (
           <div className={`mosaic-panel-content ${isCollapsed ? 'collapsed' : ''}`}>
-            {!isCollapsed && <SessionInfo sessionInfo={sessionInfo} />}
+            {!isCollapsed && (
+              <SessionInfo
+                sessionInfo={sessionInfos?.[activeSessionName] || sessionInfo}
+                sessionInfos={sessionInfos}
+              />
+            )}
           </div>
         );
 
@@ -339,20 +395,29 @@ const MosaicLayout = ({
     }
   }, [
     sessionInfo,
+    sessionInfos,
+    activeSessionName,
+    setActiveSessionName,
     handleSnippetInsert,
     sqlEditorRef,
     query,
     setQuery,
     executeSelectedQuery,
+    executeEditorStatement,
     executeBatchQueries,
     stopExecution,
     isMainExecuting,
     isBatchExecuting,
     batchProgress,
     mainResult,
+    editorError,
+    onJumpToError,
     history,
     handleSelectExecution,
     handleClearHistory,
+    chartConfig,
+    setChartConfig,
+    onChartConfigChange,
     debugLogs,
     handleClearDebugLogs,
     collapsedPanels,
@@ -376,6 +441,8 @@ const MosaicLayout = ({
         return 'Jobs';
       case MOSAIC_PANELS.SNIPPETS:
         return 'Snippets';
+      case MOSAIC_PANELS.VARIABLES:
+        return 'Variables';
       case MOSAIC_PANELS.SESSION:
         return 'Session';
       default:
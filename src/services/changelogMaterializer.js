@@ -0,0 +1,307 @@
+/**
+ * ChangelogMaterializer - Folds a Flink changelog stream into a materialized table
+ * Keeps a hash index from row key to row slot so retractions (UPDATE_BEFORE / DELETE)
+ * are applied in O(1) instead of scanning the whole result set. Slots know their position
+ * in the view array, so upserts patch that array in place and removals leave a hole.
+ *
+ * The view array itself is published: it is patched in place rather than copied, and every
+ * publish that changed it comes with a change list (see getChanges) so observers can follow
+ * the rows without diffing or copying them.
+ *
+ * Rows are keyed on their full field list by default. When an upsert key is given
+ * (the gateway does not report one), rows are keyed on those columns only and
+ * UPDATE_AFTER replaces the existing row in place.
+ *
+ * The view can be bounded to `maxRows` with one of the BUFFER_POLICIES:
+ * - keep-first: rows beyond the cap are dropped, retractions still apply to kept rows
+ * - keep-last:  ring buffer, the oldest row is evicted for every row beyond the cap
+ * - stop:       the view is marked full so the caller can stop fetching
+ */
+export const BUFFER_POLICIES = {
+  KEEP_FIRST: 'keep-first',
+  KEEP_LAST: 'keep-last',
+  STOP: 'stop'
+};
+
+class ChangelogMaterializer {
+  constructor(keyIndices = null, bufferOptions = {}) {
+    this.keyIndices = null;
+    this.reset();
+    this.setKeyIndices(keyIndices);
+    this.setBufferPolicy(bufferOptions);
+  }
+
+  // Clear all rows, indexes and counters
+  reset() {
+    this.slots = [];              // Slot objects { key, position } in view order, null once removed
+    this.view = [];               // Row objects parallel to slots, patched in place
+    this.keyIndex = new Map();    // row key -> slot[] (several slots when keyed on full rows with duplicates)
+    this.rowCount = 0;
+    this.holes = 0;               // Removed positions not compacted yet
+    this.head = 0;                // No live slot before this position (oldest-row lookup)
+    this.dirty = false;           // Rows changed since the last publish
+    this.publishedLength = 0;     // View length at the last publish
+    this.updatedSlots = new Set(); // Published slots replaced in place since the last publish
+    this.removedPositions = [];   // Published positions removed since the last publish
+    this.version = 0;
+    this.changes = { baseVersion: 0, version: 0, removed: [], updated: [], appendedFrom: 0 };
+    this.totalEvents = 0;         // Every changelog event seen, including dropped ones
+    this.droppedRows = 0;         // Rows discarded or evicted because of the row cap
+  }
+
+  // Bound the view to maxRows (0 = unbounded) using one of BUFFER_POLICIES
+  setBufferPolicy({ maxRows = 0, policy = BUFFER_POLICIES.KEEP_LAST } = {}) {
+    this.maxRows = Number.isFinite(maxRows) && maxRows > 0 ? Math.floor(maxRows) : 0;
+    this.policy = Object.values(BUFFER_POLICIES).includes(policy) ? policy : BUFFER_POLICIES.KEEP_LAST;
+  }
+
+  // Whether the view reached its cap under the "stop" policy
+  isFull() {
+    return this.policy === BUFFER_POLICIES.STOP && this.maxRows > 0 && this.rowCount >= this.maxRows;
+  }
+
+  // Buffer counters for display
+  getBufferStats() {
+    return {
+      maxRows: this.maxRows,
+      policy: this.policy,
+      rowCount: this.rowCount,
+      totalEvents: this.totalEvents,
+      droppedRows: this.droppedRows,
+      truncated: this.droppedRows > 0 || this.isFull()
+    };
+  }
+
+  // Use the given column positions as the row key (null/empty = key on the full row)
+  setKeyIndices(keyIndices) {
+    const normalized = Array.isArray(keyIndices) && keyIndices.length > 0 ? [...keyIndices] : null;
+    if (JSON.stringify(normalized) === JSON.stringify(this.keyIndices)) {
+      return;
+    }
+
+    if (this.rowCount > 0) {
+      throw new Error('Cannot change the materializer key after rows have been applied');
+    }
+    this.keyIndices = normalized;
+  }
+
+  // Whether rows are keyed on an upsert key rather than the full row
+  isUpsertMode() {
+    return this.keyIndices !== null;
+  }
+
+  // Build the index key for a raw fields array
+  getRowKey(fields) {
+    if (this.keyIndices) {
+      return JSON.stringify(this.keyIndices.map(index => fields[index]));
+    }
+    return JSON.stringify(fields);
+  }
+
+  // Number of rows currently in the materialized view
+  get size() {
+    return this.rowCount;
+  }
+
+  addSlot(key, row) {
+    const slot = { key, position: this.view.length };
+    this.slots.push(slot);
+    this.view.push(row);
+    this.rowCount++;
+
+    const slots = this.keyIndex.get(key);
+    if (slots) {
+      slots.push(slot);
+    } else {
+      this.keyIndex.set(key, [slot]);
+    }
+    return slot;
+  }
+
+  // Leave a hole at the slot's position; holes are compacted when the rows are next read
+  clearSlot(slot) {
+    if (slot.position < this.publishedLength) {
+      this.removedPositions.push(slot.position);
+    }
+    this.slots[slot.position] = null;
+    this.view[slot.position] = undefined;
+    this.rowCount--;
+    this.holes++;
+  }
+
+  removeSlot(key) {
+    const slots = this.keyIndex.get(key);
+    if (!slots || slots.length === 0) {
+      return false;
+    }
+
+    // Remove the most recent occurrence - any occurrence is equivalent for a full-row key
+    const slot = slots.pop();
+    if (slots.length === 0) {
+      this.keyIndex.delete(key);
+    }
+    this.clearSlot(slot);
+    return true;
+  }
+
+  // Drop the oldest row (ring buffer eviction)
+  evictOldest() {
+    while (this.head < this.slots.length && this.slots[this.head] === null) {
+      this.head++;
+    }
+    const slot = this.slots[this.head];
+    if (!slot) return;
+
+    const slots = this.keyIndex.get(slot.key);
+    if (slots) {
+      slots.splice(slots.indexOf(slot), 1);
+      if (slots.length === 0) {
+        this.keyIndex.delete(slot.key);
+      }
+    }
+    this.clearSlot(slot);
+    this.droppedRows++;
+  }
+
+  // Close the holes left by removed rows, keeping the order of the remaining rows
+  compact() {
+    let write = 0;
+    for (let read = 0; read < this.slots.length; read++) {
+      const slot = this.slots[read];
+      if (slot === null) continue;
+      slot.position = write;
+      this.slots[write] = slot;
+      this.view[write] = this.view[read];
+      write++;
+    }
+    this.slots.length = write;
+    this.view.length = write;
+    this.holes = 0;
+    this.head = 0;
+  }
+
+  // Whether a new row may be added under the current cap
+  hasRoomForRow() {
+    return this.maxRows === 0 || this.rowCount < this.maxRows || this.policy === BUFFER_POLICIES.KEEP_LAST;
+  }
+
+  /**
+   * Apply a single changelog event
+   * @param {string} kind - INSERT, UPDATE_BEFORE, UPDATE_AFTER or DELETE
+   * @param {Array} fields - Raw field values as received from the gateway
+   * @param {Object} row - Row object to store in the materialized view
+   * @returns {string} 'insert', 'update' (UPDATE_AFTER), 'retract' (UPDATE_BEFORE), 'delete',
+   *   'miss' (retraction of an unknown row) or 'dropped' (row discarded because of the row cap)
+   */
+  apply(kind, fields, row) {
+    const key = this.getRowKey(fields);
+    let outcome;
+    this.totalEvents++;
+
+    switch (kind) {
+      case 'UPDATE_BEFORE':
+        // In upsert mode the following UPDATE_AFTER replaces the row in place;
+        // removing it here would move the updated row to the end of the view
+        if (this.isUpsertMode()) {
+          return 'retract';
+        }
+        // The update is counted once, on its UPDATE_AFTER
+        outcome = this.removeSlot(key) ? 'retract' : 'miss';
+        break;
+
+      case 'DELETE':
+        outcome = this.removeSlot(key) ? 'delete' : 'miss';
+        break;
+
+      case 'UPDATE_AFTER':
+      case 'INSERT':
+      default: {
+        const existing = this.isUpsertMode() ? this.keyIndex.get(key) : null;
+        if (existing && existing.length > 0) {
+          // Upsert: replace in place so the row keeps its position in the view
+          const slot = existing[existing.length - 1];
+          this.view[slot.position] = row;
+          if (slot.position < this.publishedLength) {
+            this.updatedSlots.add(slot);
+          }
+          outcome = 'update';
+        } else if (this.hasRoomForRow()) {
+          this.addSlot(key, row);
+          if (this.maxRows > 0 && this.rowCount > this.maxRows) {
+            this.evictOldest();
+          }
+          outcome = kind === 'UPDATE_AFTER' ? 'update' : 'insert';
+        } else {
+          this.droppedRows++;
+          outcome = 'dropped';
+        }
+        break;
+      }
+    }
+
+    if (outcome !== 'miss' && outcome !== 'dropped') {
+      this.dirty = true;
+      this.version++;
+    }
+    return outcome;
+  }
+
+  /**
+   * Get the materialized rows as an array
+   * The same array is returned until the materializer is reset: a read after a change closes
+   * the holes left by removed rows and publishes the change list of getChanges(), nothing is copied.
+   */
+  getRows() {
+    if (this.dirty) {
+      this.publish();
+    }
+    return this.view;
+  }
+
+  /**
+   * Changes made by the last publish that changed the rows, relative to the rows published before it
+   * @returns {{baseVersion: number, version: number, removed: Array<number>, updated: Array<number>, appendedFrom: number}}
+   *   removed: ascending positions in the previous rows; updated: positions in the current rows
+   *   (after removal) of rows replaced in place; rows from appendedFrom on are new.
+   *   Apply it only to rows at baseVersion - after missing a publish, read the rows again instead.
+   */
+  getChanges() {
+    this.getRows();
+    return this.changes;
+  }
+
+  publish() {
+    const updated = [...this.updatedSlots].filter(slot => this.slots[slot.position] === slot);
+    const removed = this.removedPositions.sort((a, b) => a - b);
+    if (this.holes > 0) {
+      this.compact();
+    }
+
+    this.changes = {
+      baseVersion: this.changes.version,
+      version: this.version,
+      removed,
+      updated: updated.map(slot => slot.position).sort((a, b) => a - b),
+      appendedFrom: this.publishedLength - removed.length
+    };
+    this.publishedLength = this.view.length;
+    this.updatedSlots = new Set();
+    this.removedPositions = [];
+    this.dirty = false;
+  }
+}
+
+/**
+ * Column positions of an upsert key given by name
+ * The gateway's result payload carries no key information (only column names and logical
+ * types), so the key has to be named explicitly - see the `-- @upsertKey` statement hint.
+ * @returns {Array<number>|null} Column positions, or null when a name is not a result column
+ */
+export function resolveUpsertKey(keyColumns, columns = []) {
+  if (!Array.isArray(keyColumns) || keyColumns.length === 0) return null;
+
+  const indices = keyColumns.map(name => columns.findIndex(column => column.name === name));
+  return indices.every(index => index >= 0) ? indices : null;
+}
+
+export default ChangelogMaterializer;
@@ -0,0 +1,109 @@
+/**
+ * ChangelogRecorder - Keeps the raw changelog of a statement next to its materialized view
+ * Every event is stored with its kind (INSERT, UPDATE_BEFORE, UPDATE_AFTER, DELETE), decoded
+ * fields, arrival time and the result token of the page it came in, so retractions can be
+ * inspected and the table replayed as it was after any event.
+ *
+ * Recording is off unless enabled per execution. It stops after maxEvents so a long-running
+ * stream cannot exhaust memory; later events are only counted.
+ *
+ * The events array is append-only and shared with every published state, which carries the
+ * number of events it covers instead of a copy of them.
+ */
+import ChangelogMaterializer from './changelogMaterializer.js';
+
+export const CHANGELOG_KINDS = ['INSERT', 'UPDATE_BEFORE', 'UPDATE_AFTER', 'DELETE'];
+
+// Short op labels as printed by Flink (+I, -U, +U, -D)
+export const CHANGELOG_KIND_LABELS = {
+  INSERT: '+I',
+  UPDATE_BEFORE: '-U',
+  UPDATE_AFTER: '+U',
+  DELETE: '-D'
+};
+
+class ChangelogRecorder {
+  constructor() {
+    this.reset();
+  }
+
+  // Clear recorded events; { enabled, maxEvents } apply to the next execution
+  reset({ enabled = false, maxEvents = 50000 } = {}) {
+    this.enabled = enabled;
+    this.maxEvents = Number.isFinite(maxEvents) && maxEvents > 0 ? Math.floor(maxEvents) : 0;
+    this.events = [];
+    this.counts = Object.fromEntries(CHANGELOG_KINDS.map(kind => [kind, 0]));
+    this.skippedEvents = 0;       // Events past maxEvents, counted but not stored
+    this.keyIndices = null;       // Upsert key of the materialized view, needed to replay it
+    this.version = 0;             // Bumped by every recorded or counted event and key change
+    this.snapshot = null;
+    this.snapshotDirty = true;
+  }
+
+  setKeyIndices(keyIndices) {
+    this.keyIndices = keyIndices ? [...keyIndices] : null;
+    this.version++;
+    this.snapshotDirty = true;
+  }
+
+  // Store one event; token is the result token of the page that carried it
+  record(kind, fields, token) {
+    if (!this.enabled) return;
+
+    const normalizedKind = CHANGELOG_KINDS.includes(kind) ? kind : 'INSERT';
+    this.counts[normalizedKind]++;
+    this.version++;
+    this.snapshotDirty = true;
+
+    if (this.maxEvents > 0 && this.events.length >= this.maxEvents) {
+      this.skippedEvents++;
+      return;
+    }
+    this.events.push({
+      seq: this.events.length + 1,
+      kind: normalizedKind,
+      fields,
+      receivedAt: new Date().toISOString(),
+      token
+    });
+  }
+
+  /**
+   * Recorded changelog for display, or null when recording is off
+   * The object is only replaced when events were recorded since the last call. Its events array
+   * keeps growing afterwards: read the first `length` events of it only.
+   */
+  getState() {
+    if (!this.enabled) return null;
+    if (this.snapshotDirty || !this.snapshot) {
+      this.snapshot = {
+        events: this.events,
+        length: this.events.length,
+        version: this.version,
+        counts: { ...this.counts },
+        skippedEvents: this.skippedEvents,
+        maxEvents: this.maxEvents,
+        keyIndices: this.keyIndices
+      };
+      this.snapshotDirty = false;
+    }
+    return this.snapshot;
+  }
+}
+
+/**
+ * Materialize the first `count` events of a recorded changelog
+ * Uses the same fold as the live view, without its row cap
+ * @returns {Array<{kind: string, fields: Array}>} Rows of the table after event `count`
+ */
+export function replayChangelog(events, count, keyIndices = null) {
+  const materializer = new ChangelogMaterializer(keyIndices);
+  const end = Math.min(count, events.length);
+  for (let index = 0; index < end; index++) {
+    const { kind, fields } = events[index];
+    materializer.apply(kind, fields, { kind: 'INSERT', fields });
+  }
+  return materializer.getRows();
+}
+
+export default ChangelogRecorder;
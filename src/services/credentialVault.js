@@ -0,0 +1,160 @@
+/**
+ * CredentialVault - Encrypts gateway credentials at rest with WebCrypto
+ * The AES-GCM key is derived from a user passphrase with PBKDF2 and only ever
+ * held in memory, so stored credentials stay unreadable until the passphrase is
+ * entered again in a new browser session. Every save uses a fresh IV.
+ */
+import logger from '../utils/logger.js';
+
+const log = logger.getModuleLogger('CredentialVault');
+
+const VAULT_STORAGE_KEY = 'flink-workbench-credentials';
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+class CredentialVault {
+  constructor() {
+    this.key = null;   // Non-extractable AES-GCM CryptoKey while unlocked
+    this.salt = null;
+  }
+
+  // WebCrypto is only available in secure contexts (https or localhost)
+  isSupported() {
+    return typeof window !== 'undefined' && !!window.crypto?.subtle;
+  }
+
+  // Whether an encrypted credential blob exists in localStorage
+  hasStoredSecrets() {
+    return localStorage.getItem(VAULT_STORAGE_KEY) !== null;
+  }
+
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  readStored() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+      return stored && stored.version === VAULT_VERSION ? stored : null;
+    } catch (error) {
+      log.warn('readStored', `Ignoring unreadable credential store: ${error.message}`);
+      return null;
+    }
+  }
+
+  async deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await window.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return window.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Unlock the vault with a passphrase
+   * When nothing is stored yet, the passphrase becomes the vault passphrase.
+   * @returns {Promise<Object>} The decrypted secrets ({} for a new vault)
+   * @throws {Error} When the passphrase does not decrypt the stored credentials
+   */
+  async unlock(passphrase) {
+    if (!this.isSupported()) {
+      throw new Error('Encrypted credential storage needs WebCrypto (https or localhost)');
+    }
+    if (!passphrase) {
+      throw new Error('A passphrase is required');
+    }
+
+    const stored = this.readStored();
+    if (!stored) {
+      this.salt = window.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+      this.key = await this.deriveKey(passphrase, this.salt);
+      log.info('unlock', 'Created a new credential vault');
+      return {};
+    }
+
+    const salt = fromBase64(stored.salt);
+    const key = await this.deriveKey(passphrase, salt, stored.iterations);
+    let plaintext;
+    try {
+      plaintext = await window.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(stored.iv) },
+        key,
+        fromBase64(stored.ciphertext)
+      );
+    } catch {
+      // AES-GCM authentication fails for a wrong passphrase
+      throw new Error('Incorrect passphrase');
+    }
+
+    this.salt = salt;
+    this.key = key;
+    log.info('unlock', 'Credential vault unlocked');
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  // Encrypt and store the secrets (the vault must be unlocked)
+  async save(secrets) {
+    if (!this.key) {
+      throw new Error('Credential vault is locked');
+    }
+
+    const iv = window.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.key,
+      new TextEncoder().encode(JSON.stringify(secrets))
+    );
+
+    localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify({
+      version: VAULT_VERSION,
+      iterations: PBKDF2_ITERATIONS,
+      salt: toBase64(this.salt),
+      iv: toBase64(iv),
+      ciphertext: toBase64(ciphertext)
+    }));
+    log.debug('save', 'Encrypted credentials saved');
+  }
+
+  // Re-encrypt the secrets under a new passphrase
+  async changePassphrase(passphrase, secrets) {
+    if (!passphrase) {
+      throw new Error('A passphrase is required');
+    }
+    this.salt = window.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    this.key = await this.deriveKey(passphrase, this.salt);
+    await this.save(secrets);
+    log.info('changePassphrase', 'Credential vault passphrase changed');
+  }
+
+  // Forget the key; stored credentials stay encrypted
+  lock() {
+    this.key = null;
+    this.salt = null;
+    log.info('lock', 'Credential vault locked');
+  }
+
+  // Delete the stored credentials and forget the key
+  clear() {
+    localStorage.removeItem(VAULT_STORAGE_KEY);
+    this.lock();
+    log.info('clear', 'Stored credentials removed');
+  }
+}
+
+// Create and export singleton instance
+const credentialVault = new CredentialVault();
+export default credentialVault;
@@ -2,14 +2,429 @@ import logger from '../utils/logger.js';
 
 const log = logger.getModuleLogger('FlinkApi');
 
+export const AUTH_TYPES = {
+  STATIC: 'static',                                // Basic auth or a fixed Bearer token
+  CLIENT_CREDENTIALS: 'oauth2-client-credentials',
+  DEVICE_CODE: 'oauth2-device-code'
+};
+
+const TOKEN_EXPIRY_SKEW_MS = 60000; // Refresh access tokens this long before they expire
+const DEFAULT_TOKEN_LIFETIME_S = 3600;
+const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const DEFAULT_REQUEST_OPTIONS = {
+  timeoutMs: 30000,        // Per-attempt timeout (0 = none)
+  retries: 2,              // Retries for idempotent requests
+  retryBaseDelayMs: 500,   // Backoff ceiling of the first retry, doubled per retry
+  retryMaxDelayMs: 5000
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Gateway hiccups, timeouts and network failures are worth another attempt; other errors are not
+// Network failures are tagged where fetch rejects (see sendRequest), so bugs that throw a TypeError are not retried
+function isRetryableError(error) {
+  return RETRYABLE_STATUSES.includes(error.status) || error.timedOut === true || error.networkError === true;
+}
+
+function createAbortError() {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Sleep that ends early (with an AbortError) when the signal fires
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Auth providers supply the Authorization header for gateway requests
+ * - getHeaders():         headers for the next request (may acquire or refresh a token)
+ * - handleUnauthorized(): called after a 401; returns true when one retry may succeed
+ * - getState():           status for display ({ type, status, expiresAt, ... })
+ */
+class AuthProvider {
+  constructor(type) {
+    this.type = type;
+    this.listeners = new Set();
+  }
+
+  async getHeaders() {
+    return {};
+  }
+
+  async handleUnauthorized() {
+    return false;
+  }
+
+  getState() {
+    return { type: this.type, status: 'idle' };
+  }
+
+  addListener(callback) {
+    this.listeners.add(callback);
+  }
+
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        log.error('notifyListeners', `Error in auth listener: ${error.message}`);
+      }
+    });
+  }
+}
+
+// Basic auth from username/password, or a fixed Bearer token
+export class StaticAuthProvider extends AuthProvider {
+  constructor({ username, password, apiToken } = {}) {
+    super(AUTH_TYPES.STATIC);
+    this.credentials = { username, password, apiToken };
+  }
+
+  async getHeaders() {
+    const { username, password, apiToken } = this.credentials;
+    if (apiToken) {
+      // Use Bearer token if available
+      return { 'Authorization': `Bearer ${apiToken}` };
+    }
+    if (username && password) {
+      // Use basic authentication
+      return { 'Authorization': `Basic ${btoa(`${username}:${password}`)}` };
+    }
+    return {};
+  }
+}
+
+// Error raised when a token is needed but the user has not signed in yet
+export class AuthRequiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthRequiredError';
+    this.status = 401;
+  }
+}
+
+/**
+ * OAuth2 access tokens from a token endpoint
+ * Tokens are kept in memory only, refreshed shortly before they expire (with the
+ * refresh token when one was issued) and concurrent requests share one token request.
+ */
+class OAuth2AuthProvider extends AuthProvider {
+  constructor(type, { tokenUrl, clientId, clientSecret, scope, audience, deviceAuthorizationUrl } = {}) {
+    super(type);
+    this.config = { tokenUrl, clientId, clientSecret, scope, audience, deviceAuthorizationUrl };
+    this.token = null;          // { accessToken, tokenType, refreshToken, expiresAt }
+    this.pendingToken = null;   // In-flight token request shared by concurrent callers
+    this.lastError = null;
+  }
+
+  hasValidToken() {
+    return !!this.token?.accessToken && Date.now() < this.token.expiresAt - TOKEN_EXPIRY_SKEW_MS;
+  }
+
+  async getHeaders() {
+    const token = await this.getAccessToken();
+    return { 'Authorization': `${token.tokenType} ${token.accessToken}` };
+  }
+
+  async getAccessToken() {
+    if (this.hasValidToken()) {
+      return this.token;
+    }
+
+    if (!this.pendingToken) {
+      this.pendingToken = this.refreshOrAcquire().finally(() => {
+        this.pendingToken = null;
+      });
+    }
+    return this.pendingToken;
+  }
+
+  async refreshOrAcquire() {
+    if (this.token?.refreshToken) {
+      try {
+        log.debug('refreshOrAcquire', 'Refreshing access token');
+        return await this.requestToken({
+          grant_type: 'refresh_token',
+          refresh_token: this.token.refreshToken,
+          client_id: this.config.clientId,
+          ...(this.config.clientSecret ? { client_secret: this.config.clientSecret } : {})
+        });
+      } catch (error) {
+        log.warn('refreshOrAcquire', `Token refresh failed, requesting a new token: ${error.message}`);
+        this.token = null;
+      }
+    }
+    return this.acquireToken();
+  }
+
+  // Obtain a new token without a refresh token - implemented per grant type
+  async acquireToken() {
+    throw new AuthRequiredError('No access token available');
+  }
+
+  // The gateway rejected the token - expire it so the retry refreshes or re-acquires
+  async handleUnauthorized() {
+    if (!this.token) {
+      return false;
+    }
+    log.info('handleUnauthorized', 'Access token rejected by the gateway');
+    this.token = { ...this.token, expiresAt: 0 };
+    return true;
+  }
+
+  // POST a form-encoded grant to the token endpoint and keep the returned token
+  async requestToken(params) {
+    if (!this.config.tokenUrl) {
+      throw new Error('OAuth2 token URL is not configured');
+    }
+
+    const body = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const response = await fetch(this.config.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+      body
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.access_token) {
+      const error = new Error(data.error_description || data.error || `Token request failed with status ${response.status}`);
+      error.oauthError = data.error || null;
+      error.status = response.status;
+      throw error;
+    }
+
+    const tokenType = (data.token_type || 'Bearer').toLowerCase() === 'bearer' ? 'Bearer' : data.token_type;
+    this.token = {
+      accessToken: data.access_token,
+      tokenType,
+      refreshToken: data.refresh_token || this.token?.refreshToken || null,
+      expiresAt: Date.now() + (Number(data.expires_in) || DEFAULT_TOKEN_LIFETIME_S) * 1000
+    };
+    this.lastError = null;
+    log.info('requestToken', `Access token obtained (${params.grant_type}), expires ${new Date(this.token.expiresAt).toLocaleTimeString()}`);
+    this.notifyListeners();
+    return this.token;
+  }
+
+  // Forget the tokens; the next request acquires a new one
+  signOut() {
+    this.token = null;
+    this.lastError = null;
+    log.info('signOut', 'OAuth2 tokens discarded');
+    this.notifyListeners();
+  }
+
+  getState() {
+    let status = 'idle';
+    if (this.lastError) {
+      status = 'error';
+    } else if (this.token?.accessToken && Date.now() < this.token.expiresAt) {
+      status = 'authenticated';
+    }
+
+    return {
+      type: this.type,
+      status,
+      expiresAt: this.token?.expiresAt || null,
+      hasRefreshToken: !!this.token?.refreshToken,
+      error: this.lastError
+    };
+  }
+}
+
+// Service-to-service tokens from client id + secret
+export class ClientCredentialsAuthProvider extends OAuth2AuthProvider {
+  constructor(config) {
+    super(AUTH_TYPES.CLIENT_CREDENTIALS, config);
+  }
+
+  async acquireToken() {
+    try {
+      return await this.requestToken({
+        grant_type: 'client_credentials',
+        client_id: this.config.clientId,
+        client_secret: this.config.clientSecret,
+        scope: this.config.scope,
+        audience: this.config.audience
+      });
+    } catch (error) {
+      this.lastError = error.message;
+      this.notifyListeners();
+      throw error;
+    }
+  }
+}
+
+/**
+ * Device authorization grant (RFC 8628) - the user approves the sign-in in a browser
+ * with a short code. Requests made before sign-in wait for a login in progress, and
+ * fail with AuthRequiredError when none was started.
+ */
+export class DeviceCodeAuthProvider extends OAuth2AuthProvider {
+  constructor(config) {
+    super(AUTH_TYPES.DEVICE_CODE, config);
+    this.pendingLogin = null;
+    this.authorization = null; // { userCode, verificationUri, verificationUriComplete, expiresAt }
+    this.loginCancelled = false;
+  }
+
+  async acquireToken() {
+    if (this.pendingLogin) {
+      return this.pendingLogin;
+    }
+    throw new AuthRequiredError('Sign in required - start the device login in Settings');
+  }
+
+  // Start the device login; resolves with the token once the user approved it
+  startLogin() {
+    if (!this.pendingLogin) {
+      this.loginCancelled = false;
+      this.pendingLogin = this.runDeviceLogin()
+        .catch(error => {
+          this.lastError = error.message;
+          throw error;
+        })
+        .finally(() => {
+          this.pendingLogin = null;
+          this.authorization = null;
+          this.notifyListeners();
+        });
+    }
+    return this.pendingLogin;
+  }
+
+  cancelLogin() {
+    this.loginCancelled = true;
+  }
+
+  async runDeviceLogin() {
+    const { deviceAuthorizationUrl, clientId, scope, audience } = this.config;
+    if (!deviceAuthorizationUrl) {
+      throw new Error('OAuth2 device authorization URL is not configured');
+    }
+
+    const body = new URLSearchParams(
+      Object.entries({ client_id: clientId, scope, audience }).filter(([, value]) => !!value)
+    );
+    const response = await fetch(deviceAuthorizationUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+      body
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.device_code) {
+      throw new Error(data.error_description || data.error || `Device authorization failed with status ${response.status}`);
+    }
+
+    const deadline = Date.now() + (Number(data.expires_in) || 600) * 1000;
+    let intervalMs = (Number(data.interval) || 5) * 1000;
+    this.lastError = null;
+    this.authorization = {
+      userCode: data.user_code,
+      verificationUri: data.verification_uri || data.verification_url,
+      verificationUriComplete: data.verification_uri_complete || null,
+      expiresAt: deadline
+    };
+    log.info('runDeviceLogin', `Waiting for device login approval (code ${data.user_code})`);
+    this.notifyListeners();
+
+    while (Date.now() < deadline) {
+      await sleep(intervalMs);
+      if (this.loginCancelled) {
+        throw new Error('Sign-in cancelled');
+      }
+
+      try {
+        return await this.requestToken({
+          grant_type: DEVICE_CODE_GRANT,
+          device_code: data.device_code,
+          client_id: clientId,
+          ...(this.config.clientSecret ? { client_secret: this.config.clientSecret } : {})
+        });
+      } catch (error) {
+        if (error.oauthError === 'authorization_pending') continue;
+        if (error.oauthError === 'slow_down') {
+          intervalMs += 5000;
+          continue;
+        }
+        throw error;
+      }
+    }
+    throw new Error('Device code expired before the sign-in was approved');
+  }
+
+  getState() {
+    const state = super.getState();
+    if (this.authorization) {
+      return { ...state, status: 'authorizing', ...this.authorization };
+    }
+    return state;
+  }
+}
+
+// Auth settings of a gateway/profile as used by createAuthProvider
+export function getAuthConfig(gateway = {}) {
+  const type = Object.values(AUTH_TYPES).includes(gateway.authType) ? gateway.authType : AUTH_TYPES.STATIC;
+  if (type === AUTH_TYPES.STATIC) {
+    return { type, username: gateway.username, password: gateway.password, apiToken: gateway.apiToken };
+  }
+  return { type, ...(gateway.oauth || {}), clientSecret: gateway.clientSecret };
+}
+
+export function createAuthProvider(config = {}) {
+  switch (config.type) {
+    case AUTH_TYPES.CLIENT_CREDENTIALS:
+      return new ClientCredentialsAuthProvider(config);
+    case AUTH_TYPES.DEVICE_CODE:
+      return new DeviceCodeAuthProvider(config);
+    default:
+      return new StaticAuthProvider(config);
+  }
+}
+
 class FlinkApiService {
   constructor(baseUrl = '/api/flink') {
     log.traceEnter('constructor', { baseUrl });
     
     this.baseUrl = baseUrl;
     this.apiVersion = 'v1'; // Default to v1, will auto-detect
+    this.supportedApiVersions = []; // Versions reported by /api_versions, e.g. ['V1', 'V2']
     this.useProxy = baseUrl.startsWith('/api/flink'); // Use proxy by default
+    this.completionRejected = false; // The gateway saw complete-statement as a POST - no proxy restored the GET
     this.credentials = null; // Store authentication credentials
+    this.authProvider = new StaticAuthProvider();
+    this.authConfigKey = null;
+    this.authListeners = new Set();
+    this.handleAuthStateChange = (state) => this.notifyAuthListeners(state);
+    this.requestOptions = { ...DEFAULT_REQUEST_OPTIONS };
     
     log.traceExit('constructor');
   }
@@ -25,6 +440,7 @@ class FlinkApiService {
     this.useProxy = url.startsWith('/api/flink') || 
                    (!url.includes('localhost') && (url.startsWith('http://') || url.startsWith('https://')));
     
+    this.completionRejected = false;
     log.info('setBaseUrl', `Base URL: ${this.baseUrl} (proxy: ${this.useProxy})`);
     log.traceExit('setBaseUrl');
   }
@@ -32,9 +448,58 @@ class FlinkApiService {
   setCredentials(username, password, apiToken) {
     log.traceEnter('setCredentials', { username: username ? '***' : '', hasPassword: !!password, hasApiToken: !!apiToken });
     this.credentials = { username, password, apiToken };
+    this.authConfigKey = null;
+    this.setAuthProvider(new StaticAuthProvider(this.credentials));
     log.traceExit('setCredentials');
   }
 
+  // Configure authentication from gateway settings; the provider (and its tokens) is kept while the config is unchanged
+  configureAuth(gateway) {
+    const config = getAuthConfig(gateway);
+    const key = JSON.stringify(config);
+    if (key === this.authConfigKey) return;
+
+    log.info('configureAuth', `Using ${config.type} authentication`);
+    this.credentials = { username: gateway.username, password: gateway.password, apiToken: gateway.apiToken };
+    this.authConfigKey = key;
+    this.setAuthProvider(createAuthProvider(config));
+  }
+
+  setAuthProvider(provider) {
+    this.authProvider.removeListener(this.handleAuthStateChange);
+    this.authProvider.cancelLogin?.();
+    this.authProvider = provider;
+    this.authProvider.addListener(this.handleAuthStateChange);
+    this.notifyAuthListeners(provider.getState());
+  }
+
+  getAuthProvider() {
+    return this.authProvider;
+  }
+
+  getAuthState() {
+    return this.authProvider.getState();
+  }
+
+  // Auth listeners follow the current provider, including after reconfiguration
+  addAuthListener(callback) {
+    this.authListeners.add(callback);
+  }
+
+  removeAuthListener(callback) {
+    this.authListeners.delete(callback);
+  }
+
+  notifyAuthListeners(state) {
+    this.authListeners.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        log.error('notifyAuthListeners', `Error in auth listener: ${error.message}`);
+      }
+    });
+  }
+
   getProxyUrl(endpoint) {
     if (this.useProxy) {
       // If baseUrl is already a proxy path, use it directly
@@ -46,37 +511,118 @@ class FlinkApiService {
     return `${this.baseUrl}${endpoint}`;
   }
 
-  async request(endpoint, options = {}) {
+  // Timeout and retry defaults for gateway requests (see DEFAULT_REQUEST_OPTIONS)
+  configureRequests(options = {}) {
+    const defined = Object.fromEntries(
+      Object.entries(options || {}).filter(([, value]) => Number.isFinite(value) && value >= 0)
+    );
+    this.requestOptions = { ...DEFAULT_REQUEST_OPTIONS, ...defined };
+    log.debug('configureRequests', 'Request options updated', this.requestOptions);
+  }
+
+  /**
+   * Send a gateway request
+   * Besides the fetch options, `options` accepts:
+   * - signal:     AbortSignal that aborts the request (and any pending retry)
+   * - timeoutMs:  per-attempt timeout (0 = none)
+   * - retries:    retries on 502/503/504, timeouts and network errors
+   * - idempotent: whether the request may be retried; defaults to true for GET/HEAD/PUT/DELETE
+   */
+  async request(endpoint, options = {}, isAuthRetry = false) {
     const url = this.getProxyUrl(endpoint);
+    const {
+      signal,
+      timeoutMs = this.requestOptions.timeoutMs,
+      retries = this.requestOptions.retries,
+      idempotent,
+      ...fetchOptions
+    } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const maxRetries = (idempotent ?? IDEMPOTENT_METHODS.includes(method)) ? retries : 0;
     
     log.info('request', `Making request to: ${url} (using ${this.useProxy ? 'proxy' : 'direct'} connection)`);
-    
-    // Prepare headers
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      ...options.headers,
-    };
 
-    // Add authentication headers if credentials are available
-    if (this.credentials) {
-      if (this.credentials.apiToken) {
-        // Use Bearer token if available
-        headers['Authorization'] = `Bearer ${this.credentials.apiToken}`;
-      } else if (this.credentials.username && this.credentials.password) {
-        // Use basic authentication
-        const encoded = btoa(`${this.credentials.username}:${this.credentials.password}`);
-        headers['Authorization'] = `Basic ${encoded}`;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.sendRequest(url, fetchOptions, signal, timeoutMs, isAuthRetry);
+        
+        // Expired or revoked token - let the provider refresh it and retry once
+        if (result.unauthorized) {
+          log.warn('request', 'Gateway returned 401, retrying once with a fresh token');
+          return this.request(endpoint, options, true);
+        }
+        return result.data;
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          log.debug('request', `Request aborted: ${method} ${endpoint}`);
+          throw error;
+        }
+        
+        if (attempt < maxRetries && isRetryableError(error)) {
+          const delayMs = this.getRetryDelay(attempt);
+          log.warn('request', `${method} ${endpoint} failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delayMs}ms`);
+          await abortableSleep(delayMs, signal);
+          continue;
+        }
+        
+        this.logRequestFailure(error, method, endpoint, url);
+        throw error;
       }
     }
-    
-    const config = {
-      headers,
-      ...options,
-    };
+  }
+
+  // Exponential backoff with full jitter, so clients retrying at the same time spread out
+  getRetryDelay(attempt) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = this.requestOptions;
+    const ceiling = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  // One fetch with its own timeout, linked to the caller's abort signal
+  // Returns { data }, or { unauthorized: true } when a 401 should be retried with a fresh token
+  async sendRequest(url, fetchOptions, signal, timeoutMs, isAuthRetry) {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort();
+    signal?.addEventListener('abort', abortFromCaller);
+    let timedOut = false;
+    const timer = timeoutMs > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs)
+      : null;
 
     try {
-      const response = await fetch(url, config);
+      // Prepare headers - the auth provider may have to fetch or refresh a token first
+      const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...fetchOptions.headers,
+        ...(await this.authProvider.getHeaders()),
+      };
+      
+      const config = {
+        ...fetchOptions,
+        headers,
+        signal: controller.signal,
+      };
+
+      let response;
+      try {
+        response = await fetch(url, config);
+      } catch (error) {
+        // fetch only rejects when no response arrived: network, DNS or CORS failure (or an abort, handled below)
+        error.networkError = true;
+        throw error;
+      }
+      
+      if (response.status === 401 && !isAuthRetry && await this.authProvider.handleUnauthorized()) {
+        return { unauthorized: true };
+      }
       
       if (!response.ok) {
         const errorText = await response.text();
@@ -101,34 +647,52 @@ class FlinkApiService {
           log.warn('request', 'Could not parse error response as JSON');
         }
         
-        throw new Error(`HTTP error! status: ${response.status} - ${processedErrorMessage}`);
+        const httpError = new Error(`HTTP error! status: ${response.status} - ${processedErrorMessage}`);
+        httpError.status = response.status;
+        // Full server errors (stack traces), e.g. for SQL error positions beyond the root cause
+        httpError.serverErrors = Array.isArray(errorDetails?.errors) ? errorDetails.errors : [];
+        throw httpError;
       }
       
       const data = await response.json();
-      return data;
+      return { data };
     } catch (error) {
-      log.error('request', `Flink API request failed: ${error.message}`);
-      log.error('request', `Request details: ${options.method || 'GET'} ${endpoint}`);
-      log.error('request', `URL used: ${url}`);
-      log.error('request', `Connection mode: ${this.useProxy ? 'proxy' : 'direct'}`);
+      if (timedOut) {
+        const timeoutError = new Error(`Request timed out after ${timeoutMs}ms`);
+        timeoutError.name = 'TimeoutError';
+        timeoutError.timedOut = true;
+        throw timeoutError;
+      }
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abortFromCaller);
+    }
+  }
+
+  logRequestFailure(error, method, endpoint, url) {
+    log.error('request', `Flink API request failed: ${error.message}`);
+    log.error('request', `Request details: ${method} ${endpoint}`);
+    log.error('request', `URL used: ${url}`);
+    log.error('request', `Connection mode: ${this.useProxy ? 'proxy' : 'direct'}`);
+    
+    // Check if it's a CORS error
+    if (error.networkError) {
+      log.error('request', 'This looks like a CORS/Network error. Possible solutions:');
       
-      // Check if it's a CORS error
-      if (error.message.includes('Failed to fetch') || error.name === 'TypeError') {
-        log.error('request', 'This looks like a CORS/Network error. Possible solutions:');
-        
-        if (!this.useProxy) {
-          log.error('request', '1. RECOMMENDED: Use proxy URL "/api/flink" instead of direct URL');
-          log.error('request', '2. Make sure Flink SQL Gateway allows CORS from your origin');
-        } else {
-          log.error('request', '1. Check that Flink SQL Gateway is running on localhost:8083');
-          log.error('request', '2. Verify the Vite dev server proxy configuration');
-          log.error('request', '3. Try restarting the dev server');
-        }
-        
-        log.error('request', '4. Check browser network tab for more details');
+      if (!this.useProxy) {
+        log.error('request', '1. RECOMMENDED: Use proxy URL "/api/flink" instead of direct URL');
+        log.error('request', '2. Make sure Flink SQL Gateway allows CORS from your origin');
+      } else {
+        log.error('request', '1. Check that Flink SQL Gateway is running on localhost:8083');
+        log.error('request', '2. Verify the Vite dev server proxy configuration');
+        log.error('request', '3. Try restarting the dev server');
       }
       
-      throw error;
+      log.error('request', '4. Check browser network tab for more details');
     }
   }
 
@@ -141,6 +705,7 @@ class FlinkApiService {
       const result = await this.request('/v1/info');
       this.apiVersion = 'v1';
       log.info('getInfo', 'Using Flink API v1');
+      await this.detectApiVersions();
       log.traceExit('getInfo', result);
       return result;
     } catch (error) {
@@ -148,6 +713,7 @@ class FlinkApiService {
         const result = await this.request('/v2/info');
         this.apiVersion = 'v2';
         log.info('getInfo', 'Using Flink API v2');
+        await this.detectApiVersions();
         log.traceExit('getInfo', result);
         return result;
       } catch (error2) {
@@ -157,6 +723,42 @@ class FlinkApiService {
     }
   }
 
+  // Ask the gateway which REST API versions it serves; v2-only endpoints are used when V2 is listed
+  async detectApiVersions() {
+    try {
+      const response = await this.request(`/${this.apiVersion}/api_versions`, { retries: 0 });
+      this.supportedApiVersions = (response?.versions || []).map(version => String(version).toUpperCase());
+      log.info('detectApiVersions', `Gateway API versions: ${this.supportedApiVersions.join(', ') || 'unknown'}`);
+    } catch (error) {
+      this.supportedApiVersions = [this.apiVersion.toUpperCase()];
+      log.debug('detectApiVersions', `API version listing unavailable: ${error.message}`);
+    }
+  }
+
+  // complete-statement was added with SQL Gateway API v2
+  supportsStatementCompletion() {
+    return this.apiVersion === 'v2' || this.supportedApiVersions.includes('V2');
+  }
+
+  /**
+   * Where editor completions come from, for display in the settings
+   * Gateway completion needs API v2 and the development proxy, which turns the POST that
+   * browsers send into the GET the gateway expects (see completeStatement)
+   * @returns {{source: 'gateway'|'local', reason: string|null}}
+   */
+  getStatementCompletionMode() {
+    if (!this.supportsStatementCompletion()) {
+      return { source: 'local', reason: 'The gateway does not offer SQL Gateway API v2' };
+    }
+    if (!this.useProxy) {
+      return { source: 'local', reason: 'Direct gateway connections cannot send the GET request with a body that complete-statement needs - run the editor with the development server (npm run dev)' };
+    }
+    if (this.completionRejected) {
+      return { source: 'local', reason: 'The proxy in front of the gateway does not honour X-HTTP-Method-Override (only the development server proxy does)' };
+    }
+    return { source: 'gateway', reason: null };
+  }
+
   // Create a new session
   async createSession(properties = {}) {
     log.traceEnter('createSession', { properties });
@@ -206,17 +808,40 @@ class FlinkApiService {
     return response;
   }
 
-  // Submit a SQL statement
-  async submitStatement(sessionHandle, statement) {
-    log.traceEnter('submitStatement', { sessionHandle, statementLength: statement.length });
+  // Keep a session alive - resets the gateway's idle timeout for the session
+  async heartbeatSession(sessionHandle) {
+    log.trace('heartbeatSession', `Sending heartbeat for session: ${sessionHandle}`);
+    
+    const endpoint = `/${this.apiVersion}/sessions/${sessionHandle}/heartbeat`;
+    return this.request(endpoint, {
+      method: 'POST',
+      body: JSON.stringify({}),
+      idempotent: true,
+    });
+  }
+
+  // Submit a SQL statement (never retried - a retry could run the statement twice)
+  // options.executionConfig / options.executionTimeout apply to this statement only; other options go to request()
+  async submitStatement(sessionHandle, statement, options = {}) {
+    const { executionConfig, executionTimeout, ...requestOptions } = options;
+    log.traceEnter('submitStatement', { sessionHandle, statementLength: statement.length, executionConfig, executionTimeout });
     
     const endpoint = `/${this.apiVersion}/sessions/${sessionHandle}/statements`;
     const truncatedStatement = statement.length > 100 ? `${statement.substring(0, 100)}...` : statement;
     log.info('submitStatement', `Executing SQL: ${truncatedStatement}`);
     
+    const requestBody = { statement };
+    if (executionConfig && Object.keys(executionConfig).length > 0) {
+      requestBody.executionConfig = executionConfig;
+    }
+    if (executionTimeout > 0) {
+      requestBody.executionTimeout = executionTimeout;
+    }
+    
     const response = await this.request(endpoint, {
+      ...requestOptions,
       method: 'POST',
-      body: JSON.stringify({ statement }),
+      body: JSON.stringify(requestBody),
     });
     
     log.info('submitStatement', `Statement submitted: ${response.operationHandle}`);
@@ -224,13 +849,52 @@ class FlinkApiService {
     return response;
   }
 
+  /**
+   * Completion candidates for a statement at a cursor offset (SQL Gateway API v2)
+   * The gateway defines this endpoint as a GET with a JSON body, which browsers cannot send;
+   * the request goes out as a POST with X-HTTP-Method-Override and the dev proxy restores the GET.
+   * Without that proxy the gateway rejects the POST; completion is then switched off until the
+   * gateway URL changes, and getStatementCompletionMode() reports why.
+   * @returns {Promise<string[]>} Candidate words
+   */
+  async completeStatement(sessionHandle, statement, position, requestOptions = {}) {
+    const mode = this.getStatementCompletionMode();
+    if (mode.source !== 'gateway') {
+      throw new Error(`Gateway completion unavailable: ${mode.reason}`);
+    }
+
+    const endpoint = `/v2/sessions/${sessionHandle}/complete-statement`;
+    let response;
+    try {
+      response = await this.request(endpoint, {
+        retries: 0,
+        ...requestOptions,
+        method: 'POST',
+        headers: { 'X-HTTP-Method-Override': 'GET' },
+        body: JSON.stringify({ statement, position }),
+      });
+    } catch (error) {
+      // Flink's router answers an unknown method/path pair with 404 "Not found: <path>" (others with 405);
+      // a 404 about the session itself (expired) must not switch completion off
+      if (error.status === 405 || (error.status === 404 && error.message.includes('complete-statement'))) {
+        this.completionRejected = true;
+        log.warn('completeStatement', `complete-statement was not served as a GET (HTTP ${error.status}) - using local completion`);
+      }
+      throw error;
+    }
+
+    const candidates = Array.isArray(response?.candidates) ? response.candidates : [];
+    log.debug('completeStatement', `${candidates.length} candidates at position ${position}`);
+    return candidates;
+  }
+
   // Get operation status
-  async getOperationStatus(sessionHandle, operationHandle) {
+  async getOperationStatus(sessionHandle, operationHandle, requestOptions = {}) {
     log.trace('getOperationStatus', 'getOperationStatus', `Checking status for operation: ${operationHandle}`);
     
     const endpoint = `/${this.apiVersion}/sessions/${sessionHandle}/operations/${operationHandle}/status`;
     
-    const response = await this.request(endpoint);
+    const response = await this.request(endpoint, requestOptions);
     
     // Only log status changes or errors, not every poll
     if (response.status === 'ERROR') {
@@ -250,11 +914,44 @@ class FlinkApiService {
     return response;
   }
 
-  // Get operation results
-  async getOperationResults(sessionHandle, operationHandle, token = 0, rowFormat = 'JSON') {
+  // Cancel a running operation on the gateway
+  async cancelOperation(sessionHandle, operationHandle) {
+    log.traceEnter('cancelOperation', { sessionHandle, operationHandle });
+
+    const endpoint = `/${this.apiVersion}/sessions/${sessionHandle}/operations/${operationHandle}/cancel`;
+    log.info('cancelOperation', `Cancelling operation: ${operationHandle}`);
+
+    const response = await this.request(endpoint, {
+      method: 'POST',
+      idempotent: true,
+    });
+
+    log.info('cancelOperation', `Operation cancelled: ${operationHandle} (status: ${response?.status || 'unknown'})`);
+    log.traceExit('cancelOperation', response);
+    return response;
+  }
+
+  // Close an operation and release its server-side resources (result buffers, handles)
+  async closeOperation(sessionHandle, operationHandle) {
+    log.traceEnter('closeOperation', { sessionHandle, operationHandle });
+
+    const endpoint = `/${this.apiVersion}/sessions/${sessionHandle}/operations/${operationHandle}/close`;
+    log.debug('closeOperation', `Closing operation: ${operationHandle}`);
+
+    const response = await this.request(endpoint, {
+      method: 'DELETE',
+    });
+
+    log.debug('closeOperation', `Operation closed: ${operationHandle} (status: ${response?.status || 'unknown'})`);
+    log.traceExit('closeOperation', response);
+    return response;
+  }
+
+  // Get operation results - fetching the same token again returns the same page, so this is safe to retry
+  async getOperationResults(sessionHandle, operationHandle, token = 0, rowFormat = 'JSON', requestOptions = {}) {
     const endpoint = `/${this.apiVersion}/sessions/${sessionHandle}/operations/${operationHandle}/result/${token}?rowFormat=${rowFormat}`;
     
-    const response = await this.request(endpoint);
+    const response = await this.request(endpoint, requestOptions);
     
     // Only log significant events, not every token fetch
     if (token === 0) {
@@ -1,20 +1,25 @@
 import flinkApi from './flinkApi.js';
 import SessionManager from './sessionManager.js';
+import SessionPool, { SHARED_SESSION, METADATA_SESSION, getTabSessionName } from './sessionPool.js';
 import StatementExecutionEngine from './statementExecutionEngine.js';
 import StatementManager from './statementManager.js';
 import settingsService from './settingsService.js';
 
-// Create singleton session manager instance
+// Shared session manager instance
 const sessionManager = SessionManager.getInstance(flinkApi);
 
-// Create statement manager instance (uses singleton session manager)
+// Create statement manager instance (owns the session pool, shared session included)
 const statementManager = new StatementManager(flinkApi);
 
 export { 
   flinkApi, 
-  sessionManager,      // Singleton session manager
-  statementManager,    // Statement manager (uses singleton session manager)
-  SessionManager,      // For direct instantiation (will return singleton)
+  sessionManager,      // Shared session manager
+  statementManager,    // Statement manager (owns the session pool)
+  SessionManager,      // For direct instantiation of an independent session
+  SessionPool,
+  SHARED_SESSION,
+  METADATA_SESSION,
+  getTabSessionName,
   StatementExecutionEngine, // For direct instantiation
   StatementManager,    // For direct instantiation
   settingsService 
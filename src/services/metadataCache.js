@@ -0,0 +1,195 @@
+/**
+ * MetadataCache - Lazily loaded catalog metadata shared by the catalog browser and the editor
+ * Catalogs, databases, tables, columns (DESCRIBE) and functions (SHOW FUNCTIONS) are loaded
+ * on first use in the isolated metadata session and kept until a DDL statement or a refresh
+ * invalidates them. Statements that switch catalogs run one at a time, so concurrent loads
+ * never see each other's USE CATALOG.
+ */
+import { METADATA_SESSION } from './sessionPool.js';
+import { statementManager } from './index.js';
+import { getSessionEffect, getStatementType } from '../utils/sqlParser.js';
+import logger from '../utils/logger.js';
+
+const log = logger.getModuleLogger('MetadataCache');
+
+const STATEMENT_ID_PREFIX = 'MetadataCache_';
+
+const quoteIdentifier = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+
+// Rows arrive as arrays, { fields } or objects keyed by column name
+const rowValues = (row) => (Array.isArray(row) ? row : row.fields || Object.values(row));
+
+class MetadataCache {
+  constructor(manager) {
+    this.statementManager = manager;
+    this.entries = new Map();   // cache key -> Promise of the loaded value
+    this.values = new Map();    // cache key -> loaded value, for synchronous lookups
+    this.queue = Promise.resolve();
+    this.pendingStatements = new Map(); // statementId -> statement text of editor statements
+    this.queryCount = 0;
+
+    // Watch executed statements so DDL and USE invalidate what they change
+    this.handleStatementEvent = (event) => this.onStatementEvent(event);
+    this.statementManager.addGlobalObserver(this.handleStatementEvent);
+  }
+
+  // Run a statement and return its rows as value arrays
+  async query(sql, sessionName = METADATA_SESSION) {
+    const statementId = `${STATEMENT_ID_PREFIX}${Date.now()}_${++this.queryCount}`;
+    const result = await this.statementManager.executeSQL(sql, statementId, { sessionName });
+
+    if (!result || (result.status !== 'COMPLETED' && result.status !== 'FINISHED')) {
+      throw new Error(`${sql} did not complete (${result?.status || 'no result'})`);
+    }
+    const rows = result.results || result.state?.results || [];
+    return rows.map(rowValues);
+  }
+
+  // Run statements in the metadata session one batch at a time; returns the rows of the last one
+  runInMetadataSession(statements) {
+    const run = this.queue.then(async () => {
+      let rows = [];
+      for (const sql of statements) {
+        rows = await this.query(sql);
+      }
+      return rows;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Load a value once; failed loads are forgotten so the next call retries
+  load(key, loader) {
+    if (!this.entries.has(key)) {
+      const promise = loader()
+        .then(value => {
+          this.values.set(key, value);
+          return value;
+        })
+        .catch(error => {
+          this.entries.delete(key);
+          log.warn('load', `Loading ${key} failed: ${error.message}`);
+          throw error;
+        });
+      this.entries.set(key, promise);
+    }
+    return this.entries.get(key);
+  }
+
+  // Already loaded value or undefined - never triggers a load
+  peek(key) {
+    return this.values.get(key);
+  }
+
+  getCatalogs() {
+    return this.load('catalogs', async () => {
+      const rows = await this.runInMetadataSession(['SHOW CATALOGS']);
+      return rows.map(values => values[0]).filter(Boolean);
+    });
+  }
+
+  getDatabases(catalog) {
+    return this.load(`databases:${catalog}`, async () => {
+      const rows = await this.runInMetadataSession([`USE CATALOG ${quoteIdentifier(catalog)}`, 'SHOW DATABASES']);
+      return rows.map(values => values[0]).filter(Boolean);
+    });
+  }
+
+  // The database a catalog starts in (its default database)
+  getDefaultDatabase(catalog) {
+    return this.load(`defaultDatabase:${catalog}`, async () => {
+      const rows = await this.runInMetadataSession([`USE CATALOG ${quoteIdentifier(catalog)}`, 'SHOW CURRENT DATABASE']);
+      return rows[0]?.[0] || null;
+    });
+  }
+
+  // Tables and views of a database; without a database, those of the catalog's default database
+  async getTables(catalog, database = null) {
+    const databaseName = database || await this.getDefaultDatabase(catalog);
+    return this.load(`tables:${catalog}.${databaseName}`, async () => {
+      const rows = await this.runInMetadataSession([
+        `USE CATALOG ${quoteIdentifier(catalog)}`,
+        `USE ${quoteIdentifier(databaseName)}`,
+        'SHOW TABLES'
+      ]);
+      return rows.map(values => values[0]).filter(Boolean);
+    });
+  }
+
+  /**
+   * Columns of a table from DESCRIBE
+   * @returns {Promise<Array<{name: string, type: string, nullable: boolean}>>}
+   */
+  getColumns(catalog, database, table) {
+    return this.load(`columns:${catalog}.${database}.${table}`, async () => {
+      const path = [catalog, database, table].map(quoteIdentifier).join('.');
+      const rows = await this.query(`DESCRIBE ${path}`);
+      return rows.map(values => ({
+        name: values[0],
+        type: values[1],
+        nullable: values[2] === true || values[2] === 'true'
+      }));
+    });
+  }
+
+  getFunctions() {
+    return this.load('functions', async () => {
+      const rows = await this.runInMetadataSession(['SHOW FUNCTIONS']);
+      return rows.map(values => values[0]).filter(Boolean);
+    });
+  }
+
+  // Current catalog and database of an editor session
+  getCurrentContext(sessionName) {
+    return this.load(`context:${sessionName}`, async () => {
+      const catalogRows = await this.query('SHOW CURRENT CATALOG', sessionName);
+      const databaseRows = await this.query('SHOW CURRENT DATABASE', sessionName);
+      return { catalog: catalogRows[0]?.[0] || null, database: databaseRows[0]?.[0] || null };
+    });
+  }
+
+  // Drop cached entries whose key starts with one of the prefixes (everything without arguments)
+  invalidate(...prefixes) {
+    for (const key of [...this.entries.keys()]) {
+      if (prefixes.length === 0 || prefixes.some(prefix => key.startsWith(prefix))) {
+        this.entries.delete(key);
+        this.values.delete(key);
+      }
+    }
+    log.debug('invalidate', `Invalidated ${prefixes.length ? prefixes.join(', ') : 'all metadata'}`);
+  }
+
+  clear() {
+    this.invalidate();
+  }
+
+  onStatementEvent(event) {
+    if (event.type !== 'lifecycle' || String(event.statementId).startsWith(STATEMENT_ID_PREFIX)) {
+      return;
+    }
+
+    if (event.eventType === 'statement_started') {
+      this.pendingStatements.set(event.statementId, event.statement || '');
+      return;
+    }
+
+    const statement = this.pendingStatements.get(event.statementId);
+    this.pendingStatements.delete(event.statementId);
+    if (event.eventType !== 'statement_completed' || !statement) {
+      return;
+    }
+
+    const effect = getSessionEffect(statement);
+    if (effect && (effect.kind === 'USE_CATALOG' || effect.kind === 'USE_DATABASE')) {
+      this.invalidate('context:');
+    } else if (effect && (effect.kind === 'CREATE_CATALOG' || effect.kind === 'DROP_CATALOG')) {
+      this.invalidate('catalogs', 'databases:', 'defaultDatabase:');
+    } else if (getStatementType(statement) === 'DDL') {
+      this.invalidate('databases:', 'tables:', 'columns:', 'functions');
+    }
+  }
+}
+
+// Create and export singleton instance
+const metadataCache = new MetadataCache(statementManager);
+export default metadataCache;
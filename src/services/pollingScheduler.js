@@ -0,0 +1,112 @@
+/**
+ * PollingScheduler - Decides how long the result loop waits between fetches
+ * Fetches again immediately while pages carry data, and backs off exponentially
+ * (up to a ceiling) on NOT_READY or empty pages. Time spent inside the request
+ * counts towards the wait, so a gateway that holds the fetch open (long-poll)
+ * is not followed by an additional sleep.
+ */
+
+const RATE_WINDOW_MS = 10000; // Window for pages/rows per second
+
+export const DEFAULT_POLLING_OPTIONS = {
+  minIntervalMs: 0,        // Wait after a page with data (0 = fetch immediately)
+  initialBackoffMs: 200,   // First wait after an empty/NOT_READY page
+  maxIntervalMs: 5000,     // Backoff ceiling
+  backoffFactor: 2,        // Multiplier per consecutive empty page
+  timeoutMs: 0             // Optional wall-clock limit for the whole statement (0 = none)
+};
+
+class PollingScheduler {
+  constructor(options = {}) {
+    this.configure(options);
+    this.reset();
+  }
+
+  // Apply scheduler options, ignoring unset values
+  configure(options = {}) {
+    const defined = Object.fromEntries(
+      Object.entries(options || {}).filter(([, value]) => Number.isFinite(value) && value >= 0)
+    );
+    this.options = { ...DEFAULT_POLLING_OPTIONS, ...defined };
+    this.options.maxIntervalMs = Math.max(this.options.maxIntervalMs, this.options.minIntervalMs);
+    this.options.backoffFactor = Math.max(1, this.options.backoffFactor);
+  }
+
+  // Reset counters for a new statement
+  reset() {
+    this.startTime = null;
+    this.intervalMs = this.options.minIntervalMs;
+    this.pages = 0;
+    this.rows = 0;
+    this.emptyPages = 0;
+    this.lastRequestMs = 0;
+    this.recentPages = []; // { time, rows } within RATE_WINDOW_MS
+  }
+
+  start() {
+    this.reset();
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Record a fetched page and compute the delay before the next fetch
+   * @param {Object} page - { rowCount, resultType, requestDurationMs }
+   * @returns {number} Milliseconds to wait before the next fetch
+   */
+  recordPage({ rowCount = 0, resultType = null, requestDurationMs = 0 } = {}) {
+    const now = Date.now();
+    this.pages++;
+    this.rows += rowCount;
+    this.lastRequestMs = requestDurationMs;
+
+    this.recentPages.push({ time: now, rows: rowCount });
+    while (this.recentPages.length > 0 && now - this.recentPages[0].time > RATE_WINDOW_MS) {
+      this.recentPages.shift();
+    }
+
+    if (rowCount > 0 && resultType !== 'NOT_READY') {
+      this.emptyPages = 0;
+      this.intervalMs = this.options.minIntervalMs;
+    } else {
+      this.emptyPages++;
+      const nextInterval = this.emptyPages === 1
+        ? Math.max(this.options.initialBackoffMs, this.options.minIntervalMs)
+        : this.intervalMs * this.options.backoffFactor;
+      this.intervalMs = Math.min(nextInterval, this.options.maxIntervalMs);
+    }
+
+    return Math.max(0, this.intervalMs - requestDurationMs);
+  }
+
+  // Whether the optional wall-clock timeout has elapsed
+  hasTimedOut() {
+    return this.options.timeoutMs > 0 && this.startTime !== null
+      && Date.now() - this.startTime >= this.options.timeoutMs;
+  }
+
+  getElapsedMs() {
+    return this.startTime ? Date.now() - this.startTime : 0;
+  }
+
+  // Scheduler state for diagnostics
+  getState() {
+    const windowStart = this.recentPages.length > 0 ? this.recentPages[0].time : Date.now();
+    const windowSeconds = Math.max((Date.now() - windowStart) / 1000, 1);
+    const windowRows = this.recentPages.reduce((sum, page) => sum + page.rows, 0);
+
+    return {
+      intervalMs: this.intervalMs,
+      maxIntervalMs: this.options.maxIntervalMs,
+      timeoutMs: this.options.timeoutMs,
+      elapsedMs: this.getElapsedMs(),
+      pages: this.pages,
+      rows: this.rows,
+      consecutiveEmptyPages: this.emptyPages,
+      lastRequestMs: this.lastRequestMs,
+      pagesPerSecond: Number((this.recentPages.length / windowSeconds).toFixed(2)),
+      rowsPerSecond: Number((windowRows / windowSeconds).toFixed(2))
+    };
+  }
+}
+
+export default PollingScheduler;
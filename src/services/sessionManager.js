@@ -1,24 +1,64 @@
 /**
- * SessionManager - Manages Flink session lifecycle (Singleton)
+ * SessionManager - Manages the lifecycle of one named Flink session
  * Handles session creation, validation, and cleanup
- * Shared across all statement executions
+ * getInstance() returns the shared session; further named sessions are created by SessionPool
  */
 import logger from '../utils/logger.js';
+import settingsService from './settingsService.js';
+import { getSessionEffect, formatStatementForDisplay } from '../utils/sqlParser.js';
 
 const log = logger.getModuleLogger('SessionManager');
 
+const MAX_JOURNAL_ENTRIES = 200;
+const DEFAULT_IDLE_TIMEOUT_MS = 10 * 60 * 1000; // Gateway default for sql-gateway.session.idle-timeout
+const HEARTBEAT_RECHECK_MS = 60000;             // Re-check interval while heartbeats are disabled in settings
+const REPLAY_POLL_INTERVAL_MS = 200;
+const REPLAY_TIMEOUT_MS = 30000;
+const MAX_HEARTBEAT_FAILURES = 3;               // Consecutive failed heartbeats before the session is re-validated
+
+// Parse a Flink duration ('30min', '90 s', '1h', '500ms'; bare numbers are milliseconds)
+export function parseFlinkDuration(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  const multipliers = [
+    [['', 'ms', 'milli', 'millis', 'millisecond', 'milliseconds'], 1],
+    [['s', 'sec', 'secs', 'second', 'seconds'], 1000],
+    [['m', 'min', 'mins', 'minute', 'minutes'], 60000],
+    [['h', 'hour', 'hours'], 3600000],
+    [['d', 'day', 'days'], 86400000]
+  ];
+  const entry = multipliers.find(([units]) => units.includes(unit));
+  return entry ? amount * entry[1] : null;
+}
+
+// Whether a gateway error says the session is gone: a 404, or the 500 Flink answers with
+// "Session '<handle>' does not exist" once the session was closed or timed out
+export function isSessionNotFoundError(error) {
+  if (error?.status === 404) return true;
+  return error?.status === 500 && /session\b.*\b(does not exist|not found)/i.test(error.message || '');
+}
+
+// Statement kinds that undo an earlier journal entry with the same key
+const UNDO_KINDS = {
+  RESET: 'SET',
+  REMOVE_JAR: 'ADD_JAR',
+  UNLOAD_MODULE: 'LOAD_MODULE',
+  DROP_TEMPORARY: 'CREATE_TEMPORARY',
+  DROP_CATALOG: 'CREATE_CATALOG'
+};
+
 class SessionManager {
   static instance = null;
   
-  constructor(flinkApi) {
-    // Implement singleton pattern
-    if (SessionManager.instance) {
-      return SessionManager.instance;
-    }
-    
-    log.traceEnter('constructor');
+  constructor(flinkApi, name = 'shared') {
+    log.traceEnter('constructor', { name });
     
     this.flinkApi = flinkApi;
+    this.name = name;
     this.currentSession = null;
     this.sessionStartTime = null;
     this.sessionProperties = {
@@ -27,12 +67,26 @@ class SessionManager {
     };
     this.listeners = new Set();
     this.debugLogFunction = null; // Will be set by App.jsx (deprecated - use logger instead)
+    this.journal = [];          // Session-mutating statements to replay into a replacement session
+    this.lastRestore = null;    // { restoredAt, sessionHandle, statements: [{ statement, kind, success, error }] }
+    this.isRestoring = false;
+    this.heartbeatTimer = null;
+    this.heartbeatPaused = false;
+    this.lastHeartbeatAt = null;
+    this.lastHeartbeatError = null;
+    this.heartbeatFailures = 0; // Consecutive failed heartbeats
+    this.visibilityListenerAdded = false;
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.replayConfirmHandler = (entries) => (
+      typeof window === 'undefined' || window.confirm(
+        `The Flink session expired and was replaced.\n\nRestore ${entries.length} session statement(s) (SET, USE, ADD JAR, CREATE TEMPORARY ...) into the new session?`
+      )
+    );
     
-    SessionManager.instance = this;
     log.traceExit('constructor');
   }
   
-  // Static method to get singleton instance
+  // Static method to get the shared session instance
   static getInstance(flinkApi) {
     if (!SessionManager.instance) {
       SessionManager.instance = new SessionManager(flinkApi);
@@ -47,6 +101,9 @@ class SessionManager {
 
   // Legacy logging function (DEPRECATED - use logger directly)
   log(message, type = 'info') {
+    if (this.name !== 'shared') {
+      message = `[${this.name}] ${message}`;
+    }
     if (this.debugLogFunction) {
       this.debugLogFunction(message, type);
     } else {
@@ -80,11 +137,24 @@ class SessionManager {
     log.trace('getSessionInfo', 'Getting session info');
     
     return {
+      name: this.name,
       sessionHandle: this.currentSession?.sessionHandle || null,
       isActive: !!this.currentSession,
       startTime: this.sessionStartTime,
       age: this.sessionStartTime ? Date.now() - this.sessionStartTime : 0,
-      properties: this.sessionProperties
+      properties: this.sessionProperties,
+      lastActivity: this.currentSession?.lastUsed || null,
+      idleTimeoutMs: this.getIdleTimeoutMs(),
+      expiresAt: this.currentSession ? this.currentSession.lastUsed + this.getIdleTimeoutMs() : null,
+      heartbeat: {
+        intervalMs: settingsService.getSessionHeartbeatIntervalMs(),
+        paused: this.heartbeatPaused,
+        lastHeartbeatAt: this.lastHeartbeatAt,
+        lastError: this.lastHeartbeatError
+      },
+      journalSize: this.journal.length,
+      lastRestore: this.lastRestore,
+      isRestoring: this.isRestoring
     };
   }
 
@@ -124,12 +194,14 @@ class SessionManager {
       this.sessionStartTime = Date.now();
       
       this.log(`Session created: ${response.sessionHandle}`);
+      this.startHeartbeat();
       
       this.notifyListeners();
       return this.currentSession;
       
     } catch (error) {
       this.log(`❌ Failed to create session: ${error.message}`);
+      this.stopHeartbeat();
       this.currentSession = null;
       this.sessionStartTime = null;
       this.notifyListeners();
@@ -138,10 +210,15 @@ class SessionManager {
   }
 
   // Get or create a session
+  // A session created to replace a lost one gets the journaled session state replayed into it
   async getSession() {
     if (!this.currentSession) {
       this.log('No active session, creating new one...');
       await this.createSession();
+      
+      if (this.journal.length > 0) {
+        await this.restoreSessionState();
+      }
     } else {
       this.log(`Reusing existing session: ${this.currentSession.sessionHandle}`);
       this.currentSession.lastUsed = Date.now();
@@ -163,6 +240,7 @@ class SessionManager {
       return true;
     } catch (error) {
       this.log(`⚠️ Session validation failed: ${error.message}`);
+      this.stopHeartbeat();
       this.currentSession = null;
       this.sessionStartTime = null;
       this.notifyListeners();
@@ -170,6 +248,41 @@ class SessionManager {
     }
   }
 
+  // Reattach to an existing gateway session (e.g. one saved before a page reload)
+  // Adopts it as the current session when none is active; returns whether it is still alive
+  async reattachSession(sessionHandle) {
+    if (!sessionHandle) {
+      return false;
+    }
+
+    if (this.currentSession?.sessionHandle === sessionHandle) {
+      return this.validateSession();
+    }
+
+    try {
+      this.log(`Checking saved session: ${sessionHandle}`);
+      await this.flinkApi.getSession(sessionHandle);
+    } catch (error) {
+      this.log(`⚠️ Saved session is gone: ${error.message}`);
+      return false;
+    }
+
+    if (!this.currentSession) {
+      this.currentSession = {
+        sessionHandle,
+        properties: this.sessionProperties,
+        createdAt: new Date().toISOString(),
+        lastUsed: Date.now()
+      };
+      this.sessionStartTime = Date.now();
+      this.log(`Reattached to session: ${sessionHandle}`);
+      this.startHeartbeat();
+      this.notifyListeners();
+    }
+
+    return true;
+  }
+
   // Close current session
   async closeSession() {
     if (!this.currentSession) {
@@ -184,8 +297,12 @@ class SessionManager {
     } catch (error) {
       this.log('⚠️ Error closing session: ' + error.message);
     } finally {
+      // An intentionally closed session starts over - its state is not carried into the next one
+      this.stopHeartbeat();
       this.currentSession = null;
       this.sessionStartTime = null;
+      this.journal = [];
+      this.lastRestore = null;
       this.notifyListeners();
     }
   }
@@ -197,6 +314,234 @@ class SessionManager {
     return await this.createSession();
   }
 
+  // Record gateway activity on the session (statements and result fetches reset its idle timer)
+  touch() {
+    if (this.currentSession) {
+      this.currentSession.lastUsed = Date.now();
+    }
+  }
+
+  // Idle timeout the gateway applies to this session
+  getIdleTimeoutMs() {
+    const configured = this.currentSession?.properties?.['sql-gateway.session.idle-timeout']
+      ?? this.sessionProperties['sql-gateway.session.idle-timeout'];
+    return parseFlinkDuration(configured) || DEFAULT_IDLE_TIMEOUT_MS;
+  }
+
+  // Heartbeat - keeps the session alive while the page is visible, paused while it is hidden
+  
+  startHeartbeat() {
+    if (typeof document !== 'undefined' && !this.visibilityListenerAdded) {
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+      this.visibilityListenerAdded = true;
+    }
+    this.heartbeatPaused = typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    this.lastHeartbeatError = null;
+    this.heartbeatFailures = 0;
+    this.scheduleHeartbeat();
+  }
+
+  stopHeartbeat() {
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    if (this.visibilityListenerAdded) {
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+      this.visibilityListenerAdded = false;
+    }
+  }
+
+  scheduleHeartbeat(delayMs = null) {
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    if (!this.currentSession || this.heartbeatPaused) return;
+
+    const intervalMs = settingsService.getSessionHeartbeatIntervalMs();
+    this.heartbeatTimer = setTimeout(async () => {
+      if (settingsService.getSessionHeartbeatIntervalMs() > 0) {
+        await this.sendHeartbeat();
+      }
+      this.scheduleHeartbeat();
+    }, delayMs ?? (intervalMs > 0 ? intervalMs : HEARTBEAT_RECHECK_MS));
+  }
+
+  async sendHeartbeat() {
+    if (!this.currentSession) return false;
+    const sessionHandle = this.currentSession.sessionHandle;
+
+    try {
+      await this.flinkApi.heartbeatSession(sessionHandle);
+      this.touch();
+      this.lastHeartbeatAt = Date.now();
+      this.lastHeartbeatError = null;
+      this.heartbeatFailures = 0;
+      log.trace('sendHeartbeat', `Heartbeat sent for session ${sessionHandle}`);
+      this.notifyListeners();
+      return true;
+    } catch (error) {
+      this.lastHeartbeatError = error.message;
+      this.heartbeatFailures++;
+      
+      if (isSessionNotFoundError(error) && this.currentSession?.sessionHandle === sessionHandle) {
+        // The gateway already dropped the session - the next statement gets a replacement
+        this.log(`⚠️ Session ${sessionHandle} expired on the gateway`);
+        this.stopHeartbeat();
+        this.currentSession = null;
+        this.sessionStartTime = null;
+      } else if (this.heartbeatFailures >= MAX_HEARTBEAT_FAILURES && this.currentSession?.sessionHandle === sessionHandle) {
+        // Failures that do not name the session may still mean it is gone - ask the gateway
+        this.log(`⚠️ ${this.heartbeatFailures} heartbeats failed in a row (${error.message}) - validating session`, 'warn');
+        this.heartbeatFailures = 0;
+        await this.validateSession();
+      } else {
+        this.log(`⚠️ Heartbeat failed: ${error.message}`, 'warn');
+      }
+      this.notifyListeners();
+      return false;
+    }
+  }
+
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.log('Page hidden - pausing session heartbeat');
+      this.heartbeatPaused = true;
+      clearTimeout(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    } else {
+      this.log('Page visible - resuming session heartbeat');
+      this.heartbeatPaused = false;
+      // Beat right away so time spent hidden does not count towards the idle timeout
+      this.scheduleHeartbeat(0);
+    }
+    this.notifyListeners();
+  }
+
+  // Override how the user is asked before replaying the journal (replay mode 'prompt')
+  setReplayConfirmHandler(handler) {
+    this.replayConfirmHandler = handler;
+  }
+
+  /**
+   * Journal a successfully executed statement if it changes session state
+   * Redefinitions replace the earlier entry and undo statements (RESET, DROP TEMPORARY, ...)
+   * remove the entry they undo. USE statements keep their position so temporary objects are
+   * recreated in the catalog/database they were created in; consecutive ones are collapsed.
+   */
+  recordStatement(statement) {
+    const effect = getSessionEffect(statement);
+    if (!effect || this.isRestoring) {
+      return;
+    }
+
+    const { kind, key } = effect;
+    const undoneKind = UNDO_KINDS[kind];
+
+    if (undoneKind) {
+      const before = this.journal.length;
+      this.journal = this.journal.filter(entry => !(entry.kind === undoneKind && (key === null || entry.key === key)));
+      // Unloading a default module changes the session even when nothing was journaled for it
+      if (kind !== 'UNLOAD_MODULE' || this.journal.length < before) {
+        this.log(`Session journal: ${kind} ${key || ''} removed ${before - this.journal.length} entries`);
+        this.notifyListeners();
+        return;
+      }
+    } else if (kind === 'USE_CATALOG' || kind === 'USE_DATABASE') {
+      const collapsible = kind === 'USE_CATALOG' ? ['USE_CATALOG', 'USE_DATABASE'] : ['USE_DATABASE'];
+      while (this.journal.length > 0 && collapsible.includes(this.journal[this.journal.length - 1].kind)) {
+        this.journal.pop();
+      }
+    } else {
+      this.journal = this.journal.filter(entry => !(entry.kind === kind && entry.key === key));
+    }
+
+    this.journal.push({ statement: statement.trim(), kind, key, recordedAt: Date.now() });
+    if (this.journal.length > MAX_JOURNAL_ENTRIES) {
+      this.journal.shift();
+    }
+
+    this.log(`Session journal: recorded ${kind}${key ? ` ${key}` : ''} (${this.journal.length} entries)`);
+    this.notifyListeners();
+  }
+
+  getJournal() {
+    return [...this.journal];
+  }
+
+  clearJournal() {
+    this.journal = [];
+    this.notifyListeners();
+  }
+
+  // Replay the journal into the current (replacement) session according to the replay mode setting
+  async restoreSessionState() {
+    const mode = settingsService.getSessionReplayMode();
+    const entries = [...this.journal];
+    
+    if (mode === 'off') {
+      this.log(`Session replaced - replay is off, ${entries.length} journaled statements not restored`);
+      return null;
+    }
+
+    if (mode === 'prompt' && !(await this.replayConfirmHandler(entries))) {
+      this.log('Session replaced - restoring session state declined');
+      this.journal = [];
+      this.notifyListeners();
+      return null;
+    }
+
+    const sessionHandle = this.currentSession.sessionHandle;
+    this.log(`♻️ Restoring ${entries.length} session statements into ${sessionHandle}`);
+    this.isRestoring = true;
+    this.notifyListeners();
+
+    const restored = [];
+    try {
+      for (const entry of entries) {
+        try {
+          await this.runToCompletion(sessionHandle, entry.statement);
+          restored.push({ statement: entry.statement, kind: entry.kind, success: true });
+          this.log(`Restored: ${formatStatementForDisplay(entry.statement, 80)}`);
+        } catch (error) {
+          restored.push({ statement: entry.statement, kind: entry.kind, success: false, error: error.message });
+          this.log(`⚠️ Failed to restore "${formatStatementForDisplay(entry.statement, 80)}": ${error.message}`, 'warn');
+        }
+      }
+    } finally {
+      this.isRestoring = false;
+    }
+
+    this.lastRestore = {
+      restoredAt: Date.now(),
+      sessionHandle,
+      statements: restored
+    };
+    this.notifyListeners();
+    return this.lastRestore;
+  }
+
+  // Execute a statement and wait until the gateway has finished it
+  async runToCompletion(sessionHandle, statement) {
+    const { operationHandle } = await this.flinkApi.submitStatement(sessionHandle, statement);
+    const startTime = Date.now();
+
+    try {
+      // Results throw with the root cause when the operation failed
+      let response = await this.flinkApi.getOperationResults(sessionHandle, operationHandle, 0);
+      while (response.resultType === 'NOT_READY') {
+        if (Date.now() - startTime > REPLAY_TIMEOUT_MS) {
+          throw new Error(`Timed out after ${REPLAY_TIMEOUT_MS / 1000}s`);
+        }
+        await new Promise(resolve => setTimeout(resolve, REPLAY_POLL_INTERVAL_MS));
+        response = await this.flinkApi.getOperationResults(sessionHandle, operationHandle, 0);
+      }
+    } finally {
+      try {
+        await this.flinkApi.closeOperation(sessionHandle, operationHandle);
+      } catch (error) {
+        this.log(`Failed to close replay operation: ${error.message}`, 'warn');
+      }
+    }
+  }
+
   // Get session age in human readable format
   getSessionAge() {
     if (!this.sessionStartTime) return 'No active session';
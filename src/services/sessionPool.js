@@ -0,0 +1,116 @@
+/**
+ * SessionPool - Keeps one SessionManager per named gateway session
+ * Editor tabs bind to the shared session or to a named session of their own, and
+ * metadata panels (catalogs, jobs) run in a dedicated session so their USE/SET
+ * statements never leak into the sessions the user is typing in.
+ */
+import SessionManager from './sessionManager.js';
+import logger from '../utils/logger.js';
+
+const log = logger.getModuleLogger('SessionPool');
+
+export const SHARED_SESSION = 'shared';
+export const METADATA_SESSION = 'metadata';
+
+// Session name used by an editor tab that asks for a session of its own
+export function getTabSessionName(tabId) {
+  return `tab-${tabId}`;
+}
+
+class SessionPool {
+  constructor(flinkApi) {
+    this.flinkApi = flinkApi;
+    this.managers = new Map(); // name -> SessionManager
+    this.listeners = new Set();
+    this.debugLogFunction = null;
+
+    this.register(SessionManager.getInstance(flinkApi));
+  }
+
+  register(manager) {
+    this.managers.set(manager.name, manager);
+    manager.addListener(() => this.notifyListeners());
+    return manager;
+  }
+
+  // Get the manager for a named session, creating it on first use
+  getManager(name = SHARED_SESSION) {
+    const existing = this.managers.get(name || SHARED_SESSION);
+    if (existing) {
+      return existing;
+    }
+
+    log.info('getManager', `Creating session manager: ${name}`);
+    const manager = new SessionManager(this.flinkApi, name);
+    manager.sessionProperties = { ...this.getManager(SHARED_SESSION).sessionProperties };
+    manager.setDebugLogFunction(this.debugLogFunction);
+    this.register(manager);
+    this.notifyListeners();
+    return manager;
+  }
+
+  hasSession(name) {
+    return this.managers.has(name);
+  }
+
+  getSessionNames() {
+    return Array.from(this.managers.keys());
+  }
+
+  // Session info for every session in the pool, keyed by name
+  getAllSessionInfo() {
+    const infos = {};
+    this.managers.forEach((manager, name) => {
+      infos[name] = manager.getSessionInfo();
+    });
+    return infos;
+  }
+
+  setDebugLogFunction(logFunction) {
+    this.debugLogFunction = logFunction;
+    this.managers.forEach(manager => manager.setDebugLogFunction(logFunction));
+  }
+
+  // Session properties from settings apply to every session in the pool
+  updateSessionProperties(newProperties) {
+    this.managers.forEach(manager => manager.updateSessionProperties(newProperties));
+  }
+
+  // Close a session; named sessions are also removed from the pool
+  async closeSession(name = SHARED_SESSION) {
+    const manager = this.managers.get(name);
+    if (!manager) return;
+
+    await manager.closeSession();
+    if (name !== SHARED_SESSION) {
+      this.managers.delete(name);
+      this.notifyListeners();
+    }
+  }
+
+  async closeAll() {
+    await Promise.allSettled(this.getSessionNames().map(name => this.closeSession(name)));
+  }
+
+  // Listeners receive the info of all sessions whenever any of them changes
+  addListener(callback) {
+    this.listeners.add(callback);
+  }
+
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  notifyListeners() {
+    const infos = this.getAllSessionInfo();
+    this.listeners.forEach(callback => {
+      try {
+        callback(infos);
+      } catch (error) {
+        log.error('notifyListeners', `Error in session pool listener: ${error.message}`);
+      }
+    });
+  }
+}
+
+export default SessionPool;
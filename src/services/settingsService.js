@@ -1,11 +1,60 @@
+import credentialVault from './credentialVault.js';
 import logger from '../utils/logger.js';
+import { KEYWORD_CASES } from '../utils/sqlFormatter.js';
 
 const log = logger.getModuleLogger('SettingsService');
 
+// Colour tags offered for connection profiles
+export const PROFILE_COLORS = ['#4ec9b0', '#569cd6', '#dcdcaa', '#ce9178', '#f44747', '#c586c0'];
+
+const createProfileId = () => `profile-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+// Gateway fields that never go to localStorage in clear text
+const SECRET_FIELDS = ['password', 'apiToken', 'clientSecret'];
+
+// OAuth2 endpoints and client of a gateway (the client secret is kept with the other secrets)
+const DEFAULT_OAUTH_SETTINGS = {
+  tokenUrl: '',
+  deviceAuthorizationUrl: '',
+  clientId: '',
+  scope: '',
+  audience: ''
+};
+
+const hasSecrets = (gateway) => SECRET_FIELDS.some(field => !!gateway?.[field]);
+
+// The secrets a gateway holds, leaving out empty fields
+const pickSecrets = (gateway) => Object.fromEntries(
+  SECRET_FIELDS.filter(field => !!gateway?.[field]).map(field => [field, gateway[field]])
+);
+
+const withoutSecrets = (gateway) => {
+  const copy = { ...gateway };
+  SECRET_FIELDS.forEach(field => { copy[field] = ''; });
+  return copy;
+};
+
+// Copy of the settings with passwords and tokens blanked, for storage and export
+const stripSecrets = (settings) => ({
+  ...settings,
+  gateway: withoutSecrets(settings.gateway),
+  profiles: Array.isArray(settings.profiles)
+    ? settings.profiles.map(profile => ({ ...profile, gateway: withoutSecrets(profile?.gateway) }))
+    : settings.profiles
+});
+
 class SettingsService {
   constructor() {
-    this.settings = this.loadSettings();
     this.listeners = new Set();
+    this.legacySecretsFound = false;
+    this.legacySecrets = null; // Clear-text secrets saved by older versions per profile id, kept in storage until encrypted or discarded
+    this.secretWrites = Promise.resolve();
+    this.settings = this.loadSettings();
+
+    // Without a vault to move them into, clear-text secrets of older versions are kept in memory only
+    if (this.legacySecrets && (!credentialVault.isSupported() || this.getCredentialStorageMode() === 'memory')) {
+      this.discardLegacySecrets();
+    }
   }
 
   // Load settings from localStorage or use environment-based defaults
@@ -15,7 +64,7 @@ class SettingsService {
     if (savedSettings) {
       try {
         const parsed = JSON.parse(savedSettings);
-        log.info('loadSettings', `Loaded settings from localStorage`, parsed);
+        log.info('loadSettings', `Loaded settings from localStorage`, stripSecrets(parsed));
         
         // If the gateway URL is the old proxy format, reset it
         if (parsed.gateway?.url === '/api/flink') {
@@ -23,7 +72,14 @@ class SettingsService {
           delete parsed.gateway.url; // This will force it to use environment/default values
         }
         
-        return this.validateSettings(parsed);
+        const validated = this.validateSettings(parsed);
+        this.setLegacySecrets(this.findLegacySecrets(validated));
+        
+        // Secrets are not stored in clear text any more, so fall back to the environment
+        // until the credential vault is unlocked
+        validated.gateway.password = validated.gateway.password || envSecrets().password;
+        validated.gateway.apiToken = validated.gateway.apiToken || envSecrets().apiToken;
+        return validated;
       } catch (error) {
         log.warn('loadSettings', `Failed to parse saved settings, using defaults: ${error.message}`);
       }
@@ -32,8 +88,7 @@ class SettingsService {
     // Read environment variables - prioritize OS environment variables (FLINK_*) over Vite ones (VITE_FLINK_*)
     const envGatewayUrl = import.meta.env.FLINK_HOST || import.meta.env.VITE_FLINK_HOST;
     const envUsername = import.meta.env.FLINK_USERNAME || import.meta.env.VITE_FLINK_USERNAME;
-    const envPassword = import.meta.env.FLINK_PASSWORD || import.meta.env.VITE_FLINK_PASSWORD;
-    const envApiToken = import.meta.env.FLINK_API_TOKEN || import.meta.env.VITE_FLINK_API_TOKEN;
+    const { password: envPassword, apiToken: envApiToken } = envSecrets();
 
     log.debug('loadFromEnvironment', 'Environment variables detected', {
       gatewayUrl: envGatewayUrl || 'not set',
@@ -54,19 +109,47 @@ class SettingsService {
         url: envGatewayUrl || '/api/flink',
         username: envUsername || '',
         password: envPassword || '',
-        apiToken: envApiToken || ''
+        apiToken: envApiToken || '',
+        authType: 'static',
+        oauth: { ...DEFAULT_OAUTH_SETTINGS },
+        clientSecret: ''
       },
       session: {
         properties: {
           'execution.runtime-mode': 'streaming',
           'table.exec.resource.default-parallelism': '1',
           'execution.checkpointing.interval': '10s'
-        }
+        },
+        replayMode: 'auto',
+        heartbeatIntervalSeconds: 60
       },
       ui: {
         theme: 'dark',
         autoSave: true
       },
+      results: {
+        maxRows: 0, // Unbounded - a cap would silently truncate bounded queries
+        overflowPolicy: 'keep-last',
+        timeZone: 'local',
+        recordChangelog: false,
+        changelogMaxEvents: 50000
+      },
+      formatter: {
+        keywordCase: 'upper',
+        indentSize: 2,
+        formatOnRun: false
+      },
+      polling: {
+        maxIntervalMs: 5000,
+        timeoutSeconds: 0
+      },
+      network: {
+        requestTimeoutSeconds: 30,
+        retries: 2
+      },
+      security: {
+        credentialStorage: 'encrypted'
+      },
       logging: {
         level: 'info',
         consoleLevel: 'warn',
@@ -84,6 +167,18 @@ class SettingsService {
         apiToken: defaults.gateway.apiToken ? '***' : ''
       }
     });
+
+    // A single profile holding the environment-based connection
+    const defaultProfile = {
+      id: createProfileId(),
+      name: 'Default',
+      color: PROFILE_COLORS[0],
+      gateway: { ...defaults.gateway },
+      sessionProperties: { ...defaults.session.properties }
+    };
+    defaults.profiles = [defaultProfile];
+    defaults.activeProfileId = defaultProfile.id;
+
     return defaults;
   }
 
@@ -95,18 +190,72 @@ class SettingsService {
         url: settings.gateway?.url || '/api/flink',
         username: settings.gateway?.username || '',
         password: settings.gateway?.password || '',
-        apiToken: settings.gateway?.apiToken || ''
+        apiToken: settings.gateway?.apiToken || '',
+        // 'static' (basic auth / fixed token), 'oauth2-client-credentials' or 'oauth2-device-code'
+        authType: ['static', 'oauth2-client-credentials', 'oauth2-device-code'].includes(settings.gateway?.authType)
+          ? settings.gateway.authType
+          : 'static',
+        oauth: { ...DEFAULT_OAUTH_SETTINGS, ...(settings.gateway?.oauth || {}) },
+        clientSecret: settings.gateway?.clientSecret || ''
       },
       session: {
         properties: settings.session?.properties || {
           'execution.runtime-mode': 'streaming',
           'table.exec.resource.default-parallelism': '1',
           'execution.checkpointing.interval': '10s'
-        }
+        },
+        // How journaled SET/USE/ADD JAR/CREATE TEMPORARY statements are restored into a replacement session
+        replayMode: ['auto', 'prompt', 'off'].includes(settings.session?.replayMode)
+          ? settings.session.replayMode
+          : 'auto',
+        // Keep-alive interval while the tab is visible (0 = no heartbeat)
+        heartbeatIntervalSeconds: Number.isFinite(settings.session?.heartbeatIntervalSeconds)
+          ? Math.max(0, settings.session.heartbeatIntervalSeconds)
+          : 60
       },
       ui: {
         autoSave: settings.ui?.autoSave !== false // Default to true
       },
+      results: {
+        // 0 means unbounded
+        maxRows: Number.isFinite(settings.results?.maxRows) ? Math.max(0, settings.results.maxRows) : 0,
+        overflowPolicy: ['keep-first', 'keep-last', 'stop'].includes(settings.results?.overflowPolicy)
+          ? settings.results.overflowPolicy
+          : 'keep-last',
+        // Zone TIMESTAMP_LTZ values are shown in: 'local' (browser) or an IANA zone name
+        timeZone: typeof settings.results?.timeZone === 'string' && settings.results.timeZone
+          ? settings.results.timeZone
+          : 'local',
+        // Keep the raw changelog of each statement for the Changelog view
+        recordChangelog: settings.results?.recordChangelog === true,
+        changelogMaxEvents: Number.isFinite(settings.results?.changelogMaxEvents)
+          ? Math.max(0, settings.results.changelogMaxEvents)
+          : 50000
+      },
+      formatter: {
+        keywordCase: KEYWORD_CASES.includes(settings.formatter?.keywordCase)
+          ? settings.formatter.keywordCase
+          : 'upper',
+        indentSize: Number.isFinite(settings.formatter?.indentSize) ? Math.min(8, Math.max(1, settings.formatter.indentSize)) : 2,
+        // Format the statements about to run in the editor before submitting them
+        formatOnRun: settings.formatter?.formatOnRun === true
+      },
+      polling: {
+        maxIntervalMs: Number.isFinite(settings.polling?.maxIntervalMs) ? Math.max(0, settings.polling.maxIntervalMs) : 5000,
+        // 0 means no timeout
+        timeoutSeconds: Number.isFinite(settings.polling?.timeoutSeconds) ? Math.max(0, settings.polling.timeoutSeconds) : 0
+      },
+      network: {
+        // Per-request timeout (0 = none) and retries of idempotent requests on 502/503/504, timeouts and network errors
+        requestTimeoutSeconds: Number.isFinite(settings.network?.requestTimeoutSeconds) ? Math.max(0, settings.network.requestTimeoutSeconds) : 30,
+        retries: Number.isFinite(settings.network?.retries) ? Math.max(0, settings.network.retries) : 2
+      },
+      security: {
+        // 'encrypted' keeps passwords and tokens in the passphrase-protected vault, 'memory' never stores them
+        credentialStorage: ['encrypted', 'memory'].includes(settings.security?.credentialStorage)
+          ? settings.security.credentialStorage
+          : 'encrypted'
+      },
       logging: {
         level: settings.logging?.level || 'info',
         consoleLevel: settings.logging?.consoleLevel || 'warn',
@@ -116,20 +265,113 @@ class SettingsService {
       }
     };
 
+    // Connection profiles - the top-level gateway/session.properties always mirror the active profile
+    const profiles = Array.isArray(settings.profiles)
+      ? settings.profiles.filter(profile => profile && profile.id && profile.gateway)
+      : [];
+    if (profiles.length === 0) {
+      profiles.push({
+        id: createProfileId(),
+        name: 'Default',
+        color: PROFILE_COLORS[0],
+        gateway: { ...validated.gateway },
+        sessionProperties: { ...validated.session.properties }
+      });
+    }
+    validated.profiles = profiles;
+    validated.activeProfileId = profiles.some(profile => profile.id === settings.activeProfileId)
+      ? settings.activeProfileId
+      : profiles[0].id;
+
     return validated;
   }
 
-  // Save settings to localStorage
+  // Save settings to localStorage - passwords and tokens go to the credential vault instead
   saveSettings() {
+    this.syncActiveProfile();
     try {
-      localStorage.setItem('flink-workbench-settings', JSON.stringify(this.settings));
+      localStorage.setItem('flink-workbench-settings', JSON.stringify(this.withLegacySecrets(stripSecrets(this.settings))));
       log.debug('saveSettings', 'Settings saved to localStorage');
+      this.persistSecrets();
       this.notifyListeners();
     } catch (error) {
       log.error('saveSettings', 'Failed to save settings', { error: error.message, stack: error.stack });
     }
   }
 
+  // Clear-text secrets in loaded settings, keyed by profile id (the top-level gateway is the active profile's)
+  findLegacySecrets(settings) {
+    const secrets = {};
+    settings.profiles.forEach(profile => {
+      const gateway = profile.id === settings.activeProfileId
+        ? { ...pickSecrets(profile.gateway), ...pickSecrets(settings.gateway) }
+        : pickSecrets(profile.gateway);
+      if (hasSecrets(gateway)) {
+        secrets[profile.id] = gateway;
+      }
+    });
+    return secrets;
+  }
+
+  setLegacySecrets(secrets) {
+    this.legacySecrets = secrets && Object.keys(secrets).length > 0 ? secrets : null;
+    this.legacySecretsFound = this.legacySecrets !== null;
+  }
+
+  // Stop keeping clear-text copies of a profile's secrets (all of them, or the given fields)
+  dropLegacySecrets(profileId, fields = SECRET_FIELDS) {
+    if (!this.legacySecrets?.[profileId]) return;
+
+    const remaining = { ...this.legacySecrets };
+    const kept = { ...remaining[profileId] };
+    fields.forEach(field => { delete kept[field]; });
+    if (hasSecrets(kept)) {
+      remaining[profileId] = kept;
+    } else {
+      delete remaining[profileId];
+    }
+    this.setLegacySecrets(remaining);
+  }
+
+  // Put the clear-text secrets of older versions back into settings about to be stored, so
+  // they are not lost before the vault holds them (or the user discards them)
+  withLegacySecrets(stored) {
+    if (!this.legacySecrets) return stored;
+
+    const active = this.legacySecrets[stored.activeProfileId];
+    return {
+      ...stored,
+      gateway: active ? { ...stored.gateway, ...active } : stored.gateway,
+      profiles: stored.profiles.map(profile => (
+        this.legacySecrets[profile.id]
+          ? { ...profile, gateway: { ...profile.gateway, ...this.legacySecrets[profile.id] } }
+          : profile
+      ))
+    };
+  }
+
+  // Remove the clear-text secrets of older versions without encrypting them; they stay in memory
+  // until the page is reloaded
+  discardLegacySecrets() {
+    if (!this.legacySecrets) return;
+
+    this.setLegacySecrets(null);
+    log.info('discardLegacySecrets', 'Clear-text credentials removed from localStorage; they are kept in memory only');
+    this.saveSettings();
+  }
+
+  // Encrypt the secrets in memory, then drop the clear-text copies older versions saved
+  // The copies stay when encryption fails (the error is thrown to the caller)
+  async removeLegacySecrets() {
+    if (!this.legacySecrets) return;
+
+    await credentialVault.save(this.collectSecrets());
+    this.setLegacySecrets(null);
+    localStorage.setItem('flink-workbench-settings', JSON.stringify(stripSecrets(this.settings)));
+    log.info('removeLegacySecrets', 'Clear-text credentials encrypted and removed from localStorage');
+    this.notifyListeners();
+  }
+
   // Get all settings
   getSettings() {
     return { ...this.settings };
@@ -165,10 +407,16 @@ class SettingsService {
       target = target[key];
     }
     
+    // A secret edited before the clear-text copy was encrypted replaces it - in memory only until a passphrase is set
+    const isSecret = keys.length === 1 && keys[0] === 'gateway' && SECRET_FIELDS.includes(lastKey);
+    if (isSecret && target[lastKey] !== value) {
+      this.dropLegacySecrets(this.settings.activeProfileId, [lastKey]);
+    }
+
     // Set the value
     target[lastKey] = value;
     
-    log.debug('updateSetting', `Updated setting ${path}`, { path, value });
+    log.debug('updateSetting', `Updated setting ${path}`, { path, value: isSecret && value ? '***' : value });
     this.saveSettings();
   }
 
@@ -183,6 +431,7 @@ class SettingsService {
   resetToDefaults() {
     log.info('resetToDefaults', 'Resetting settings to defaults...');
     localStorage.removeItem('flink-workbench-settings');
+    this.setLegacySecrets(null);
     this.settings = this.loadSettings();
     this.notifyListeners();
   }
@@ -219,6 +468,15 @@ class SettingsService {
     this.updateSetting('session.properties', properties);
   }
 
+  // 'auto', 'prompt' or 'off'
+  getSessionReplayMode() {
+    return this.getSetting('session.replayMode') || 'auto';
+  }
+
+  getSessionHeartbeatIntervalMs() {
+    return (this.getSetting('session.heartbeatIntervalSeconds') ?? 60) * 1000;
+  }
+
   addSessionProperty(key, value) {
     const current = this.getSessionProperties();
     current[key] = value;
@@ -252,6 +510,256 @@ class SettingsService {
     this.updateSetting('ui.autoSave', enabled);
   }
 
+  // Result buffer helpers
+  getResultBufferPolicy() {
+    return {
+      maxRows: this.getSetting('results.maxRows') ?? 0,
+      policy: this.getSetting('results.overflowPolicy') || 'keep-last'
+    };
+  }
+
+  setResultBufferPolicy(maxRows, overflowPolicy) {
+    this.updateSettings({
+      'results.maxRows': maxRows,
+      'results.overflowPolicy': overflowPolicy
+    });
+  }
+
+  getChangelogOptions() {
+    return {
+      enabled: this.getSetting('results.recordChangelog') === true,
+      maxEvents: this.getSetting('results.changelogMaxEvents') ?? 50000
+    };
+  }
+
+  setRecordChangelog(enabled) {
+    this.updateSetting('results.recordChangelog', enabled);
+  }
+
+  getResultTimeZone() {
+    return this.getSetting('results.timeZone') || 'local';
+  }
+
+  // SQL formatter helpers
+  getFormatterOptions() {
+    return {
+      keywordCase: this.getSetting('formatter.keywordCase') || 'upper',
+      indentSize: this.getSetting('formatter.indentSize') ?? 2,
+      formatOnRun: this.getSetting('formatter.formatOnRun') === true
+    };
+  }
+
+  // Result polling helpers
+  getPollingOptions() {
+    return {
+      maxIntervalMs: this.getSetting('polling.maxIntervalMs') ?? 5000,
+      timeoutMs: (this.getSetting('polling.timeoutSeconds') || 0) * 1000
+    };
+  }
+
+  // Gateway request helpers
+  getRequestOptions() {
+    return {
+      timeoutMs: (this.getSetting('network.requestTimeoutSeconds') ?? 30) * 1000,
+      retries: this.getSetting('network.retries') ?? 2
+    };
+  }
+
+  // Credential storage helpers
+
+  getCredentialStorageMode() {
+    return this.getSetting('security.credentialStorage') || 'encrypted';
+  }
+
+  getCredentialStatus() {
+    return {
+      mode: this.getCredentialStorageMode(),
+      supported: credentialVault.isSupported(),
+      stored: credentialVault.hasStoredSecrets(),
+      unlocked: credentialVault.isUnlocked(),
+      legacySecretsFound: this.legacySecretsFound
+    };
+  }
+
+  // Secrets of every profile, keyed by profile id
+  collectSecrets() {
+    const profiles = {};
+    (this.settings.profiles || []).forEach(profile => {
+      if (hasSecrets(profile.gateway)) {
+        profiles[profile.id] = Object.fromEntries(SECRET_FIELDS.map(field => [field, profile.gateway[field] || '']));
+      }
+    });
+    return { profiles };
+  }
+
+  // Queue an encrypted write of the current secrets; writes run in order so the last save wins
+  persistSecrets() {
+    if (this.getCredentialStorageMode() !== 'encrypted' || !credentialVault.isUnlocked()) {
+      return this.secretWrites;
+    }
+
+    this.secretWrites = this.secretWrites
+      .then(() => credentialVault.save(this.collectSecrets()))
+      .catch(error => log.error('persistSecrets', `Failed to save encrypted credentials: ${error.message}`));
+    return this.secretWrites;
+  }
+
+  /**
+   * Unlock the credential vault (or create it when nothing is stored yet)
+   * Stored secrets fill in credentials that are empty in memory; credentials entered
+   * while the vault was locked take precedence and are encrypted right away.
+   */
+  async unlockCredentials(passphrase) {
+    const stored = await credentialVault.unlock(passphrase);
+
+    this.syncActiveProfile();
+    this.settings.profiles = this.settings.profiles.map(profile => {
+      const secrets = stored.profiles?.[profile.id];
+      if (!secrets) return profile;
+
+      const gateway = { ...profile.gateway };
+      SECRET_FIELDS.forEach(field => {
+        gateway[field] = gateway[field] || secrets[field] || '';
+      });
+      return { ...profile, gateway };
+    });
+
+    const active = this.settings.profiles.find(profile => profile.id === this.settings.activeProfileId);
+    if (active) {
+      SECRET_FIELDS.forEach(field => { this.settings.gateway[field] = active.gateway[field]; });
+    }
+
+    this.saveSettings();
+    await this.secretWrites;
+    await this.removeLegacySecrets();
+  }
+
+  // Forget the vault key and drop all secrets from memory
+  lockCredentials() {
+    credentialVault.lock();
+    this.settings.gateway = withoutSecrets(this.settings.gateway);
+    this.settings.profiles = this.settings.profiles.map(profile => ({ ...profile, gateway: withoutSecrets(profile.gateway) }));
+    this.saveSettings();
+  }
+
+  async changeCredentialPassphrase(passphrase) {
+    if (credentialVault.hasStoredSecrets() && !credentialVault.isUnlocked()) {
+      throw new Error('Unlock the stored credentials before changing the passphrase');
+    }
+    this.syncActiveProfile();
+    await this.secretWrites;
+    await credentialVault.changePassphrase(passphrase, this.collectSecrets());
+    await this.removeLegacySecrets();
+    this.notifyListeners();
+  }
+
+  // Delete the encrypted credentials (e.g. a forgotten passphrase); secrets in memory are kept
+  clearStoredCredentials() {
+    credentialVault.clear();
+    this.notifyListeners();
+  }
+
+  // 'memory' removes the vault and clear-text secrets of older versions; switching back to 'encrypted'
+  // needs a passphrase before anything is stored
+  setCredentialStorageMode(mode) {
+    if (mode === 'memory') {
+      credentialVault.clear();
+      this.setLegacySecrets(null);
+    }
+    this.updateSetting('security.credentialStorage', mode);
+  }
+
+  // Connection profile helpers
+  
+  getProfiles() {
+    return (this.settings.profiles || []).map(profile => ({ ...profile }));
+  }
+
+  getActiveProfile() {
+    return this.getProfiles().find(profile => profile.id === this.settings.activeProfileId) || null;
+  }
+
+  // Copy the current gateway and session properties into the active profile
+  syncActiveProfile() {
+    const profile = (this.settings.profiles || []).find(p => p.id === this.settings.activeProfileId);
+    if (profile) {
+      profile.gateway = { ...this.settings.gateway };
+      profile.sessionProperties = { ...this.settings.session.properties };
+    }
+  }
+
+  // Make a profile active - its gateway and session properties become the current settings
+  // Callers are responsible for closing sessions opened against the previous gateway first
+  switchProfile(profileId) {
+    const profile = (this.settings.profiles || []).find(p => p.id === profileId);
+    if (!profile) {
+      throw new Error(`Unknown connection profile: ${profileId}`);
+    }
+
+    this.syncActiveProfile();
+    this.settings.activeProfileId = profile.id;
+    this.settings.gateway = { ...profile.gateway };
+    this.settings.session = { ...this.settings.session, properties: { ...profile.sessionProperties } };
+    log.info('switchProfile', `Switched to connection profile: ${profile.name}`);
+    this.saveSettings();
+    return { ...profile };
+  }
+
+  // Create a profile, copying connection details from the active profile
+  createProfile(name, color = null) {
+    this.syncActiveProfile();
+    const source = this.getActiveProfile();
+    const profile = {
+      id: createProfileId(),
+      name: name || `Profile ${this.settings.profiles.length + 1}`,
+      color: color || PROFILE_COLORS[this.settings.profiles.length % PROFILE_COLORS.length],
+      gateway: { ...(source?.gateway || this.settings.gateway) },
+      sessionProperties: { ...(source?.sessionProperties || this.settings.session.properties) },
+      variables: { ...(source?.variables || {}) }
+    };
+
+    this.settings.profiles = [...this.settings.profiles, profile];
+    log.info('createProfile', `Created connection profile: ${profile.name}`);
+    this.saveSettings();
+    return { ...profile };
+  }
+
+  updateProfile(profileId, { name, color }) {
+    this.settings.profiles = this.settings.profiles.map(profile => (
+      profile.id === profileId
+        ? { ...profile, ...(name ? { name } : {}), ...(color ? { color } : {}) }
+        : profile
+    ));
+    this.saveSettings();
+  }
+
+  // ${name} values of the active profile, for scripts shared across environments
+  getProfileVariables() {
+    return { ...(this.getActiveProfile()?.variables || {}) };
+  }
+
+  setProfileVariables(variables) {
+    this.settings.profiles = this.settings.profiles.map(profile => (
+      profile.id === this.settings.activeProfileId ? { ...profile, variables: { ...variables } } : profile
+    ));
+    this.saveSettings();
+  }
+
+  // Delete a profile (the last one cannot be deleted; switch away from the active one first)
+  deleteProfile(profileId) {
+    if (this.settings.profiles.length <= 1) {
+      throw new Error('Cannot delete the only connection profile');
+    }
+    if (profileId === this.settings.activeProfileId) {
+      throw new Error('Switch to another profile before deleting the active one');
+    }
+
+    this.settings.profiles = this.settings.profiles.filter(profile => profile.id !== profileId);
+    this.dropLegacySecrets(profileId);
+    log.info('deleteProfile', `Deleted connection profile: ${profileId}`);
+    this.saveSettings();
+  }
+
   // Event listeners for settings changes
   addListener(listener) {
     this.listeners.add(listener);
@@ -276,21 +784,46 @@ class SettingsService {
   // Reset settings to defaults
   resetSettings() {
     localStorage.removeItem('flink-workbench-settings');
+    this.setLegacySecrets(null);
     this.settings = this.loadSettings();
     this.saveSettings();
     log.info('resetSettings', 'Settings reset to defaults');
   }
 
-  // Export settings for backup
-  exportSettings() {
-    return JSON.stringify(this.settings, null, 2);
+  // Export settings for backup - passwords and tokens are left out unless asked for
+  exportSettings({ includeSecrets = false } = {}) {
+    this.syncActiveProfile();
+    return JSON.stringify(includeSecrets ? this.settings : stripSecrets(this.settings), null, 2);
   }
 
   // Import settings from backup
   importSettings(settingsJson) {
     try {
       const imported = JSON.parse(settingsJson);
-      this.settings = this.validateSettings(imported);
+      const validated = this.validateSettings(imported);
+      
+      // Clear-text copies of older versions only stay for profiles the import keeps without secrets of their own
+      Object.keys(this.legacySecrets || {}).forEach(profileId => {
+        const profile = validated.profiles.find(entry => entry.id === profileId);
+        if (!profile || hasSecrets(profile.gateway)) {
+          this.dropLegacySecrets(profileId);
+        }
+      });
+
+      // Exports usually carry no secrets - keep the ones known for the same profiles
+      this.syncActiveProfile();
+      const current = this.collectSecrets().profiles;
+      validated.profiles = validated.profiles.map(profile => (
+        !hasSecrets(profile.gateway) && current[profile.id]
+          ? { ...profile, gateway: { ...profile.gateway, ...current[profile.id] } }
+          : profile
+      ));
+      const active = validated.profiles.find(profile => profile.id === validated.activeProfileId);
+      if (!hasSecrets(validated.gateway) && active) {
+        SECRET_FIELDS.forEach(field => { validated.gateway[field] = active.gateway[field] || ''; });
+      }
+      
+      this.settings = validated;
       this.saveSettings();
       log.info('importSettings', 'Settings imported successfully');
       return true;
@@ -324,6 +857,14 @@ class SettingsService {
   }
 }
 
+// Secrets configured through environment variables
+function envSecrets() {
+  return {
+    password: import.meta.env.FLINK_PASSWORD || import.meta.env.VITE_FLINK_PASSWORD || '',
+    apiToken: import.meta.env.FLINK_API_TOKEN || import.meta.env.VITE_FLINK_API_TOKEN || ''
+  };
+}
+
 // Create and export singleton instance
 const settingsService = new SettingsService();
 export default settingsService;
@@ -0,0 +1,291 @@
+/**
+ * SqlCompletionService - Completion candidates and hover details for the SQL editor
+ * Asks the gateway's complete-statement endpoint (SQL Gateway API v2) for context-aware
+ * candidates from the session's catalogs. Gateway requests are debounced and their answers
+ * cached per session and statement prefix. Catalog, database, table, column and function
+ * names from the MetadataCache are added for the cursor context (after FROM/JOIN, after a
+ * `qualifier.` and in the select list); on v1 gateways, without the development proxy or when
+ * the request fails, Flink SQL keywords take the place of the gateway candidates.
+ */
+import logger from '../utils/logger.js';
+import { FLINK_SQL_KEYWORDS } from '../utils/sqlParser.js';
+import flinkApi from './flinkApi.js';
+import metadataCache from './metadataCache.js';
+
+const log = logger.getModuleLogger('SqlCompletionService');
+
+const DEBOUNCE_MS = 250;
+const REQUEST_TIMEOUT_MS = 5000;
+const METADATA_BUDGET_MS = 3000; // Slower metadata loads keep filling the cache for the next request
+const CACHE_TTL_MS = 60000;
+const MAX_CACHE_ENTRIES = 200;
+
+const KEYWORD_SET = new Set(FLINK_SQL_KEYWORDS);
+
+const IDENTIFIER = '(?:`[^`]+`|[\\w$]+)';
+const QUALIFIER_PATTERN = new RegExp(`(${IDENTIFIER}(?:\\.${IDENTIFIER}){0,2})\\.$`);
+const TABLE_POSITION_PATTERN = /\b(?:FROM|JOIN|INTO|TABLE|DESCRIBE|DESC)\s+$/i;
+const TABLE_REFERENCE_PATTERN = new RegExp(
+  `\\b(?:FROM|JOIN)\\s+(${IDENTIFIER}(?:\\.${IDENTIFIER}){0,2})(?![.\\w$\`])(?:\\s+(?:AS\\s+)?(${IDENTIFIER}))?`,
+  'gi'
+);
+
+// Candidate kinds, mapped to Monaco CompletionItemKind by the editor
+export const COMPLETION_KINDS = {
+  KEYWORD: 'keyword',
+  CATALOG: 'catalog',
+  DATABASE: 'database',
+  TABLE: 'table',
+  COLUMN: 'column',
+  FUNCTION: 'function',
+  IDENTIFIER: 'identifier'
+};
+
+const KEYWORD_ITEMS = FLINK_SQL_KEYWORDS.map(label => ({ label, kind: COMPLETION_KINDS.KEYWORD }));
+
+const splitPath = (path) => path.match(new RegExp(IDENTIFIER, 'g')).map(part => part.replace(/^`|`$/g, ''));
+
+// Resolve a (partially) qualified table name against the session's current catalog and database
+const resolveTable = (parts, context) => {
+  const [table, database = context.database, catalog = context.catalog] = [...parts].reverse();
+  return catalog && database ? { catalog, database, table } : null;
+};
+
+// A metadata promise, or the fallback when it fails or takes longer than the budget
+const withinBudget = (promise, fallback) => Promise.race([
+  promise.catch(() => fallback),
+  new Promise(resolve => setTimeout(() => resolve(fallback), METADATA_BUDGET_MS))
+]);
+
+/**
+ * Tables a statement reads from, keyed by the name the statement uses for them
+ * @returns {Array<{alias: string, catalog: string, database: string, table: string}>}
+ */
+export function findTableReferences(statement, context) {
+  const references = [];
+  for (const match of statement.matchAll(TABLE_REFERENCE_PATTERN)) {
+    const parts = splitPath(match[1]);
+    const table = resolveTable(parts, context);
+    if (!table) continue;
+
+    const alias = match[2] && !KEYWORD_SET.has(match[2].toUpperCase())
+      ? match[2].replace(/^`|`$/g, '')
+      : parts[parts.length - 1];
+    references.push({ alias, ...table });
+  }
+  return references;
+}
+
+class SqlCompletionService {
+  constructor(api, metadata) {
+    this.api = api;
+    this.metadata = metadata;
+    this.cache = new Map();      // `${sessionHandle}\n${prefix}` -> { items, cachedAt }
+    this.debounceTimer = null;
+    this.resolveDebounce = null;
+  }
+
+  clearCache() {
+    this.cache.clear();
+    log.debug('clearCache', 'Completion cache cleared');
+  }
+
+  // Resolves true after the debounce delay, or false when a newer call supersedes this one
+  debounce() {
+    if (this.resolveDebounce) {
+      clearTimeout(this.debounceTimer);
+      this.resolveDebounce(false);
+    }
+    return new Promise(resolve => {
+      this.resolveDebounce = resolve;
+      this.debounceTimer = setTimeout(() => {
+        this.resolveDebounce = null;
+        resolve(true);
+      }, DEBOUNCE_MS);
+    });
+  }
+
+  /**
+   * Completion candidates for the word starting at `position` in a statement
+   * The word being typed is left out of the gateway request so that its candidates can be
+   * cached and filtered by the editor while typing continues.
+   * @param {string} statement  Statement under the cursor
+   * @param {number} position   Offset of the start of the word being completed
+   * @param {{sessionName: string, sessionHandle: string|null}} session Session of the editor tab
+   * @param {{isCancellationRequested: boolean}} [token] Monaco cancellation token
+   * @returns {Promise<{items: Array<{label: string, kind: string, detail?: string}>, source: string}|null>}
+   *   null when the request was superseded or cancelled
+   */
+  async getCompletions(statement, position, session, token) {
+    const prefix = statement.slice(0, position);
+
+    // No running session - nothing to ask the gateway or the catalogs
+    if (!session?.sessionHandle) {
+      return { items: KEYWORD_ITEMS, source: 'local' };
+    }
+
+    let gatewayItems = null;
+    if (this.api.getStatementCompletionMode().source === 'gateway') {
+      try {
+        gatewayItems = await this.getGatewayItems(prefix, position, session.sessionHandle, token);
+        if (gatewayItems === null) {
+          return null;
+        }
+      } catch (error) {
+        log.debug('getCompletions', `Gateway completion failed, using local candidates: ${error.message}`);
+      }
+    }
+
+    const metadataItems = await this.getMetadataItems(prefix, statement, session.sessionName);
+    if (token?.isCancellationRequested) {
+      return null;
+    }
+
+    // After `qualifier.` only names inside the qualifier make sense
+    const fallbackItems = QUALIFIER_PATTERN.test(prefix) ? [] : KEYWORD_ITEMS;
+    const seen = new Set();
+    const items = [...metadataItems, ...(gatewayItems || fallbackItems)].filter(item => {
+      if (seen.has(item.label)) return false;
+      seen.add(item.label);
+      return true;
+    });
+    return { items, source: gatewayItems ? 'gateway' : 'local' };
+  }
+
+  // Debounced, cached gateway candidates; null when superseded or cancelled
+  async getGatewayItems(prefix, position, sessionHandle, token) {
+    const cacheKey = `${sessionHandle}\n${prefix}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
+      return cached.items;
+    }
+
+    if (!(await this.debounce()) || token?.isCancellationRequested) {
+      return null;
+    }
+
+    const candidates = await this.api.completeStatement(sessionHandle, prefix, position, {
+      timeoutMs: REQUEST_TIMEOUT_MS
+    });
+    const items = candidates.map(label => ({
+      label,
+      kind: KEYWORD_SET.has(label.toUpperCase()) ? COMPLETION_KINDS.KEYWORD : COMPLETION_KINDS.IDENTIFIER
+    }));
+    this.remember(cacheKey, items);
+    return items;
+  }
+
+  remember(cacheKey, items) {
+    // Oldest entries go first once the cache is full
+    if (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(cacheKey, { items, cachedAt: Date.now() });
+  }
+
+  // Catalog objects that fit the cursor position
+  async getMetadataItems(prefix, statement, sessionName) {
+    const context = await withinBudget(this.metadata.getCurrentContext(sessionName), {});
+    const catalogs = await withinBudget(this.metadata.getCatalogs(), []);
+
+    const qualifier = prefix.match(QUALIFIER_PATTERN);
+    if (qualifier) {
+      return this.getQualifiedItems(splitPath(qualifier[1]), statement, context, catalogs);
+    }
+
+    if (TABLE_POSITION_PATTERN.test(prefix)) {
+      const [tables, databases] = await Promise.all([
+        context.catalog ? withinBudget(this.metadata.getTables(context.catalog, context.database), []) : [],
+        context.catalog ? withinBudget(this.metadata.getDatabases(context.catalog), []) : []
+      ]);
+      return [
+        ...tables.map(label => ({ label, kind: COMPLETION_KINDS.TABLE, detail: `${context.catalog}.${context.database}` })),
+        ...databases.map(label => ({ label, kind: COMPLETION_KINDS.DATABASE, detail: context.catalog })),
+        ...catalogs.map(label => ({ label, kind: COMPLETION_KINDS.CATALOG }))
+      ];
+    }
+
+    // Select list, WHERE, ON...: columns of the tables the statement reads, and functions
+    const columnItems = await this.getReferencedColumnItems(statement, context);
+    const functions = await withinBudget(this.metadata.getFunctions(), []);
+    return [
+      ...columnItems,
+      ...functions.map(label => ({ label, kind: COMPLETION_KINDS.FUNCTION, detail: 'function' }))
+    ];
+  }
+
+  // `alias.`, `catalog.`, `database.`, `catalog.database.` or `database.table.`
+  async getQualifiedItems(parts, statement, context, catalogs) {
+    const columnItems = (table) => withinBudget(this.metadata.getColumns(table.catalog, table.database, table.table), [])
+      .then(columns => columns.map(column => ({ label: column.name, kind: COMPLETION_KINDS.COLUMN, detail: column.type })));
+    const tableItems = (catalog, database) => withinBudget(this.metadata.getTables(catalog, database), [])
+      .then(tables => tables.map(label => ({ label, kind: COMPLETION_KINDS.TABLE, detail: `${catalog}.${database}` })));
+
+    if (parts.length === 1) {
+      const reference = findTableReferences(statement, context).find(entry => entry.alias === parts[0]);
+      if (reference) {
+        return columnItems(reference);
+      }
+      if (catalogs.includes(parts[0])) {
+        const databases = await withinBudget(this.metadata.getDatabases(parts[0]), []);
+        return databases.map(label => ({ label, kind: COMPLETION_KINDS.DATABASE, detail: parts[0] }));
+      }
+      return context.catalog ? tableItems(context.catalog, parts[0]) : [];
+    }
+
+    if (parts.length === 2 && catalogs.includes(parts[0])) {
+      return tableItems(parts[0], parts[1]);
+    }
+
+    const table = resolveTable(parts, context);
+    return table ? columnItems(table) : [];
+  }
+
+  async getReferencedColumnItems(statement, context) {
+    const references = findTableReferences(statement, context);
+    const columnLists = await Promise.all(references.map(reference =>
+      withinBudget(this.metadata.getColumns(reference.catalog, reference.database, reference.table), [])
+    ));
+    return columnLists.flatMap((columns, index) => columns.map(column => ({
+      label: column.name,
+      kind: COMPLETION_KINDS.COLUMN,
+      detail: `${column.type} (${references[index].alias})`
+    })));
+  }
+
+  /**
+   * Hover details for a word: the columns of a table the statement reads, or a column's type
+   * @returns {Promise<string[]|null>} Markdown paragraphs, null when the word is not a known table or column
+   */
+  async getHover(word, statement, session) {
+    if (!word || !session?.sessionHandle) {
+      return null;
+    }
+
+    const context = await withinBudget(this.metadata.getCurrentContext(session.sessionName), {});
+    const references = findTableReferences(statement, context);
+
+    const reference = references.find(entry => entry.alias === word || entry.table === word);
+    if (reference) {
+      const columns = await withinBudget(this.metadata.getColumns(reference.catalog, reference.database, reference.table), []);
+      const columnLines = columns.map(column => `${column.name} ${column.type}${column.nullable ? '' : ' NOT NULL'}`);
+      return [
+        `**${reference.catalog}.${reference.database}.${reference.table}**`,
+        ...(columnLines.length > 0 ? ['```\n' + columnLines.join('\n') + '\n```'] : [])
+      ];
+    }
+
+    for (const entry of references) {
+      const columns = await withinBudget(this.metadata.getColumns(entry.catalog, entry.database, entry.table), []);
+      const column = columns.find(candidate => candidate.name === word);
+      if (column) {
+        return [`\`${column.name}\` **${column.type}**${column.nullable ? '' : ' NOT NULL'}`, `Column of \`${entry.table}\``];
+      }
+    }
+    return null;
+  }
+}
+
+// Create and export singleton instance
+const sqlCompletionService = new SqlCompletionService(flinkApi, metadataCache);
+export default sqlCompletionService;
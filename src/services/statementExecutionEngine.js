@@ -1,3 +1,8 @@
+import ChangelogMaterializer, { resolveUpsertKey } from './changelogMaterializer.js';
+import ChangelogRecorder from './changelogRecorder.js';
+import PollingScheduler from './pollingScheduler.js';
+import { resolveStatementOptions, decodeRowFields, EMPTY_STATEMENT_OPTIONS } from '../utils/statementOptions.js';
+import { findSqlErrorPosition } from '../utils/sqlErrorPosition.js';
 import { createModuleLogger } from '../utils/logger.js';
 
 const log = createModuleLogger('StatementExecutionEngine');
@@ -13,21 +18,35 @@ class StatementExecutionEngine {
     this.flinkApi = flinkApi;
     this.statementId = statementId || this.generateStatementId();
     this.operationHandle = null;
+    this.sessionHandle = null; // Session the operation runs in
+    this.statement = null; // SQL text of the current execution
+    this.statementOptions = { ...EMPTY_STATEMENT_OPTIONS }; // executionConfig, executionTimeout, rowFormat and upsertKey
+    this.nextToken = 0; // Result token of the next page to fetch
     this.cancelled = false;
+    this.abortController = null; // Aborts in-flight gateway requests when the statement is cancelled
     this.debugLogFunction = null;
+    this.resumeListener = null; // Called whenever the resume point (next token) advances
     
     // State structure as requested
     this.state = {
       statementExecutionState: 'STOPPED',  // STOPPED, RUNNING
       resultType: 'EOS',                   // Last resultType received
       resultKind: 'SUCCESS',               // Last resultKind received  
-      results: [],                         // All received rows
+      results: [],                         // Materialized rows
       columns: [],                         // Column metadata
+      lastChange: null,                    // Changelog counts and row changes of the last applied page
+      buffer: null,                        // Row cap, overflow policy and dropped/seen counters
+      changelog: null,                     // Recorded raw changelog (null unless recording is enabled)
       lastUpdateTime: null                 // Last update timestamp
     };
     
+    this.materializer = new ChangelogMaterializer(); // Key-indexed changelog fold for results
+    this.recorder = new ChangelogRecorder(); // Optional raw changelog for the Changelog view
+    
     this.observers = new Set(); // Observers for this specific statement
     this.currentPollingLoop = null; // Track current polling promise
+    this.stopReason = null; // ROW_LIMIT or TIMEOUT when fetching stopped before EOS
+    this.scheduler = new PollingScheduler(); // Adaptive delay between result fetches
   }
 
   // Generate a unique statement ID
@@ -50,6 +69,34 @@ class StatementExecutionEngine {
     }
   }
 
+  // Set listener notified when the resume point changes (used to persist running statements)
+  setResumeListener(listener) {
+    this.resumeListener = listener;
+  }
+
+  // Everything needed to reattach to the running operation after a page reload
+  getResumeInfo() {
+    return {
+      statementId: this.statementId,
+      sessionName: this.sessionManager.name,
+      sessionHandle: this.sessionHandle,
+      operationHandle: this.operationHandle,
+      statement: this.statement,
+      nextToken: this.nextToken,
+      rowFormat: this.statementOptions.rowFormat,
+      upsertKey: this.statementOptions.upsertKey
+    };
+  }
+
+  notifyResumeListener() {
+    if (!this.resumeListener) return;
+    try {
+      this.resumeListener(this.getResumeInfo());
+    } catch (error) {
+      this.log(`Error in resume listener: ${error.message}`, 'error');
+    }
+  }
+
   // Add observer for this statement's results
   addObserver(observer) {
     this.observers.add(observer);
@@ -95,8 +142,12 @@ class StatementExecutionEngine {
 
   // Update internal state and notify observers
   updateState(updates) {
+    // Results and the changelog are published by the materializer and recorder - compare them by
+    // reference instead of serializing them; rows patched in place show up as a new lastChange version
     const hasChanges = Object.keys(updates).some(key => 
-      JSON.stringify(this.state[key]) !== JSON.stringify(updates[key])
+      key === 'results' || key === 'changelog'
+        ? this.state[key] !== updates[key]
+        : JSON.stringify(this.state[key]) !== JSON.stringify(updates[key])
     );
     
     if (hasChanges) {
@@ -106,108 +157,150 @@ class StatementExecutionEngine {
     }
   }
 
-  // Helper method to compare two rows for equality (used in UPDATE_BEFORE and DELETE operations)
-  rowsMatch(row1, row2) {
-    // Simple deep comparison of all properties
-    const keys1 = Object.keys(row1).sort();
-    const keys2 = Object.keys(row2).sort();
-    
-    // Check if they have the same number of properties
-    if (keys1.length !== keys2.length) {
-      return false;
-    }
-    
-    // Check if all keys match
-    if (!keys1.every((key, index) => key === keys2[index])) {
-      return false;
+  // Convert a raw fields array into a row object keyed by column name
+  toRowObject(fields, columns) {
+    const rowObject = {};
+    if (columns.length > 0) {
+      fields.forEach((value, index) => {
+        const columnName = columns[index]?.name || `column_${index}`;
+        rowObject[columnName] = value;
+      });
+    } else {
+      fields.forEach((value, index) => {
+        rowObject[`field_${index}`] = value;
+      });
     }
-    
-    // Check if all values match
-    return keys1.every(key => {
-      const val1 = row1[key];
-      const val2 = row2[key];
-      
-      // Handle null/undefined comparison
-      if (val1 === null && val2 === null) return true;
-      if (val1 === undefined && val2 === undefined) return true;
-      if (val1 === null || val1 === undefined || val2 === null || val2 === undefined) return false;
-      
-      // For primitive values, use strict equality
-      if (typeof val1 !== 'object' && typeof val2 !== 'object') {
-        return val1 === val2;
-      }
-      
-      // For objects, use JSON comparison (simple but effective for this use case)
-      try {
-        return JSON.stringify(val1) === JSON.stringify(val2);
-      } catch (error) {
-        // Fallback to reference equality if JSON serialization fails
-        return val1 === val2;
-      }
-    });
+    return rowObject;
   }
 
   // Execute SQL statement
-  async executeSQL(statement) {
+  // options.bufferPolicy: { maxRows, policy } bounding the materialized result (see BUFFER_POLICIES)
+  // options.polling: PollingScheduler options (backoff ceiling, optional wall-clock timeout)
+  // options.statementOptions: executionConfig/executionTimeout/rowFormat/upsertKey defaults, overridden by the statement's comment hints
+  // options.changelog: { enabled, maxEvents } recording of the raw changelog
+  async executeSQL(statement, options = {}) {
     this.log(`🚀 Starting execution: ${statement.substring(0, 100)}${statement.length > 100 ? '...' : ''}`);
     
-    // Reset state for new execution
-    this.cancelled = false;
-    this.operationHandle = null;
-    this.updateState({
-      statementExecutionState: 'RUNNING',
-      resultType: 'EOS',
-      resultKind: 'SUCCESS',
-      results: [],
-      columns: []
-    });
+    this.resetForExecution(statement, options);
 
     try {
       // Get session from session manager
-      const session = await this.sessionManager.getSession();
+      let session = await this.sessionManager.getSession();
       
-      // Validate session
+      // Validate session - a replacement session gets the journaled session state replayed into it
       const isValid = await this.sessionManager.validateSession();
       if (!isValid) {
         this.log('Session invalid, creating new one...');
-        await this.sessionManager.createSession();
+        session = await this.sessionManager.getSession();
       }
 
       // Submit statement
-      this.log('Submitting statement...');
-      const operationResponse = await this.flinkApi.submitStatement(session.sessionHandle, statement);
+      const { executionConfig, executionTimeout, rowFormat } = this.statementOptions;
+      this.log(`Submitting statement (row format ${rowFormat}`
+        + `${Object.keys(executionConfig).length > 0 ? `, config ${JSON.stringify(executionConfig)}` : ''}`
+        + `${executionTimeout ? `, timeout ${executionTimeout}ms` : ''})...`);
+      const operationResponse = await this.flinkApi.submitStatement(session.sessionHandle, statement, {
+        executionConfig,
+        executionTimeout,
+        signal: this.abortController.signal
+      });
       this.operationHandle = operationResponse.operationHandle;
+      this.sessionHandle = session.sessionHandle;
       this.log(`Operation submitted with handle: ${this.operationHandle}`);
+      this.notifyResumeListener();
 
       // Start polling loop
       this.currentPollingLoop = this.pollForResults(session.sessionHandle);
       const result = await this.currentPollingLoop;
       
+      // Remember SET/USE/ADD JAR/CREATE TEMPORARY... so they survive a session replacement
+      if (result.status === 'COMPLETED') {
+        this.sessionManager.recordStatement(statement);
+      }
+      
       return result;
 
     } catch (error) {
-      this.log(`❌ Execution failed: ${error.message}`);
-      
-      this.updateState({
-        statementExecutionState: 'STOPPED',
-        resultType: 'ERROR',
-        resultKind: 'ERROR'
-      });
-      
+      // Cancelled while the statement was being submitted
+      if (this.cancelled && error.name === 'AbortError') {
+        return this.finishCancelled(this.sessionHandle);
+      }
+      this.handleExecutionError(error);
       throw error;
     }
   }
 
-  // Polling loop for results
-  async pollForResults(sessionHandle) {
-    let nextToken = 0;
-    let loopCount = 0;
-    const maxLoops = 1000;
+  // Reattach to an operation that is still running on the gateway (e.g. after a page reload)
+  // Rows fetched before the saved token are not replayed - the gateway only serves results from the resume point on
+  async resume({ sessionHandle, operationHandle, statement, nextToken = 0, rowFormat, upsertKey = null }, options = {}) {
+    this.log(`🔁 Reattaching to operation ${operationHandle} from token ${nextToken}`);
+
+    // Keep fetching in the row format, and keying on the upsert key, the statement was started with
+    this.resetForExecution(statement, { ...options, statementOptions: { rowFormat, upsertKey } });
+    this.sessionHandle = sessionHandle;
+    this.operationHandle = operationHandle;
+    this.nextToken = nextToken;
+
+    try {
+      this.currentPollingLoop = this.pollForResults(sessionHandle, nextToken);
+      return await this.currentPollingLoop;
+    } catch (error) {
+      this.handleExecutionError(error);
+      throw error;
+    }
+  }
+
+  handleExecutionError(error) {
+    this.log(`❌ Execution failed: ${error.message}`);
+    
+    // Calcite "line X, column Y" positions are relative to the submitted statement
+    error.sqlPosition = findSqlErrorPosition(error);
+    if (error.sqlPosition) {
+      this.log(`Error position: line ${error.sqlPosition.startLine}, column ${error.sqlPosition.startColumn}`);
+    }
+    
+    this.updateState({
+      statementExecutionState: 'STOPPED',
+      resultType: 'ERROR',
+      resultKind: 'ERROR'
+    });
+  }
+
+  // Reset state for a new execution
+  resetForExecution(statement, options = {}) {
+    this.statement = statement;
+    this.statementOptions = resolveStatementOptions(options.statementOptions, statement);
+    this.cancelled = false;
+    this.abortController = new AbortController();
+    this.operationHandle = null;
+    this.sessionHandle = null;
+    this.nextToken = 0;
+    this.stopReason = null;
+    this.scheduler.configure(options.polling);
+    this.materializer.reset();
+    this.materializer.setKeyIndices(null);
+    this.materializer.setBufferPolicy(options.bufferPolicy);
+    this.recorder.reset(options.changelog);
+    this.updateState({
+      statementExecutionState: 'RUNNING',
+      resultType: 'EOS',
+      resultKind: 'SUCCESS',
+      results: this.materializer.getRows(),
+      columns: [],
+      lastChange: null,
+      buffer: this.materializer.getBufferStats(),
+      changelog: this.recorder.getState()
+    });
+  }
+
+  // Polling loop for results, starting at startToken (0 for a fresh operation)
+  async pollForResults(sessionHandle, startToken = 0) {
+    let nextToken = startToken;
     let shouldContinue = true;
+    this.scheduler.start();
 
-    while (shouldContinue && loopCount < maxLoops && !this.cancelled) {
-      loopCount++;
-      this.log(`📡 Polling attempt ${loopCount}/${maxLoops} with token ${nextToken}`);
+    while (shouldContinue && !this.cancelled) {
+      this.log(`📡 Fetching page ${this.scheduler.pages + 1} with token ${nextToken}`);
       
       if (this.cancelled) {
         this.log('⚠️ Operation cancelled - stopping polling');
@@ -215,7 +308,12 @@ class StatementExecutionEngine {
       }
 
       try {
-        const response = await this.flinkApi.getOperationResults(sessionHandle, this.operationHandle, nextToken);
+        const requestStart = Date.now();
+        const response = await this.flinkApi.getOperationResults(sessionHandle, this.operationHandle, nextToken, this.statementOptions.rowFormat, {
+          signal: this.abortController.signal
+        });
+        const requestDurationMs = Date.now() - requestStart;
+        this.sessionManager.touch();
         
         if (this.cancelled) {
           this.log('⚠️ Operation cancelled during API call - stopping');
@@ -234,6 +332,17 @@ class StatementExecutionEngine {
           if (columns.length > 0) {
             stateUpdates.columns = [...columns];
             this.log(`Found ${columns.length} columns`);
+            
+            // Key the materialized view on the upsert key named by the statement options
+            const keyColumns = this.statementOptions.upsertKey;
+            const upsertKey = resolveUpsertKey(keyColumns, columns);
+            if (upsertKey && this.materializer.size === 0) {
+              this.materializer.setKeyIndices(upsertKey);
+              this.recorder.setKeyIndices(upsertKey);
+              this.log(`Using upsert key: ${keyColumns.join(', ')}`);
+            } else if (keyColumns && !upsertKey) {
+              this.log(`Upsert key ${keyColumns.join(', ')} does not match the result columns - keying on full rows`, 'warn');
+            }
           }
         }
 
@@ -243,77 +352,25 @@ class StatementExecutionEngine {
           if (newRows.length > 0) {
             this.log(`Processing ${newRows.length} change events`);
             
-            // Apply changelog operations to the current result set
-            let updatedResults = [...this.state.results];
-            let insertCount = 0;
-            let updateCount = 0;
-            let deleteCount = 0;
+            const columns = stateUpdates.columns || this.state.columns;
+            const rowFormat = response.rowFormat || this.statementOptions.rowFormat;
+            const counts = { insert: 0, update: 0, retract: 0, delete: 0, miss: 0, dropped: 0 };
             
             for (const row of newRows) {
               if (this.cancelled) break;
               
               if (row.fields && Array.isArray(row.fields)) {
-                // Convert fields to row object
-                const rowObject = {};
-                if (this.state.columns.length > 0) {
-                  row.fields.forEach((value, index) => {
-                    const columnName = this.state.columns[index]?.name || `column_${index}`;
-                    rowObject[columnName] = value;
-                  });
-                } else {
-                  row.fields.forEach((value, index) => {
-                    rowObject[`field_${index}`] = value;
-                  });
-                }
+                const fields = decodeRowFields(row.fields, rowFormat);
+                this.recorder.record(row.kind, fields, nextToken);
+                const outcome = this.materializer.apply(row.kind, fields, this.toRowObject(fields, columns));
+                counts[outcome]++;
                 
-                // Apply the change operation based on the 'kind' field
-                switch (row.kind) {
-                  case 'INSERT':
-                    // Add new row
-                    updatedResults.push(rowObject);
-                    insertCount++;
-                    break;
-                    
-                  case 'UPDATE_BEFORE':
-                    // Remove the old version of the row
-                    // Find and remove the matching row based on all field values
-                    const beforeIndex = updatedResults.findIndex(existingRow => 
-                      this.rowsMatch(existingRow, rowObject)
-                    );
-                    if (beforeIndex !== -1) {
-                      updatedResults.splice(beforeIndex, 1);
-                      this.log(`Removed UPDATE_BEFORE row at index ${beforeIndex}`);
-                    } else {
-                      this.log(`Warning: UPDATE_BEFORE row not found for removal`, 'warn');
-                    }
-                    break;
-                    
-                  case 'UPDATE_AFTER':
-                    // Add the new version of the row
-                    updatedResults.push(rowObject);
-                    updateCount++;
-                    break;
-                    
-                  case 'DELETE':
-                    // Remove the row
-                    const deleteIndex = updatedResults.findIndex(existingRow => 
-                      this.rowsMatch(existingRow, rowObject)
-                    );
-                    if (deleteIndex !== -1) {
-                      updatedResults.splice(deleteIndex, 1);
-                      deleteCount++;
-                      this.log(`Deleted row at index ${deleteIndex}`);
-                    } else {
-                      this.log(`Warning: DELETE row not found for removal`, 'warn');
-                    }
-                    break;
-                    
-                  default:
-                    // For backward compatibility, treat unknown kinds as INSERT
-                    this.log(`Unknown row kind: ${row.kind}, treating as INSERT`, 'warn');
-                    updatedResults.push(rowObject);
-                    insertCount++;
-                    break;
+                if (outcome === 'miss' && this.materializer.droppedRows === 0) {
+                  // Expected once rows were dropped by the row cap, suspicious otherwise
+                  this.log(`Warning: ${row.kind} row not found for removal`, 'warn');
+                } else if (!['INSERT', 'UPDATE_BEFORE', 'UPDATE_AFTER', 'DELETE'].includes(row.kind)) {
+                  // For backward compatibility, unknown kinds are treated as INSERT
+                  this.log(`Unknown row kind: ${row.kind}, treating as INSERT`, 'warn');
                 }
               }
             }
@@ -323,28 +380,59 @@ class StatementExecutionEngine {
               break;
             }
             
-            // Update results with the new state
-            stateUpdates.results = updatedResults;
-            this.log(`Changelog applied: +${insertCount} inserts, ~${updateCount} updates, -${deleteCount} deletes (total: ${updatedResults.length} rows)`);
+            // Publish the materialized view; the rows array is patched in place and
+            // lastChange lists the positions that changed (version, removed, updated, appendedFrom)
+            stateUpdates.results = this.materializer.getRows();
+            stateUpdates.lastChange = {
+              inserts: counts.insert,
+              updates: counts.update,
+              deletes: counts.delete,
+              ...this.materializer.getChanges()
+            };
+            stateUpdates.buffer = this.materializer.getBufferStats();
+            stateUpdates.changelog = this.recorder.getState();
+            this.log(`Changelog applied: +${counts.insert} inserts, ~${counts.update} updates, -${counts.delete} deletes (total: ${this.materializer.size} rows)`);
+            if (counts.dropped > 0) {
+              this.log(`Row cap of ${this.materializer.maxRows} reached: dropped ${counts.dropped} rows (${this.materializer.policy})`, 'warn');
+            }
           }
         }
 
         // Update state with all changes
         this.updateState(stateUpdates);
 
+        // Fetch again right away after data, back off on NOT_READY/empty pages
+        const delayMs = this.scheduler.recordPage({
+          rowCount: response.results?.data?.length || 0,
+          resultType: response.resultType,
+          requestDurationMs
+        });
+
         // Check if we should continue
         if (response.resultType === 'EOS') {
           this.log('Received EOS - stopping');
           shouldContinue = false;
+        } else if (this.materializer.isFull()) {
+          this.log(`Row cap of ${this.materializer.maxRows} reached - stopping fetch`);
+          this.stopReason = 'ROW_LIMIT';
+          shouldContinue = false;
+        } else if (this.scheduler.hasTimedOut()) {
+          this.log(`⚠️ Timeout of ${this.scheduler.options.timeoutMs}ms reached - stopping fetch`, 'warn');
+          this.stopReason = 'TIMEOUT';
+          shouldContinue = false;
         } else if (response.nextResultUri) {
           const tokenMatch = response.nextResultUri.match(/result\/(\d+)/);
           if (tokenMatch) {
             nextToken = parseInt(tokenMatch[1]);
-            this.log(`More results available, continuing with token ${nextToken}...`);
+            if (nextToken !== this.nextToken) {
+              this.nextToken = nextToken;
+              this.notifyResumeListener();
+            }
+            this.log(`More results available, next fetch with token ${nextToken} in ${delayMs}ms`);
             
             // Sleep with cancellation check
-            if (!this.cancelled) {
-              await this.sleepWithCancellationCheck(1000); // 1 second
+            if (!this.cancelled && delayMs > 0) {
+              await this.sleepWithCancellationCheck(delayMs);
             }
           } else {
             this.log('Could not parse nextResultUri, stopping');
@@ -356,8 +444,17 @@ class StatementExecutionEngine {
         }
 
       } catch (error) {
+        // cancel() aborted the fetch in flight - no need to wait for the gateway to answer
+        if (this.cancelled && error.name === 'AbortError') {
+          this.log('⚠️ Result fetch aborted by cancellation');
+          break;
+        }
+        
         this.log(`❌ Polling error: ${error.message}`);
         
+        // Release the failed operation on the server before surfacing the error
+        await this.releaseOperation(sessionHandle);
+        
         // Update state to ERROR and re-throw the error so it propagates to batch execution
         this.updateState({
           statementExecutionState: 'STOPPED',
@@ -371,36 +468,21 @@ class StatementExecutionEngine {
 
     // Handle final state
     if (this.cancelled) {
-      this.log('⚠️ Operation was cancelled');
-      
-      // Try to cancel on server
-      if (this.operationHandle) {
-        try {
-          await this.flinkApi.cancelOperation(sessionHandle, this.operationHandle)
-            .catch(err => this.log(`Server cancellation failed: ${err.message}`));
-        } catch (e) {
-          // Ignore errors
-        }
-      }
-      
-      this.updateState({
-        statementExecutionState: 'STOPPED',
-        resultType: 'CANCELLED',
-        resultKind: 'CANCELLED'
-      });
-      
-      return {
-        status: 'CANCELLED',
-        message: 'Statement execution was cancelled',
-        statementId: this.statementId,
-        state: { ...this.state }
-      };
+      return this.finishCancelled(sessionHandle);
     }
 
-    if (loopCount >= maxLoops) {
-      this.log('⚠️ Maximum polling attempts reached');
+    // The statement is still producing rows when we stop at the row cap or timeout - cancel it on the server
+    if (this.stopReason && this.operationHandle) {
+      try {
+        await this.flinkApi.cancelOperation(sessionHandle, this.operationHandle);
+      } catch (error) {
+        this.log(`Server cancellation after ${this.stopReason} failed: ${error.message}`, 'warn');
+      }
     }
 
+    // All results fetched - release the operation's result buffer on the server
+    await this.releaseOperation(sessionHandle);
+
     // Final completion state
     this.updateState({
       statementExecutionState: 'STOPPED'
@@ -410,12 +492,58 @@ class StatementExecutionEngine {
     
     return {
       status: 'COMPLETED',
-      message: `Statement completed. Type: ${this.state.resultType}, Kind: ${this.state.resultKind}`,
+      message: `Statement completed. Type: ${this.state.resultType}, Kind: ${this.state.resultKind}`
+        + (this.stopReason ? ` (stopped early: ${this.stopReason})` : ''),
+      stopReason: this.stopReason,
+      statementId: this.statementId,
+      state: { ...this.state }
+    };
+  }
+
+  // Cancel the operation on the server, release it and report the cancellation
+  async finishCancelled(sessionHandle) {
+    this.log('⚠️ Operation was cancelled');
+    
+    // Cancel on server, then release the operation handle
+    if (this.operationHandle && sessionHandle) {
+      try {
+        await this.flinkApi.cancelOperation(sessionHandle, this.operationHandle);
+        this.log('Operation cancelled on server');
+      } catch (error) {
+        this.log(`Server cancellation failed: ${error.message}`, 'warn');
+      }
+    }
+    await this.releaseOperation(sessionHandle);
+    
+    this.updateState({
+      statementExecutionState: 'STOPPED',
+      resultType: 'CANCELLED',
+      resultKind: 'CANCELLED'
+    });
+    
+    return {
+      status: 'CANCELLED',
+      message: 'Statement execution was cancelled',
       statementId: this.statementId,
       state: { ...this.state }
     };
   }
 
+  // Close the server-side operation so the gateway can drop its handle and result buffer
+  async releaseOperation(sessionHandle) {
+    if (!this.operationHandle || !sessionHandle) {
+      return;
+    }
+
+    try {
+      await this.flinkApi.closeOperation(sessionHandle, this.operationHandle);
+      this.log(`Released operation ${this.operationHandle}`);
+    } catch (error) {
+      // The operation may already be gone (e.g. session expired) - nothing left to release
+      this.log(`Failed to release operation ${this.operationHandle}: ${error.message}`, 'warn');
+    }
+  }
+
   // Sleep with periodic cancellation checks
   async sleepWithCancellationCheck(milliseconds) {
     const sleepStartTime = Date.now();
@@ -429,6 +557,9 @@ class StatementExecutionEngine {
     this.log('🛑 Cancelling statement execution');
     this.cancelled = true;
     
+    // Abort a pending submit or result fetch instead of waiting for the gateway to respond
+    this.abortController?.abort();
+    
     // If we have an active polling loop, let it handle the cancellation
     if (this.currentPollingLoop) {
       try {
@@ -447,6 +578,9 @@ class StatementExecutionEngine {
       statementId: this.statementId,
       operationHandle: this.operationHandle,
       cancelled: this.cancelled,
+      stopReason: this.stopReason,
+      statementOptions: { ...this.statementOptions },
+      polling: this.scheduler.getState(),
       state: { ...this.state }
     };
   }
@@ -1,17 +1,22 @@
-import SessionManager from './sessionManager.js';
+import SessionPool, { SHARED_SESSION } from './sessionPool.js';
 import StatementExecutionEngine from './statementExecutionEngine.js';
+import settingsService from './settingsService.js';
 import { createModuleLogger } from '../utils/logger.js';
 
 const log = createModuleLogger('StatementManager');
 
+const RESUMABLE_STATEMENTS_KEY = 'flink-workbench-active-statements';
+
 /**
  * StatementManager - Orchestrates session management and statement execution
- * Allows concurrent execution of multiple statements using the same session
+ * Allows concurrent execution of multiple statements; each statement runs in a
+ * named session from the SessionPool (the shared session by default)
  */
 class StatementManager {
   constructor(flinkApi) {
     this.flinkApi = flinkApi;
-    this.sessionManager = SessionManager.getInstance(flinkApi); // Use singleton
+    this.sessionPool = new SessionPool(flinkApi);
+    this.sessionManager = this.sessionPool.getManager(SHARED_SESSION); // Shared session
     this.activeStatements = new Map(); // statementId -> StatementExecutionEngine
     this.debugLogFunction = null;
     this.globalObservers = new Set(); // Observers for all statement events
@@ -20,7 +25,7 @@ class StatementManager {
   // Set debug logging function
   setDebugLogFunction(logFunction) {
     this.debugLogFunction = logFunction;
-    this.sessionManager.setDebugLogFunction(logFunction);
+    this.sessionPool.setDebugLogFunction(logFunction);
   }
 
   // Simple logging function
@@ -83,77 +88,152 @@ class StatementManager {
     });
   }
 
-  // Session management methods (delegated to SessionManager)
-  addSessionListener(callback) {
-    return this.sessionManager.addListener(callback);
+  // Session management methods (delegated to the named SessionManager, shared session by default)
+  getSessionManager(sessionName = SHARED_SESSION) {
+    return this.sessionPool.getManager(sessionName);
+  }
+
+  addSessionListener(callback, sessionName = SHARED_SESSION) {
+    return this.getSessionManager(sessionName).addListener(callback);
+  }
+
+  removeSessionListener(callback, sessionName = SHARED_SESSION) {
+    return this.getSessionManager(sessionName).removeListener(callback);
+  }
+
+  // Listen for changes to any session in the pool (callback receives info keyed by session name)
+  addSessionPoolListener(callback) {
+    return this.sessionPool.addListener(callback);
   }
 
-  removeSessionListener(callback) {
-    return this.sessionManager.removeListener(callback);
+  removeSessionPoolListener(callback) {
+    return this.sessionPool.removeListener(callback);
   }
 
-  getSessionInfo() {
-    return this.sessionManager.getSessionInfo();
+  getSessionInfo(sessionName = SHARED_SESSION) {
+    return this.getSessionManager(sessionName).getSessionInfo();
+  }
+
+  getAllSessionInfo() {
+    return this.sessionPool.getAllSessionInfo();
   }
 
   updateSessionProperties(newProperties) {
-    return this.sessionManager.updateSessionProperties(newProperties);
+    return this.sessionPool.updateSessionProperties(newProperties);
   }
 
-  async createSession(customProperties = {}) {
-    return this.sessionManager.createSession(customProperties);
+  async createSession(customProperties = {}, sessionName = SHARED_SESSION) {
+    return this.getSessionManager(sessionName).createSession(customProperties);
   }
 
-  async getSession() {
-    return this.sessionManager.getSession();
+  async getSession(sessionName = SHARED_SESSION) {
+    return this.getSessionManager(sessionName).getSession();
   }
 
-  async validateSession() {
-    return this.sessionManager.validateSession();
+  async validateSession(sessionName = SHARED_SESSION) {
+    return this.getSessionManager(sessionName).validateSession();
   }
 
-  async closeSession() {
-    // Cancel all active statements before closing session
-    this.log(`Cancelling ${this.activeStatements.size} active statements before closing session`);
+  async closeSession(sessionName = SHARED_SESSION) {
+    if (!this.sessionPool.hasSession(sessionName)) return;
+    
+    // Cancel the session's active statements before closing it
+    const manager = this.getSessionManager(sessionName);
+    const engines = Array.from(this.activeStatements.values()).filter(engine => engine.sessionManager === manager);
+    this.log(`Cancelling ${engines.length} active statements before closing session ${sessionName}`);
     
-    const cancellationPromises = Array.from(this.activeStatements.values()).map(async (engine) => {
+    const cancellationPromises = engines.map(async (engine) => {
       try {
         await engine.cancel();
       } catch (error) {
         this.log(`Error cancelling statement ${engine.statementId}: ${error.message}`, 'error');
       }
+      this.activeStatements.delete(engine.statementId);
     });
     
     await Promise.allSettled(cancellationPromises);
-    this.activeStatements.clear();
     
-    return this.sessionManager.closeSession();
+    return this.sessionPool.closeSession(sessionName);
   }
 
-  async refreshSession() {
-    // Cancel all active statements before refreshing
-    await this.closeSession();
-    return this.sessionManager.createSession();
+  // Cancel every statement and close every session in the pool (e.g. before switching gateways)
+  async closeAllSessions() {
+    await this.cancelAllStatements();
+    await this.sessionPool.closeAll();
+    this.log('Closed all sessions');
   }
 
-  getSessionAge() {
-    return this.sessionManager.getSessionAge();
+  async refreshSession(sessionName = SHARED_SESSION) {
+    // Cancel the session's statements before refreshing
+    await this.closeSession(sessionName);
+    return this.getSessionManager(sessionName).createSession();
+  }
+
+  getSessionAge(sessionName = SHARED_SESSION) {
+    return this.getSessionManager(sessionName).getSessionAge();
   }
 
   // Execute SQL statement (creates a new StatementExecutionEngine)
-  async executeSQL(statement, statementId = null) {
+  // options.bufferPolicy / options.polling / options.changelog override the result buffer, polling and
+  // changelog recording settings for this statement
+  // options.resumable persists the running statement so it can be reattached after a page reload
+  // options.sessionName selects the session from the pool (shared session by default)
+  async executeSQL(statement, statementId = null, options = {}) {
+    const engine = this.createEngine(statementId, options.sessionName);
+    
+    return this.runEngine(engine, statement, options, () => 
+      engine.executeSQL(statement, this.getExecutionOptions(options))
+    );
+  }
+
+  // Reattach to a statement saved before a page reload and resume fetching from its saved token
+  async resumeStatement(savedStatement, options = {}) {
+    const { statementId, sessionHandle, operationHandle, statement, sessionName = SHARED_SESSION } = savedStatement;
+    this.log(`Resuming statement ${statementId} (operation ${operationHandle}, session ${sessionName})`);
+    
+    const isValid = await this.getSessionManager(sessionName).reattachSession(sessionHandle);
+    if (!isValid) {
+      this.forgetResumableStatement(statementId);
+      throw new Error(`Session ${sessionHandle} no longer exists on the gateway - cannot resume statement`);
+    }
+    
+    const engine = this.createEngine(statementId, sessionName);
+    
+    return this.runEngine(engine, statement, { ...options, resumable: true }, () =>
+      engine.resume(savedStatement, this.getExecutionOptions(options))
+    );
+  }
+
+  createEngine(statementId = null, sessionName = SHARED_SESSION) {
     const engine = new StatementExecutionEngine(
-      this.sessionManager, 
+      this.getSessionManager(sessionName), 
       this.flinkApi, 
       statementId
     );
     
     engine.setDebugLogFunction(this.debugLogFunction);
-    
+    this.log(`Created new statement execution engine: ${engine.statementId} (session ${sessionName || SHARED_SESSION})`);
+    return engine;
+  }
+
+  // Per-statement options with defaults from settings
+  getExecutionOptions(options) {
+    return {
+      ...options,
+      bufferPolicy: options.bufferPolicy || settingsService.getResultBufferPolicy(),
+      polling: options.polling || settingsService.getPollingOptions(),
+      changelog: options.changelog || settingsService.getChangelogOptions()
+    };
+  }
+
+  // Track an engine as active, forward its events and run it
+  async runEngine(engine, statement, options, run) {
     // Store the active statement
     this.activeStatements.set(engine.statementId, engine);
     
-    this.log(`Created new statement execution engine: ${engine.statementId}`);
+    if (options.resumable) {
+      engine.setResumeListener((resumeInfo) => this.saveResumableStatement(resumeInfo));
+    }
     
     // Add internal observer to track completion and remove from active list
     engine.addObserver((event) => {
@@ -166,6 +246,7 @@ class StatementManager {
       // Remove from active statements when completed
       if (event.state.statementExecutionState === 'STOPPED') {
         this.activeStatements.delete(engine.statementId);
+        this.forgetResumableStatement(engine.statementId);
         this.log(`Statement ${engine.statementId} completed and removed from active list`);
       }
     });
@@ -180,7 +261,7 @@ class StatementManager {
         timestamp: Date.now()
       });
       
-      const result = await engine.executeSQL(statement);
+      const result = await run();
       
       // Notify global observers of completion
       this.notifyGlobalObservers({
@@ -196,6 +277,7 @@ class StatementManager {
     } catch (error) {
       // Remove from active statements on error
       this.activeStatements.delete(engine.statementId);
+      this.forgetResumableStatement(engine.statementId);
       
       // Notify global observers of error
       this.notifyGlobalObservers({
@@ -210,6 +292,73 @@ class StatementManager {
     }
   }
 
+  // Resumable statement persistence (survives page reloads)
+  
+  loadResumableStatements() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(RESUMABLE_STATEMENTS_KEY) || '[]');
+      return Array.isArray(saved)
+        ? saved.filter(entry => entry && entry.statementId && entry.sessionHandle && entry.operationHandle)
+        : [];
+    } catch (error) {
+      log.warn('loadResumableStatements', `Failed to read saved statements: ${error.message}`);
+      return [];
+    }
+  }
+
+  writeResumableStatements(entries) {
+    try {
+      if (entries.length > 0) {
+        localStorage.setItem(RESUMABLE_STATEMENTS_KEY, JSON.stringify(entries));
+      } else {
+        localStorage.removeItem(RESUMABLE_STATEMENTS_KEY);
+      }
+    } catch (error) {
+      log.warn('writeResumableStatements', `Failed to save running statements: ${error.message}`);
+    }
+  }
+
+  saveResumableStatement(resumeInfo) {
+    if (!resumeInfo.sessionHandle || !resumeInfo.operationHandle) return;
+    
+    const entries = this.loadResumableStatements().filter(entry => entry.statementId !== resumeInfo.statementId);
+    entries.push({ ...resumeInfo, savedAt: Date.now() });
+    this.writeResumableStatements(entries);
+  }
+
+  forgetResumableStatement(statementId) {
+    const entries = this.loadResumableStatements();
+    const remaining = entries.filter(entry => entry.statementId !== statementId);
+    if (remaining.length !== entries.length) {
+      this.writeResumableStatements(remaining);
+    }
+  }
+
+  // Statements that were running when the page was last closed (not active in this page)
+  getResumableStatements() {
+    return this.loadResumableStatements()
+      .filter(entry => !this.activeStatements.has(entry.statementId))
+      .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+  }
+
+  // Drop saved statements without reattaching - cancels and closes their operations on the gateway
+  async discardResumableStatements() {
+    const saved = this.getResumableStatements();
+    
+    await Promise.allSettled(saved.map(async ({ statementId, sessionHandle, operationHandle }) => {
+      try {
+        await this.flinkApi.cancelOperation(sessionHandle, operationHandle);
+        await this.flinkApi.closeOperation(sessionHandle, operationHandle);
+      } catch (error) {
+        this.log(`Could not stop saved operation ${operationHandle}: ${error.message}`, 'warn');
+      } finally {
+        this.forgetResumableStatement(statementId);
+      }
+    }));
+    
+    this.log(`Discarded ${saved.length} saved statements`);
+  }
+
   // Cancel a specific statement
   async cancelStatement(statementId) {
     const engine = this.activeStatements.get(statementId);
@@ -355,7 +504,7 @@ class StatementManager {
       });
     }
     
-    return engine.executeSQL(statement);
+    return engine.executeSQL(statement, this.getExecutionOptions({}));
   }
 
   // Legacy method - cancel operation (for backward compatibility)  
@@ -0,0 +1,92 @@
+/**
+ * VariablesService - Values for `${name}` placeholders in editor scripts
+ * Workspace variables (the Variables panel) are kept in localStorage; profile variables live in
+ * the active connection profile. `-- @set` directives of the script override both, and workspace
+ * variables override the profile's.
+ */
+import { createModuleLogger } from '../utils/logger.js';
+import { parseVariableDirectives } from '../utils/sqlParser.js';
+import settingsService from './settingsService.js';
+
+const log = createModuleLogger('VariablesService');
+
+const VARIABLES_STORAGE_KEY = 'flink-workbench-variables';
+
+class VariablesService {
+  constructor(settings) {
+    this.settings = settings;
+    this.listeners = new Set();
+    this.variables = this.loadVariables();
+
+    // Switching profiles changes the profile variables
+    this.settings.addListener(() => this.notifyListeners());
+  }
+
+  loadVariables() {
+    try {
+      const saved = localStorage.getItem(VARIABLES_STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      log.warn('loadVariables', `Failed to load variables: ${error.message}`);
+      return {};
+    }
+  }
+
+  saveVariables() {
+    try {
+      localStorage.setItem(VARIABLES_STORAGE_KEY, JSON.stringify(this.variables));
+    } catch (error) {
+      log.error('saveVariables', `Failed to save variables: ${error.message}`);
+    }
+    this.notifyListeners();
+  }
+
+  getVariables() {
+    return { ...this.variables };
+  }
+
+  setVariables(variables) {
+    this.variables = { ...variables };
+    this.saveVariables();
+    log.debug('setVariables', `Saved ${Object.keys(this.variables).length} workspace variables`);
+  }
+
+  getProfileVariables() {
+    return this.settings.getProfileVariables();
+  }
+
+  setProfileVariables(variables) {
+    this.settings.setProfileVariables(variables);
+  }
+
+  // Every known value for a script, by precedence: directives, workspace, profile
+  getValues(script = '') {
+    return {
+      ...this.getProfileVariables(),
+      ...this.variables,
+      ...parseVariableDirectives(script)
+    };
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        log.error('notifyListeners', `Error in variables listener: ${error.message}`);
+      }
+    });
+  }
+}
+
+// Create and export singleton instance
+const variablesService = new VariablesService(settingsService);
+export default variablesService;
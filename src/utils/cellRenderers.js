@@ -0,0 +1,243 @@
+/**
+ * Cell renderers
+ * Registry of how result values are shown, keyed on the `type` of a column's logicalType as
+ * reported in the gateway's columnInfos (INTEGER, DECIMAL, TIMESTAMP_WITH_LOCAL_TIME_ZONE, ROW...).
+ *
+ * A renderer is { format, align, children }:
+ * - format(value, logicalType, context) - compact one-line text for grid cells
+ * - align - 'right' for numbers
+ * - children(value, logicalType) - [{ label, value, logicalType }] entries of nested values,
+ *   shown as an expandable tree in the row detail drawer
+ * context carries the display options, currently { timeZone } ('local' or an IANA zone).
+ */
+
+const renderers = new Map();
+
+const isMissing = (value) => value === null || value === undefined;
+
+// Register (or replace) the renderer of a logical type name
+export function registerCellRenderer(type, renderer) {
+  renderers.set(type.toUpperCase(), renderer);
+}
+
+const defaultRenderer = {
+  format: (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value))
+};
+
+export function getCellRenderer(logicalType) {
+  return renderers.get((logicalType?.type || '').toUpperCase()) || defaultRenderer;
+}
+
+// One-line text of a value ('' for NULL, which the grid shows as a NULL badge)
+export function formatCell(value, logicalType, context = {}) {
+  if (isMissing(value)) return '';
+  try {
+    return getCellRenderer(logicalType).format(value, logicalType, context);
+  } catch {
+    return defaultRenderer.format(value);
+  }
+}
+
+// Nested entries of a value, or null for scalar values
+export function getCellChildren(value, logicalType) {
+  if (isMissing(value)) return null;
+  const { children } = getCellRenderer(logicalType);
+  return children ? children(value, logicalType) : null;
+}
+
+// Numbers
+
+const formatNumber = (value) => String(value);
+['TINYINT', 'SMALLINT', 'INTEGER', 'INT', 'BIGINT', 'FLOAT', 'DOUBLE'].forEach(type =>
+  registerCellRenderer(type, { format: formatNumber, align: 'right' }));
+
+// DECIMAL keeps its scale: strings are shown as received, numbers padded to the declared scale
+registerCellRenderer('DECIMAL', {
+  format: (value, logicalType) => {
+    const scale = logicalType?.scale;
+    if (typeof value === 'number' && Number.isInteger(scale) && scale >= 0 && scale <= 100) {
+      return value.toFixed(scale);
+    }
+    return String(value);
+  },
+  align: 'right'
+});
+
+registerCellRenderer('BOOLEAN', { format: (value) => String(value).toUpperCase() });
+
+// Temporal types
+
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?)(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+// Wall-clock timestamps are shown as received, with a space instead of ISO's T
+const formatLocalTimestamp = (value) => String(value).replace(/^(\d{4}-\d{2}-\d{2})T/, '$1 ');
+
+const dateTimeFormats = new Map();
+const getDateTimeFormat = (timeZone) => {
+  const key = timeZone || 'local';
+  if (!dateTimeFormats.has(key)) {
+    dateTimeFormats.set(key, new Intl.DateTimeFormat('en-CA', {
+      ...(key === 'local' ? {} : { timeZone: key }),
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      hourCycle: 'h23', timeZoneName: 'short'
+    }));
+  }
+  return dateTimeFormats.get(key);
+};
+
+/**
+ * TIMESTAMP_LTZ values are instants (the gateway sends them in UTC); they are shown in the
+ * selected time zone. Sub-second digits are copied from the value, keeping micro/nanoseconds.
+ */
+export function formatInstant(value, timeZone = 'local') {
+  const match = String(value).match(TIMESTAMP_PATTERN);
+  if (!match) return String(value);
+
+  const [, date, time, fraction = '', offset = 'Z'] = match;
+  const instant = new Date(`${date}T${time.length === 5 ? `${time}:00` : time}${offset.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')}`);
+  if (Number.isNaN(instant.getTime())) return String(value);
+
+  let parts;
+  try {
+    parts = Object.fromEntries(getDateTimeFormat(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  } catch {
+    return String(value);
+  }
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}${fraction} ${parts.timeZoneName}`;
+}
+
+['DATE', 'TIME', 'TIME_WITHOUT_TIME_ZONE', 'TIMESTAMP', 'TIMESTAMP_WITHOUT_TIME_ZONE'].forEach(type =>
+  registerCellRenderer(type, { format: formatLocalTimestamp }));
+['TIMESTAMP_WITH_LOCAL_TIME_ZONE', 'TIMESTAMP_LTZ', 'TIMESTAMP_WITH_TIME_ZONE'].forEach(type =>
+  registerCellRenderer(type, { format: (value, _logicalType, context) => formatInstant(value, context.timeZone) }));
+
+// Binary types - the gateway sends base64 text
+
+const HEX_PREVIEW_BYTES = 16;
+
+export function toBytes(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    return Array.from(atob(String(value)), char => char.charCodeAt(0));
+  } catch {
+    return null;
+  }
+}
+
+export function toHex(bytes) {
+  return bytes.map(byte => (byte & 0xFF).toString(16).padStart(2, '0')).join('');
+}
+
+const formatBytes = (value) => {
+  const bytes = toBytes(value);
+  if (!bytes) return String(value);
+  const preview = toHex(bytes.slice(0, HEX_PREVIEW_BYTES));
+  return `0x${preview}${bytes.length > HEX_PREVIEW_BYTES ? '…' : ''} (${bytes.length} byte${bytes.length !== 1 ? 's' : ''})`;
+};
+['BINARY', 'VARBINARY', 'BYTES'].forEach(type => registerCellRenderer(type, {
+  format: formatBytes,
+  // Full hex, 32 bytes per line
+  children: (value) => {
+    const bytes = toBytes(value);
+    if (!bytes || bytes.length <= HEX_PREVIEW_BYTES) return null;
+    const lines = [];
+    for (let offset = 0; offset < bytes.length; offset += 32) {
+      lines.push({ label: offset.toString(16).padStart(8, '0'), value: toHex(bytes.slice(offset, offset + 32)), logicalType: { type: 'VARCHAR' } });
+    }
+    return lines;
+  }
+}));
+
+// Nested types
+
+const NESTED_PREVIEW_ITEMS = 5;
+
+const previewList = (items, format) => {
+  const shown = items.slice(0, NESTED_PREVIEW_ITEMS).map(format);
+  return items.length > NESTED_PREVIEW_ITEMS ? [...shown, `… +${items.length - NESTED_PREVIEW_ITEMS}`] : shown;
+};
+
+// Nested values inside a preview: NULL spelled out, strings quoted
+const formatNested = (value, logicalType, context) => {
+  if (isMissing(value)) return 'NULL';
+  if (typeof value === 'string' && !getCellChildren(value, logicalType) && !getCellRenderer(logicalType).align
+    && ['CHAR', 'VARCHAR', 'STRING', ''].includes((logicalType?.type || '').toUpperCase())) {
+    return `'${value}'`;
+  }
+  return formatCell(value, logicalType, context);
+};
+
+const arrayChildren = (value, logicalType) => (Array.isArray(value)
+  ? value.map((element, index) => ({ label: `[${index}]`, value: element, logicalType: logicalType?.elementType }))
+  : []);
+registerCellRenderer('ARRAY', {
+  format: (value, logicalType, context) => (Array.isArray(value)
+    ? `[${previewList(value, element => formatNested(element, logicalType?.elementType, context)).join(', ')}]`
+    : defaultRenderer.format(value)),
+  children: arrayChildren
+});
+
+// MULTISET arrives as a map of element to count
+const multisetEntries = (value) => (Array.isArray(value) ? value.map(element => [element, 1]) : Object.entries(value));
+registerCellRenderer('MULTISET', {
+  format: (value, logicalType, context) =>
+    `{${previewList(multisetEntries(value), ([element, count]) =>
+      `${formatNested(element, logicalType?.elementType, context)} ×${count}`).join(', ')}}`,
+  children: (value, logicalType) => multisetEntries(value).map(([element, count]) =>
+    ({ label: `×${count}`, value: element, logicalType: logicalType?.elementType }))
+});
+
+// MAP arrives as an object, or as [key, value] pairs for keys that are not strings
+const mapEntries = (value) => (Array.isArray(value) ? value : Object.entries(value));
+registerCellRenderer('MAP', {
+  format: (value, logicalType, context) =>
+    `{${previewList(mapEntries(value), ([key, entry]) =>
+      `${formatNested(key, logicalType?.keyType, context)}: ${formatNested(entry, logicalType?.valueType, context)}`).join(', ')}}`,
+  children: (value, logicalType) => mapEntries(value).map(([key, entry]) =>
+    ({ label: formatNested(key, logicalType?.keyType, {}), value: entry, logicalType: logicalType?.valueType }))
+});
+
+// ROW arrives as an object keyed on field names, or as a list of field values
+const rowEntries = (value, logicalType) => {
+  const fields = logicalType?.fields || [];
+  if (Array.isArray(value)) {
+    return value.map((field, index) => [fields[index]?.name ?? `f${index}`, field, fields[index]?.fieldType]);
+  }
+  if (fields.length > 0) {
+    return fields.map(field => [field.name, value[field.name], field.fieldType]);
+  }
+  return Object.entries(value).map(([name, field]) => [name, field, null]);
+};
+registerCellRenderer('ROW', {
+  format: (value, logicalType, context) => (typeof value === 'object'
+    ? `(${previewList(rowEntries(value, logicalType), ([name, field, fieldType]) =>
+      `${name}: ${formatNested(field, fieldType, context)}`).join(', ')})`
+    : defaultRenderer.format(value)),
+  children: (value, logicalType) => (typeof value === 'object'
+    ? rowEntries(value, logicalType).map(([name, field, fieldType]) => ({ label: name, value: field, logicalType: fieldType }))
+    : null)
+});
+registerCellRenderer('STRUCTURED_TYPE', getCellRenderer({ type: 'ROW' }));
+
+// Display name of a logical type, including its nested types (ARRAY<ROW<a INT>>)
+export function describeLogicalType(logicalType) {
+  if (!logicalType?.type) return 'UNKNOWN';
+  const type = logicalType.type.toUpperCase();
+  const nullability = logicalType.nullable === false ? ' NOT NULL' : '';
+  switch (type) {
+    case 'ARRAY':
+    case 'MULTISET':
+      return `${type}<${describeLogicalType(logicalType.elementType)}>${nullability}`;
+    case 'MAP':
+      return `MAP<${describeLogicalType(logicalType.keyType)}, ${describeLogicalType(logicalType.valueType)}>${nullability}`;
+    case 'ROW':
+      return `ROW<${(logicalType.fields || []).map(field => `${field.name} ${describeLogicalType(field.fieldType)}`).join(', ')}>${nullability}`;
+    case 'DECIMAL':
+      return Number.isInteger(logicalType.precision)
+        ? `DECIMAL(${logicalType.precision}, ${logicalType.scale ?? 0})${nullability}`
+        : `DECIMAL${nullability}`;
+    default:
+      return `${type}${nullability}`;
+  }
+}
@@ -0,0 +1,424 @@
+/**
+ * Chart data
+ * Turns the materialized result rows into chart series: x/y/series columns are picked by name,
+ * x values are read as times, numbers or categories from the column's logical type, and time
+ * axes keep a rolling window ending at the latest x value (event time, not wall-clock time).
+ * ChartAccumulator follows a running statement page by page; buildChartData builds from all rows.
+ */
+import { getCellValue } from './resultRows.js';
+
+export const CHART_TYPES = ['line', 'bar', 'area', 'scatter'];
+
+// Rolling windows offered for time axes; 0 keeps every row
+export const CHART_WINDOWS = [
+  { label: 'All', ms: 0 },
+  { label: '1 min', ms: 60 * 1000 },
+  { label: '5 min', ms: 5 * 60 * 1000 },
+  { label: '15 min', ms: 15 * 60 * 1000 },
+  { label: '1 hour', ms: 60 * 60 * 1000 },
+  { label: '6 hours', ms: 6 * 60 * 60 * 1000 },
+  { label: '1 day', ms: 24 * 60 * 60 * 1000 }
+];
+
+export const DEFAULT_CHART_CONFIG = {
+  type: 'line',
+  x: null,        // Column names; null picks one from the result columns
+  y: null,
+  series: null,   // Column whose values split the rows into one series each; null for a single series
+  windowMs: 5 * 60 * 1000
+};
+
+export const MAX_CHART_SERIES = 12;
+
+const NUMBER_TYPES = ['TINYINT', 'SMALLINT', 'INTEGER', 'INT', 'BIGINT', 'FLOAT', 'DOUBLE', 'DECIMAL'];
+const INSTANT_TYPES = ['TIMESTAMP_WITH_LOCAL_TIME_ZONE', 'TIMESTAMP_LTZ', 'TIMESTAMP_WITH_TIME_ZONE'];
+const TIMESTAMP_TYPES = ['DATE', 'TIMESTAMP', 'TIMESTAMP_WITHOUT_TIME_ZONE'];
+
+/**
+ * How a column is plotted:
+ * 'instant' (TIMESTAMP_LTZ), 'timestamp' (wall-clock DATE/TIMESTAMP), 'number' or 'category'
+ */
+export function getColumnKind(column) {
+  const type = (column?.logicalType?.type || '').toUpperCase();
+  if (INSTANT_TYPES.includes(type)) return 'instant';
+  if (TIMESTAMP_TYPES.includes(type)) return 'timestamp';
+  if (NUMBER_TYPES.includes(type)) return 'number';
+  return 'category';
+}
+
+export const isTimeKind = (kind) => kind === 'instant' || kind === 'timestamp';
+
+const TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?)(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Epoch milliseconds of a DATE/TIMESTAMP value, or null
+ * Wall-clock values are read as UTC so they are laid out (and labelled) exactly as received
+ */
+export function toEpochMillis(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value).match(TIME_PATTERN);
+  if (!match) return null;
+
+  const [, date, time = '00:00:00', fraction = '', offset = 'Z'] = match;
+  const millis = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}${fraction.slice(0, 4)}${offset.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')}`);
+  return Number.isNaN(millis) ? null : millis;
+}
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+};
+
+const findColumn = (columns, name) => {
+  const index = columns.findIndex(column => column.name === name);
+  return index >= 0 ? { column: columns[index], index } : null;
+};
+
+/**
+ * Fill in the x/y columns a config does not name (or names columns the result lacks):
+ * x defaults to the first time column, else the first column; y to the first other numeric column
+ */
+export function resolveChartConfig(columns = [], config = null) {
+  const resolved = { ...DEFAULT_CHART_CONFIG, ...(config || {}) };
+  if (!CHART_TYPES.includes(resolved.type)) resolved.type = DEFAULT_CHART_CONFIG.type;
+  if (!Number.isFinite(resolved.windowMs) || resolved.windowMs < 0) resolved.windowMs = DEFAULT_CHART_CONFIG.windowMs;
+  if (columns.length === 0) return resolved;
+
+  if (!findColumn(columns, resolved.x)) {
+    const timeColumn = columns.find(column => isTimeKind(getColumnKind(column)));
+    resolved.x = (timeColumn || columns[0]).name;
+  }
+  if (!findColumn(columns, resolved.y)) {
+    const numberColumn = columns.find(column => column.name !== resolved.x && getColumnKind(column) === 'number');
+    resolved.y = numberColumn ? numberColumn.name : null;
+  }
+  if (resolved.series !== null && !findColumn(columns, resolved.series)) resolved.series = null;
+  return resolved;
+}
+
+// Index of the first point with x >= value, or x > value when after is set (points sorted by x)
+const searchPoints = (points, value, after = false) => {
+  let low = 0;
+  let high = points.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (points[middle].x < value || (after && points[middle].x === value)) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+/**
+ * Chart series kept up to date from the materializer's change lists
+ * Every row position maps to its point (or null when the row has no x or y), and every series keeps
+ * its points sorted by x, so a page only reads the rows it appended, updated or removed. Time axes
+ * trim the rolling window from the front of each series; trimmed points do not come back if the
+ * latest x later moves backwards, until the next full rebuild.
+ */
+export class ChartAccumulator {
+  constructor(columns = [], config = null) {
+    this.columns = columns;
+    this.config = config;
+    this.xColumn = findColumn(columns, config?.x);
+    this.yColumn = findColumn(columns, config?.y);
+    this.seriesColumn = config?.series ? findColumn(columns, config.series) : null;
+    this.xKind = this.xColumn ? getColumnKind(this.xColumn.column) : 'category';
+    this.readX = isTimeKind(this.xKind) ? toEpochMillis : (this.xKind === 'number' ? toNumber : null);
+    this.reset(null);
+  }
+
+  reset(rows) {
+    this.rows = rows;
+    this.version = null;
+    this.entries = [];            // Point (or null) per row position
+    this.series = new Map();      // Series name -> { name, points } in order of first appearance
+    this.categories = [];
+    this.categoryIndex = new Map();
+    this.categoryCounts = [];
+    this.categoriesDirty = false; // A category lost its last point
+    this.maxX = -Infinity;
+    this.maxXDirty = false;       // The point at maxX was removed
+  }
+
+  // Whether the accumulator was built for these columns and config
+  matches(columns, config) {
+    return this.columns === columns && this.config === config;
+  }
+
+  /**
+   * Follow the rows: apply changes ({ baseVersion, version, removed, updated, appendedFrom } from the
+   * materializer) when they continue the rows seen last, rebuild from all rows otherwise
+   */
+  update(rows, changes = null) {
+    if (!this.xColumn || !this.yColumn) return;
+    if (rows === this.rows && changes && changes.version === this.version) return;
+
+    const continues = rows === this.rows && changes?.removed && changes.baseVersion === this.version
+      && changes.appendedFrom === this.entries.length - changes.removed.length;
+    if (!continues) {
+      this.reset(rows);
+      rows.forEach(row => this.entries.push(this.addRow(row)));
+    } else {
+      this.applyChanges(rows, changes);
+    }
+    this.version = changes?.version ?? null;
+  }
+
+  applyChanges(rows, { removed, updated, appendedFrom }) {
+    if (removed.length > 0) {
+      removed.forEach(position => this.removePoint(this.entries[position]));
+      let next = 0;
+      this.entries = this.entries.filter((_entry, position) => {
+        if (position !== removed[next]) return true;
+        next++;
+        return false;
+      });
+    }
+    for (const position of updated) {
+      this.removePoint(this.entries[position]);
+      this.entries[position] = this.addRow(rows[position]);
+    }
+    for (let position = appendedFrom; position < rows.length; position++) {
+      this.entries[position] = this.addRow(rows[position]);
+    }
+    this.entries.length = rows.length;
+  }
+
+  // Point of a row, added to its series; null when the row cannot be plotted
+  addRow(row) {
+    const { xColumn, yColumn, seriesColumn } = this;
+    const y = toNumber(getCellValue(row, yColumn.column, yColumn.index));
+    if (y === null) return null;
+
+    const rawX = getCellValue(row, xColumn.column, xColumn.index);
+    let x;
+    let category = null;
+    if (this.readX) {
+      x = rawX === null || rawX === undefined ? null : this.readX(rawX);
+      if (x === null) return null;
+    } else {
+      category = rawX === null || rawX === undefined ? 'NULL' : String(typeof rawX === 'object' ? JSON.stringify(rawX) : rawX);
+      if (!this.categoryIndex.has(category)) {
+        this.categoryIndex.set(category, this.categories.length);
+        this.categories.push(category);
+        this.categoryCounts.push(0);
+      }
+      x = this.categoryIndex.get(category);
+      this.categoryCounts[x]++;
+    }
+
+    const seriesValue = seriesColumn ? getCellValue(row, seriesColumn.column, seriesColumn.index) : undefined;
+    const seriesName = seriesColumn
+      ? (seriesValue === null || seriesValue === undefined ? 'NULL' : String(seriesValue))
+      : yColumn.column.name;
+    const point = { x, y, row, seriesName, category, trimmed: false };
+
+    let series = this.series.get(seriesName);
+    if (!series) {
+      series = { name: seriesName, points: [] };
+      this.series.set(seriesName, series);
+    }
+    const { points } = series;
+    if (points.length === 0 || points[points.length - 1].x <= x) {
+      points.push(point);
+    } else {
+      points.splice(searchPoints(points, x, true), 0, point);
+    }
+    if (x > this.maxX) this.maxX = x;
+    return point;
+  }
+
+  removePoint(point) {
+    if (!point) return;
+    if (point.category !== null && --this.categoryCounts[this.categoryIndex.get(point.category)] === 0) {
+      this.categoriesDirty = true;
+    }
+    if (point.trimmed) return;
+
+    const series = this.series.get(point.seriesName);
+    const { points } = series;
+    const index = points.indexOf(point, searchPoints(points, point.x));
+    points.splice(index, 1);
+    if (points.length === 0) {
+      this.series.delete(point.seriesName);
+    }
+    if (point.x === this.maxX) {
+      this.maxXDirty = true;
+    }
+  }
+
+  // Drop categories without points, renumbering the x of the remaining ones (order is kept)
+  compactCategories() {
+    const renumbered = [];
+    let kept = 0;
+    this.categoryCounts.forEach((count, index) => {
+      if (count > 0) renumbered[index] = kept++;
+    });
+    this.categories = this.categories.filter((_category, index) => renumbered[index] !== undefined);
+    this.categoryCounts = this.categoryCounts.filter(count => count > 0);
+    this.categoryIndex = new Map(this.categories.map((category, index) => [category, index]));
+    this.entries.forEach(point => {
+      if (point) point.x = renumbered[point.x];
+    });
+    this.categoriesDirty = false;
+  }
+
+  /**
+   * Series for drawing, or null when x or y is missing
+   * @returns {{ xKind, series: Array<{ name, points: Array<{ x, y, row }> }>, categories, xDomain, yDomain,
+   *   pointCount, hiddenSeries, windowed }}
+   * For category axes point.x is the index into categories (in order of first appearance).
+   */
+  getData() {
+    if (!this.xColumn || !this.yColumn) return null;
+    if (this.categoriesDirty) {
+      this.compactCategories();
+    }
+    if (this.maxXDirty) {
+      this.maxX = -Infinity;
+      this.series.forEach(({ points }) => { this.maxX = Math.max(this.maxX, points[points.length - 1].x); });
+      this.maxXDirty = false;
+    }
+
+    // Rolling window: only the latest windowMs of a time axis, trimmed from the front of each series
+    const windowed = isTimeKind(this.xKind) && this.config.windowMs > 0 && this.series.size > 0;
+    if (windowed) {
+      const minX = this.maxX - this.config.windowMs;
+      for (const [name, { points }] of this.series) {
+        const trimmed = searchPoints(points, minX);
+        if (trimmed === 0) continue;
+        points.slice(0, trimmed).forEach(point => { point.trimmed = true; });
+        points.splice(0, trimmed);
+        if (points.length === 0) this.series.delete(name);
+      }
+    }
+
+    // The series and their points are the accumulator's own, valid until the next update
+    const allSeries = [...this.series.values()];
+    const series = allSeries.slice(0, MAX_CHART_SERIES);
+    let pointCount = 0;
+    const xDomain = [Infinity, -Infinity];
+    const yDomain = [Infinity, -Infinity];
+    for (const { points } of series) {
+      pointCount += points.length;
+      xDomain[0] = Math.min(xDomain[0], points[0].x);
+      xDomain[1] = Math.max(xDomain[1], points[points.length - 1].x);
+      for (const { y } of points) {
+        if (y < yDomain[0]) yDomain[0] = y;
+        if (y > yDomain[1]) yDomain[1] = y;
+      }
+    }
+    if (pointCount === 0) {
+      xDomain[0] = xDomain[1] = 0;
+      yDomain[0] = yDomain[1] = 0;
+    }
+
+    return {
+      xKind: this.xKind,
+      series,
+      categories: this.categories,
+      xDomain,
+      yDomain,
+      pointCount,
+      // Series past MAX_CHART_SERIES, which are not drawn
+      hiddenSeries: Math.max(0, allSeries.length - MAX_CHART_SERIES),
+      windowed
+    };
+  }
+}
+
+/**
+ * Series of a resolved config built from all rows, or null when x or y is missing
+ * See ChartAccumulator.getData for the shape
+ */
+export function buildChartData(rows = [], columns = [], config) {
+  const accumulator = new ChartAccumulator(columns, config);
+  accumulator.update(rows);
+  return accumulator.getData();
+}
+
+/**
+ * Round tick values covering [min, max], about `count` of them
+ */
+export function niceTicks(min, max, count = 5) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+  if (min === max) return [min];
+  const rawStep = (max - min) / Math.max(1, count);
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const residual = rawStep / magnitude;
+  const step = (residual >= 5 ? 10 : residual >= 2 ? 5 : residual >= 1.5 ? 2 : 1) * magnitude;
+
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return ticks;
+}
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const TIME_STEPS = [
+  SECOND, 5 * SECOND, 15 * SECOND, 30 * SECOND,
+  MINUTE, 5 * MINUTE, 15 * MINUTE, 30 * MINUTE,
+  HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR,
+  DAY, 7 * DAY, 30 * DAY
+];
+
+// Tick values of a time axis on whole seconds/minutes/hours/days (days in UTC)
+export function timeTicks(min, max, count = 5) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+  if (min === max) return [min];
+  const rawStep = (max - min) / Math.max(1, count);
+  const step = TIME_STEPS.find(candidate => candidate >= rawStep) || Math.ceil(rawStep / (30 * DAY)) * 30 * DAY;
+
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+    ticks.push(value);
+  }
+  return ticks;
+}
+
+const timeFormats = new Map();
+
+/**
+ * Label of a time tick: times of day for spans under a day, dates (and times) otherwise
+ * Instants are shown in timeZone ('local' or IANA); wall-clock values were read as UTC and stay in UTC
+ */
+export function formatTimeTick(millis, span, kind, timeZone = 'local') {
+  const zone = kind === 'instant' ? timeZone : 'UTC';
+  const granularity = span < MINUTE ? 'seconds' : span < DAY ? 'minutes' : span < 7 * DAY ? 'hours' : 'days';
+  const key = `${zone}|${granularity}`;
+  if (!timeFormats.has(key)) {
+    const options = {
+      seconds: { hour: '2-digit', minute: '2-digit', second: '2-digit' },
+      minutes: { hour: '2-digit', minute: '2-digit' },
+      hours: { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' },
+      days: { year: 'numeric', month: '2-digit', day: '2-digit' }
+    }[granularity];
+    timeFormats.set(key, new Intl.DateTimeFormat('en-CA', {
+      ...(zone === 'local' ? {} : { timeZone: zone }),
+      ...options,
+      hourCycle: 'h23'
+    }));
+  }
+  try {
+    return timeFormats.get(key).format(new Date(millis));
+  } catch {
+    return new Date(millis).toISOString();
+  }
+}
+
+// Compact label of a numeric tick (1.2k, 3.5M)
+export function formatNumberTick(value) {
+  const absolute = Math.abs(value);
+  if (absolute >= 1e9) return `${Number((value / 1e9).toPrecision(3))}G`;
+  if (absolute >= 1e6) return `${Number((value / 1e6).toPrecision(3))}M`;
+  if (absolute >= 1e4) return `${Number((value / 1e3).toPrecision(3))}k`;
+  return String(Number(value.toPrecision(6)));
+}
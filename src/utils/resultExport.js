@@ -0,0 +1,334 @@
+/**
+ * Result export
+ * Serializes a materialized result to CSV, TSV, JSON Lines, XLSX or INSERT statements.
+ * Rows are processed in chunks with a yield to the event loop in between, so exporting a large
+ * result does not freeze the tab; the output is assembled into a Blob from the chunk parts.
+ * Column `logicalType` metadata decides how values are written (numbers, booleans, temporal
+ * literals, nested ARRAY/MAP/ROW values).
+ */
+import { getCellValue } from './resultRows.js';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+  jsonl: { label: 'JSON Lines', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  sql: { label: 'INSERT statements', extension: 'sql', mimeType: 'application/sql' }
+};
+
+const CHUNK_ROWS = 2000;
+const INSERT_BATCH_ROWS = 500;      // Rows per INSERT INTO ... VALUES statement
+const XLSX_MAX_ROWS = 1048576;      // Excel sheet limit, header included
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+const NUMERIC_TYPES = new Set(['TINYINT', 'SMALLINT', 'INTEGER', 'INT', 'BIGINT', 'FLOAT', 'DOUBLE', 'DECIMAL']);
+const TEMPORAL_LITERALS = {
+  DATE: 'DATE',
+  TIME_WITHOUT_TIME_ZONE: 'TIME',
+  TIME: 'TIME',
+  TIMESTAMP_WITHOUT_TIME_ZONE: 'TIMESTAMP',
+  TIMESTAMP: 'TIMESTAMP',
+  TIMESTAMP_WITH_LOCAL_TIME_ZONE: 'TIMESTAMP_LTZ'
+};
+
+const getType = (logicalType) => (logicalType?.type || '').toUpperCase();
+const isMissing = (value) => value === null || value === undefined;
+
+// Text of a value for the delimited formats; nested values are written as JSON
+const toText = (value) => {
+  if (isMissing(value)) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const quoteSqlString = (text) => `'${String(text).replace(/'/g, "''")}'`;
+const quoteSqlIdentifier = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+
+// SQL literal of a value, following its logical type down into ARRAY, MAP and ROW values
+const toSqlLiteral = (value, logicalType) => {
+  if (isMissing(value)) return 'NULL';
+  const type = getType(logicalType);
+
+  if (NUMERIC_TYPES.has(type) && Number.isFinite(Number(value))) return String(value);
+  if (type === 'BOOLEAN') return String(value === true || value === 'true').toUpperCase();
+  if (TEMPORAL_LITERALS[type] && typeof value === 'string') {
+    const literal = TEMPORAL_LITERALS[type];
+    // TIMESTAMP_LTZ has no literal syntax - cast a TIMESTAMP literal instead
+    return literal === 'TIMESTAMP_LTZ'
+      ? `CAST(TIMESTAMP ${quoteSqlString(value.replace('T', ' ').replace(/Z$/, ''))} AS TIMESTAMP_LTZ)`
+      : `${literal} ${quoteSqlString(literal === 'DATE' ? value : value.replace('T', ' '))}`;
+  }
+  if ((type === 'ARRAY' || type === 'MULTISET') && Array.isArray(value)) {
+    return `ARRAY[${value.map(element => toSqlLiteral(element, logicalType.elementType)).join(', ')}]`;
+  }
+  if (type === 'MAP' && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value : Object.entries(value);
+    return `MAP[${entries.map(([key, entry]) =>
+      `${toSqlLiteral(key, logicalType.keyType)}, ${toSqlLiteral(entry, logicalType.valueType)}`).join(', ')}]`;
+  }
+  if (type === 'ROW' && typeof value === 'object') {
+    const fields = logicalType.fields || [];
+    const values = Array.isArray(value) ? value : fields.map(field => value[field.name]);
+    return `ROW(${values.map((field, index) => toSqlLiteral(field, fields[index]?.fieldType)).join(', ')})`;
+  }
+  return quoteSqlString(typeof value === 'object' ? JSON.stringify(value) : value);
+};
+
+// JSON value of a cell: numbers and booleans as such, BIGINT/DECIMAL kept as given to avoid precision loss
+const toJsonValue = (value, logicalType) => {
+  const type = getType(logicalType);
+  if (typeof value === 'string' && ['TINYINT', 'SMALLINT', 'INTEGER', 'INT', 'FLOAT', 'DOUBLE'].includes(type)
+    && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (typeof value === 'string' && type === 'BOOLEAN') return value === 'true';
+  return isMissing(value) ? null : value;
+};
+
+const escapeCsv = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+const escapeTsv = (text) => text.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+const escapeXml = (text) => text
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Spreadsheet column name of a 0-based index (0 -> A, 26 -> AA)
+const getColumnLetter = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const xlsxCell = (value, logicalType, reference) => {
+  if (isMissing(value)) return '';
+  const type = getType(logicalType);
+  if (NUMERIC_TYPES.has(type) && Number.isFinite(Number(value))) {
+    return `<c r="${reference}"><v>${Number(value)}</v></c>`;
+  }
+  if (type === 'BOOLEAN') {
+    return `<c r="${reference}" t="b"><v>${value === true || value === 'true' ? 1 : 0}</v></c>`;
+  }
+  const text = escapeXml(toText(value).slice(0, XLSX_MAX_CELL_LENGTH));
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+};
+
+// Row serializers per text format: header lines, then text for each row
+const createTextWriter = (format, columns, options) => {
+  const values = (row) => columns.map((column, index) => getCellValue(row, column, index));
+
+  switch (format) {
+    case 'csv':
+      return {
+        header: `${columns.map(column => escapeCsv(column.name)).join(',')}\r\n`,
+        row: (row) => `${values(row).map(value => escapeCsv(toText(value))).join(',')}\r\n`
+      };
+    case 'tsv':
+      return {
+        header: `${columns.map(column => escapeTsv(column.name)).join('\t')}\n`,
+        row: (row) => `${values(row).map(value => escapeTsv(toText(value))).join('\t')}\n`
+      };
+    case 'jsonl':
+      return {
+        header: '',
+        row: (row) => `${JSON.stringify(Object.fromEntries(values(row).map((value, index) =>
+          [columns[index].name, toJsonValue(value, columns[index].logicalType)])))}\n`
+      };
+    case 'sql': {
+      const target = `INSERT INTO ${options.tableName} (${columns.map(column => quoteSqlIdentifier(column.name)).join(', ')}) VALUES`;
+      return {
+        header: '',
+        row: (row, index, total) => {
+          const tuple = `(${values(row).map((value, column) => toSqlLiteral(value, columns[column].logicalType)).join(', ')})`;
+          const first = index % INSERT_BATCH_ROWS === 0;
+          const last = index % INSERT_BATCH_ROWS === INSERT_BATCH_ROWS - 1 || index === total - 1;
+          return `${first ? `${target}\n` : ''}  ${tuple}${last ? ';\n\n' : ',\n'}`;
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Serialize rows chunk by chunk; each chunk's text becomes one part
+const serializeRows = async (rows, writeRow, { signal, onProgress }) => {
+  const parts = [];
+  for (let start = 0; start < rows.length; start += CHUNK_ROWS) {
+    if (signal?.aborted) {
+      throw new DOMException('Export cancelled', 'AbortError');
+    }
+    let chunk = '';
+    const end = Math.min(rows.length, start + CHUNK_ROWS);
+    for (let index = start; index < end; index++) {
+      chunk += writeRow(rows[index], index, rows.length);
+    }
+    parts.push(chunk);
+    onProgress?.(end / rows.length);
+    await yieldToEventLoop();
+  }
+  return parts;
+};
+
+// CRC-32 (as used by ZIP) over byte arrays
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const updateCrc = (crc, bytes) => {
+  let c = crc;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return c;
+};
+
+/**
+ * Uncompressed (stored) ZIP archive - enough for an XLSX package
+ * @param {Array<{name: string, parts: Uint8Array[]}>} files
+ * @returns {Array<Uint8Array>} Blob parts
+ */
+const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const output = [];
+  const central = [];
+  let offset = 0;
+  const header = (size) => {
+    const bytes = new Uint8Array(size);
+    return { bytes, view: new DataView(bytes.buffer) };
+  };
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const size = file.parts.reduce((sum, part) => sum + part.length, 0);
+    const crc = (file.parts.reduce(updateCrc, 0xFFFFFFFF) ^ 0xFFFFFFFF) >>> 0;
+
+    const local = header(30);
+    local.view.setUint32(0, 0x04034B50, true);
+    local.view.setUint16(4, 20, true);            // Version needed
+    local.view.setUint16(6, 0x0800, true);        // UTF-8 names
+    local.view.setUint32(14, crc, true);
+    local.view.setUint32(18, size, true);
+    local.view.setUint32(22, size, true);
+    local.view.setUint16(26, name.length, true);
+    output.push(local.bytes, name, ...file.parts);
+
+    const entry = header(46);
+    entry.view.setUint32(0, 0x02014B50, true);
+    entry.view.setUint16(4, 20, true);
+    entry.view.setUint16(6, 20, true);
+    entry.view.setUint16(8, 0x0800, true);
+    entry.view.setUint32(16, crc, true);
+    entry.view.setUint32(20, size, true);
+    entry.view.setUint32(24, size, true);
+    entry.view.setUint16(28, name.length, true);
+    entry.view.setUint32(42, offset, true);
+    central.push(entry.bytes, name);
+
+    offset += 30 + name.length + size;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = header(22);
+  end.view.setUint32(0, 0x06054B50, true);
+  end.view.setUint16(8, files.length, true);
+  end.view.setUint16(10, files.length, true);
+  end.view.setUint32(12, centralSize, true);
+  end.view.setUint32(16, offset, true);
+  return [...output, ...central, end.bytes];
+};
+
+const XLSX_PACKAGE = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets><sheet name="Results" sheetId="1" r:id="rId1"/></sheets>'
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>'
+};
+
+// Worksheet XML parts: a frozen header row, then one row element per result row
+const serializeSheet = async (columns, rows, options) => {
+  const headerCells = columns.map((column, index) => {
+    const text = escapeXml(String(column.name));
+    return `<c r="${getColumnLetter(index)}1" t="inlineStr"><is><t>${text}</t></is></c>`;
+  }).join('');
+  const letters = columns.map((_, index) => getColumnLetter(index));
+
+  const body = await serializeRows(rows, (row, index) => {
+    const rowNumber = index + 2;
+    const cells = columns.map((column, columnIndex) =>
+      xlsxCell(getCellValue(row, column, columnIndex), column.logicalType, `${letters[columnIndex]}${rowNumber}`)).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  }, options);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      + `<sheetData><row r="1">${headerCells}</row>`,
+    ...body,
+    '</sheetData></worksheet>'
+  ];
+};
+
+/**
+ * Export result rows
+ * @param {Object} params
+ * @param {Array} params.columns - Result columns with name and logicalType
+ * @param {Array} params.rows - Materialized rows
+ * @param {string} params.format - Key of EXPORT_FORMATS
+ * @param {string} [params.tableName] - Target table of INSERT statements
+ * @param {AbortSignal} [params.signal] - Aborting rejects with an AbortError
+ * @param {(fraction: number) => void} [params.onProgress]
+ * @returns {Promise<Blob>}
+ */
+export async function exportResult({ columns, rows, format, tableName = 'results', signal, onProgress }) {
+  const { mimeType } = EXPORT_FORMATS[format] || {};
+
+  if (format === 'xlsx') {
+    if (rows.length >= XLSX_MAX_ROWS) {
+      throw new Error(`Excel sheets hold at most ${(XLSX_MAX_ROWS - 1).toLocaleString()} rows; use CSV for ${rows.length.toLocaleString()} rows`);
+    }
+    const encoder = new TextEncoder();
+    const sheet = await serializeSheet(columns, rows, { signal, onProgress });
+    const files = [
+      ...Object.entries(XLSX_PACKAGE).map(([name, xml]) => ({ name, parts: [encoder.encode(xml)] })),
+      { name: 'xl/worksheets/sheet1.xml', parts: sheet.map(part => encoder.encode(part)) }
+    ];
+    return new Blob(createZip(files), { type: mimeType });
+  }
+
+  const writer = createTextWriter(format, columns, { tableName });
+  const parts = await serializeRows(rows, writer.row, { signal, onProgress });
+  return new Blob([writer.header, ...parts], { type: mimeType });
+}
+
+// Quote a table name typed by the user unless it is already quoted or qualified (catalog.db.table)
+export function toInsertTableName(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return quoteSqlIdentifier('results');
+  return /^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/.test(trimmed) || trimmed.includes('`')
+    ? trimmed
+    : quoteSqlIdentifier(trimmed);
+}
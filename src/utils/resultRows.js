@@ -0,0 +1,97 @@
+/**
+ * Result rows
+ * Helpers for the results grid: reading cell values from gateway rows, ordering values for
+ * sorting and compiling the per-column filter expressions.
+ */
+
+// Value of a column in a result row: gateway rows carry a fields array, older payloads are plain objects
+export function getCellValue(row, column, index) {
+  if (!row) return undefined;
+  if (Array.isArray(row.fields)) return row.fields[index];
+
+  if (row[column?.name] !== undefined) return row[column.name];
+  if (row[`field_${index}`] !== undefined) return row[`field_${index}`];
+  const fieldKeys = Object.keys(row);
+  return fieldKeys[index] ? row[fieldKeys[index]] : undefined;
+}
+
+// Text shown for a cell value (null/undefined are shown as NULL by the grid)
+export function formatCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return null;
+};
+
+// Sort order of two cell values: numbers numerically, everything else as text; NULLs last
+export function compareValues(a, b) {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+
+  const aNumber = toNumber(a);
+  const bNumber = toNumber(b);
+  if (aNumber !== null && bNumber !== null) return aNumber - bNumber;
+
+  return formatCellValue(a).localeCompare(formatCellValue(b), undefined, { numeric: true });
+}
+
+const COMPARISON_PATTERN = /^(>=|<=|<>|!=|=|>|<)\s*(.*)$/;
+
+/**
+ * Compile a column filter expression into a predicate on cell values
+ * Supported: `> 10`, `<= 2.5`, `= EUR`, `!= EUR` (`<>`), `null`, `not null`, `/regex/`;
+ * anything else matches as a case-insensitive substring. Comparisons are numeric when both
+ * sides are numbers and on the text otherwise (ISO timestamps compare correctly).
+ * @returns {((value: any) => boolean)|null} null for an empty expression
+ */
+export function compileFilter(expression) {
+  const text = (expression || '').trim();
+  if (!text) return null;
+
+  const lower = text.toLowerCase();
+  if (lower === 'null') return value => value === null || value === undefined;
+  if (lower === 'not null' || lower === '!null') return value => value !== null && value !== undefined;
+
+  const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      // g and y make test() stateful (lastIndex), so every other cell would be skipped
+      const pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+      return value => pattern.test(formatCellValue(value));
+    } catch {
+      // Not a valid regular expression - fall back to a substring match
+    }
+  }
+
+  const comparison = text.match(COMPARISON_PATTERN);
+  if (comparison) {
+    const [, operator, operand] = comparison;
+    const operandNumber = toNumber(operand);
+    const compare = (value) => {
+      const valueNumber = toNumber(value);
+      if (operandNumber !== null && valueNumber !== null) return valueNumber - operandNumber;
+      return formatCellValue(value).localeCompare(operand, undefined, { sensitivity: 'accent', numeric: true });
+    };
+    return (value) => {
+      if (value === null || value === undefined) return operator === '!=' || operator === '<>';
+      const result = compare(value);
+      switch (operator) {
+        case '=': return result === 0;
+        case '!=':
+        case '<>': return result !== 0;
+        case '>': return result > 0;
+        case '>=': return result >= 0;
+        case '<': return result < 0;
+        default: return result <= 0;
+      }
+    };
+  }
+
+  return value => formatCellValue(value).toLowerCase().includes(lower);
+}
@@ -0,0 +1,108 @@
+/**
+ * Positions of SQL errors reported by the gateway
+ * Calcite reports 1-based positions relative to the submitted statement:
+ *   validation errors: "From line 1, column 8 to line 1, column 10: Column 'x' not found in any table"
+ *   parse errors:      "Encountered "FORM" at line 3, column 14."
+ */
+import { mapOffsetToSource } from './textEdits.js';
+
+const RANGE_PATTERN = /From line (\d+), column (\d+) to line (\d+), column (\d+)/i;
+const POINT_PATTERN = /line (\d+), column (\d+)/i;
+const HTTP_ERROR_PREFIX = /^HTTP error! status: \d+ - /;
+
+/**
+ * Parse the first error position in a message
+ * @returns {{startLine: number, startColumn: number, endLine: number, endColumn: number}|null}
+ *   endColumn is inclusive; a single position has the same start and end
+ */
+export function parseSqlErrorPosition(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  let match = text.match(RANGE_PATTERN);
+  if (match) {
+    const [startLine, startColumn, endLine, endColumn] = match.slice(1).map(Number);
+    return { startLine, startColumn, endLine, endColumn };
+  }
+
+  match = text.match(POINT_PATTERN);
+  if (match) {
+    const [line, column] = match.slice(1).map(Number);
+    return { startLine: line, startColumn: column, endLine: line, endColumn: column };
+  }
+
+  return null;
+}
+
+// Position of a failed statement's error - the root cause message first, then the full server errors
+export function findSqlErrorPosition(error) {
+  const texts = [error?.message, ...(Array.isArray(error?.serverErrors) ? error.serverErrors : [])];
+  for (const text of texts) {
+    const position = parseSqlErrorPosition(text);
+    if (position) {
+      return position;
+    }
+  }
+  return null;
+}
+
+// Offset of a 1-based line/column in text, and back
+const toOffset = (text, line, column) => {
+  let offset = 0;
+  for (let current = 1; current < line; current++) {
+    const lineEnd = text.indexOf('\n', offset);
+    if (lineEnd === -1) break;
+    offset = lineEnd + 1;
+  }
+  return Math.min(offset + column - 1, text.length);
+};
+
+const toLineColumn = (text, offset) => {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+};
+
+/**
+ * Map an error position in the submitted statement back to the statement text it was made from
+ * @param {Object} position  Result of parseSqlErrorPosition, relative to submitted
+ * @param {string} submitted The statement sent to the gateway
+ * @param {string} source    The editor text of the statement
+ * @param {Array} edits      Edits turning source into submitted (see textEdits.js)
+ */
+export function mapSqlErrorPosition(position, submitted, source, edits = []) {
+  if (!position || edits.length === 0) return position;
+  const start = toLineColumn(source, mapOffsetToSource(toOffset(submitted, position.startLine, position.startColumn), edits));
+  const end = toLineColumn(source, mapOffsetToSource(toOffset(submitted, position.endLine, position.endColumn), edits, 'end'));
+  return { startLine: start.line, startColumn: start.column, endLine: end.line, endColumn: end.column };
+}
+
+/**
+ * Map a statement-relative error position into the editor buffer
+ * @param {Object} position     Result of parseSqlErrorPosition
+ * @param {{lineNumber: number, column: number}} start Where the statement starts in the buffer
+ * @returns {{startLineNumber: number, startColumn: number, endLineNumber: number, endColumn: number}}
+ *   Monaco range (end column exclusive)
+ */
+export function toEditorRange(position, start) {
+  // Only the statement's first line is shifted horizontally
+  const shift = (line, column) => ({
+    lineNumber: start.lineNumber + line - 1,
+    column: line === 1 ? start.column + column - 1 : column
+  });
+  const from = shift(position.startLine, position.startColumn);
+  const to = shift(position.endLine, position.endColumn);
+
+  return {
+    startLineNumber: from.lineNumber,
+    startColumn: from.column,
+    endLineNumber: to.lineNumber,
+    endColumn: to.column + 1
+  };
+}
+
+// Error message without the HTTP status prefix added by FlinkApiService
+export function getSqlErrorMessage(error) {
+  return String(error?.message || error || '').replace(HTTP_ERROR_PREFIX, '');
+}
@@ -0,0 +1,464 @@
+/**
+ * Flink SQL Formatter
+ * Lays out statements clause by clause: SELECT/FROM/WHERE/... start new lines, select lists,
+ * WITH (...) connector options and CREATE TABLE columns get one item per line, subqueries,
+ * MATCH_RECOGNIZE and EXECUTE STATEMENT SET blocks are indented. Function calls such as window
+ * TVFs (TABLE(TUMBLE(...))) and WATERMARK FOR ... AS ... definitions stay on one line.
+ *
+ * Keyword case only touches words that cannot be identifiers where they appear: reserved words,
+ * known functions followed by "(" and non-reserved keywords in the phrases that need them
+ * (PRIMARY KEY, WATERMARK FOR, SHOW TABLES, ...) - Flink identifiers are case-sensitive.
+ * Comments and literals are kept as written.
+ */
+import { tokenizeSql, isSignificantToken, getWord, TOKEN_TYPES } from './sqlLexer.js';
+
+export const KEYWORD_CASES = ['upper', 'lower', 'preserve'];
+
+export const DEFAULT_FORMAT_OPTIONS = {
+  keywordCase: 'upper',
+  indentSize: 2
+};
+
+// Reserved words (never unquoted identifiers), so changing their case is always safe
+const RESERVED_WORDS = new Set([
+  'ALL', 'ALTER', 'AND', 'ANY', 'ARRAY', 'AS', 'AT', 'BEGIN', 'BETWEEN', 'BIGINT', 'BINARY', 'BOOLEAN',
+  'BOTH', 'BY', 'CASE', 'CAST', 'CHAR', 'CHARACTER', 'CREATE', 'CROSS', 'CUBE', 'CURRENT', 'CURRENT_DATE',
+  'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'DATE', 'DAY', 'DECIMAL', 'DEFINE', 'DELETE', 'DESCRIBE', 'DISTINCT',
+  'DOUBLE', 'DROP', 'ELSE', 'END', 'ESCAPE', 'EXCEPT', 'EXECUTE', 'EXISTS', 'EXPLAIN', 'EXTRACT', 'FALSE',
+  'FETCH', 'FILTER', 'FLOAT', 'FOR', 'FROM', 'FULL', 'FUNCTION', 'GROUP', 'GROUPING', 'HAVING', 'HOUR', 'IN',
+  'INNER', 'INSERT', 'INT', 'INTEGER', 'INTERSECT', 'INTERVAL', 'INTO', 'IS', 'JOIN', 'LATERAL', 'LEFT',
+  'LIKE', 'LIMIT', 'LOCALTIMESTAMP', 'MAP', 'MATCH_RECOGNIZE', 'MEASURES', 'MINUTE', 'MONTH', 'MULTISET',
+  'NATURAL', 'NEXT', 'NOT', 'NULL', 'OF', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION',
+  'PATTERN', 'PER', 'PRIMARY', 'RESET', 'RIGHT', 'ROLLUP', 'ROW', 'ROWS', 'SECOND', 'SELECT', 'SET', 'SHOW',
+  'SIMILAR', 'SMALLINT', 'SOME', 'SYSTEM', 'SYSTEM_TIME', 'TABLE', 'THEN', 'TIME', 'TIMESTAMP', 'TINYINT',
+  'TO', 'TRAILING', 'TRUE', 'UNION', 'UNKNOWN', 'UNNEST', 'UPDATE', 'USING', 'VALUES', 'VARBINARY', 'VARCHAR',
+  'VIEW', 'WHEN', 'WHERE', 'WINDOW', 'WITH', 'WITHIN', 'WITHOUT', 'YEAR'
+]);
+
+// Built-in functions, cased when called
+const FUNCTION_WORDS = new Set([
+  'ABS', 'AVG', 'CEIL', 'COALESCE', 'CONCAT', 'CONCAT_WS', 'COUNT', 'CUMULATE', 'DATE_FORMAT', 'DESCRIPTOR',
+  'FIRST_VALUE', 'FLOOR', 'HOP', 'IF', 'IFNULL', 'JSON_OBJECT', 'JSON_VALUE', 'LAG', 'LAST_VALUE', 'LEAD',
+  'LISTAGG', 'LOWER', 'LTRIM', 'MAX', 'MIN', 'MOD', 'NOW', 'NULLIF', 'PROCTIME', 'RANK', 'DENSE_RANK',
+  'REGEXP_EXTRACT', 'REPLACE', 'ROUND', 'ROW_NUMBER', 'RTRIM', 'SESSION', 'SPLIT_INDEX', 'SUBSTRING', 'SUM',
+  'TO_DATE', 'TO_TIMESTAMP', 'TO_TIMESTAMP_LTZ', 'TRIM', 'TRY_CAST', 'TUMBLE', 'UNIX_TIMESTAMP', 'UPPER'
+]);
+
+// Non-reserved keywords, cased only after one of the listed words
+const KEYWORDS_AFTER = {
+  KEY: ['PRIMARY'],
+  ENFORCED: ['NOT'],
+  STATEMENT: ['EXECUTE', 'BEGIN', 'EXPLAIN'],
+  TEMPORARY: ['CREATE', 'DROP', 'ALTER', 'REPLACE', 'SHOW'],
+  REPLACE: ['OR'],
+  CATALOG: ['USE', 'CREATE', 'DROP', 'ALTER', 'CURRENT'],
+  DATABASE: ['CREATE', 'DROP', 'ALTER', 'CURRENT'],
+  CATALOGS: ['SHOW'],
+  DATABASES: ['SHOW'],
+  TABLES: ['SHOW', 'TEMPORARY'],
+  VIEWS: ['SHOW', 'TEMPORARY'],
+  FUNCTIONS: ['SHOW', 'USER', 'TEMPORARY', 'SYSTEM'],
+  MODULES: ['SHOW', 'FULL', 'USE'],
+  MODULE: ['LOAD', 'UNLOAD'],
+  JAR: ['ADD', 'REMOVE'],
+  JARS: ['SHOW'],
+  JOBS: ['SHOW'],
+  COLUMNS: ['SHOW'],
+  PARTITIONS: ['SHOW'],
+  USER: ['SHOW'],
+  OVERWRITE: ['INSERT'],
+  PLAN: ['EXPLAIN', 'COMPILE', 'EXECUTE'],
+  SKIP: ['MATCH'],
+  PAST: ['SKIP'],
+  LAST: ['PAST', 'NULLS'],
+  FIRST: ['NULLS']
+};
+
+// Non-reserved keywords, cased only before one of the listed words
+const KEYWORDS_BEFORE = {
+  WATERMARK: ['FOR'],
+  PARTITIONED: ['BY'],
+  IF: ['NOT', 'EXISTS'],
+  ONE: ['ROW'],
+  AFTER: ['MATCH'],
+  NULLS: ['FIRST', 'LAST'],
+  METADATA: ['FROM', 'VIRTUAL']
+};
+
+// Interval units, cased after an INTERVAL literal (INTERVAL '10' MINUTES)
+const INTERVAL_UNITS = new Set(['SECONDS', 'MINUTES', 'HOURS', 'DAYS', 'MONTHS', 'YEARS']);
+// Sort directions, cased after an expression
+const SORT_WORDS = new Set(['ASC', 'DESC']);
+
+// Non-reserved type names, cased where a type is expected
+const TYPE_WORDS = new Set(['STRING', 'BYTES', 'TIMESTAMP_LTZ', 'RAW']);
+
+// Clauses that start a new line; the ones in LIST_CLAUSES put each comma-separated item on its own line
+const CLAUSES = [
+  ['SELECT'], ['FROM'], ['WHERE'], ['GROUP', 'BY'], ['HAVING'], ['ORDER', 'BY'], ['LIMIT'], ['OFFSET'],
+  ['FETCH'], ['WINDOW'], ['UNION', 'ALL'], ['UNION'], ['INTERSECT'], ['EXCEPT'], ['VALUES'],
+  ['INSERT', 'INTO'], ['INSERT', 'OVERWRITE'], ['WITH'], ['PARTITIONED', 'BY'],
+  ['LEFT', 'OUTER', 'JOIN'], ['RIGHT', 'OUTER', 'JOIN'], ['FULL', 'OUTER', 'JOIN'], ['LEFT', 'JOIN'],
+  ['RIGHT', 'JOIN'], ['FULL', 'JOIN'], ['INNER', 'JOIN'], ['CROSS', 'JOIN'], ['JOIN']
+];
+const MATCH_CLAUSES = [
+  ['PARTITION', 'BY'], ['ORDER', 'BY'], ['MEASURES'], ['ONE', 'ROW', 'PER', 'MATCH'],
+  ['ALL', 'ROWS', 'PER', 'MATCH'], ['AFTER', 'MATCH'], ['PATTERN'], ['DEFINE'], ['WITHIN']
+];
+const LIST_CLAUSES = new Set(['SELECT', 'WITH', 'VALUES', 'MEASURES', 'DEFINE']);
+// Clauses whose AND/OR conditions go on separate lines
+const CONDITION_CLAUSES = new Set(['WHERE', 'HAVING']);
+
+// Words that may come before the statement's main clause without a line break (EXPLAIN PLAN FOR SELECT)
+const STATEMENT_PREFIXES = new Set([
+  'EXPLAIN', 'EXECUTE', 'PLAN', 'FOR', 'ESTIMATED_COST', 'CHANGELOG_MODE', 'JSON_EXECUTION_PLAN', 'PLAN_ADVICE'
+]);
+
+// Words followed by a space before "(" - after other words "(" opens a call
+const SPACE_BEFORE_PAREN = new Set([
+  'AS', 'IN', 'ON', 'AND', 'OR', 'NOT', 'EXISTS', 'KEY', 'BY', 'OVER', 'FROM', 'JOIN', 'USING', 'WITH',
+  'VALUES', 'MATCH_RECOGNIZE', 'PATTERN', 'WHEN', 'THEN', 'ELSE', 'SELECT', 'WHERE', 'HAVING', 'LATERAL', 'SET'
+]);
+const NO_SPACE_BEFORE = new Set([',', ')', ';', '.']);
+// Row pattern quantifiers of MATCH_RECOGNIZE ... PATTERN (A B+ C*?)
+const QUANTIFIERS = new Set(['+', '*', '?']);
+
+const applyCase = (text, keywordCase) => {
+  if (keywordCase === 'lower') return text.toLowerCase();
+  if (keywordCase === 'upper') return text.toUpperCase();
+  return text;
+};
+
+// Indexes of the significant tokens whose case may be changed
+const findKeywords = (tokens) => {
+  const keywords = new Set();
+  const parens = [];              // Word before each open "(", to recognise CAST(... AS type)
+  let statementStart = true;
+  let statementWord = null;       // First word of the current statement
+
+  tokens.forEach((token, index) => {
+    const word = getWord(token);
+    const prev = tokens[index - 1];
+    const prevWord = getWord(prev);
+    const nextWord = getWord(tokens[index + 1]);
+
+    if (token.text === '(') {
+      parens.push(prevWord);
+    } else if (token.text === ')') {
+      parens.pop();
+    } else if (token.type === TOKEN_TYPES.SEMICOLON) {
+      statementStart = true;
+      return;
+    }
+
+    if (word && prev?.text !== '.') {
+      const typePosition = TYPE_WORDS.has(word) && (
+        prev?.text === '<'
+        || (prevWord === 'AS' && ['CAST', 'TRY_CAST'].includes(parens[parens.length - 1]))
+        || (statementWord === 'CREATE' && (prev?.type === TOKEN_TYPES.WORD || prev?.type === TOKEN_TYPES.IDENTIFIER)
+          && ['(', ','].includes(tokens[index - 2]?.text))
+      );
+      if (
+        statementStart
+        || RESERVED_WORDS.has(word)
+        || (FUNCTION_WORDS.has(word) && tokens[index + 1]?.text === '(')
+        || KEYWORDS_AFTER[word]?.includes(prevWord)
+        || KEYWORDS_BEFORE[word]?.includes(nextWord)
+        || (word === 'COMMENT' && tokens[index + 1]?.type === TOKEN_TYPES.STRING)
+        || typePosition
+        || (INTERVAL_UNITS.has(word) && prev?.type === TOKEN_TYPES.STRING && getWord(tokens[index - 2]) === 'INTERVAL')
+        || (SORT_WORDS.has(word) && prev && !keywords.has(index - 1)
+          && (!tokens[index + 1] || [',', ')', ';'].includes(tokens[index + 1].text) || nextWord === 'NULLS' || nextWord === 'LIMIT'))
+      ) {
+        keywords.add(index);
+      }
+    }
+
+    if (statementStart) {
+      statementWord = word;
+    }
+    statementStart = false;
+  });
+  return keywords;
+};
+
+/**
+ * Format Flink SQL text
+ * @param {string} sql
+ * @param {{keywordCase?: 'upper'|'lower'|'preserve', indentSize?: number}} [options]
+ * @returns {string} Formatted text without a trailing newline
+ */
+export function formatSql(sql, options = {}) {
+  const { keywordCase, indentSize } = { ...DEFAULT_FORMAT_OPTIONS, ...options };
+  const indentUnit = ' '.repeat(Math.max(0, Number(indentSize) || 0));
+
+  // Significant tokens and comments, each comment knowing whether a line break came before it
+  const tokens = [];
+  let newlineBefore = false;
+  for (const token of tokenizeSql(sql)) {
+    if (token.type === TOKEN_TYPES.WHITESPACE) {
+      newlineBefore = newlineBefore || /[\r\n]/.test(token.text);
+      continue;
+    }
+    tokens.push({ ...token, newlineBefore });
+    newlineBefore = false;
+  }
+  const significant = tokens.filter(isSignificantToken);
+  const keywords = findKeywords(significant);
+  const positions = new Map(significant.map((token, index) => [token, index]));
+  const textOf = (token) => (keywords.has(positions.get(token)) ? applyCase(token.text, keywordCase) : token.text);
+
+  // Output lines
+  const lines = [];
+  let line = { indent: 0, text: '' };
+  const newline = (indent) => {
+    if (line.text) lines.push(line);
+    line = { indent, text: '' };
+  };
+  const blankLine = () => {
+    newline(0);
+    if (lines.length > 0 && lines[lines.length - 1].text !== '') {
+      lines.push({ indent: 0, text: '' });
+    }
+  };
+
+  // Layout frames: statement (also a statement-set block), subquery, match, list or inline parentheses
+  const root = { type: 'statement', indent: 0, clause: null, words: [] };
+  const frames = [root];
+  const top = () => frames[frames.length - 1];
+  const isClauseFrame = (frame) => frame.type === 'statement' || frame.type === 'subquery' || frame.type === 'match';
+  const contentIndent = (frame = top()) => {
+    if (frame.type === 'list' || frame.type === 'inline') return frame.indent;
+    return frame.clause ? frame.indent + 1 : frame.indent;
+  };
+
+  let pendingNewline = false;
+  let pendingBlankLine = false;
+  let atStatementStart = true;
+  let prev = null;            // Previous significant token
+  let unary = false;          // Previous token was a unary sign
+
+  const write = (text, space) => {
+    if (pendingNewline) {
+      newline(contentIndent());
+      pendingNewline = false;
+    }
+    line.text += (space && line.text ? ' ' : '') + text;
+  };
+
+  const needsSpace = (token) => {
+    if (!prev || unary) return false;
+    if (NO_SPACE_BEFORE.has(token.text)) return false;
+    if (prev.text === '(' || prev.text === '.') return false;
+    if (top().pattern && QUANTIFIERS.has(token.text) && prev.type !== TOKEN_TYPES.PUNCTUATION) return false;
+    if (token.text === '(') {
+      const prevWord = getWord(prev);
+      if (!prevWord && prev.type !== TOKEN_TYPES.IDENTIFIER) return prev.text !== '.';
+      const beforePrev = significant[positions.get(prev) - 1];
+      return SPACE_BEFORE_PAREN.has(prevWord) || ['INTO', 'OVERWRITE'].includes(getWord(beforePrev));
+    }
+    return true;
+  };
+
+  // Clause phrase starting at a significant token index, or null
+  const matchClause = (index, frame) => {
+    const phrases = frame.type === 'match' ? MATCH_CLAUSES : CLAUSES;
+    return phrases.find(phrase => phrase.every((word, offset) => getWord(significant[index + offset]) === word)) || null;
+  };
+
+  const startStatement = (frame, token) => {
+    if (frame === root) {
+      if (pendingBlankLine && (token.newlineBefore || token.type !== TOKEN_TYPES.COMMENT)) {
+        blankLine();
+        pendingBlankLine = false;
+        pendingNewline = false;
+      }
+    }
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const frame = top();
+
+    if (token.type === TOKEN_TYPES.COMMENT) {
+      startStatement(frame, token);
+      if (token.newlineBefore && line.text) {
+        pendingNewline = true;
+      } else if (!token.newlineBefore && line.text) {
+        // Trailing comment stays at the end of its line
+        pendingNewline = false;
+      }
+      write(token.text, !pendingNewline);
+      // Line comments end the line; block comments spanning lines get their own
+      if (token.text.startsWith('--') || /[\r\n]/.test(token.text) || token.newlineBefore) {
+        pendingNewline = true;
+      }
+      continue;
+    }
+
+    const index = positions.get(token);
+    const word = getWord(token);
+    const text = textOf(token);
+
+    if (atStatementStart && isClauseFrame(frame)) {
+      startStatement(frame, token);
+    }
+
+    // End of a statement - also closes parentheses left open
+    if (token.type === TOKEN_TYPES.SEMICOLON) {
+      while (frames.length > 1 && !(top().type === 'statement')) frames.pop();
+      write(';', false);
+      const statementFrame = top();
+      statementFrame.clause = null;
+      statementFrame.words = [];
+      atStatementStart = true;
+      if (statementFrame === root) {
+        pendingBlankLine = true;
+      } else {
+        pendingNewline = true;
+      }
+      prev = token;
+      unary = false;
+      continue;
+    }
+
+    // Statement-set block: EXECUTE STATEMENT SET BEGIN ... END
+    if (word === 'BEGIN' && frame.type === 'statement' && ['EXECUTE', 'EXPLAIN'].includes(frame.words[0])
+      && frame.words.slice(-2).join(' ') === 'STATEMENT SET') {
+      newline(frame.indent);
+      write(text, false);
+      frames.push({ type: 'statement', indent: frame.indent + 1, clause: null, words: [], block: true });
+      pendingNewline = true;
+      atStatementStart = true;
+      prev = token;
+      continue;
+    }
+    if (word === 'END' && frame.block && atStatementStart) {
+      frames.pop();
+      newline(frame.indent - 1);
+      write(text, false);
+      prev = token;
+      continue;
+    }
+
+    // Clause keywords start a new line of their frame
+    const clause = isClauseFrame(frame) && word ? matchClause(index, frame) : null;
+    const isOptionsWith = clause?.[0] === 'WITH' && significant[index + 1]?.text === '(';
+    const isCte = clause?.[0] === 'WITH' && atStatementStart;
+    if (clause && (clause[0] !== 'WITH' || isOptionsWith || isCte)) {
+      const afterPrefix = frame.words.length > 0 && frame.words.every(prefix => STATEMENT_PREFIXES.has(prefix));
+      if (!atStatementStart && !afterPrefix) {
+        newline(frame.indent);
+        pendingNewline = false;
+      }
+      const phrase = significant.slice(index, index + clause.length);
+      write(phrase.map(textOf).join(' '), true);
+      frame.words.push(...clause);
+      frame.clause = clause.join(' ');
+      frame.between = false;
+      atStatementStart = false;
+      prev = phrase[phrase.length - 1];
+      unary = false;
+      i = tokens.indexOf(prev);
+      if (LIST_CLAUSES.has(frame.clause) && !isOptionsWith) {
+        pendingNewline = true;
+      }
+      continue;
+    }
+
+    // AND/OR between conditions (not the AND of BETWEEN ... AND)
+    if ((word === 'AND' || word === 'OR') && isClauseFrame(frame) && CONDITION_CLAUSES.has(frame.clause)) {
+      if (word === 'AND' && frame.between) {
+        frame.between = false;
+      } else {
+        newline(frame.indent + 1);
+        pendingNewline = false;
+        write(text, false);
+        prev = token;
+        continue;
+      }
+    }
+    if (word === 'BETWEEN') {
+      frame.between = true;
+    }
+
+    if (token.text === '(') {
+      const next = significant[index + 1];
+      const nextWord = getWord(next);
+      const prevWord = getWord(prev);
+      let type = 'inline';
+      if (['SELECT', 'WITH', 'VALUES'].includes(nextWord)) {
+        type = 'subquery';
+      } else if (prevWord === 'MATCH_RECOGNIZE') {
+        type = 'match';
+      } else if (isClauseFrame(frame) && (
+        (prevWord === 'WITH' && frame.clause === 'WITH')
+        || (frame.words[0] === 'CREATE' && frame.words.includes('TABLE') && !frame.parenSeen
+          && !frame.words.includes('AS') && !frame.words.includes('LIKE'))
+      )) {
+        type = 'list';
+      }
+      if (isClauseFrame(frame)) {
+        frame.parenSeen = true;
+      }
+
+      write('(', needsSpace(token) || type !== 'inline');
+      const outer = pendingNewline ? contentIndent() : line.indent;
+      frames.push({
+        type,
+        indent: outer + 1,
+        closeIndent: outer,
+        pattern: prevWord === 'PATTERN' && frame.type === 'match',
+        clause: null,
+        words: []
+      });
+      if (type !== 'inline' && next?.text !== ')') {
+        pendingNewline = true;
+      }
+      prev = token;
+      unary = false;
+      continue;
+    }
+
+    if (token.text === ')') {
+      const closed = frames.length > 1 && top().type !== 'statement' ? frames.pop() : null;
+      if (closed && closed.type !== 'inline' && prev?.text !== '(') {
+        newline(closed.closeIndent);
+        pendingNewline = false;
+      }
+      write(')', false);
+      prev = token;
+      unary = false;
+      continue;
+    }
+
+    if (token.text === ',') {
+      write(',', false);
+      if (frame.type === 'list' || (isClauseFrame(frame) && LIST_CLAUSES.has(frame.clause))) {
+        pendingNewline = true;
+      }
+      prev = token;
+      unary = false;
+      continue;
+    }
+
+    // Everything else stays on the current line
+    const isSign = (token.text === '-' || token.text === '+') && (
+      !prev || ['(', ','].includes(prev.text) || prev.type === TOKEN_TYPES.OPERATOR
+      || (getWord(prev) && keywords.has(positions.get(prev)))
+    );
+    write(text, needsSpace(token));
+    if (isClauseFrame(frame) && word && frame.words.length < 8) {
+      frame.words.push(word);
+    }
+    atStatementStart = false;
+    unary = isSign;
+    prev = token;
+  }
+
+  newline(0);
+  return lines
+    .map(entry => (entry.text ? indentUnit.repeat(entry.indent) + entry.text.replace(/\s+$/, '') : ''))
+    .join('\n')
+    .trim();
+}
@@ -0,0 +1,125 @@
+/**
+ * Flink SQL Lexer
+ * Breaks SQL text into tokens with their offsets and 1-based line/column positions.
+ * Every character belongs to exactly one token, so joining the token texts gives back the input.
+ * Unterminated strings, quoted identifiers and block comments run to the end of the text.
+ */
+
+export const TOKEN_TYPES = {
+  WHITESPACE: 'whitespace',
+  COMMENT: 'comment',         // -- line comment or /* block comment */
+  STRING: 'string',           // 'text' ('' escapes a quote) or "text"
+  IDENTIFIER: 'identifier',   // `quoted identifier` (`` escapes a backtick)
+  WORD: 'word',               // keyword or unquoted identifier
+  NUMBER: 'number',
+  SEMICOLON: 'semicolon',
+  PUNCTUATION: 'punctuation', // ( ) , .
+  OPERATOR: 'operator'
+};
+
+const WHITESPACE_PATTERN = /\s+/y;
+const WORD_PATTERN = /[\p{L}_$][\p{L}\p{N}_$]*/uy;
+const NUMBER_PATTERN = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+const OPERATORS = ['<>', '<=', '>=', '!=', '||', '=>', '->'];
+const PUNCTUATION = new Set(['(', ')', ',', '.']);
+
+// End offset of a token quoted with `quote`, where a doubled quote is an escaped one
+const findQuotedEnd = (sql, start, quote) => {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (sql[i] === quote) {
+      if (sql[i + 1] !== quote) return i + 1;
+      i++;
+    }
+    i++;
+  }
+  return sql.length;
+};
+
+const matchAt = (pattern, sql, offset) => {
+  pattern.lastIndex = offset;
+  const match = pattern.exec(sql);
+  return match ? offset + match[0].length : null;
+};
+
+// Type and end offset of the token starting at offset
+const scanToken = (sql, offset) => {
+  const char = sql[offset];
+  const pair = sql.slice(offset, offset + 2);
+  let end;
+
+  if ((end = matchAt(WHITESPACE_PATTERN, sql, offset)) !== null) {
+    return { type: TOKEN_TYPES.WHITESPACE, end };
+  }
+  if (pair === '--') {
+    const lineEnd = sql.slice(offset).search(/\r?\n/);
+    return { type: TOKEN_TYPES.COMMENT, end: lineEnd === -1 ? sql.length : offset + lineEnd };
+  }
+  if (pair === '/*') {
+    const commentEnd = sql.indexOf('*/', offset + 2);
+    return { type: TOKEN_TYPES.COMMENT, end: commentEnd === -1 ? sql.length : commentEnd + 2 };
+  }
+  if (char === "'" || char === '"') {
+    return { type: TOKEN_TYPES.STRING, end: findQuotedEnd(sql, offset, char) };
+  }
+  if (char === '`') {
+    return { type: TOKEN_TYPES.IDENTIFIER, end: findQuotedEnd(sql, offset, char) };
+  }
+  if ((end = matchAt(NUMBER_PATTERN, sql, offset)) !== null) {
+    return { type: TOKEN_TYPES.NUMBER, end };
+  }
+  if ((end = matchAt(WORD_PATTERN, sql, offset)) !== null) {
+    return { type: TOKEN_TYPES.WORD, end };
+  }
+  if (char === ';') {
+    return { type: TOKEN_TYPES.SEMICOLON, end: offset + 1 };
+  }
+  if (PUNCTUATION.has(char)) {
+    return { type: TOKEN_TYPES.PUNCTUATION, end: offset + 1 };
+  }
+  return { type: TOKEN_TYPES.OPERATOR, end: offset + (OPERATORS.includes(pair) ? 2 : 1) };
+};
+
+/**
+ * Tokenize SQL text
+ * @returns {Array<{type: string, text: string, start: number, end: number, line: number, column: number}>}
+ *   start/end are offsets (end exclusive); line and column (1-based) are those of the first character
+ */
+export function tokenizeSql(sql) {
+  if (!sql || typeof sql !== 'string') {
+    return [];
+  }
+
+  const tokens = [];
+  let offset = 0;
+  let line = 1;
+  let column = 1;
+
+  while (offset < sql.length) {
+    const { type, end } = scanToken(sql, offset);
+    const text = sql.slice(offset, end);
+    tokens.push({ type, text, start: offset, end, line, column });
+
+    // Advance the position past the token's line breaks
+    const lines = text.split(/\r\n|\r|\n/);
+    if (lines.length > 1) {
+      line += lines.length - 1;
+      column = lines[lines.length - 1].length + 1;
+    } else {
+      column += text.length;
+    }
+    offset = end;
+  }
+
+  return tokens;
+}
+
+// Tokens that carry meaning (not whitespace or comments)
+export function isSignificantToken(token) {
+  return token.type !== TOKEN_TYPES.WHITESPACE && token.type !== TOKEN_TYPES.COMMENT;
+}
+
+// Upper-cased text of a keyword/identifier word, null for other tokens
+export function getWord(token) {
+  return token?.type === TOKEN_TYPES.WORD ? token.text.toUpperCase() : null;
+}
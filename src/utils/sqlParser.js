@@ -1,153 +1,317 @@
 /**
  * SQL Statement Parser
- * Splits SQL text into individual executable statements
+ * Splits SQL text into individual executable statements and classifies them
  */
+import { tokenizeSql, isSignificantToken, getWord, TOKEN_TYPES } from './sqlLexer.js';
+
+// Keywords highlighted by the editor and offered by local completion
+export const FLINK_SQL_KEYWORDS = [
+  'CREATE', 'DROP', 'ALTER', 'INSERT', 'SELECT', 'FROM', 'WHERE', 'GROUP', 'ORDER', 'BY', 'HAVING', 'LIMIT',
+  'OFFSET', 'UNION', 'JOIN', 'LEFT', 'RIGHT', 'INNER', 'OUTER', 'ON', 'AS', 'DISTINCT', 'COUNT', 'SUM', 'AVG',
+  'MIN', 'MAX', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'IF', 'EXISTS', 'NOT', 'NULL', 'TRUE', 'FALSE', 'AND',
+  'OR', 'IN', 'BETWEEN', 'LIKE', 'IS', 'TABLE', 'VIEW', 'DATABASE', 'SCHEMA', 'INDEX', 'PRIMARY', 'KEY',
+  'FOREIGN', 'REFERENCES', 'CONSTRAINT', 'UNIQUE', 'CHECK', 'DEFAULT', 'AUTO_INCREMENT', 'TIMESTAMP', 'DATE',
+  'TIME', 'DATETIME', 'VARCHAR', 'CHAR', 'TEXT', 'INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT', 'DECIMAL',
+  'FLOAT', 'DOUBLE', 'BOOLEAN', 'BLOB', 'CLOB', 'WITH', 'CONNECTOR', 'FORMAT', 'PATH', 'WATERMARK', 'FOR',
+  'SYSTEM_TIME', 'OF', 'PROCTIME', 'ROWTIME', 'SHOW', 'USE', 'SET', 'RESET', 'CATALOG', 'CATALOGS',
+  'DATABASES', 'TABLES', 'VIEWS', 'FUNCTIONS', 'FUNCTION', 'TEMPORARY', 'DESCRIBE', 'EXPLAIN', 'INTO', 'VALUES',
+  'OVERWRITE', 'PARTITIONED', 'PARTITION', 'OVER', 'WINDOW', 'INTERVAL', 'TUMBLE', 'HOP', 'CUMULATE',
+  'CAST', 'STRING', 'ROW', 'MAP', 'ARRAY', 'MULTISET', 'LATERAL', 'UNNEST', 'EXECUTE', 'STATEMENT', 'BEGIN'
+];
+
+// Leading words of statements whose BEGIN ... END block holds several inner statements
+const STATEMENT_SET_STARTS = ['EXECUTE', 'EXPLAIN'];
+// Words between CREATE/ALTER/DROP and the kind of object
+const DDL_MODIFIERS = ['OR', 'REPLACE', 'TEMPORARY', 'SYSTEM'];
+// -- @set name=value
+const SET_DIRECTIVE_PATTERN = /^--\s*@set\s+([A-Za-z_][\w.-]*)\s*=(.*)$/i;
 
 /**
- * Splits a SQL text into individual statements
- * Handles semicolon-separated statements, string literals, and comments
+ * Splits tokens into statement segments
+ * A semicolon ends a statement, except inside the BEGIN ... END block of
+ * EXECUTE STATEMENT SET / EXPLAIN STATEMENT SET and after the SQL client's BEGIN STATEMENT SET;,
+ * where it ends the block's inner statements.
+ * The block closes at an END that starts an inner statement (so CASE ... END does not close it).
+ * @returns {Array<{tokens: Array, terminator: Object|null}>}
  */
-export function splitSqlStatements(sql) {
-  if (!sql || typeof sql !== 'string') {
-    return [];
-  }
+function segmentTokens(tokens) {
+  const segments = [];
+  let current = [];
+  let words = [];          // Significant tokens of the current segment, as upper-cased words (null for others)
+  let inBlock = false;
+  let atInnerStart = false;
 
-  const statements = [];
-  let current = '';
-  let inSingleQuote = false;
-  let inDoubleQuote = false;
-  let inMultiLineComment = false;
-  let inSingleLineComment = false;
-  let i = 0;
-
-  while (i < sql.length) {
-    const char = sql[i];
-    const nextChar = sql[i + 1];
-
-    // Handle single line comments
-    if (!inSingleQuote && !inDoubleQuote && !inMultiLineComment && char === '-' && nextChar === '-') {
-      inSingleLineComment = true;
-      current += char;
-      i++;
-      continue;
-    }
+  for (const token of tokens) {
+    current.push(token);
+    if (!isSignificantToken(token)) continue;
 
-    // End single line comment at newline
-    if (inSingleLineComment && (char === '\n' || char === '\r')) {
-      inSingleLineComment = false;
-      current += char;
-      i++;
+    const word = getWord(token);
+    if (inBlock) {
+      if (atInnerStart && word === 'END') {
+        inBlock = false;
+      }
+      atInnerStart = token.type === TOKEN_TYPES.SEMICOLON;
       continue;
     }
 
-    // Handle multi-line comments
-    if (!inSingleQuote && !inDoubleQuote && !inSingleLineComment && char === '/' && nextChar === '*') {
-      inMultiLineComment = true;
-      current += char;
-      i++;
+    if (token.type === TOKEN_TYPES.SEMICOLON) {
+      if (words.length === 3 && words.join(' ') === 'BEGIN STATEMENT SET') {
+        words.push(null);
+        inBlock = true;
+        atInnerStart = true;
+        continue;
+      }
+      segments.push({ tokens: current, terminator: token });
+      current = [];
+      words = [];
       continue;
     }
 
-    // End multi-line comment
-    if (inMultiLineComment && char === '*' && nextChar === '/') {
-      inMultiLineComment = false;
-      current += char + nextChar;
-      i += 2;
-      continue;
+    words.push(word);
+    if (word === 'BEGIN' && STATEMENT_SET_STARTS.includes(words[0])
+      && words[words.length - 3] === 'STATEMENT' && words[words.length - 2] === 'SET') {
+      inBlock = true;
+      atInnerStart = true;
     }
+  }
 
-    // Handle string literals
-    if (!inMultiLineComment && !inSingleLineComment) {
-      if (char === "'" && !inDoubleQuote) {
-        // Handle escaped single quotes
-        if (sql[i + 1] === "'") {
-          current += char + nextChar;
-          i += 2;
-          continue;
-        }
-        inSingleQuote = !inSingleQuote;
-      } else if (char === '"' && !inSingleQuote) {
-        // Handle escaped double quotes
-        if (sql[i + 1] === '"') {
-          current += char + nextChar;
-          i += 2;
-          continue;
-        }
-        inDoubleQuote = !inDoubleQuote;
-      }
+  if (current.length > 0) {
+    segments.push({ tokens: current, terminator: null });
+  }
+  return segments;
+}
+
+/**
+ * Finds the statement that contains a character offset
+ * Semicolons inside strings, quoted identifiers, comments and statement-set blocks do not end a statement.
+ * @returns {{ statement: string, start: number }} Untrimmed statement text (without its semicolon) and its offset in sql
+ */
+export function getStatementAtOffset(sql, offset) {
+  let start = 0;
+  for (const { terminator } of segmentTokens(tokenizeSql(sql))) {
+    if (!terminator) break;
+    if (terminator.start >= offset) {
+      return { statement: sql.slice(start, terminator.start), start };
     }
+    start = terminator.end;
+  }
+  return { statement: (sql || '').slice(start), start };
+}
 
-    // Handle statement separator (semicolon)
-    if (!inSingleQuote && !inDoubleQuote && !inMultiLineComment && !inSingleLineComment && char === ';') {
-      current += char;
-      const trimmed = current.trim();
-      
-      if (trimmed && !isCommentOnly(trimmed)) {
-        statements.push(trimmed);
-      }
-      current = '';
-      i++;
+/**
+ * Splits a SQL text into individual statements
+ * Statements keep their semicolon and leading comments; comment-only text between statements is dropped.
+ * With options.withRanges, returns { text, start, end } objects instead of strings, where
+ * start/end are the offsets of the trimmed statement in sql (end exclusive)
+ */
+export function splitSqlStatements(sql, options = {}) {
+  const statements = [];
+
+  for (const { tokens } of segmentTokens(tokenizeSql(sql))) {
+    if (!tokens.some(token => isSignificantToken(token) && token.type !== TOKEN_TYPES.SEMICOLON)) {
       continue;
     }
 
-    current += char;
-    i++;
+    const content = tokens.filter(token => token.type !== TOKEN_TYPES.WHITESPACE);
+    const start = content[0].start;
+    const end = content[content.length - 1].end;
+    const text = sql.slice(start, end);
+    statements.push(options.withRanges ? { text, start, end } : text);
   }
 
-  // Add the last statement if it exists
-  const trimmed = current.trim();
-  
-  if (trimmed && !isCommentOnly(trimmed)) {
-    statements.push(trimmed);
+  return statements;
+}
+
+/**
+ * Classifies a statement by its leading keywords
+ * Types: QUERY, DML, DDL, SHOW, EXPLAIN, COMMAND, STATEMENT_SET, OTHER
+ * Kinds name the statement more precisely, e.g. SELECT, INSERT, CREATE_TABLE, SHOW_CREATE,
+ * DESCRIBE, ADD_JAR, RESET, EXECUTE_STATEMENT_SET, BEGIN_STATEMENT_SET, END_STATEMENT_SET
+ * @returns {{ type: string, kind: string|null }}
+ */
+export function classifyStatement(statement) {
+  const leading = tokenizeSql(statement).filter(isSignificantToken).slice(0, 6);
+  const [first, second] = leading.map(getWord);
+  const startsWith = (...expected) => expected.every((word, index) => getWord(leading[index]) === word);
+
+  if (!first) {
+    return leading[0]?.text === '(' ? { type: 'QUERY', kind: 'SELECT' } : { type: 'OTHER', kind: null };
+  }
+
+  switch (first) {
+    case 'SELECT':
+    case 'WITH':
+    case 'VALUES':
+    case 'TABLE':
+      return { type: 'QUERY', kind: 'SELECT' };
+    case 'INSERT':
+    case 'UPDATE':
+    case 'DELETE':
+      return { type: 'DML', kind: first };
+    case 'EXECUTE':
+      if (startsWith('EXECUTE', 'STATEMENT', 'SET')) return { type: 'STATEMENT_SET', kind: 'EXECUTE_STATEMENT_SET' };
+      if (second === 'PLAN') return { type: 'DML', kind: 'EXECUTE_PLAN' };
+      return { type: 'DML', kind: second || 'EXECUTE' };
+    case 'BEGIN':
+      return startsWith('BEGIN', 'STATEMENT', 'SET')
+        ? { type: 'STATEMENT_SET', kind: 'BEGIN_STATEMENT_SET' }
+        : { type: 'OTHER', kind: 'BEGIN' };
+    case 'END':
+      return { type: 'STATEMENT_SET', kind: 'END_STATEMENT_SET' };
+    case 'CREATE':
+    case 'ALTER':
+    case 'DROP':
+    case 'TRUNCATE': {
+      // CREATE OR REPLACE TEMPORARY SYSTEM FUNCTION -> CREATE_FUNCTION
+      const object = leading.slice(1).map(getWord).find(word => !DDL_MODIFIERS.includes(word));
+      return { type: 'DDL', kind: object ? `${first}_${object}` : first };
+    }
+    case 'EXPLAIN':
+      return { type: 'EXPLAIN', kind: 'EXPLAIN' };
+    case 'SHOW':
+      return { type: 'SHOW', kind: second === 'CREATE' ? 'SHOW_CREATE' : 'SHOW' };
+    case 'DESCRIBE':
+    case 'DESC':
+      return { type: 'SHOW', kind: 'DESCRIBE' };
+    case 'USE':
+      return { type: 'COMMAND', kind: second === 'CATALOG' || second === 'MODULES' ? `USE_${second}` : 'USE' };
+    case 'SET':
+    case 'RESET':
+      return { type: 'COMMAND', kind: first };
+    case 'ADD':
+    case 'REMOVE':
+    case 'LOAD':
+    case 'UNLOAD':
+      return { type: 'COMMAND', kind: second ? `${first}_${second}` : first };
+    case 'COMPILE':
+      return { type: 'COMMAND', kind: second === 'PLAN' ? 'COMPILE_PLAN' : 'COMPILE' };
+    case 'ANALYZE':
+      return { type: 'COMMAND', kind: 'ANALYZE' };
+    default:
+      return { type: 'OTHER', kind: first };
   }
+}
+
+// classifyStatement types reported under the categories getStatementType has always returned
+const LEGACY_STATEMENT_TYPES = {
+  EXPLAIN: 'SHOW',
+  STATEMENT_SET: 'DML'
+};
 
-  // Filter out comment-only statements  
-  const finalStatements = statements.filter(stmt => {
-    const cleanStmt = stmt.trim();
-    return cleanStmt.length > 0 && !isCommentOnly(cleanStmt);
-  });
-  
-  return finalStatements;
+/**
+ * Checks if a SQL statement is a query (SELECT), DDL, DML, SHOW (SHOW/DESCRIBE/EXPLAIN), a command or OTHER
+ * Statement sets count as DML. Use classifyStatement for the finer EXPLAIN/STATEMENT_SET types and kinds.
+ */
+export function getStatementType(statement) {
+  const { type } = classifyStatement(statement);
+  return LEGACY_STATEMENT_TYPES[type] || type;
 }
 
 /**
- * Checks if a statement contains only comments and whitespace
+ * The gateway takes one statement per request, so the SQL client's BEGIN STATEMENT SET; ... END;
+ * block is submitted as EXECUTE STATEMENT SET BEGIN ... END; (also after a leading EXPLAIN)
+ * @returns {{start: number, end: number, text: string}|null} Edit replacing BEGIN STATEMENT SET;
+ *   (see textEdits.js), or null for other statements
  */
-function isCommentOnly(statement) {
-  // Remove all comments and whitespace to see if any actual SQL remains
-  let withoutComments = statement;
-  
-  // Remove single-line comments (-- until end of line)
-  withoutComments = withoutComments.replace(/--.*$/gm, '');
-  
-  // Remove multi-line comments (/* ... */)
-  withoutComments = withoutComments.replace(/\/\*[\s\S]*?\*\//g, '');
-  
-  // Remove all whitespace
-  withoutComments = withoutComments.replace(/\s+/g, '').trim();
-  
-  return withoutComments === '';
+export function getStatementSetEdit(statement) {
+  const leading = tokenizeSql(statement || '').filter(isSignificantToken).slice(0, 5);
+  const [begin, statementWord, set, semicolon] = leading.slice(getWord(leading[0]) === 'EXPLAIN' ? 1 : 0);
+  if (getWord(begin) !== 'BEGIN' || getWord(statementWord) !== 'STATEMENT' || getWord(set) !== 'SET'
+    || semicolon?.type !== TOKEN_TYPES.SEMICOLON) {
+    return null;
+  }
+  return { start: begin.start, end: semicolon.end, text: 'EXECUTE STATEMENT SET BEGIN' };
 }
 
 /**
- * Checks if a SQL statement is likely a query (SELECT) or a command (DDL/DML)
+ * Removes comments before the first keyword of a statement
  */
-export function getStatementType(statement) {
-  const trimmed = statement.trim().toUpperCase();
-  
-  if (trimmed.startsWith('SELECT') || trimmed.startsWith('WITH')) {
-    return 'QUERY';
-  } else if (trimmed.startsWith('CREATE') || trimmed.startsWith('ALTER') || trimmed.startsWith('DROP')) {
-    return 'DDL';
-  } else if (trimmed.startsWith('INSERT') || trimmed.startsWith('UPDATE') || trimmed.startsWith('DELETE')) {
-    return 'DML';
-  } else if (trimmed.startsWith('SHOW') || trimmed.startsWith('DESCRIBE') || trimmed.startsWith('EXPLAIN')) {
-    return 'SHOW';
-  } else if (trimmed.startsWith('USE') || trimmed.startsWith('SET')) {
-    return 'COMMAND';
-  } else {
-    return 'OTHER';
+function stripLeadingComments(statement) {
+  let remaining = statement.trim();
+  let previous;
+  do {
+    previous = remaining;
+    remaining = remaining.replace(/^--.*(\r?\n|$)/, '').replace(/^\/\*[\s\S]*?\*\//, '').trim();
+  } while (remaining !== previous);
+  return remaining;
+}
+
+// Unquote an identifier or quoted key ('key', `name`, "name") and drop trailing semicolons
+function normalizeName(name) {
+  return name.replace(/;+$/, '').replace(/^['`"]|['`"]$/g, '');
+}
+
+/**
+ * Describes how a statement changes the state of the session it runs in
+ * Used to journal statements that must be replayed into a replacement session.
+ * @returns {{ kind: string, key: string|null }|null} null when the statement leaves session state alone
+ *   Kinds: SET, RESET, USE_CATALOG, USE_DATABASE, USE_MODULES, ADD_JAR, REMOVE_JAR, LOAD_MODULE,
+ *   UNLOAD_MODULE, CREATE_TEMPORARY, DROP_TEMPORARY, CREATE_CATALOG, DROP_CATALOG
+ */
+export function getSessionEffect(statement) {
+  if (!statement || typeof statement !== 'string') {
+    return null;
+  }
+
+  const sql = stripLeadingComments(statement).replace(/;\s*$/, '').trim();
+  let match;
+
+  if ((match = sql.match(/^SET\s+('[^']+'|[^\s=]+)\s*=/i))) {
+    return { kind: 'SET', key: normalizeName(match[1]) };
+  }
+  if (/^RESET$/i.test(sql)) {
+    return { kind: 'RESET', key: null };
   }
+  if ((match = sql.match(/^RESET\s+('[^']+'|\S+)$/i))) {
+    return { kind: 'RESET', key: normalizeName(match[1]) };
+  }
+  if ((match = sql.match(/^USE\s+CATALOG\s+(\S+)$/i))) {
+    return { kind: 'USE_CATALOG', key: normalizeName(match[1]) };
+  }
+  if (/^USE\s+MODULES\s+/i.test(sql)) {
+    return { kind: 'USE_MODULES', key: null };
+  }
+  if ((match = sql.match(/^USE\s+(\S+)$/i))) {
+    return { kind: 'USE_DATABASE', key: normalizeName(match[1]) };
+  }
+  if ((match = sql.match(/^(ADD|REMOVE)\s+JAR\s+('[^']+'|\S+)$/i))) {
+    return { kind: `${match[1].toUpperCase()}_JAR`, key: normalizeName(match[2]) };
+  }
+  if ((match = sql.match(/^(LOAD|UNLOAD)\s+MODULE\s+(\S+)/i))) {
+    return { kind: `${match[1].toUpperCase()}_MODULE`, key: normalizeName(match[2]) };
+  }
+  if ((match = sql.match(/^CREATE\s+(?:OR\s+REPLACE\s+)?TEMPORARY\s+(?:SYSTEM\s+)?(TABLE|VIEW|FUNCTION)\s+(?:IF\s+NOT\s+EXISTS\s+)?([^\s(]+)/i))) {
+    return { kind: 'CREATE_TEMPORARY', key: `${match[1].toUpperCase()} ${normalizeName(match[2])}` };
+  }
+  if ((match = sql.match(/^DROP\s+TEMPORARY\s+(?:SYSTEM\s+)?(TABLE|VIEW|FUNCTION)\s+(?:IF\s+EXISTS\s+)?(\S+)$/i))) {
+    return { kind: 'DROP_TEMPORARY', key: `${match[1].toUpperCase()} ${normalizeName(match[2])}` };
+  }
+  if ((match = sql.match(/^CREATE\s+CATALOG\s+(?:IF\s+NOT\s+EXISTS\s+)?(\S+)/i))) {
+    return { kind: 'CREATE_CATALOG', key: normalizeName(match[1]) };
+  }
+  if ((match = sql.match(/^DROP\s+CATALOG\s+(?:IF\s+EXISTS\s+)?(\S+)$/i))) {
+    return { kind: 'DROP_CATALOG', key: normalizeName(match[1]) };
+  }
+
+  return null;
+}
+
+/**
+ * Collects the `-- @set name=value` variable directives of a script (later ones win)
+ * Values are taken verbatim up to the end of the line, surrounding whitespace trimmed.
+ * @returns {Object<string, string>}
+ */
+export function parseVariableDirectives(sql) {
+  const variables = {};
+  tokenizeSql(sql)
+    .filter(token => token.type === TOKEN_TYPES.COMMENT)
+    .forEach(token => {
+      const match = token.text.match(SET_DIRECTIVE_PATTERN);
+      if (match) {
+        variables[match[1]] = match[2].trim();
+      }
+    });
+  return variables;
 }
 
 /**
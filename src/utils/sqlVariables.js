@@ -0,0 +1,62 @@
+/**
+ * Script variables
+ * `${name}` placeholders are replaced before a statement is submitted. Values come from, highest
+ * precedence first: `-- @set name=value` directives in the editor script, the Variables panel and
+ * the active connection profile. Placeholders inside comments are left alone.
+ */
+import { tokenizeSql, TOKEN_TYPES } from './sqlLexer.js';
+
+const PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][\w.-]*)\}/g;
+
+// Valid variable name (also used by the Variables panel)
+export const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+// Apply replace(text, offset) to the runs of text outside comments; offset is where the run starts in sql
+const mapOutsideComments = (sql, replace) => {
+  let output = '';
+  let pending = '';
+  let pendingStart = 0;
+  for (const token of tokenizeSql(sql)) {
+    if (token.type === TOKEN_TYPES.COMMENT) {
+      output += replace(pending, pendingStart) + token.text;
+      pending = '';
+      pendingStart = token.end;
+    } else {
+      pending += token.text;
+    }
+  }
+  return output + replace(pending, pendingStart);
+};
+
+// Names of the variables a statement uses, in order of first use
+export function findVariables(sql) {
+  const names = new Set();
+  mapOutsideComments(sql || '', text => {
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+    return text;
+  });
+  return [...names];
+}
+
+/**
+ * Replace the placeholders of a statement
+ * @param {Object<string, string>} values
+ * @returns {{ sql: string, missing: string[], edits: Array<{start, end, text}> }} Placeholders without a
+ *   value are kept and listed in missing; edits are the substitutions made (see textEdits.js)
+ */
+export function substituteVariables(sql, values = {}) {
+  const missing = new Set();
+  const edits = [];
+  const resolved = mapOutsideComments(sql || '', (text, offset) => text.replace(PLACEHOLDER_PATTERN, (placeholder, name, index) => {
+    if (Object.prototype.hasOwnProperty.call(values, name)) {
+      const value = String(values[name]);
+      edits.push({ start: offset + index, end: offset + index + placeholder.length, text: value });
+      return value;
+    }
+    missing.add(name);
+    return placeholder;
+  }));
+  return { sql: resolved, missing: [...missing], edits };
+}
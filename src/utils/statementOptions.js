@@ -0,0 +1,132 @@
+/**
+ * Per-statement execution options sent with a statement to the SQL Gateway
+ * - executionConfig:  configuration overrides for this statement only (string map)
+ * - executionTimeout: milliseconds the gateway lets the statement run (0/null = gateway default)
+ * - rowFormat:        JSON (typed values) or PLAIN_TEXT (values rendered as strings by Flink)
+ * - upsertKey:        result columns the materialized view is keyed on (null = full rows); the
+ *                     gateway does not report keys, so this is the only source of one
+ *
+ * Defaults come from the editor toolbar; comment hints inside a statement override them:
+ *   -- @config table.exec.mini-batch.enabled=true
+ *   -- @timeout 5m
+ *   -- @rowFormat PLAIN_TEXT
+ *   -- @upsertKey user_id, region
+ */
+
+export const ROW_FORMATS = ['JSON', 'PLAIN_TEXT'];
+export const DEFAULT_ROW_FORMAT = 'JSON';
+
+export const EMPTY_STATEMENT_OPTIONS = {
+  executionConfig: {},
+  executionTimeout: null,
+  rowFormat: DEFAULT_ROW_FORMAT,
+  upsertKey: null
+};
+
+const HINT_PATTERN = /^\s*--\s*@(config|timeout|rowformat|upsertkey)\b\s*(.*)$/i;
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)\s*(ms|s|sec|m|min|h)?$/i;
+const DURATION_UNITS_MS = { ms: 1, s: 1000, sec: 1000, m: 60000, min: 60000, h: 3600000 };
+
+// Parse '500ms', '30s', '5m', '1h' (a bare number is seconds) into milliseconds
+export function parseDurationMs(text) {
+  const match = String(text ?? '').trim().match(DURATION_PATTERN);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS_MS[(match[2] || 's').toLowerCase()]);
+}
+
+// Parse "key=value" lines (blank lines and # comments are ignored) into a config map
+export function parseConfigText(text) {
+  const config = {};
+  String(text || '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const separator = trimmed.indexOf('=');
+    if (separator <= 0) return;
+    config[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+  });
+  return config;
+}
+
+export function formatConfigText(config = {}) {
+  return Object.entries(config).map(([key, value]) => `${key}=${value}`).join('\n');
+}
+
+// Parse "a, `b`" into column names
+export function parseColumnList(text) {
+  const names = String(text || '').split(',')
+    .map(name => name.trim().replace(/^`(.*)`$/, '$1'))
+    .filter(Boolean);
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Collect the @config/@timeout/@rowFormat/@upsertKey comment hints of a statement
+ * @returns {{executionConfig: Object, executionTimeout: number|null, rowFormat: string|null, upsertKey: Array<string>|null}}
+ */
+export function parseStatementHints(statement) {
+  const hints = { executionConfig: {}, executionTimeout: null, rowFormat: null, upsertKey: null };
+
+  String(statement || '').split('\n').forEach(line => {
+    const match = line.match(HINT_PATTERN);
+    if (!match) return;
+
+    const [, name, rawValue] = match;
+    const value = rawValue.trim();
+    switch (name.toLowerCase()) {
+      case 'config':
+        Object.assign(hints.executionConfig, parseConfigText(value));
+        break;
+      case 'timeout':
+        hints.executionTimeout = parseDurationMs(value);
+        break;
+      case 'rowformat':
+        if (ROW_FORMATS.includes(value.toUpperCase())) {
+          hints.rowFormat = value.toUpperCase();
+        }
+        break;
+      case 'upsertkey':
+        hints.upsertKey = parseColumnList(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return hints;
+}
+
+// Merge toolbar defaults with the statement's own hints (hints win)
+export function resolveStatementOptions(defaults = {}, statement = '') {
+  const hints = parseStatementHints(statement);
+  const executionTimeout = hints.executionTimeout ?? defaults.executionTimeout ?? null;
+
+  return {
+    executionConfig: { ...(defaults.executionConfig || {}), ...hints.executionConfig },
+    executionTimeout: executionTimeout > 0 ? executionTimeout : null,
+    rowFormat: hints.rowFormat || (ROW_FORMATS.includes(defaults.rowFormat) ? defaults.rowFormat : DEFAULT_ROW_FORMAT),
+    upsertKey: hints.upsertKey || (Array.isArray(defaults.upsertKey) && defaults.upsertKey.length > 0 ? [...defaults.upsertKey] : null)
+  };
+}
+
+// Whether options differ from what the gateway would use anyway
+export function hasStatementOptions(options) {
+  return !!options && (
+    Object.keys(options.executionConfig || {}).length > 0
+    || options.executionTimeout > 0
+    || (options.rowFormat && options.rowFormat !== DEFAULT_ROW_FORMAT)
+    || options.upsertKey?.length > 0
+  );
+}
+
+/**
+ * Decode the fields of a result row for the row format it was fetched in
+ * JSON values are already typed. PLAIN_TEXT values are Flink's printed strings, where
+ * NULL is rendered as the literal "NULL".
+ */
+export function decodeRowFields(fields, rowFormat = DEFAULT_ROW_FORMAT) {
+  if (rowFormat !== 'PLAIN_TEXT') {
+    return fields;
+  }
+  return fields.map(value => (value === null || value === undefined || value === 'NULL' ? null : String(value)));
+}
@@ -0,0 +1,35 @@
+/**
+ * Text edits
+ * Statements are rewritten before they are submitted (variables substituted, statement sets
+ * normalized). Each rewrite is described as edits { start, end, text } on the editor text:
+ * [start, end) is replaced by text. Edits are sorted and do not overlap, so offsets in the
+ * submitted text - e.g. of a gateway error - can be mapped back to the editor text.
+ */
+
+// Apply sorted, non-overlapping edits to source
+export function applyTextEdits(source, edits = []) {
+  let output = '';
+  let position = 0;
+  for (const edit of edits) {
+    output += source.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  }
+  return output + source.slice(position);
+}
+
+/**
+ * Offset in the source of an offset in the edited text
+ * Offsets inside replaced text map to the start of the replaced range, or its last character with bias 'end'
+ */
+export function mapOffsetToSource(offset, edits = [], bias = 'start') {
+  let delta = 0; // Edited minus source length of the edits before offset
+  for (const edit of edits) {
+    const editedStart = edit.start + delta;
+    if (offset < editedStart) break;
+    if (offset < editedStart + edit.text.length) {
+      return bias === 'end' ? Math.max(edit.start, edit.end - 1) : edit.start;
+    }
+    delta += edit.text.length - (edit.end - edit.start);
+  }
+  return offset - delta;
+}
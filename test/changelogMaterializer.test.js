@@ -0,0 +1,156 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import ChangelogMaterializer, { BUFFER_POLICIES, resolveUpsertKey } from '../src/services/changelogMaterializer.js';
+
+// Apply [kind, fields] events, storing the fields array as the row
+const applyAll = (materializer, events) => events.map(([kind, fields]) => materializer.apply(kind, fields, fields));
+
+describe('ChangelogMaterializer rows', () => {
+  test('folds inserts, retractions and deletes in arrival order', () => {
+    const materializer = new ChangelogMaterializer();
+    applyAll(materializer, [
+      ['INSERT', ['a', 1]],
+      ['INSERT', ['b', 1]],
+      ['INSERT', ['c', 1]],
+      ['UPDATE_BEFORE', ['b', 1]],
+      ['UPDATE_AFTER', ['b', 2]],
+      ['DELETE', ['a', 1]]
+    ]);
+    assert.deepEqual(materializer.getRows(), [['c', 1], ['b', 2]]);
+    assert.equal(materializer.size, 2);
+  });
+
+  test('removes one occurrence of a duplicated full-row key', () => {
+    const materializer = new ChangelogMaterializer();
+    applyAll(materializer, [['INSERT', ['x']], ['INSERT', ['x']], ['DELETE', ['x']]]);
+    assert.deepEqual(materializer.getRows(), [['x']]);
+  });
+
+  test('replaces upserted rows in place', () => {
+    const materializer = new ChangelogMaterializer([0]);
+    applyAll(materializer, [
+      ['INSERT', ['a', 1]],
+      ['INSERT', ['b', 1]],
+      ['UPDATE_BEFORE', ['a', 1]],
+      ['UPDATE_AFTER', ['a', 2]]
+    ]);
+    assert.deepEqual(materializer.getRows(), [['a', 2], ['b', 1]]);
+  });
+
+  test('keeps the same array when a page changes nothing', () => {
+    const materializer = new ChangelogMaterializer([0]);
+    applyAll(materializer, [['INSERT', ['a', 1]]]);
+    const rows = materializer.getRows();
+    const changes = materializer.getChanges();
+
+    applyAll(materializer, [['DELETE', ['missing', 0]]]);
+    assert.equal(materializer.getRows(), rows);
+    assert.equal(materializer.getChanges(), changes);
+  });
+
+  test('patches updated rows in place without copying the others', () => {
+    const materializer = new ChangelogMaterializer([0]);
+    applyAll(materializer, [['INSERT', ['a', 1]], ['INSERT', ['b', 1]], ['INSERT', ['c', 1]]]);
+    const rows = materializer.getRows();
+    const [first, , third] = rows;
+
+    applyAll(materializer, [['UPDATE_BEFORE', ['b', 1]], ['UPDATE_AFTER', ['b', 2]]]);
+    assert.equal(materializer.getRows(), rows);
+    assert.equal(rows[0], first);
+    assert.equal(rows[2], third);
+    assert.deepEqual(rows[1], ['b', 2]);
+    assert.deepEqual(materializer.getChanges(), {
+      baseVersion: 3, version: 4, removed: [], updated: [1], appendedFrom: 3
+    });
+  });
+
+  test('publishes change lists that turn the previous rows into the current ones', () => {
+    const materializer = new ChangelogMaterializer([0]);
+    applyAll(materializer, [['INSERT', ['a', 1]], ['INSERT', ['b', 1]], ['INSERT', ['c', 1]], ['INSERT', ['d', 1]]]);
+    const previous = materializer.getRows().slice();
+
+    applyAll(materializer, [
+      ['DELETE', ['b', 1]],
+      ['UPDATE_AFTER', ['d', 2]],
+      ['INSERT', ['e', 1]],
+      ['INSERT', ['f', 1]],
+      ['DELETE', ['e', 1]],
+      ['DELETE', ['a', 1]]
+    ]);
+    const rows = materializer.getRows();
+    const { removed, updated, appendedFrom } = materializer.getChanges();
+    assert.deepEqual(removed, [0, 1]);
+    assert.deepEqual(updated, [1]);
+
+    const followed = previous.filter((row, position) => !removed.includes(position));
+    updated.forEach(position => { followed[position] = rows[position]; });
+    followed.push(...rows.slice(appendedFrom));
+    assert.deepEqual(followed, rows);
+    assert.deepEqual(rows, [['c', 1], ['d', 2], ['f', 1]]);
+  });
+
+  test('keeps slot positions right across compactions', () => {
+    const materializer = new ChangelogMaterializer([0]);
+    applyAll(materializer, [['INSERT', ['a', 1]], ['INSERT', ['b', 1]], ['INSERT', ['c', 1]], ['DELETE', ['a', 1]]]);
+    assert.deepEqual(materializer.getRows(), [['b', 1], ['c', 1]]);
+
+    applyAll(materializer, [['UPDATE_AFTER', ['c', 2]], ['DELETE', ['b', 1]], ['INSERT', ['d', 1]]]);
+    assert.deepEqual(materializer.getRows(), [['c', 2], ['d', 1]]);
+  });
+});
+
+describe('ChangelogMaterializer outcomes', () => {
+  test('counts an UPDATE_BEFORE/UPDATE_AFTER pair as one update', () => {
+    const events = [['INSERT', ['a', 1]], ['UPDATE_BEFORE', ['a', 1]], ['UPDATE_AFTER', ['a', 2]], ['DELETE', ['a', 2]]];
+    assert.deepEqual(applyAll(new ChangelogMaterializer(), events), ['insert', 'retract', 'update', 'delete']);
+    assert.deepEqual(applyAll(new ChangelogMaterializer([0]), events), ['insert', 'retract', 'update', 'delete']);
+  });
+
+  test('reports retractions of unknown rows as misses', () => {
+    assert.deepEqual(applyAll(new ChangelogMaterializer(), [['UPDATE_BEFORE', ['a']], ['DELETE', ['a']]]), ['miss', 'miss']);
+  });
+
+  test('does not bump the version for an upsert-mode UPDATE_BEFORE', () => {
+    const materializer = new ChangelogMaterializer([0]);
+    applyAll(materializer, [['INSERT', ['a', 1]]]);
+    const { version } = materializer;
+    applyAll(materializer, [['UPDATE_BEFORE', ['a', 1]]]);
+    assert.equal(materializer.version, version);
+  });
+});
+
+describe('ChangelogMaterializer buffer policies', () => {
+  test('keep-last evicts the oldest rows', () => {
+    const materializer = new ChangelogMaterializer(null, { maxRows: 2, policy: BUFFER_POLICIES.KEEP_LAST });
+    applyAll(materializer, [['INSERT', [1]], ['INSERT', [2]], ['DELETE', [1]], ['INSERT', [3]], ['INSERT', [4]]]);
+    assert.deepEqual(materializer.getRows(), [[3], [4]]);
+    assert.equal(materializer.droppedRows, 1);
+  });
+
+  test('keep-first drops rows beyond the cap', () => {
+    const materializer = new ChangelogMaterializer(null, { maxRows: 2, policy: BUFFER_POLICIES.KEEP_FIRST });
+    const outcomes = applyAll(materializer, [['INSERT', [1]], ['INSERT', [2]], ['INSERT', [3]]]);
+    assert.deepEqual(outcomes, ['insert', 'insert', 'dropped']);
+    assert.deepEqual(materializer.getRows(), [[1], [2]]);
+  });
+
+  test('stop reports a full view', () => {
+    const materializer = new ChangelogMaterializer(null, { maxRows: 1, policy: BUFFER_POLICIES.STOP });
+    applyAll(materializer, [['INSERT', [1]]]);
+    assert.equal(materializer.isFull(), true);
+  });
+});
+
+describe('resolveUpsertKey', () => {
+  const columns = [{ name: 'id' }, { name: 'region' }, { name: 'total' }];
+
+  test('maps key column names to positions', () => {
+    assert.deepEqual(resolveUpsertKey(['region', 'id'], columns), [1, 0]);
+  });
+
+  test('returns null without a key or for unknown columns', () => {
+    assert.equal(resolveUpsertKey(null, columns), null);
+    assert.equal(resolveUpsertKey([], columns), null);
+    assert.equal(resolveUpsertKey(['id', 'ID'], columns), null);
+  });
+});
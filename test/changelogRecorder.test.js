@@ -0,0 +1,51 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import ChangelogRecorder, { replayChangelog } from '../src/services/changelogRecorder.js';
+
+describe('ChangelogRecorder state', () => {
+  test('is null unless recording is enabled', () => {
+    const recorder = new ChangelogRecorder();
+    recorder.record('INSERT', ['a'], 0);
+    assert.equal(recorder.getState(), null);
+  });
+
+  test('publishes the events array with a length instead of copying it', () => {
+    const recorder = new ChangelogRecorder();
+    recorder.reset({ enabled: true });
+    recorder.record('INSERT', ['a'], 0);
+    const first = recorder.getState();
+    assert.equal(recorder.getState(), first);
+
+    recorder.record('DELETE', ['a'], 1);
+    const second = recorder.getState();
+    assert.notEqual(second, first);
+    assert.equal(second.events, first.events);
+    assert.equal(first.length, 1);
+    assert.equal(second.length, 2);
+    assert.ok(second.version > first.version);
+    assert.deepEqual(first.counts, { INSERT: 1, UPDATE_BEFORE: 0, UPDATE_AFTER: 0, DELETE: 0 });
+  });
+
+  test('counts events past maxEvents without storing them', () => {
+    const recorder = new ChangelogRecorder();
+    recorder.reset({ enabled: true, maxEvents: 1 });
+    recorder.record('INSERT', ['a'], 0);
+    recorder.record('INSERT', ['b'], 0);
+    const state = recorder.getState();
+    assert.equal(state.length, 1);
+    assert.equal(state.skippedEvents, 1);
+    assert.equal(state.counts.INSERT, 2);
+  });
+});
+
+describe('replayChangelog', () => {
+  test('materializes the first events only', () => {
+    const events = [
+      { kind: 'INSERT', fields: ['a', 1] },
+      { kind: 'UPDATE_BEFORE', fields: ['a', 1] },
+      { kind: 'UPDATE_AFTER', fields: ['a', 2] }
+    ];
+    assert.deepEqual(replayChangelog(events, 2).map(row => row.fields), []);
+    assert.deepEqual(replayChangelog(events, 3, [0]).map(row => row.fields), [['a', 2]]);
+  });
+});
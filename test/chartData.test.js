@@ -0,0 +1,103 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import ChangelogMaterializer from '../src/services/changelogMaterializer.js';
+import { ChartAccumulator, buildChartData, resolveChartConfig } from '../src/utils/chartData.js';
+
+const columns = [
+  { name: 'ts', logicalType: { type: 'TIMESTAMP' } },
+  { name: 'region', logicalType: { type: 'VARCHAR' } },
+  { name: 'total', logicalType: { type: 'BIGINT' } }
+];
+const config = resolveChartConfig(columns, { series: 'region', windowMs: 0 });
+
+// Minute `minute` of the test day as a TIMESTAMP string
+const at = (minute) => `2024-01-01 00:${String(minute).padStart(2, '0')}:00`;
+
+// Rows that record being read, as { fields } like the replayed changelog rows
+const readRows = new Set();
+const makeRow = (fields) => {
+  const row = {
+    get fields() {
+      readRows.add(row);
+      return fields;
+    }
+  };
+  return row;
+};
+
+// Apply [kind, fields] events to the materializer, then follow its rows with the accumulator
+const applyPage = (materializer, accumulator, events) => {
+  events.forEach(([kind, fields]) => materializer.apply(kind, fields, makeRow(fields)));
+  accumulator.update(materializer.getRows(), materializer.getChanges());
+  return accumulator.getData();
+};
+
+const seriesPoints = (data) => data.series
+  .map(({ name, points }) => [name, points.map(({ x, y }) => [x, y])])
+  .sort(([a], [b]) => a.localeCompare(b));
+
+describe('ChartAccumulator', () => {
+  test('matches a full build after inserts, updates and deletes', () => {
+    const materializer = new ChangelogMaterializer([0, 1]);
+    const accumulator = new ChartAccumulator(columns, config);
+    applyPage(materializer, accumulator, [
+      ['INSERT', [at(1), 'eu', 1]],
+      ['INSERT', [at(1), 'us', 2]],
+      ['INSERT', [at(3), 'eu', 3]]
+    ]);
+    const data = applyPage(materializer, accumulator, [
+      ['INSERT', [at(2), 'eu', 4]],
+      ['UPDATE_AFTER', [at(1), 'us', 5]],
+      ['DELETE', [at(1), 'eu', 1]]
+    ]);
+
+    const rebuilt = buildChartData(materializer.getRows(), columns, config);
+    assert.deepEqual(seriesPoints(data), seriesPoints(rebuilt));
+    assert.deepEqual(data.yDomain, [3, 5]);
+    assert.equal(data.pointCount, 3);
+  });
+
+  test('reads only the rows a page changed', () => {
+    const materializer = new ChangelogMaterializer([0, 1]);
+    const accumulator = new ChartAccumulator(columns, config);
+    applyPage(materializer, accumulator, Array.from({ length: 50 }, (_, minute) => ['INSERT', [at(minute), 'eu', minute]]));
+
+    readRows.clear();
+    applyPage(materializer, accumulator, [['UPDATE_AFTER', [at(10), 'eu', 100]], ['INSERT', [at(55), 'eu', 1]]]);
+    assert.deepEqual([...readRows].map(row => row.fields), [[at(10), 'eu', 100], [at(55), 'eu', 1]]);
+  });
+
+  test('rebuilds after missing a page', () => {
+    const materializer = new ChangelogMaterializer([0, 1]);
+    const accumulator = new ChartAccumulator(columns, config);
+    applyPage(materializer, accumulator, [['INSERT', [at(1), 'eu', 1]]]);
+    materializer.apply('INSERT', [at(2), 'eu', 2], makeRow([at(2), 'eu', 2]));
+    materializer.getRows();
+
+    const data = applyPage(materializer, accumulator, [['INSERT', [at(3), 'eu', 3]]]);
+    assert.equal(data.pointCount, 3);
+  });
+
+  test('trims the rolling window from the front', () => {
+    const windowed = resolveChartConfig(columns, { series: 'region', windowMs: 2 * 60 * 1000 });
+    const materializer = new ChangelogMaterializer([0, 1]);
+    const accumulator = new ChartAccumulator(columns, windowed);
+    applyPage(materializer, accumulator, [1, 2, 3].map(minute => ['INSERT', [at(minute), 'eu', minute]]));
+    const data = applyPage(materializer, accumulator, [['INSERT', [at(5), 'eu', 5]]]);
+
+    assert.equal(data.windowed, true);
+    assert.deepEqual(data.series[0].points.map(({ y }) => y), [3, 5]);
+  });
+
+  test('drops categories whose rows are gone', () => {
+    const categoryColumns = [{ name: 'region', logicalType: { type: 'VARCHAR' } }, { name: 'total', logicalType: { type: 'BIGINT' } }];
+    const categoryConfig = resolveChartConfig(categoryColumns, null);
+    const materializer = new ChangelogMaterializer([0]);
+    const accumulator = new ChartAccumulator(categoryColumns, categoryConfig);
+    applyPage(materializer, accumulator, [['INSERT', ['eu', 1]], ['INSERT', ['us', 2]], ['INSERT', ['apac', 3]]]);
+    const data = applyPage(materializer, accumulator, [['DELETE', ['us', 2]]]);
+
+    assert.deepEqual(data.categories, ['eu', 'apac']);
+    assert.deepEqual(seriesPoints(data), [['total', [[0, 1], [1, 3]]]]);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import flinkApi from '../src/services/flinkApi.js';
+
+describe('FlinkApiService retries', () => {
+  const originalFetch = globalThis.fetch;
+  let fetchCalls;
+
+  beforeEach(() => {
+    fetchCalls = 0;
+    flinkApi.configureRequests({ retries: 2, retryBaseDelayMs: 0, retryMaxDelayMs: 0, timeoutMs: 0 });
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    flinkApi.configureRequests({});
+  });
+
+  test('retries requests whose fetch rejected', async () => {
+    globalThis.fetch = async () => {
+      fetchCalls++;
+      throw new TypeError('Failed to fetch');
+    };
+    await assert.rejects(flinkApi.request('/v1/info'), error => error.networkError === true);
+    assert.equal(fetchCalls, 3);
+  });
+
+  test('does not retry a TypeError thrown before the request is sent', async () => {
+    globalThis.fetch = async () => {
+      fetchCalls++;
+      return new Response('{}', { status: 200 });
+    };
+    const { authProvider } = flinkApi;
+    flinkApi.authProvider = { getHeaders: async () => { throw new TypeError('headers is not iterable'); } };
+    try {
+      await assert.rejects(flinkApi.request('/v1/info'), TypeError);
+      assert.equal(fetchCalls, 0);
+    } finally {
+      flinkApi.authProvider = authProvider;
+    }
+  });
+
+  test('retries 503 responses of idempotent requests only', async () => {
+    globalThis.fetch = async () => {
+      fetchCalls++;
+      return new Response('unavailable', { status: 503 });
+    };
+    await assert.rejects(flinkApi.request('/v1/info'), error => error.status === 503);
+    assert.equal(fetchCalls, 3);
+
+    fetchCalls = 0;
+    await assert.rejects(flinkApi.request('/v1/sessions', { method: 'POST', body: '{}' }), error => error.status === 503);
+    assert.equal(fetchCalls, 1);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilter, compareValues } from '../src/utils/resultRows.js';
+
+describe('compileFilter', () => {
+  const matches = (expression, values) => values.map(compileFilter(expression));
+
+  test('returns null for an empty expression', () => {
+    assert.equal(compileFilter('  '), null);
+  });
+
+  test('matches substrings case-insensitively', () => {
+    assert.deepEqual(matches('eur', ['EUR', 'euro', 'USD', null]), [true, true, false, false]);
+  });
+
+  test('matches every cell of a /regex/ with g or y flags', () => {
+    assert.deepEqual(matches('/eur/gi', ['EUR', 'EUR', 'EUR', 'EUR']), [true, true, true, true]);
+    assert.deepEqual(matches('/^E/y', ['EUR', 'EUR', 'USD']), [true, true, false]);
+  });
+
+  test('falls back to a substring match for an invalid regex', () => {
+    assert.deepEqual(matches('/(/', ['a/(/b', 'ab']), [true, false]);
+  });
+
+  test('compares numerically when both sides are numbers', () => {
+    assert.deepEqual(matches('> 10', [9, 10, 11, '12', null]), [false, false, true, true, false]);
+    assert.deepEqual(matches('<= 2.5', [2.5, 3]), [true, false]);
+  });
+
+  test('compares text otherwise', () => {
+    assert.deepEqual(matches('= eur', ['EUR', 'USD']), [true, false]);
+    assert.deepEqual(matches('!= EUR', ['EUR', 'USD', null]), [false, true, true]);
+    assert.deepEqual(matches('>= 2024-01-02', ['2024-01-01 10:00', '2024-01-02 00:00']), [false, true]);
+  });
+
+  test('matches null and not null', () => {
+    assert.deepEqual(matches('null', [null, undefined, 0, '']), [true, true, false, false]);
+    assert.deepEqual(matches('not null', [null, 0]), [false, true]);
+  });
+});
+
+describe('compareValues', () => {
+  test('orders numbers numerically and puts NULLs last', () => {
+    assert.deepEqual([10, null, 2, '3', undefined, 1].sort(compareValues), [1, 2, '3', 10, null, undefined]);
+  });
+
+  test('orders text with numeric collation', () => {
+    assert.deepEqual(['item10', 'item2', 'apple'].sort(compareValues), ['apple', 'item2', 'item10']);
+  });
+});
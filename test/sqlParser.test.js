@@ -0,0 +1,257 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  splitSqlStatements,
+  getStatementAtOffset,
+  classifyStatement,
+  getStatementType,
+  getStatementSetEdit
+} from '../src/utils/sqlParser.js';
+import { applyTextEdits } from '../src/utils/textEdits.js';
+
+describe('splitSqlStatements', () => {
+  test('splits at semicolons and keeps them', () => {
+    assert.deepEqual(splitSqlStatements('SELECT 1; SELECT 2;'), ['SELECT 1;', 'SELECT 2;']);
+  });
+
+  test('keeps a last statement without a semicolon', () => {
+    assert.deepEqual(splitSqlStatements('SELECT 1;\nSELECT 2'), ['SELECT 1;', 'SELECT 2']);
+  });
+
+  test('ignores empty statements and whitespace', () => {
+    assert.deepEqual(splitSqlStatements(' ;\n\n;SELECT 1;;  '), ['SELECT 1;']);
+    assert.deepEqual(splitSqlStatements(''), []);
+  });
+
+  describe('comments', () => {
+    test('a semicolon in a line comment does not split', () => {
+      assert.deepEqual(
+        splitSqlStatements('SELECT a -- first; second\nFROM t;'),
+        ['SELECT a -- first; second\nFROM t;']
+      );
+    });
+
+    test('a semicolon in a block comment does not split', () => {
+      assert.deepEqual(
+        splitSqlStatements('SELECT /* a; b */ 1; SELECT 2;'),
+        ['SELECT /* a; b */ 1;', 'SELECT 2;']
+      );
+    });
+
+    test('leading comments stay with their statement', () => {
+      assert.deepEqual(
+        splitSqlStatements('-- orders\nSELECT * FROM orders;\n/* users */ SELECT * FROM users;'),
+        ['-- orders\nSELECT * FROM orders;', '/* users */ SELECT * FROM users;']
+      );
+    });
+
+    test('comment-only text between statements is dropped', () => {
+      assert.deepEqual(
+        splitSqlStatements('SELECT 1;\n-- nothing here;\n/* or here; */\n'),
+        ['SELECT 1;']
+      );
+    });
+
+    test('an unterminated block comment runs to the end', () => {
+      assert.deepEqual(splitSqlStatements('SELECT 1; /* open; SELECT 2;'), ['SELECT 1;']);
+    });
+  });
+
+  describe('strings and quoted identifiers', () => {
+    test('a semicolon in a string literal does not split', () => {
+      assert.deepEqual(
+        splitSqlStatements("SELECT 'a;b' FROM t; SELECT 2;"),
+        ["SELECT 'a;b' FROM t;", 'SELECT 2;']
+      );
+    });
+
+    test('doubled quotes are escapes inside strings', () => {
+      assert.deepEqual(
+        splitSqlStatements("SELECT 'it''s; fine' FROM t; SELECT 2;"),
+        ["SELECT 'it''s; fine' FROM t;", 'SELECT 2;']
+      );
+    });
+
+    test('a semicolon in a double-quoted string does not split', () => {
+      assert.deepEqual(
+        splitSqlStatements('SET "pipeline.name" = "a;b"; SELECT 2;'),
+        ['SET "pipeline.name" = "a;b";', 'SELECT 2;']
+      );
+    });
+
+    test('a semicolon in a backticked identifier does not split', () => {
+      assert.deepEqual(
+        splitSqlStatements('SELECT `weird;name`, `a``;b` FROM t; SELECT 2;'),
+        ['SELECT `weird;name`, `a``;b` FROM t;', 'SELECT 2;']
+      );
+    });
+
+    test('comment markers inside strings are not comments', () => {
+      assert.deepEqual(
+        splitSqlStatements("SELECT '--;' , '/*;' FROM t; SELECT 2;"),
+        ["SELECT '--;' , '/*;' FROM t;", 'SELECT 2;']
+      );
+    });
+
+    test('WITH connector options keep their quoted semicolons', () => {
+      const ddl = "CREATE TABLE t (a INT) WITH ('connector' = 'filesystem', 'csv.field-delimiter' = ';');";
+      assert.deepEqual(splitSqlStatements(`${ddl}\nSELECT * FROM t;`), [ddl, 'SELECT * FROM t;']);
+    });
+
+    test('an unterminated string runs to the end', () => {
+      assert.deepEqual(splitSqlStatements("SELECT 1; SELECT 'open; SELECT 2;"), ['SELECT 1;', "SELECT 'open; SELECT 2;"]);
+    });
+  });
+
+  describe('dollar signs', () => {
+    // Flink SQL has no $$ dollar-quoted bodies: $ is an identifier character and code goes in strings
+    test('$ is part of identifiers and class names', () => {
+      assert.deepEqual(
+        splitSqlStatements("CREATE FUNCTION f AS 'com.acme.Outer$Inner'; SELECT a$b FROM t$1;"),
+        ["CREATE FUNCTION f AS 'com.acme.Outer$Inner';", 'SELECT a$b FROM t$1;']
+      );
+    });
+
+    test('$$ does not quote, but a $$ body inside a string is kept whole', () => {
+      assert.deepEqual(
+        splitSqlStatements("CREATE FUNCTION f AS '$$ return 1; $$' LANGUAGE PYTHON; SELECT 2;"),
+        ["CREATE FUNCTION f AS '$$ return 1; $$' LANGUAGE PYTHON;", 'SELECT 2;']
+      );
+      assert.deepEqual(splitSqlStatements('SELECT $$a; SELECT b$$;'), ['SELECT $$a;', 'SELECT b$$;']);
+    });
+  });
+
+  describe('statement sets', () => {
+    test('EXECUTE STATEMENT SET BEGIN ... END; is one statement', () => {
+      const set = 'EXECUTE STATEMENT SET BEGIN\n  INSERT INTO a SELECT * FROM t;\n  INSERT INTO b SELECT * FROM t;\nEND;';
+      assert.deepEqual(splitSqlStatements(`${set}\nSELECT 1;`), [set, 'SELECT 1;']);
+    });
+
+    test('BEGIN STATEMENT SET; ... END; is one statement', () => {
+      const set = 'BEGIN STATEMENT SET;\nINSERT INTO a SELECT * FROM t;\nINSERT INTO b SELECT * FROM t;\nEND;';
+      assert.deepEqual(splitSqlStatements(`SET 'a' = 'b';\n${set}\nSELECT 1;`), ["SET 'a' = 'b';", set, 'SELECT 1;']);
+    });
+
+    test('lowercase keywords and comments inside the block', () => {
+      const set = 'begin statement set; -- two inserts\ninsert into a select 1; /* ; */\ninsert into b select 2;\nend;';
+      assert.deepEqual(splitSqlStatements(`${set} select 3;`), [set, 'select 3;']);
+    });
+
+    test('CASE ... END inside a statement set does not close it', () => {
+      const set = 'EXECUTE STATEMENT SET BEGIN INSERT INTO a SELECT CASE WHEN x THEN 1 END FROM t; END;';
+      assert.deepEqual(splitSqlStatements(`${set} SELECT 2;`), [set, 'SELECT 2;']);
+      const clientSet = 'BEGIN STATEMENT SET; INSERT INTO a SELECT CASE WHEN x THEN 1 END FROM t; END;';
+      assert.deepEqual(splitSqlStatements(`${clientSet} SELECT 2;`), [clientSet, 'SELECT 2;']);
+    });
+
+    test('EXPLAIN STATEMENT SET BEGIN ... END; is one statement', () => {
+      const explain = 'EXPLAIN STATEMENT SET BEGIN INSERT INTO a SELECT 1; INSERT INTO b SELECT 2; END;';
+      assert.deepEqual(splitSqlStatements(explain), [explain]);
+    });
+
+    test('BEGIN on its own does not open a block', () => {
+      assert.deepEqual(splitSqlStatements('SELECT `begin` FROM t; SELECT 2;'), ['SELECT `begin` FROM t;', 'SELECT 2;']);
+    });
+  });
+
+  test('withRanges returns offsets of the trimmed statements', () => {
+    const sql = '  SELECT 1;\n\n-- c\nSELECT 2 ';
+    const ranges = splitSqlStatements(sql, { withRanges: true });
+    assert.deepEqual(ranges, [
+      { text: 'SELECT 1;', start: 2, end: 11 },
+      { text: '-- c\nSELECT 2', start: 13, end: 26 }
+    ]);
+    ranges.forEach(({ text, start, end }) => assert.equal(sql.slice(start, end), text));
+  });
+});
+
+describe('getStatementAtOffset', () => {
+  const sql = "SELECT ';'; INSERT INTO a SELECT 1;\nSELECT 3";
+
+  test('finds the statement around an offset', () => {
+    assert.deepEqual(getStatementAtOffset(sql, 2), { statement: "SELECT ';'", start: 0 });
+    assert.deepEqual(getStatementAtOffset(sql, sql.indexOf('INSERT')), { statement: ' INSERT INTO a SELECT 1', start: 11 });
+    assert.deepEqual(getStatementAtOffset(sql, sql.length), { statement: '\nSELECT 3', start: 35 });
+  });
+
+  test('treats a statement set as one statement', () => {
+    const set = 'BEGIN STATEMENT SET; INSERT INTO a SELECT 1; END;';
+    assert.equal(getStatementAtOffset(set, set.indexOf('INSERT')).statement, set.slice(0, -1));
+  });
+});
+
+describe('classifyStatement', () => {
+  const cases = [
+    ['SELECT 1', 'QUERY', 'SELECT'],
+    ['WITH t AS (SELECT 1) SELECT * FROM t', 'QUERY', 'SELECT'],
+    ['VALUES (1), (2)', 'QUERY', 'SELECT'],
+    ['(SELECT 1) UNION (SELECT 2)', 'QUERY', 'SELECT'],
+    ['INSERT INTO a SELECT 1', 'DML', 'INSERT'],
+    ['EXECUTE PLAN \'/tmp/plan.json\'', 'DML', 'EXECUTE_PLAN'],
+    ['CREATE OR REPLACE TEMPORARY SYSTEM FUNCTION f AS \'x\'', 'DDL', 'CREATE_FUNCTION'],
+    ['DROP TABLE IF EXISTS t', 'DDL', 'DROP_TABLE'],
+    ['SHOW CREATE TABLE t', 'SHOW', 'SHOW_CREATE'],
+    ['DESC t', 'SHOW', 'DESCRIBE'],
+    ['EXPLAIN SELECT 1', 'EXPLAIN', 'EXPLAIN'],
+    ['EXPLAIN STATEMENT SET BEGIN INSERT INTO a SELECT 1; END', 'EXPLAIN', 'EXPLAIN'],
+    ['EXECUTE STATEMENT SET BEGIN INSERT INTO a SELECT 1; END', 'STATEMENT_SET', 'EXECUTE_STATEMENT_SET'],
+    ['BEGIN STATEMENT SET; INSERT INTO a SELECT 1; END;', 'STATEMENT_SET', 'BEGIN_STATEMENT_SET'],
+    ['USE CATALOG c', 'COMMAND', 'USE_CATALOG'],
+    ["SET 'a' = 'b'", 'COMMAND', 'SET'],
+    ["ADD JAR '/tmp/x.jar'", 'COMMAND', 'ADD_JAR'],
+    ['', 'OTHER', null]
+  ];
+
+  for (const [statement, type, kind] of cases) {
+    test(`${statement || '(empty)'} -> ${type}/${kind}`, () => {
+      assert.deepEqual(classifyStatement(statement), { type, kind });
+    });
+  }
+
+  test('skips leading comments and ignores keyword case', () => {
+    assert.deepEqual(classifyStatement('-- note\n/* more */ explain select 1'), { type: 'EXPLAIN', kind: 'EXPLAIN' });
+  });
+});
+
+describe('getStatementType', () => {
+  test('keeps its original categories', () => {
+    assert.equal(getStatementType('SELECT 1'), 'QUERY');
+    assert.equal(getStatementType('INSERT INTO a SELECT 1'), 'DML');
+    assert.equal(getStatementType('CREATE TABLE t (a INT)'), 'DDL');
+    assert.equal(getStatementType('SHOW TABLES'), 'SHOW');
+    assert.equal(getStatementType('USE c'), 'COMMAND');
+  });
+
+  test('reports EXPLAIN as SHOW and statement sets as DML', () => {
+    assert.equal(getStatementType('EXPLAIN SELECT 1'), 'SHOW');
+    assert.equal(getStatementType('EXECUTE STATEMENT SET BEGIN INSERT INTO a SELECT 1; END;'), 'DML');
+    assert.equal(getStatementType('BEGIN STATEMENT SET; INSERT INTO a SELECT 1; END;'), 'DML');
+  });
+});
+
+describe('getStatementSetEdit', () => {
+  const rewrite = (statement) => {
+    const edit = getStatementSetEdit(statement);
+    return edit ? applyTextEdits(statement, [edit]) : null;
+  };
+
+  test('rewrites BEGIN STATEMENT SET; to EXECUTE STATEMENT SET BEGIN', () => {
+    assert.equal(
+      rewrite('-- both\nBEGIN STATEMENT SET;\nINSERT INTO a SELECT 1;\nEND;'),
+      '-- both\nEXECUTE STATEMENT SET BEGIN\nINSERT INTO a SELECT 1;\nEND;'
+    );
+  });
+
+  test('rewrites after a leading EXPLAIN', () => {
+    assert.equal(
+      rewrite('EXPLAIN begin statement set; INSERT INTO a SELECT 1; END;'),
+      'EXPLAIN EXECUTE STATEMENT SET BEGIN INSERT INTO a SELECT 1; END;'
+    );
+  });
+
+  test('leaves other statements alone', () => {
+    assert.equal(rewrite('EXECUTE STATEMENT SET BEGIN INSERT INTO a SELECT 1; END;'), null);
+    assert.equal(rewrite('SELECT 1'), null);
+    assert.equal(rewrite('BEGIN'), null);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findVariables, substituteVariables } from '../src/utils/sqlVariables.js';
+import { mapSqlErrorPosition } from '../src/utils/sqlErrorPosition.js';
+import { applyTextEdits, mapOffsetToSource } from '../src/utils/textEdits.js';
+
+describe('substituteVariables', () => {
+  test('replaces placeholders outside comments', () => {
+    const { sql, missing } = substituteVariables('-- ${table}\nSELECT * FROM ${table} WHERE d = \'${day}\'', { table: 'orders', day: '2024-01-01' });
+    assert.equal(sql, "-- ${table}\nSELECT * FROM orders WHERE d = '2024-01-01'");
+    assert.deepEqual(missing, []);
+  });
+
+  test('keeps and lists placeholders without a value', () => {
+    assert.deepEqual(substituteVariables('SELECT ${a}, ${b}', { a: '1' }).missing, ['b']);
+    assert.deepEqual(findVariables('SELECT ${a} /* ${c} */, ${b}, ${a}'), ['a', 'b']);
+  });
+
+  test('records its substitutions as edits of the editor text', () => {
+    const template = '/* ${x} */ SELECT ${cols} FROM ${t}';
+    const { sql, edits } = substituteVariables(template, { cols: 'a, b', t: 'orders', x: 'ignored' });
+    assert.deepEqual(edits, [
+      { start: 18, end: 25, text: 'a, b' },
+      { start: 31, end: 35, text: 'orders' }
+    ]);
+    assert.equal(applyTextEdits(template, edits), sql);
+  });
+});
+
+describe('mapOffsetToSource', () => {
+  const edits = [{ start: 4, end: 8, text: 'ab' }, { start: 10, end: 10, text: 'XYZ' }];
+
+  test('shifts offsets after edits', () => {
+    assert.equal(mapOffsetToSource(2, edits), 2);
+    assert.equal(mapOffsetToSource(6, edits), 8);
+    assert.equal(mapOffsetToSource(11, edits), 10);
+    assert.equal(mapOffsetToSource(12, edits), 11);
+    assert.equal(mapOffsetToSource(11, edits.slice(0, 1)), 13);
+  });
+
+  test('maps offsets inside replaced text to the replaced range', () => {
+    assert.equal(mapOffsetToSource(5, edits), 4);
+    assert.equal(mapOffsetToSource(5, edits, 'end'), 7);
+    assert.equal(mapOffsetToSource(9, edits), 10);
+    assert.equal(mapOffsetToSource(9, edits, 'end'), 10);
+  });
+});
+
+describe('mapSqlErrorPosition', () => {
+  const template = 'SELECT ${cols}\nFROM ${table}\nWHERE nme = 1';
+  const { sql, edits } = substituteVariables(template, { cols: 'id, name, price', table: 'shop.orders' });
+
+  test('maps positions after a substitution back to the template', () => {
+    const column = sql.split('\n')[2].indexOf('nme') + 1;
+    assert.deepEqual(
+      mapSqlErrorPosition({ startLine: 3, startColumn: column, endLine: 3, endColumn: column + 2 }, sql, template, edits),
+      { startLine: 3, startColumn: 7, endLine: 3, endColumn: 9 }
+    );
+  });
+
+  test('maps positions inside a substituted value to its placeholder', () => {
+    assert.deepEqual(
+      mapSqlErrorPosition({ startLine: 2, startColumn: 6, endLine: 2, endColumn: 16 }, sql, template, edits),
+      { startLine: 2, startColumn: 6, endLine: 2, endColumn: 13 }
+    );
+  });
+
+  test('returns positions unchanged when nothing was substituted', () => {
+    const position = { startLine: 1, startColumn: 1, endLine: 1, endColumn: 6 };
+    assert.equal(mapSqlErrorPosition(position, 'SELECT 1', 'SELECT 1', []), position);
+  });
+});
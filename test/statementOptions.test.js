@@ -0,0 +1,37 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStatementHints, resolveStatementOptions, hasStatementOptions } from '../src/utils/statementOptions.js';
+
+describe('statement hints', () => {
+  test('reads @config, @timeout, @rowFormat and @upsertKey comments', () => {
+    const hints = parseStatementHints([
+      '-- @config pipeline.name=orders',
+      '-- @timeout 90s',
+      '-- @rowFormat plain_text',
+      '-- @upsertKey user_id, `region`',
+      'SELECT * FROM orders'
+    ].join('\n'));
+    assert.deepEqual(hints, {
+      executionConfig: { 'pipeline.name': 'orders' },
+      executionTimeout: 90000,
+      rowFormat: 'PLAIN_TEXT',
+      upsertKey: ['user_id', 'region']
+    });
+  });
+
+  test('lets hints override the tab options', () => {
+    const defaults = { executionConfig: { a: '1' }, executionTimeout: 5000, rowFormat: 'JSON', upsertKey: ['id'] };
+    assert.deepEqual(resolveStatementOptions(defaults, 'SELECT 1'), {
+      executionConfig: { a: '1' },
+      executionTimeout: 5000,
+      rowFormat: 'JSON',
+      upsertKey: ['id']
+    });
+    assert.deepEqual(resolveStatementOptions(defaults, '-- @upsertKey region\nSELECT 1').upsertKey, ['region']);
+  });
+
+  test('counts an upsert key as a customized option', () => {
+    assert.equal(hasStatementOptions({ rowFormat: 'JSON' }), false);
+    assert.equal(hasStatementOptions({ rowFormat: 'JSON', upsertKey: ['id'] }), true);
+  });
+});
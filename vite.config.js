@@ -16,6 +16,12 @@ console.log(`   Username: ${FLINK_USERNAME ? '***' : 'not set'}`)
 console.log(`   Password: ${FLINK_PASSWORD ? '***' : 'not set'}`)
 console.log(`   API Token: ${FLINK_API_TOKEN ? '***' : 'not set'}`)
 
+// The one method override the proxy applies: POST -> GET on /sessions/<handle>/complete-statement
+// (req.url may already be rewritten without the /api/flink prefix)
+const COMPLETE_STATEMENT_PATH = /^(?:\/api\/flink)?\/v\d+\/sessions\/[^/?#]+\/complete-statement(?:\?|$)/
+const isCompletionOverride = (method, override, url) =>
+  method === 'POST' && String(override).toUpperCase() === 'GET' && COMPLETE_STATEMENT_PATH.test(url)
+
 // Build proxy configuration
 const proxyConfig = {
   target: FLINK_HOST,
@@ -27,6 +33,16 @@ const proxyConfig = {
       console.log('Proxy error:', err);
     });
     proxy.on('proxyReq', (proxyReq, req, res) => {
+      // Browsers cannot send a GET with a body (complete-statement); restore the GET the editor asked for.
+      // Only that case is honoured, so the header cannot turn other requests into DELETE/PUT with our credentials
+      const methodOverride = req.headers['x-http-method-override'];
+      if (methodOverride) {
+        if (isCompletionOverride(req.method, methodOverride, req.url)) {
+          proxyReq.method = 'GET';
+        }
+        proxyReq.removeHeader('x-http-method-override');
+      }
+
       // Add authentication headers if configured
       if (FLINK_API_TOKEN) {
         proxyReq.setHeader('Authorization', `Bearer ${FLINK_API_TOKEN}`);